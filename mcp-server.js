@@ -15,6 +15,23 @@ const { createSearch } = require('./tools/createSearch');
 const { getSearch } = require('./tools/getSearch');
 const { getNote } = require('./tools/getNote');
 const { getNoteContent } = require('./tools/getNoteContent');
+const { createNote } = require('./tools/createNote');
+const { updateNote } = require('./tools/updateNote');
+const { appendToNote, prependToNote } = require('./tools/appendToNote');
+const { listTrash, deleteNote, restoreNote, expungeNote } = require('./tools/trash');
+const { listNotebooks, getNotebook, createNotebook, renameNotebook, setNotebookStack } = require('./tools/notebooks');
+const { listTags, createTag, renameTag, moveTag, mergeTags } = require('./tools/tags');
+const { bulkTagNotes, bulkMoveNotes } = require('./tools/bulkEdit');
+const { addAttachment } = require('./tools/addAttachment');
+const { getResource } = require('./tools/getResource');
+const { setReminder, completeReminder, clearReminder, listReminders } = require('./tools/reminders');
+const { getChecklist, updateChecklist } = require('./tools/checklist');
+const { decryptNote, addEncryptedSection } = require('./tools/noteEncryption');
+const { getNoteTables } = require('./tools/noteTables');
+const { listNoteVersions, getNoteVersion, diffNoteVersions } = require('./tools/noteVersions');
+const { getNoteBlocks, patchNote } = require('./tools/noteBlocks');
+const { explainSearch } = require('./tools/explainSearch');
+const { countNotes } = require('./tools/countNotes');
 
 /**
  * Main MCP server implementation
@@ -67,7 +84,7 @@ class EvernoteMCPServer {
               properties: {
                 query: {
                   type: 'string',
-                  description: 'Natural language search query (e.g., "boat repair notes", "meeting notes from last week")',
+                  description: 'Natural language search query (e.g., "boat repair notes", "meeting notes from last week"); date phrases are turned into date bounds',
                 },
                 maxResults: {
                   type: 'integer',
@@ -91,68 +108,1437 @@ class EvernoteMCPServer {
                   items: { type: 'string' },
                   description: 'Optional: Array of tag names to filter by',
                 },
+                intitle: {
+                  type: 'string',
+                  description: 'Optional: Only return notes with this word or phrase in the title',
+                },
+                todo: {
+                  type: 'string',
+                  enum: ['checked', 'unchecked', 'any'],
+                  description: 'Optional: Only return notes with checked, unchecked or any checklist items',
+                },
+                resource: {
+                  type: 'string',
+                  description: 'Optional: Only return notes with an attachment of this MIME type (e.g. "application/pdf", "image/*")',
+                },
+                source: {
+                  type: 'string',
+                  description: 'Optional: Only return notes from this source (e.g. "web.clip", "mail.smtp", "mobile.*")',
+                },
+                author: {
+                  type: 'string',
+                  description: 'Optional: Only return notes by this author',
+                },
+                hasReminder: {
+                  type: 'boolean',
+                  description: 'Optional: true for only notes with a reminder, false for only notes without one',
+                },
+                createdAfter: {
+                  type: 'string',
+                  description: 'Optional: Only return notes created on or after this date (YYYY-MM-DD, YYYYMMDD, or relative such as day-7, week, month-1)',
+                },
+                createdBefore: {
+                  type: 'string',
+                  description: 'Optional: Only return notes created before this date (same formats as createdAfter)',
+                },
+                updatedAfter: {
+                  type: 'string',
+                  description: 'Optional: Only return notes updated on or after this date (same formats as createdAfter)',
+                },
+                updatedBefore: {
+                  type: 'string',
+                  description: 'Optional: Only return notes updated before this date (same formats as createdAfter)',
+                },
+                dateRange: {
+                  type: 'string',
+                  description: 'Optional: Only return notes within a date range written as a phrase such as "last week", "since March", "yesterday" or "Q2 2025", in the Evernote account time zone. Date phrases in the query are recognised too',
+                },
+                dateField: {
+                  type: 'string',
+                  enum: ['created', 'updated'],
+                  description: 'Optional: whether dateRange and date phrases in the query apply to the created or updated date (default: created)',
+                  default: 'created',
+                },
+                matchAny: {
+                  type: 'boolean',
+                  description: 'Optional: match notes that satisfy any of the query words, tags, intitle, todo, resource, source or author terms instead of all of them; cannot be combined with notebookName, date filters, hasReminder or exclude',
+                },
+                exclude: {
+                  type: 'object',
+                  description: 'Optional: leave out notes matching any of these',
+                  properties: {
+                    words: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Words or phrases the notes must not contain',
+                    },
+                    tags: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Tags the notes must not have',
+                    },
+                    intitle: {
+                      type: 'string',
+                      description: 'Word or phrase the titles must not contain',
+                    },
+                    resource: {
+                      type: 'string',
+                      description: 'Attachment MIME type the notes must not have',
+                    },
+                    source: {
+                      type: 'string',
+                      description: 'Source the notes must not come from',
+                    },
+                    author: {
+                      type: 'string',
+                      description: 'Author the notes must not have',
+                    },
+                  },
+                },
+                includeFacets: {
+                  type: 'boolean',
+                  description: 'Optional: also count the matching notes per notebook and per tag, and in the trash, with names (one extra findNoteCounts call)',
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'getSearch',
+            description: 'Get details about a previously executed search by its ID',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                searchId: {
+                  type: 'string',
+                  description: 'Unique identifier of the search to retrieve',
+                },
+              },
+              required: ['searchId'],
+            },
+          },
+          {
+            name: 'getNote',
+            description: 'Retrieve metadata and basic information for a specific note by its GUID',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note to retrieve',
+                },
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'getNoteContent',
+            description: 'Retrieve the full content of a specific note in a readable format',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note to retrieve content for',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'html', 'enml'],
+                  description: 'Format to return the content in (default: text)',
+                  default: 'text',
+                },
+                inlineImages: {
+                  type: 'boolean',
+                  description: 'Optional: embed images up to 256KB as data URIs in html output instead of linking to the server resource route',
+                },
+                includeRecognition: {
+                  type: 'boolean',
+                  description: 'Optional: append the OCR text Evernote recognised in images and PDFs to text and markdown output, and return it per resource',
+                },
+                tableOfContents: {
+                  type: 'boolean',
+                  description: "Optional: return the note's headings with their level, offset and section length instead of the content",
+                },
+                section: {
+                  type: 'string',
+                  description: 'Optional: return only the section under the heading with this text (exact match first, then partial)',
+                },
+                sectionIndex: {
+                  type: 'integer',
+                  description: 'Optional: return only the section with this index from tableOfContents, for notes with repeated headings',
+                },
+                startChar: {
+                  type: 'integer',
+                  description: 'Optional: offset of the first character to return, for paging through large notes (default: 0)',
+                },
+                maxChars: {
+                  type: 'integer',
+                  description: 'Optional: most characters to return; the response includes nextStartChar and a continuationToken when more remains',
+                },
+                continuationToken: {
+                  type: 'string',
+                  description: 'Optional: token from a previous response to fetch the next page with the same options',
+                },
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'createNote',
+            description: 'Create a new note from plain text, Markdown or ENML content',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                title: {
+                  type: 'string',
+                  description: 'Title of the new note',
+                },
+                body: {
+                  type: 'string',
+                  description: 'Note body in the format given by the format argument',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'enml'],
+                  description: 'Format of the body (default: text)',
+                  default: 'text',
+                },
+                notebook: {
+                  type: 'string',
+                  description: "Optional: Notebook name or GUID (default: the account's default notebook)",
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Optional: Tag names to apply; tags that do not exist yet are created',
+                },
+                idempotencyKey: {
+                  type: 'string',
+                  description: 'Optional: Caller-supplied key; retrying with the same key returns the original note instead of creating a duplicate; reusing it with different arguments is an error',
+                },
+              },
+              required: ['title'],
+            },
+          },
+          {
+            name: 'updateNote',
+            description: "Update the title, body, notebook or tags of an existing note. Pass the updateSequenceNum you last saw; if the note changed since then the edit is three-way merged, and a conflict report is returned instead of overwriting someone else's changes",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note to update',
+                },
+                updateSequenceNum: {
+                  type: 'integer',
+                  description: 'Update sequence number of the note as you last saw it (from getNote, getNoteContent or createSearch)',
+                  minimum: 1,
+                },
+                title: {
+                  type: 'string',
+                  description: 'Optional: New note title',
+                },
+                body: {
+                  type: 'string',
+                  description: 'Optional: New note body, replacing the existing body',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'enml'],
+                  description: 'Format of the body (default: text)',
+                  default: 'text',
+                },
+                notebook: {
+                  type: 'string',
+                  description: 'Optional: Notebook name or GUID to move the note to',
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Optional: Complete list of tag names for the note; tags that do not exist yet are created',
+                },
+                baseEnml: {
+                  type: 'string',
+                  description: 'Optional: ENML of the note as you last saw it, used as the merge base if the server no longer has that version cached',
+                },
+              },
+              required: ['noteGuid', 'updateSequenceNum'],
+            },
+          },
+          {
+            name: 'appendToNote',
+            description: 'Append content (a line, checklist item or log entry) to the end of a note without rewriting the rest of the note',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note to append to',
+                },
+                content: {
+                  type: 'string',
+                  description: 'Content to append',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'enml'],
+                  description: 'Format of the content (default: text)',
+                  default: 'text',
+                },
+                addTimestamp: {
+                  type: 'boolean',
+                  description: 'Prefix the content with the current date and time, for dated log entries (default: false)',
+                  default: false,
+                },
+              },
+              required: ['noteGuid', 'content'],
+            },
+          },
+          {
+            name: 'prependToNote',
+            description: 'Insert content at the start of a note without rewriting the rest of the note',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note to prepend to',
+                },
+                content: {
+                  type: 'string',
+                  description: 'Content to insert',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'enml'],
+                  description: 'Format of the content (default: text)',
+                  default: 'text',
+                },
+                addTimestamp: {
+                  type: 'boolean',
+                  description: 'Prefix the content with the current date and time, for dated log entries (default: false)',
+                  default: false,
+                },
+              },
+              required: ['noteGuid', 'content'],
+            },
+          },
+          {
+            name: 'listTrash',
+            description: 'List notes in the Evernote trash, optionally filtered by a search query',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Optional: Evernote search query to filter trashed notes',
+                },
+                maxResults: {
+                  type: 'integer',
+                  description: 'Maximum number of notes to return (default: 20, max: 100)',
+                  minimum: 1,
+                  maximum: 100,
+                  default: 20,
+                },
+                offset: {
+                  type: 'integer',
+                  description: 'Number of notes to skip for pagination (default: 0)',
+                  minimum: 0,
+                  default: 0,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'deleteNote',
+            description: 'Move a note to the trash (it can be restored with restoreNote)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note to move to the trash',
+                },
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'restoreNote',
+            description: 'Restore a note from the trash',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the trashed note to restore',
+                },
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'expungeNote',
+            description: 'Permanently delete notes that are already in the trash. This cannot be undone: preview with dryRun, then call again with confirm set to true',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'GUID of a trashed note to expunge',
+                },
+                noteGuids: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'GUIDs of trashed notes to expunge',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'List the notes that would be expunged without deleting anything (default: false)',
+                  default: false,
+                },
+                confirm: {
+                  type: 'boolean',
+                  description: 'Must be true to actually expunge',
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'listNotebooks',
+            description: 'List all notebooks with their stack, default flag, note count and sharing status. Use this to discover valid notebookName/notebookGuid values for createSearch',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                stack: {
+                  type: 'string',
+                  description: 'Optional: only list notebooks in this stack',
+                },
+                includeCounts: {
+                  type: 'boolean',
+                  description: 'Include note counts per notebook (default: true)',
+                  default: true,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'getNotebook',
+            description: 'Inspect a notebook by name or GUID, including note count, sharing, publishing and permissions',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                notebook: {
+                  type: 'string',
+                  description: 'Notebook name or GUID',
+                },
+              },
+              required: ['notebook'],
+            },
+          },
+          {
+            name: 'createNotebook',
+            description: 'Create a new notebook, optionally inside a stack',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Notebook name (must be unique, case-insensitive)',
+                },
+                stack: {
+                  type: 'string',
+                  description: 'Optional: stack to place the notebook in',
+                },
+              },
+              required: ['name'],
+            },
+          },
+          {
+            name: 'renameNotebook',
+            description: 'Rename a notebook',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                notebook: {
+                  type: 'string',
+                  description: 'Current notebook name or GUID',
+                },
+                newName: {
+                  type: 'string',
+                  description: 'New notebook name',
+                },
+              },
+              required: ['notebook', 'newName'],
+            },
+          },
+          {
+            name: 'setNotebookStack',
+            description: 'Move a notebook into a stack, or out of its stack when stack is empty',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                notebook: {
+                  type: 'string',
+                  description: 'Notebook name or GUID',
+                },
+                stack: {
+                  type: 'string',
+                  description: 'Stack name; omit or leave empty to remove the notebook from its stack',
+                },
+              },
+              required: ['notebook'],
+            },
+          },
+          {
+            name: 'listTags',
+            description: "List all tags as a tree (using each tag's parent) with note counts",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                root: {
+                  type: 'string',
+                  description: "Optional: tag name or GUID to return only that tag's subtree",
+                },
+                includeCounts: {
+                  type: 'boolean',
+                  description: 'Include note counts per tag (default: true)',
+                  default: true,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'createTag',
+            description: 'Create a tag, optionally under a parent tag',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Tag name (must be unique, case-insensitive; no commas)',
+                },
+                parent: {
+                  type: 'string',
+                  description: 'Optional: parent tag name or GUID',
+                },
+              },
+              required: ['name'],
+            },
+          },
+          {
+            name: 'renameTag',
+            description: 'Rename a tag',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                tag: {
+                  type: 'string',
+                  description: 'Current tag name or GUID',
+                },
+                newName: {
+                  type: 'string',
+                  description: 'New tag name',
+                },
+              },
+              required: ['tag', 'newName'],
+            },
+          },
+          {
+            name: 'moveTag',
+            description: 'Move a tag under a new parent tag, or to the top level when parent is empty',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                tag: {
+                  type: 'string',
+                  description: 'Tag name or GUID',
+                },
+                parent: {
+                  type: 'string',
+                  description: 'New parent tag name or GUID; omit or leave empty to make the tag top-level',
+                },
+              },
+              required: ['tag'],
+            },
+          },
+          {
+            name: 'mergeTags',
+            description: 'Merge one tag into another: every note tagged with the source gets the target tag instead, child tags move under the target, and the source tag is then deleted. Preview with dryRun first',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                source: {
+                  type: 'string',
+                  description: 'Tag name or GUID to merge away',
+                },
+                target: {
+                  type: 'string',
+                  description: 'Tag name or GUID to merge into',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'List the notes and child tags that would change without changing anything (default: false)',
+                  default: false,
+                },
+              },
+              required: ['source', 'target'],
+            },
+          },
+          {
+            name: 'bulkTagNotes',
+            description: 'Add and/or remove tags on every note matched by a search (same criteria as createSearch, or a searchId from getSearch). Previews the changes by default; call again with dryRun set to false to apply them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                searchId: {
+                  type: 'string',
+                  description: 'Optional: searchId from getSearch whose criteria select the notes',
+                },
+                query: {
+                  type: 'string',
+                  description: 'Optional: search query selecting the notes',
+                },
+                notebookName: {
+                  type: 'string',
+                  description: 'Optional: only notes in this notebook',
+                },
+                notebookGuid: {
+                  type: 'string',
+                  description: 'Optional: only notes in the notebook with this GUID',
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Optional: only notes with all of these tags',
+                },
+                intitle: {
+                  type: 'string',
+                  description: 'Optional: only notes with this word or phrase in the title',
+                },
+                todo: {
+                  type: 'string',
+                  enum: ['checked', 'unchecked', 'any'],
+                  description: 'Optional: only notes with checked, unchecked or any checklist items',
+                },
+                resource: {
+                  type: 'string',
+                  description: 'Optional: only notes with an attachment of this MIME type (e.g. "application/pdf", "image/*")',
+                },
+                source: {
+                  type: 'string',
+                  description: 'Optional: only notes from this source (e.g. "web.clip", "mail.smtp", "mobile.*")',
+                },
+                author: {
+                  type: 'string',
+                  description: 'Optional: only notes by this author',
+                },
+                hasReminder: {
+                  type: 'boolean',
+                  description: 'Optional: true for only notes with a reminder, false for only notes without one',
+                },
+                createdAfter: {
+                  type: 'string',
+                  description: 'Optional: only notes created on or after this date (YYYY-MM-DD, YYYYMMDD, or relative such as day-7, week, month-1)',
+                },
+                createdBefore: {
+                  type: 'string',
+                  description: 'Optional: only notes created before this date (same formats as createdAfter)',
+                },
+                updatedAfter: {
+                  type: 'string',
+                  description: 'Optional: only notes updated on or after this date (same formats as createdAfter)',
+                },
+                updatedBefore: {
+                  type: 'string',
+                  description: 'Optional: only notes updated before this date (same formats as createdAfter)',
+                },
+                dateRange: {
+                  type: 'string',
+                  description: 'Optional: only notes within a date range written as a phrase such as "last week", "since March", "yesterday" or "Q2 2025", in the Evernote account time zone. Date phrases in the query are recognised too',
+                },
+                dateField: {
+                  type: 'string',
+                  enum: ['created', 'updated'],
+                  description: 'Optional: whether dateRange and date phrases in the query apply to the created or updated date (default: created)',
+                  default: 'created',
+                },
+                matchAny: {
+                  type: 'boolean',
+                  description: 'Optional: match notes that satisfy any of the query words, tags, intitle, todo, resource, source or author terms instead of all of them; cannot be combined with notebookName, date filters, hasReminder or exclude',
+                },
+                exclude: {
+                  type: 'object',
+                  description: 'Optional: leave out notes matching any of these',
+                  properties: {
+                    words: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Words or phrases the notes must not contain',
+                    },
+                    tags: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Tags the notes must not have',
+                    },
+                    intitle: {
+                      type: 'string',
+                      description: 'Word or phrase the titles must not contain',
+                    },
+                    resource: {
+                      type: 'string',
+                      description: 'Attachment MIME type the notes must not have',
+                    },
+                    source: {
+                      type: 'string',
+                      description: 'Source the notes must not come from',
+                    },
+                    author: {
+                      type: 'string',
+                      description: 'Author the notes must not have',
+                    },
+                  },
+                },
+                addTags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Tag names to add (missing tags are created when applied)',
+                },
+                removeTags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Tag names or GUIDs to remove',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'Preview every note that would change without changing anything (default: true)',
+                  default: true,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'bulkMoveNotes',
+            description: 'Move every note matched by a search (same criteria as createSearch, or a searchId from getSearch) into another notebook. Previews the changes by default; call again with dryRun set to false to apply them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                searchId: {
+                  type: 'string',
+                  description: 'Optional: searchId from getSearch whose criteria select the notes',
+                },
+                query: {
+                  type: 'string',
+                  description: 'Optional: search query selecting the notes',
+                },
+                notebookName: {
+                  type: 'string',
+                  description: 'Optional: only notes in this notebook',
+                },
+                notebookGuid: {
+                  type: 'string',
+                  description: 'Optional: only notes in the notebook with this GUID',
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Optional: only notes with all of these tags',
+                },
+                intitle: {
+                  type: 'string',
+                  description: 'Optional: only notes with this word or phrase in the title',
+                },
+                todo: {
+                  type: 'string',
+                  enum: ['checked', 'unchecked', 'any'],
+                  description: 'Optional: only notes with checked, unchecked or any checklist items',
+                },
+                resource: {
+                  type: 'string',
+                  description: 'Optional: only notes with an attachment of this MIME type (e.g. "application/pdf", "image/*")',
+                },
+                source: {
+                  type: 'string',
+                  description: 'Optional: only notes from this source (e.g. "web.clip", "mail.smtp", "mobile.*")',
+                },
+                author: {
+                  type: 'string',
+                  description: 'Optional: only notes by this author',
+                },
+                hasReminder: {
+                  type: 'boolean',
+                  description: 'Optional: true for only notes with a reminder, false for only notes without one',
+                },
                 createdAfter: {
                   type: 'string',
-                  format: 'date',
-                  description: 'Optional: Only return notes created after this date (YYYY-MM-DD)',
+                  description: 'Optional: only notes created on or after this date (YYYY-MM-DD, YYYYMMDD, or relative such as day-7, week, month-1)',
+                },
+                createdBefore: {
+                  type: 'string',
+                  description: 'Optional: only notes created before this date (same formats as createdAfter)',
+                },
+                updatedAfter: {
+                  type: 'string',
+                  description: 'Optional: only notes updated on or after this date (same formats as createdAfter)',
+                },
+                updatedBefore: {
+                  type: 'string',
+                  description: 'Optional: only notes updated before this date (same formats as createdAfter)',
+                },
+                dateRange: {
+                  type: 'string',
+                  description: 'Optional: only notes within a date range written as a phrase such as "last week", "since March", "yesterday" or "Q2 2025", in the Evernote account time zone. Date phrases in the query are recognised too',
+                },
+                dateField: {
+                  type: 'string',
+                  enum: ['created', 'updated'],
+                  description: 'Optional: whether dateRange and date phrases in the query apply to the created or updated date (default: created)',
+                  default: 'created',
+                },
+                matchAny: {
+                  type: 'boolean',
+                  description: 'Optional: match notes that satisfy any of the query words, tags, intitle, todo, resource, source or author terms instead of all of them; cannot be combined with notebookName, date filters, hasReminder or exclude',
+                },
+                exclude: {
+                  type: 'object',
+                  description: 'Optional: leave out notes matching any of these',
+                  properties: {
+                    words: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Words or phrases the notes must not contain',
+                    },
+                    tags: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Tags the notes must not have',
+                    },
+                    intitle: {
+                      type: 'string',
+                      description: 'Word or phrase the titles must not contain',
+                    },
+                    resource: {
+                      type: 'string',
+                      description: 'Attachment MIME type the notes must not have',
+                    },
+                    source: {
+                      type: 'string',
+                      description: 'Source the notes must not come from',
+                    },
+                    author: {
+                      type: 'string',
+                      description: 'Author the notes must not have',
+                    },
+                  },
+                },
+                notebook: {
+                  type: 'string',
+                  description: 'Destination notebook name or GUID',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'Preview every note that would move without changing anything (default: true)',
+                  default: true,
+                },
+              },
+              required: ['notebook'],
+            },
+          },
+          {
+            name: 'addAttachment',
+            description: 'Attach a local file (PDF, image, receipt, etc.) to an existing note, or create a new note containing it. The file path is read on the machine running this server',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Path to the file to upload',
+                },
+                noteGuid: {
+                  type: 'string',
+                  description: 'GUID of an existing note to attach the file to',
+                },
+                title: {
+                  type: 'string',
+                  description: 'Title for a new note, used when noteGuid is not given',
+                },
+                notebook: {
+                  type: 'string',
+                  description: 'Optional: notebook name or GUID for a new note (default notebook if omitted)',
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Optional: tag names for a new note',
+                },
+                position: {
+                  type: 'string',
+                  enum: ['end', 'start'],
+                  description: 'Where to place the attachment in an existing note (default: end)',
+                  default: 'end',
+                },
+                fileName: {
+                  type: 'string',
+                  description: "Optional: file name to show in Evernote (default: the file's own name)",
+                },
+                mimeType: {
+                  type: 'string',
+                  description: 'Optional: MIME type (default: guessed from the file extension)',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'getResource',
+            description: 'Download an attachment (resource) by GUID. Small images and text files are returned inline; larger files can be saved to a local path (outputPath) or read in base64 chunks (offset/length). Downloads larger than EVERNOTE_RESOURCE_MAX_BYTES are refused',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                resourceGuid: {
+                  type: 'string',
+                  description: "Resource GUID, as listed in getNote's resources",
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Optional: file or directory on the server machine to stream the file into',
+                },
+                overwrite: {
+                  type: 'boolean',
+                  description: 'Replace an existing file at outputPath (default: false)',
+                  default: false,
+                },
+                offset: {
+                  type: 'integer',
+                  description: 'Optional: byte offset to read a chunk from',
+                  minimum: 0,
+                },
+                length: {
+                  type: 'integer',
+                  description: 'Optional: chunk size in bytes (default: 524288, max: 1048576)',
+                  minimum: 1,
+                  maximum: 1048576,
+                },
+                maxBytes: {
+                  type: 'integer',
+                  description: "Optional: refuse resources larger than this (cannot exceed the server's configured limit)",
+                  minimum: 1,
+                },
+              },
+              required: ['resourceGuid'],
+            },
+          },
+          {
+            name: 'setReminder',
+            description: 'Set or reschedule a reminder on a note. Without reminderTime the note is flagged as a reminder with no due date',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                reminderTime: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'Optional: when to be reminded (ISO 8601, e.g. 2025-06-01T09:00:00Z)',
+                },
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'completeReminder',
+            description: "Mark a note's reminder as done",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
                 },
-                updatedAfter: {
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'clearReminder',
+            description: "Remove a note's reminder entirely",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'listReminders',
+            description: 'List reminders across the account, sorted by reminder time. Defaults to every reminder that is not done (overdue, upcoming and unscheduled)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['open', 'upcoming', 'overdue', 'unscheduled', 'done', 'all'],
+                  description: 'Which reminders to list (default: open)',
+                  default: 'open',
+                },
+                withinDays: {
+                  type: 'integer',
+                  description: 'Optional: only include reminders due within this many days from now',
+                  minimum: 1,
+                },
+                notebook: {
                   type: 'string',
-                  format: 'date',
-                  description: 'Optional: Only return notes updated after this date (YYYY-MM-DD)',
+                  description: 'Optional: notebook name or GUID to limit the list to',
+                },
+                maxResults: {
+                  type: 'integer',
+                  description: 'Maximum number of reminders to return (default: 50)',
+                  minimum: 1,
+                  maximum: 1000,
+                  default: 50,
                 },
               },
               required: [],
             },
           },
           {
-            name: 'getSearch',
-            description: 'Get details about a previously executed search by its ID',
+            name: 'getChecklist',
+            description: "Get a note's checklist (en-todo) items as structured data: index, text, checked state and the nearest heading above each item",
             inputSchema: {
               type: 'object',
               properties: {
-                searchId: {
+                noteGuid: {
                   type: 'string',
-                  description: 'Unique identifier of the search to retrieve',
+                  description: 'The unique identifier (GUID) of the note',
                 },
               },
-              required: ['searchId'],
+              required: ['noteGuid'],
             },
           },
           {
-            name: 'getNote',
-            description: 'Retrieve metadata and basic information for a specific note by its GUID',
+            name: 'updateChecklist',
+            description: 'Check, uncheck, toggle, add or remove checklist items by index. Indexes refer to the items returned by getChecklist at updateSequenceNum; concurrent edits to the note are merged rather than overwritten',
             inputSchema: {
               type: 'object',
               properties: {
                 noteGuid: {
                   type: 'string',
-                  description: 'The unique identifier (GUID) of the note to retrieve',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                updateSequenceNum: {
+                  type: 'integer',
+                  description: "The note's updateSequenceNum as returned by getChecklist",
+                },
+                operations: {
+                  type: 'array',
+                  description: 'Changes to apply, all relative to the items at updateSequenceNum',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      op: {
+                        type: 'string',
+                        enum: ['check', 'uncheck', 'toggle', 'add', 'remove'],
+                      },
+                      index: {
+                        type: 'integer',
+                        description: 'Item index (check, uncheck, toggle and remove)',
+                      },
+                      text: {
+                        type: 'string',
+                        description: 'Item text (add)',
+                      },
+                      checked: {
+                        type: 'boolean',
+                        description: 'Optional: add the item already checked (add)',
+                      },
+                      afterIndex: {
+                        type: 'integer',
+                        description: 'Optional: insert after this item (add). Defaults to after the last item, or the end of the note',
+                      },
+                    },
+                    required: ['op'],
+                  },
+                },
+              },
+              required: ['noteGuid', 'updateSequenceNum', 'operations'],
+            },
+          },
+          {
+            name: 'decryptNote',
+            description: "Decrypt a note's encrypted sections (en-crypt, AES or legacy RC2) locally with a passphrase supplied for this call. The passphrase and plaintext are never logged, cached or sent to Evernote",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                passphrase: {
+                  type: 'string',
+                  description: 'Passphrase the sections were encrypted with',
+                },
+                blockIndex: {
+                  type: 'integer',
+                  description: 'Optional: decrypt only the encrypted section with this index (0 is the first in the note)',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'enml'],
+                  description: 'Format of the decrypted content (default: text)',
+                  default: 'text',
+                },
+              },
+              required: ['noteGuid', 'passphrase'],
+            },
+          },
+          {
+            name: 'addEncryptedSection',
+            description: 'Encrypt content locally with a passphrase (AES, as the Evernote clients do) and insert it into a note as a new encrypted section',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                content: {
+                  type: 'string',
+                  description: 'Content to encrypt',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'enml'],
+                  description: 'Format of the content (default: text)',
+                  default: 'text',
+                },
+                passphrase: {
+                  type: 'string',
+                  description: 'Passphrase to encrypt with',
+                },
+                hint: {
+                  type: 'string',
+                  description: 'Optional: passphrase hint, stored unencrypted in the note',
+                },
+                position: {
+                  type: 'string',
+                  enum: ['end', 'start'],
+                  description: 'Where to insert the section (default: end)',
+                  default: 'end',
+                },
+              },
+              required: ['noteGuid', 'content', 'passphrase'],
+            },
+          },
+          {
+            name: 'getNoteTables',
+            description: 'Extract the tables in a note as JSON row objects keyed by the header row, or as CSV. Merged cells (rowspan/colspan) are copied into every row and column they cover',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                tableIndex: {
+                  type: 'integer',
+                  description: 'Optional: return only the table with this index (0 is the first table in the note)',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['json', 'csv'],
+                  description: 'Return rows as JSON objects or as CSV text (default: json)',
+                  default: 'json',
+                },
+                firstRowIsHeader: {
+                  type: 'boolean',
+                  description: 'Optional: for tables without <th> header cells, use the first row as the header (default: true); when false, columns are named Column 1, Column 2, ...',
+                  default: true,
                 },
               },
               required: ['noteGuid'],
             },
           },
           {
-            name: 'getNoteContent',
-            description: 'Retrieve the full content of a specific note in a readable format',
+            name: 'listNoteVersions',
+            description: 'List the saved versions of a note (note history, Premium and Business accounts) with their update sequence numbers and timestamps, newest first',
             inputSchema: {
               type: 'object',
               properties: {
                 noteGuid: {
                   type: 'string',
-                  description: 'The unique identifier (GUID) of the note to retrieve content for',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+              },
+              required: ['noteGuid'],
+            },
+          },
+          {
+            name: 'getNoteVersion',
+            description: 'Retrieve a saved version of a note in text, Markdown, HTML or ENML format',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                updateSequenceNum: {
+                  type: 'integer',
+                  description: 'Update sequence number of the version, from listNoteVersions',
                 },
                 format: {
                   type: 'string',
-                  enum: ['text', 'html', 'enml'],
+                  enum: ['text', 'markdown', 'html', 'enml'],
                   description: 'Format to return the content in (default: text)',
                   default: 'text',
                 },
               },
+              required: ['noteGuid', 'updateSequenceNum'],
+            },
+          },
+          {
+            name: 'diffNoteVersions',
+            description: 'Line-level unified diff between two saved versions of a note, or between a saved version and the current note',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                fromUpdateSequenceNum: {
+                  type: 'integer',
+                  description: 'Update sequence number of the older version, from listNoteVersions',
+                },
+                toUpdateSequenceNum: {
+                  type: 'integer',
+                  description: 'Optional: update sequence number of the newer version (default: the current note)',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['text', 'markdown', 'html', 'enml'],
+                  description: 'Format to compare the content in (default: text)',
+                  default: 'text',
+                },
+              },
+              required: ['noteGuid', 'fromUpdateSequenceNum'],
+            },
+          },
+          {
+            name: 'getNoteBlocks',
+            description: "Get a note's content as a JSON tree of blocks (headings, paragraphs, lists and list items, checklist items, tables, media, encrypted sections) with stable block IDs for patchNote",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                includeEnml: {
+                  type: 'boolean',
+                  description: "Optional: include each block's ENML markup (default: false)",
+                  default: false,
+                },
+              },
               required: ['noteGuid'],
             },
           },
+          {
+            name: 'patchNote',
+            description: "Edit a note block by block: insert content after a block, replace or delete a block, or move a heading's section under another heading. Block IDs refer to the blocks returned by getNoteBlocks at updateSequenceNum; concurrent edits to the note are merged rather than overwritten",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                noteGuid: {
+                  type: 'string',
+                  description: 'The unique identifier (GUID) of the note',
+                },
+                updateSequenceNum: {
+                  type: 'integer',
+                  description: "The note's updateSequenceNum as returned by getNoteBlocks",
+                },
+                operations: {
+                  type: 'array',
+                  description: 'Changes to apply, all relative to the blocks at updateSequenceNum',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      op: {
+                        type: 'string',
+                        enum: ['insertAfter', 'replace', 'delete', 'moveSection'],
+                      },
+                      blockId: {
+                        type: 'string',
+                        description: 'Block to insert after, replace or delete, or the heading whose section is moved',
+                      },
+                      content: {
+                        type: 'string',
+                        description: 'New content (insertAfter and replace). Next to a list item, a list becomes items of the same list',
+                      },
+                      format: {
+                        type: 'string',
+                        enum: ['text', 'markdown', 'enml'],
+                        description: 'Format of content (default: markdown)',
+                        default: 'markdown',
+                      },
+                      underBlockId: {
+                        type: 'string',
+                        description: "Heading to move the section under (moveSection). The section goes at the end of that heading's section, one level deeper",
+                      },
+                    },
+                    required: ['op', 'blockId'],
+                  },
+                },
+              },
+              required: ['noteGuid', 'updateSequenceNum', 'operations'],
+            },
+          },
+          {
+            name: 'explainSearch',
+            description: 'Parse an Evernote search query without running it: returns its terms, a plain-language description of what it matches, syntax errors such as invalid dates and unbalanced quotes, warnings for unknown operators it will search as text, and any notebook or tag names that match nothing in the account',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Search query in the Evernote search grammar, e.g. any: budget tag:finance -notebook:Archive created:month-1',
+                },
+              },
+              required: ['query'],
+            },
+          },
+          {
+            name: 'countNotes',
+            description: "Count the notes matching a search per notebook and per tag, plus matching notes in the trash, with notebook and tag names, without fetching the notes. Takes the same criteria as createSearch, or a searchId; use it to see where a broad search's matches are before narrowing it",
+            inputSchema: {
+              type: 'object',
+              properties: {
+                searchId: {
+                  type: 'string',
+                  description: 'Optional: searchId from getSearch whose criteria select the notes to count',
+                },
+                query: {
+                  type: 'string',
+                  description: 'Optional: search query selecting the notes to count; date phrases are turned into date bounds',
+                },
+                notebookName: {
+                  type: 'string',
+                  description: 'Optional: only notes in this notebook',
+                },
+                notebookGuid: {
+                  type: 'string',
+                  description: 'Optional: only notes in the notebook with this GUID',
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Optional: only notes with all of these tags',
+                },
+                intitle: {
+                  type: 'string',
+                  description: 'Optional: only notes with this word or phrase in the title',
+                },
+                todo: {
+                  type: 'string',
+                  enum: ['checked', 'unchecked', 'any'],
+                  description: 'Optional: only notes with checked, unchecked or any checklist items',
+                },
+                resource: {
+                  type: 'string',
+                  description: 'Optional: only notes with an attachment of this MIME type (e.g. "application/pdf", "image/*")',
+                },
+                source: {
+                  type: 'string',
+                  description: 'Optional: only notes from this source (e.g. "web.clip", "mail.smtp", "mobile.*")',
+                },
+                author: {
+                  type: 'string',
+                  description: 'Optional: only notes by this author',
+                },
+                hasReminder: {
+                  type: 'boolean',
+                  description: 'Optional: true for only notes with a reminder, false for only notes without one',
+                },
+                createdAfter: {
+                  type: 'string',
+                  description: 'Optional: only notes created on or after this date (YYYY-MM-DD, YYYYMMDD, or relative such as day-7, week, month-1)',
+                },
+                createdBefore: {
+                  type: 'string',
+                  description: 'Optional: only notes created before this date (same formats as createdAfter)',
+                },
+                updatedAfter: {
+                  type: 'string',
+                  description: 'Optional: only notes updated on or after this date (same formats as createdAfter)',
+                },
+                updatedBefore: {
+                  type: 'string',
+                  description: 'Optional: only notes updated before this date (same formats as createdAfter)',
+                },
+                dateRange: {
+                  type: 'string',
+                  description: 'Optional: only notes within a date range written as a phrase such as "last week", "since March", "yesterday" or "Q2 2025", in the Evernote account time zone. Date phrases in the query are recognised too',
+                },
+                dateField: {
+                  type: 'string',
+                  enum: ['created', 'updated'],
+                  description: 'Optional: whether dateRange and date phrases in the query apply to the created or updated date (default: created)',
+                  default: 'created',
+                },
+                matchAny: {
+                  type: 'boolean',
+                  description: 'Optional: match notes that satisfy any of the query words, tags, intitle, todo, resource, source or author terms instead of all of them; cannot be combined with notebookName, date filters, hasReminder or exclude',
+                },
+                exclude: {
+                  type: 'object',
+                  description: 'Optional: leave out notes matching any of these',
+                  properties: {
+                    words: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Words or phrases the notes must not contain',
+                    },
+                    tags: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Tags the notes must not have',
+                    },
+                    intitle: {
+                      type: 'string',
+                      description: 'Word or phrase the titles must not contain',
+                    },
+                    resource: {
+                      type: 'string',
+                      description: 'Attachment MIME type the notes must not have',
+                    },
+                    source: {
+                      type: 'string',
+                      description: 'Source the notes must not come from',
+                    },
+                    author: {
+                      type: 'string',
+                      description: 'Author the notes must not have',
+                    },
+                  },
+                },
+              },
+              required: [],
+            },
+          },
         ],
       };
     });
@@ -183,16 +1569,133 @@ class EvernoteMCPServer {
           case 'getNoteContent':
             result = await getNoteContent(args, tokenData);
             break;
+          case 'createNote':
+            result = await createNote(args, tokenData);
+            break;
+          case 'updateNote':
+            result = await updateNote(args, tokenData);
+            break;
+          case 'appendToNote':
+            result = await appendToNote(args, tokenData);
+            break;
+          case 'prependToNote':
+            result = await prependToNote(args, tokenData);
+            break;
+          case 'listTrash':
+            result = await listTrash(args, tokenData);
+            break;
+          case 'deleteNote':
+            result = await deleteNote(args, tokenData);
+            break;
+          case 'restoreNote':
+            result = await restoreNote(args, tokenData);
+            break;
+          case 'expungeNote':
+            result = await expungeNote(args, tokenData);
+            break;
+          case 'listNotebooks':
+            result = await listNotebooks(args, tokenData);
+            break;
+          case 'getNotebook':
+            result = await getNotebook(args, tokenData);
+            break;
+          case 'createNotebook':
+            result = await createNotebook(args, tokenData);
+            break;
+          case 'renameNotebook':
+            result = await renameNotebook(args, tokenData);
+            break;
+          case 'setNotebookStack':
+            result = await setNotebookStack(args, tokenData);
+            break;
+          case 'listTags':
+            result = await listTags(args, tokenData);
+            break;
+          case 'createTag':
+            result = await createTag(args, tokenData);
+            break;
+          case 'renameTag':
+            result = await renameTag(args, tokenData);
+            break;
+          case 'moveTag':
+            result = await moveTag(args, tokenData);
+            break;
+          case 'mergeTags':
+            result = await mergeTags(args, tokenData);
+            break;
+          case 'bulkTagNotes':
+            result = await bulkTagNotes(args, tokenData);
+            break;
+          case 'bulkMoveNotes':
+            result = await bulkMoveNotes(args, tokenData);
+            break;
+          case 'addAttachment':
+            result = await addAttachment(args, tokenData);
+            break;
+          case 'getResource':
+            result = await getResource(args, tokenData);
+            break;
+          case 'setReminder':
+            result = await setReminder(args, tokenData);
+            break;
+          case 'completeReminder':
+            result = await completeReminder(args, tokenData);
+            break;
+          case 'clearReminder':
+            result = await clearReminder(args, tokenData);
+            break;
+          case 'listReminders':
+            result = await listReminders(args, tokenData);
+            break;
+          case 'getChecklist':
+            result = await getChecklist(args, tokenData);
+            break;
+          case 'updateChecklist':
+            result = await updateChecklist(args, tokenData);
+            break;
+          case 'decryptNote':
+            result = await decryptNote(args, tokenData);
+            break;
+          case 'addEncryptedSection':
+            result = await addEncryptedSection(args, tokenData);
+            break;
+          case 'getNoteTables':
+            result = await getNoteTables(args, tokenData);
+            break;
+          case 'listNoteVersions':
+            result = await listNoteVersions(args, tokenData);
+            break;
+          case 'getNoteVersion':
+            result = await getNoteVersion(args, tokenData);
+            break;
+          case 'diffNoteVersions':
+            result = await diffNoteVersions(args, tokenData);
+            break;
+          case 'getNoteBlocks':
+            result = await getNoteBlocks(args, tokenData);
+            break;
+          case 'patchNote':
+            result = await patchNote(args, tokenData);
+            break;
+          case 'explainSearch':
+            result = await explainSearch(args, tokenData);
+            break;
+          case 'countNotes':
+            result = await countNotes(args, tokenData);
+            break;
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
 
+        // Tools may attach MCP content items (images, embedded resources) alongside the JSON result
+        const { content: extraContent, ...resultData } = result;
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(result, null, 2),
+              text: JSON.stringify(resultData, null, 2),
             },
+            ...(Array.isArray(extraContent) ? extraContent : []),
           ],
         };
       } catch (error) {
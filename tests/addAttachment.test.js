@@ -0,0 +1,37 @@
+/**
+ * Unit tests for attachment helpers
+ */
+
+const crypto = require('crypto');
+const { guessMimeType, buildResource } = require('../tools/addAttachment');
+
+describe('Attachment helpers', () => {
+  describe('guessMimeType', () => {
+    test('should map known extensions case-insensitively', () => {
+      expect(guessMimeType('receipt.PDF')).toBe('application/pdf');
+      expect(guessMimeType('photo.jpeg')).toBe('image/jpeg');
+    });
+
+    test('should fall back to application/octet-stream', () => {
+      expect(guessMimeType('archive.xyz')).toBe('application/octet-stream');
+      expect(guessMimeType('README')).toBe('application/octet-stream');
+    });
+  });
+
+  describe('buildResource', () => {
+    test('should hash the body and set file attributes', () => {
+      const body = Buffer.from('hello');
+      const { hash, resource } = buildResource(body, 'application/pdf', 'hello.pdf');
+
+      expect(hash).toBe(crypto.createHash('md5').update(body).digest('hex'));
+      expect(resource.data.size).toBe(5);
+      expect(resource.data.bodyHash.toString('hex')).toBe(hash);
+      expect(resource.attributes).toEqual({ fileName: 'hello.pdf', attachment: true });
+    });
+
+    test('should display images inline', () => {
+      const { resource } = buildResource(Buffer.from('img'), 'image/png', 'a.png');
+      expect(resource.attributes.attachment).toBe(false);
+    });
+  });
+});
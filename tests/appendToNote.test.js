@@ -0,0 +1,39 @@
+/**
+ * Unit tests for inserting content into existing ENML
+ */
+
+const { insertIntoEnml } = require('../tools/appendToNote');
+
+const header = '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">\n';
+const openTag = '<en-note style="word-wrap: break-word;">';
+const body = '<div>Receipt:</div><div><en-media hash="0f3a9c" type="image/png" width="320"/></div>\n' +
+  '<en-crypt cipher="AES" length="128" hint="usual">RU5DMGmU1lCAKPqZ\nHbT7x9+0bX3hT2yC\r\nq0Zk==</en-crypt>\n' +
+  '<div>Tail &amp; end</div>';
+const enml = `${header}${openTag}${body}</en-note>\n`;
+const fragment = '<div>New line</div>';
+
+describe('insertIntoEnml', () => {
+  test('should insert at the start and leave every other byte unchanged', () => {
+    const result = insertIntoEnml(enml, fragment, 'start');
+    const at = header.length + openTag.length;
+
+    expect(result.slice(0, at)).toBe(enml.slice(0, at));
+    expect(result.slice(at, at + fragment.length)).toBe(fragment);
+    expect(result.slice(at + fragment.length)).toBe(enml.slice(at));
+  });
+
+  test('should insert at the end and leave every other byte unchanged', () => {
+    const result = insertIntoEnml(enml, fragment, 'end');
+    const at = header.length + openTag.length + body.length;
+
+    expect(result.slice(0, at)).toBe(enml.slice(0, at));
+    expect(result.slice(at, at + fragment.length)).toBe(fragment);
+    expect(result.slice(at + fragment.length)).toBe(enml.slice(at));
+    expect(result).toContain('<en-crypt cipher="AES" length="128" hint="usual">RU5DMGmU1lCAKPqZ\nHbT7x9+0bX3hT2yC\r\nq0Zk==</en-crypt>');
+  });
+
+  test('should open up an empty self-closing en-note', () => {
+    expect(insertIntoEnml(`${header}<en-note style="x"/>`, fragment, 'end'))
+      .toBe(`${header}<en-note style="x">${fragment}</en-note>`);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for bulk edit tools
+ */
+
+jest.mock('../tools/createSearch', () => ({
+  ...jest.requireActual('../tools/createSearch'),
+  makeNoteStoreRequest: jest.fn()
+}));
+
+// The real search cache starts a cleanup timer that would keep Jest running
+jest.mock('../tools/getSearch', () => ({ getCachedResults: jest.fn() }));
+
+const { makeNoteStoreRequest } = require('../tools/createSearch');
+const { bulkTagNotes } = require('../tools/bulkEdit');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://example.com/notestore' };
+
+const matches = [
+  { guid: 'n1', title: 'Hotel', updateSequenceNum: 4, tagGuids: ['tag-trip'] },
+  { guid: 'n2', title: 'Taxi', updateSequenceNum: 6, tagGuids: [] }
+];
+
+/**
+ * Fake NoteStore for bulk edits
+ * @param {Object} options - Options
+ * @param {number} options.totalNotes - Reported number of matches
+ * @param {string} options.failNote - GUID of a note whose update fails
+ */
+function fakeNoteStore({ totalNotes = matches.length, failNote } = {}) {
+  makeNoteStoreRequest.mockImplementation(async (method, data) => {
+    switch (method) {
+      case 'listTags':
+        return [{ guid: 'tag-trip', name: 'trip' }];
+      case 'findNotesMetadata':
+        return { notes: data.offset === 0 ? matches : [], totalNotes };
+      case 'createTag':
+        return { ...data.tag, guid: 'tag-created' };
+      case 'updateNoteIfUsnMatches':
+        if (data.note.guid === failNote) throw new Error('Thrift API Error: socket hang up');
+        return { updated: true, note: { ...data.note, updateSequenceNum: data.note.updateSequenceNum + 1 } };
+      default:
+        throw new Error(`Unexpected method ${method}`);
+    }
+  });
+}
+
+/**
+ * Names of the NoteStore methods called, in order
+ * @returns {Array<string>} Method names
+ */
+function methodsCalled() {
+  return makeNoteStoreRequest.mock.calls.map(([method]) => method);
+}
+
+describe('bulkTagNotes', () => {
+  beforeEach(() => {
+    makeNoteStoreRequest.mockReset();
+  });
+
+  test('should preview by default without creating tags or changing notes', async () => {
+    fakeNoteStore();
+
+    const result = await bulkTagNotes({ query: 'travel', addTags: ['expenses'] }, tokenData);
+
+    expect(methodsCalled()).toEqual(['listTags', 'findNotesMetadata']);
+    expect(result.data).toMatchObject({ dryRun: true, totalMatched: 2, tagsToCreate: ['expenses'] });
+    expect(result.data.changes).toEqual([
+      { guid: 'n1', title: 'Hotel', tagsBefore: ['trip'], tagsAfter: ['trip', 'expenses'] },
+      { guid: 'n2', title: 'Taxi', tagsBefore: [], tagsAfter: ['expenses'] }
+    ]);
+  });
+
+  test('should not create tags when the search fails', async () => {
+    fakeNoteStore({ totalNotes: 1500 });
+
+    const result = await bulkTagNotes({ query: 'travel', addTags: ['expenses'], dryRun: false }, tokenData);
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('bulk edits are limited to 1000');
+    expect(methodsCalled()).not.toContain('createTag');
+  });
+
+  test('should create tags after the search and report each failed note', async () => {
+    fakeNoteStore({ failNote: 'n2' });
+
+    const result = await bulkTagNotes({ query: 'travel', addTags: ['expenses'], dryRun: false }, tokenData);
+
+    expect(methodsCalled()).toEqual(['listTags', 'findNotesMetadata', 'listTags', 'createTag', 'updateNoteIfUsnMatches', 'updateNoteIfUsnMatches']);
+    expect(result.status).toBe('success');
+    expect(result.data.createdTags).toEqual([{ guid: 'tag-created', name: 'expenses' }]);
+    expect(result.data.succeeded).toEqual([{ guid: 'n1', title: 'Hotel', updateSequenceNum: 5 }]);
+    expect(result.data.failed).toEqual([{ guid: 'n2', title: 'Taxi', error: 'Thrift API Error: socket hang up' }]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for checklist parsing and editing
+ */
+
+const { parseChecklist, applyChecklistOperations } = require('../tools/checklist');
+
+describe('Checklist helpers', () => {
+  const enml = '<en-note><h2>Groceries &amp; more</h2>' +
+    '<div><en-todo checked="true"/>Milk &lt;2%</div>' +
+    '<div><en-todo/>Eggs</div>' +
+    '<div><en-todo/>Jam<br/><en-todo/>Butter</div>' +
+    '</en-note>';
+
+  describe('parseChecklist', () => {
+    test('should return text, checked state and heading for each item', () => {
+      const items = parseChecklist(enml).map(({ index, text, checked, heading }) => ({ index, text, checked, heading }));
+      expect(items).toEqual([
+        { index: 0, text: 'Milk <2%', checked: true, heading: 'Groceries & more' },
+        { index: 1, text: 'Eggs', checked: false, heading: 'Groceries & more' },
+        { index: 2, text: 'Jam', checked: false, heading: 'Groceries & more' },
+        { index: 3, text: 'Butter', checked: false, heading: 'Groceries & more' }
+      ]);
+    });
+
+    test('should read items with the ENML parser, skipping comments and CDATA', () => {
+      const items = parseChecklist('<en-note><!-- <en-todo/>old --><div title="a > b"><en-todo checked="TRUE"/>Pay <![CDATA[<rent>]]></div></en-note>');
+      expect(items.map(({ text, checked }) => ({ text, checked }))).toEqual([{ text: 'Pay <rent>', checked: true }]);
+    });
+
+    test('should return no items for a note without checkboxes', () => {
+      expect(parseChecklist('<en-note><div>Hello</div></en-note>')).toEqual([]);
+    });
+  });
+
+  describe('applyChecklistOperations', () => {
+    test('should check, uncheck and remove items by their original index', () => {
+      const result = applyChecklistOperations(enml, [
+        { op: 'uncheck', index: 0 },
+        { op: 'remove', index: 1 },
+        { op: 'remove', index: 2 }
+      ]);
+      expect(result).toBe('<en-note><h2>Groceries &amp; more</h2>' +
+        '<div><en-todo checked="false"/>Milk &lt;2%</div>' +
+        '<div><en-todo/>Butter</div>' +
+        '</en-note>');
+    });
+
+    test('should remove only the item when its line holds other content', () => {
+      const remove = source => applyChecklistOperations(`<en-note>${source}</en-note>`, [{ op: 'remove', index: 0 }]);
+
+      expect(remove('<table><tr><td>Budget notes: keep receipts<br/><en-todo/>call bank</td></tr></table>'))
+        .toBe('<en-note><table><tr><td>Budget notes: keep receipts<br/></td></tr></table></en-note>');
+      expect(remove('<div>Important context <b>keep</b> <en-todo/>call bank</div>'))
+        .toBe('<en-note><div>Important context <b>keep</b> </div></en-note>');
+      expect(remove('<ul><li><en-todo/>parent<ul><li>child detail</li></ul></li></ul>'))
+        .toBe('<en-note><ul><li><ul><li>child detail</li></ul></li></ul></en-note>');
+      expect(remove('<div><en-todo/>call bank<br/></div><div>next</div>'))
+        .toBe('<en-note><div>next</div></en-note>');
+    });
+
+    test('should add escaped items after the requested item', () => {
+      const result = applyChecklistOperations(enml, [{ op: 'add', afterIndex: 0, text: 'Salt & pepper' }]);
+      expect(parseChecklist(result).map(item => item.text)).toEqual(['Milk <2%', 'Salt & pepper', 'Eggs', 'Jam', 'Butter']);
+      expect(result).toContain('<div><en-todo checked="false"/>Salt &amp; pepper</div>');
+    });
+
+    test('should reject out-of-range and conflicting operations', () => {
+      expect(() => applyChecklistOperations(enml, [{ op: 'check', index: 9 }])).toThrow('out of range');
+      expect(() => applyChecklistOperations(enml, [
+        { op: 'check', index: 1 },
+        { op: 'remove', index: 1 }
+      ])).toThrow('more than one operation');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for the countNotes tool
+ */
+
+jest.mock('../thrift/evernote-client', () => ({
+  createNoteStoreClient: jest.fn(),
+  createUserStoreClient: jest.fn(() => ({})),
+  callThriftMethod: jest.fn(async (connection, method) => {
+    if (method === 'listNotebooks') return [{ guid: 'nb-1', name: 'Home' }];
+    if (method === 'listTags') return [];
+    if (method === 'findNoteCounts') return { notebookCounts: { 'nb-1': 4 }, tagCounts: {}, trashCount: 0 };
+    return { timezone: 'Europe/Paris' };
+  }),
+  closeConnection: jest.fn()
+}));
+
+// getSearch keeps a cache-cleanup timer running, which would hold jest open
+jest.mock('../tools/getSearch', () => ({ getCachedResults: jest.fn() }));
+
+const { callThriftMethod } = require('../thrift/evernote-client');
+const { countNotes } = require('../tools/countNotes');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://www.evernote.com/shard/s1/notestore' };
+
+describe('countNotes', () => {
+  beforeEach(() => {
+    callThriftMethod.mockClear();
+  });
+
+  test('should count text that only looks like an operator, with a warning', async () => {
+    const result = await countNotes({ query: 'Re: invoice' }, tokenData);
+
+    expect(result.status).toBe('success');
+    expect(result.data).toMatchObject({ query: 'Re: invoice', totalFound: 4 });
+    expect(result.data.warnings).toEqual(['Unknown operator "Re:" is searched for as text']);
+    expect(callThriftMethod.mock.calls.find(call => call[1] === 'findNoteCounts')[2][1].words).toBe('Re: invoice');
+  });
+
+  test('should reject malformed queries with the same message as createSearch', async () => {
+    const result = await countNotes({ query: 'TODO: call "bob' }, tokenData);
+
+    expect(result.status).toBe('error');
+    expect(result.error).toBe('Invalid search query "TODO: call "bob": column 12: Unbalanced quote: this " is never closed');
+    expect(callThriftMethod.mock.calls.some(call => call[1] === 'findNoteCounts')).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the createNote tool
+ */
+
+jest.mock('../tools/createSearch', () => ({
+  ...jest.requireActual('../tools/createSearch'),
+  makeNoteStoreRequest: jest.fn()
+}));
+
+const { makeNoteStoreRequest } = require('../tools/createSearch');
+const { createNote } = require('../tools/createNote');
+const { assertValidEnml } = require('../tools/enmlValidator');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://example.com/notestore' };
+
+describe('createNote', () => {
+  let created;
+
+  beforeEach(() => {
+    created = 0;
+    makeNoteStoreRequest.mockReset();
+    makeNoteStoreRequest.mockImplementation(async (method, data) => {
+      switch (method) {
+        case 'getDefaultNotebook':
+          return { guid: 'nb-1', name: 'Inbox' };
+        case 'createNote':
+          created++;
+          return { ...data.note, guid: `note-${created}`, updateSequenceNum: 10 + created, created: Date.UTC(2025, 0, 1) };
+        default:
+          throw new Error(`Unexpected method ${method}`);
+      }
+    });
+  });
+
+  test('should replay a retried call with the same idempotency key', async () => {
+    const args = { title: 'Groceries', body: 'Milk', idempotencyKey: 'key-replay' };
+
+    const first = await createNote(args, tokenData);
+    const retry = await createNote({ ...args, title: '  Groceries ' }, tokenData);
+
+    expect(first.data).toMatchObject({ guid: 'note-1', idempotentReplay: false });
+    expect(retry.status).toBe('success');
+    expect(retry.data).toMatchObject({ guid: 'note-1', idempotentReplay: true });
+    expect(created).toBe(1);
+  });
+
+  test('should write a Markdown note whose links use script URLs, without the links', async () => {
+    const result = await createNote({ title: 'Links', body: 'Click [here](javascript:alert(1)) now', format: 'markdown' }, tokenData);
+
+    expect(result.status).toBe('success');
+    const content = makeNoteStoreRequest.mock.calls.find(call => call[0] === 'createNote')[1].note.content;
+    expect(content).toContain('<p>Click here now</p>');
+    expect(() => assertValidEnml(content)).not.toThrow();
+  });
+
+  test('should refuse a reused idempotency key whose arguments differ', async () => {
+    await createNote({ title: 'Groceries', body: 'Milk', idempotencyKey: 'key-reuse' }, tokenData);
+
+    const reused = await createNote({ title: 'Groceries', body: 'Eggs', idempotencyKey: 'key-reuse' }, tokenData);
+
+    expect(reused.status).toBe('error');
+    expect(reused.error).toContain('idempotencyKey "key-reuse" was already used');
+    expect(created).toBe(1);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Unit tests for the search grammar builder
+ */
+
+jest.mock('../thrift/evernote-client', () => ({
+  createNoteStoreClient: jest.fn(),
+  createUserStoreClient: jest.fn(() => ({})),
+  callThriftMethod: jest.fn(async (connection, method) => {
+    if (method === 'listNotebooks') return [{ guid: 'nb-1', name: 'Home', stack: 'Personal' }];
+    if (method === 'listTags') return [{ guid: 'tag-1', name: 'finance' }];
+    if (method === 'findNotesMetadata') return { notes: [], totalNotes: 0 };
+    if (method === 'findNoteCounts') return { notebookCounts: { 'nb-1': 3, 'nb-2': 5, 'nb-3': 0 }, tagCounts: { 'tag-1': 2 }, trashCount: 1 };
+    return { timezone: 'Europe/Paris' };
+  }),
+  closeConnection: jest.fn()
+}));
+
+const { callThriftMethod } = require('../thrift/evernote-client');
+const {
+  buildSearchQuery,
+  buildNoteFilter,
+  quoteSearchValue,
+  formatSearchDate,
+  hasSearchCriteria,
+  resolveDateRange,
+  validateSearchQuery,
+  fetchSearchFacets,
+  createSearch
+} = require('../tools/createSearch');
+
+describe('Search query builder', () => {
+  describe('quoteSearchValue', () => {
+    test('should quote values and escape quotes and backslashes', () => {
+      expect(quoteSearchValue('Work')).toBe('"Work"');
+      expect(quoteSearchValue('Say "hi" \\ bye')).toBe('"Say \\"hi\\" \\\\ bye"');
+    });
+
+    test('should leave simple wildcard patterns unquoted', () => {
+      expect(quoteSearchValue('image/*')).toBe('image/*');
+      expect(quoteSearchValue('proj*')).toBe('proj*');
+      expect(quoteSearchValue('two words*')).toBe('"two words*"');
+    });
+  });
+
+  describe('formatSearchDate', () => {
+    test('should use the grammar date formats', () => {
+      expect(formatSearchDate('2024-03-09')).toBe('20240309');
+      expect(formatSearchDate('2024-03-09T14:05:00Z')).toBe('20240309T140500Z');
+      expect(formatSearchDate('20240309')).toBe('20240309');
+      expect(formatSearchDate('day-7')).toBe('day-7');
+      expect(formatSearchDate('month')).toBe('month');
+    });
+
+    test('should reject anything else', () => {
+      expect(() => formatSearchDate('2024-13-40')).toThrow('Invalid date "2024-13-40"');
+      expect(() => formatSearchDate('last week')).toThrow('relative form such as day-7');
+    });
+  });
+
+  describe('buildSearchQuery', () => {
+    test('should keep the existing filters', () => {
+      expect(buildSearchQuery({ query: 'boat repair', notebookName: 'Home', tags: ['boat'], createdAfter: '2024-01-01' }))
+        .toBe('boat repair notebook:"Home" tag:"boat" created:20240101');
+    });
+
+    test('should build the rest of the grammar from structured arguments', () => {
+      expect(buildSearchQuery({
+        intitle: 'invoice',
+        todo: 'unchecked',
+        resource: 'application/pdf',
+        source: 'mail.smtp',
+        author: 'Ann Lee',
+        hasReminder: true
+      })).toBe('intitle:"invoice" resource:"application/pdf" source:"mail.smtp" author:"Ann Lee" todo:false reminderOrder:*');
+    });
+
+    test('should negate excluded values and express before-dates with -created and -updated', () => {
+      expect(buildSearchQuery({
+        query: 'budget',
+        tags: ['Q1 "draft"'],
+        exclude: { words: ['old plan'], tags: ['archive'] },
+        hasReminder: false,
+        createdBefore: 'day-30',
+        updatedAfter: 'week',
+        updatedBefore: '2024-06-01'
+      })).toBe('budget -"old plan" tag:"Q1 \\"draft\\"" -tag:"archive" -reminderOrder:* -created:day-30 updated:week -updated:20240601');
+    });
+
+    test('should make only words and term filters alternatives under matchAny', () => {
+      expect(buildSearchQuery({ matchAny: true, query: 'budget', tags: ['finance'], intitle: 'plan' }))
+        .toBe('any: budget tag:"finance" intitle:"plan"');
+      expect(buildNoteFilter({ matchAny: true, tags: ['finance', 'tax'], notebookGuid: 'nb-1' }))
+        .toMatchObject({ words: 'any: tag:"finance" tag:"tax"', notebookGuid: 'nb-1' });
+    });
+
+    test('should refuse matchAny with date, notebook, reminder and exclude filters', () => {
+      expect(() => buildSearchQuery({ matchAny: true, tags: ['finance'], createdAfter: '2024-01-01', createdBefore: '2024-02-01' }))
+        .toThrow('cannot be combined with createdAfter, createdBefore');
+      expect(() => buildSearchQuery({ matchAny: true, query: 'budget', notebookName: 'Work', hasReminder: false }))
+        .toThrow('cannot be combined with notebookName, hasReminder');
+      expect(() => buildSearchQuery({ matchAny: true, query: 'budget', exclude: { tags: ['archive'] } }))
+        .toThrow('cannot be combined with exclude');
+      expect(buildSearchQuery({ matchAny: true, query: 'budget', exclude: {} })).toBe('any: budget');
+    });
+
+    test('should reject unknown todo states', () => {
+      expect(() => buildSearchQuery({ todo: 'done' })).toThrow('todo must be one of: checked, unchecked, any');
+    });
+  });
+
+  describe('hasSearchCriteria', () => {
+    test('should need at least one filter besides matchAny', () => {
+      expect(hasSearchCriteria({ matchAny: true, tags: [], exclude: {} })).toBe(false);
+      expect(hasSearchCriteria({ intitle: 'plan' })).toBe(true);
+      expect(hasSearchCriteria({ hasReminder: false })).toBe(true);
+    });
+  });
+
+  describe('resolveDateRange', () => {
+    const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://www.evernote.com/shard/s1/notestore' };
+    const now = new Date('2026-10-19T15:00:00Z');
+
+    beforeEach(() => {
+      callThriftMethod.mockClear();
+    });
+
+    test('should apply a date phrase from the query in the account time zone', async () => {
+      const { args, dateRange } = await resolveDateRange({ query: 'standup notes from last week', dateField: 'updated' }, tokenData, { now });
+
+      expect(args).toMatchObject({ query: 'standup notes', updatedAfter: '2026-10-11T22:00:00.000Z', updatedBefore: '2026-10-18T22:00:00.000Z' });
+      expect(dateRange).toMatchObject({ phrase: 'from last week', field: 'updated', from: '2026-10-12', to: '2026-10-18', timeZone: 'Europe/Paris', timeZoneSource: 'account' });
+      expect(buildSearchQuery(args)).toBe('standup notes updated:20261011T220000Z -updated:20261018T220000Z');
+    });
+
+    test('should let explicit bounds win and skip the account lookup when there is no phrase', async () => {
+      const { args } = await resolveDateRange({ dateRange: 'Q2 2025', createdAfter: '2025-05-01' }, { ...tokenData, accessToken: 'other' }, { now });
+      expect(args.createdAfter).toBe('2025-05-01');
+      expect(args.createdBefore).toBe('2025-06-30T22:00:00.000Z');
+
+      callThriftMethod.mockClear();
+      const plain = await resolveDateRange({ query: 'boat repair' }, tokenData, { now });
+      expect(plain.dateRange).toBeNull();
+      expect(callThriftMethod).not.toHaveBeenCalled();
+    });
+
+    test('should reject date ranges it cannot read', async () => {
+      await expect(resolveDateRange({ dateRange: 'whenever' }, tokenData, { now })).rejects.toThrow('Could not understand dateRange "whenever"');
+      await expect(resolveDateRange({ dateRange: 'today', dateField: 'deleted' }, tokenData, { now })).rejects.toThrow('dateField must be one of: created, updated');
+    });
+  });
+
+  describe('validateSearchQuery', () => {
+    const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://www.evernote.com/shard/s1/notestore' };
+
+    test('should name notebooks and tags that match nothing', async () => {
+      const result = await validateSearchQuery('budget notebook:Home tag:Finance tag:taxes', tokenData);
+
+      expect(result.valid).toBe(true);
+      expect(result.missingNotebooks).toEqual([]);
+      expect(result.missingTags).toEqual(['taxes']);
+      expect(result.warnings).toEqual([{ column: 1, message: 'No tag matches "taxes"' }]);
+      expect(result.description).toBe('Notes that contain "budget", are in notebook "Home", are tagged "Finance" and are tagged "taxes"');
+    });
+
+    test('should report syntax errors without listing names the query does not use', async () => {
+      callThriftMethod.mockClear();
+      const result = await validateSearchQuery('created:2024-01-01', tokenData);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain('invalid date "2024-01-01"');
+      expect(callThriftMethod).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSearch', () => {
+    const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://www.evernote.com/shard/s1/notestore' };
+
+    test.each(['Re: invoice', 'Subject:meeting', 'TODO: call bob'])('should run "%s" as written and warn about the colon', async query => {
+      callThriftMethod.mockClear();
+      const result = await createSearch({ query }, tokenData);
+
+      expect(result.status).toBe('success');
+      expect(result.data.query).toBe(query);
+      expect(result.data.warnings).toHaveLength(1);
+      expect(callThriftMethod.mock.calls.find(call => call[1] === 'findNotesMetadata')[2][1].words).toBe(query);
+    });
+
+    test('should still reject unbalanced quotes and bad dates', async () => {
+      const result = await createSearch({ query: 'created:20241340 "unclosed' }, tokenData);
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('column 1: created: has an invalid date "20241340"');
+      expect(result.error).toContain('column 18: Unbalanced quote');
+    });
+  });
+
+  describe('fetchSearchFacets', () => {
+    test('should count matches per notebook and tag with names, largest first', async () => {
+      const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://www.evernote.com/shard/s1/notestore' };
+      const filter = { words: 'budget', inactive: false };
+
+      const facets = await fetchSearchFacets(filter, tokenData);
+
+      expect(callThriftMethod.mock.calls.find(call => call[1] === 'findNoteCounts')[2]).toEqual(['token', filter, true]);
+      expect(facets).toEqual({
+        totalFound: 8,
+        notebooks: [
+          { guid: 'nb-2', name: null, stack: null, count: 5 },
+          { guid: 'nb-1', name: 'Home', stack: 'Personal', count: 3 }
+        ],
+        tags: [{ guid: 'tag-1', name: 'finance', count: 2 }],
+        trashCount: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for diffing and three-way merging
+ */
+
+const { splitEnmlBlocks, diffSequences, diffLines, diff3Merge } = require('../tools/diff');
+
+describe('Diff helpers', () => {
+  describe('splitEnmlBlocks', () => {
+    test('should split after block-level closing tags without losing content', () => {
+      const enml = '<div>one</div><p>two</p><ul><li>a</li><li>b</li></ul>text<br/>more';
+      const blocks = splitEnmlBlocks(enml);
+
+      expect(blocks).toEqual(['<div>one</div>', '<p>two</p>', '<ul><li>a</li>', '<li>b</li>', '</ul>', 'text<br/>', 'more']);
+      expect(blocks.join('')).toBe(enml);
+    });
+  });
+
+  describe('diffSequences', () => {
+    test('should return no hunks for identical sequences', () => {
+      expect(diffSequences(['a', 'b'], ['a', 'b'])).toEqual([]);
+    });
+
+    test('should report insertions, deletions and replacements', () => {
+      expect(diffSequences(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+        { aStart: 1, aEnd: 2, bStart: 1, bEnd: 2 },
+        { aStart: 3, aEnd: 3, bStart: 3, bEnd: 4 }
+      ]);
+    });
+  });
+
+  describe('diffLines', () => {
+    test('should produce a unified diff with counts', () => {
+      const result = diffLines('one\ntwo\nthree', 'one\n2\nthree\nfour');
+
+      expect(result.added).toBe(2);
+      expect(result.removed).toBe(1);
+      expect(result.unified).toBe('@@ -2,1 +2,1 @@\n-two\n+2\n@@ -4,0 +4,1 @@\n+four');
+    });
+  });
+
+  describe('diff3Merge', () => {
+    const base = ['one', 'two', 'three'];
+
+    test('should combine non-overlapping edits from both sides', () => {
+      const result = diff3Merge(base, ['ONE', 'two', 'three'], ['one', 'two', 'THREE']);
+
+      expect(result.clean).toBe(true);
+      expect(result.merged).toEqual(['ONE', 'two', 'THREE']);
+    });
+
+    test('should accept identical edits on both sides', () => {
+      const result = diff3Merge(base, ['one', '2', 'three'], ['one', '2', 'three']);
+
+      expect(result.clean).toBe(true);
+      expect(result.merged).toEqual(['one', '2', 'three']);
+    });
+
+    test('should report conflicting edits to the same region', () => {
+      const result = diff3Merge(base, ['one', 'mine', 'three'], ['one', 'theirs', 'three']);
+
+      expect(result.clean).toBe(false);
+      expect(result.conflicts).toEqual([
+        { baseStart: 1, base: ['two'], ours: ['mine'], theirs: ['theirs'] }
+      ]);
+    });
+
+    test('should keep insertions at the end from one side', () => {
+      const result = diff3Merge(base, [...base, 'four'], ['zero', ...base]);
+
+      expect(result.clean).toBe(true);
+      expect(result.merged).toEqual(['zero', 'one', 'two', 'three', 'four']);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the ENML parser and the converters built on it
+ */
+
+const { decodeEntities, createEnmlParser, parseEnml } = require('../tools/enmlParser');
+const { enmlToPlainText, enmlToHtml, enmlToMarkdown } = require('../tools/getNoteContent');
+
+const wrap = body => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">\n' +
+  `<en-note>${body}</en-note>`;
+
+/**
+ * Record parser events as a flat list for comparison
+ */
+function collectEvents(feed) {
+  const events = [];
+  const handlers = {
+    onOpenTag: (name, attributes) => events.push(['open', name, attributes]),
+    onCloseTag: name => events.push(['close', name]),
+    onText: text => events.push(['text', text])
+  };
+  feed(handlers);
+  return events;
+}
+
+describe('ENML parser', () => {
+  describe('decodeEntities', () => {
+    test('should decode named and numeric references in a single pass', () => {
+      expect(decodeEntities('a &amp;lt; b')).toBe('a &lt; b');
+      expect(decodeEntities('&#x2014;&#8212;&mdash;&nbsp;')).toBe('——— ');
+      expect(decodeEntities('&unknown; &#0;')).toBe('&unknown; &#0;');
+    });
+  });
+
+  describe('parseEnml', () => {
+    test('should skip the prolog and comments and decode attributes', () => {
+      const events = collectEvents(handlers => parseEnml(wrap('<!-- note --><div title="a &gt; b">Hi<br/></div>'), handlers));
+      expect(events).toEqual([
+        ['open', 'en-note', {}],
+        ['open', 'div', { title: 'a > b' }],
+        ['text', 'Hi'],
+        ['open', 'br', {}],
+        ['close', 'br'],
+        ['close', 'div'],
+        ['close', 'en-note']
+      ]);
+    });
+
+    test('should produce the same events when input arrives in small chunks', () => {
+      const enml = wrap('<div style="x">Caf&#233; &amp; bar</div><en-todo checked="true"/>done');
+      const whole = collectEvents(handlers => parseEnml(enml, handlers));
+      const chunked = collectEvents(handlers => {
+        const parser = createEnmlParser(handlers);
+        for (let i = 0; i < enml.length; i += 3) {
+          parser.write(enml.slice(i, i + 3));
+        }
+        parser.end();
+      });
+      expect(chunked).toEqual(whole);
+    });
+  });
+
+  describe('enmlToPlainText', () => {
+    test('should hide encrypted blocks that span lines', () => {
+      const text = enmlToPlainText(wrap('<div>Before</div><en-crypt hint="pin">AAAA\nBBBB\n</en-crypt><div>After</div>'));
+      expect(text).toBe('Before\n[Encrypted Content]\nAfter');
+    });
+
+    test('should keep nested list structure', () => {
+      const text = enmlToPlainText(wrap('<ul><li>One<ul><li>Sub</li></ul></li><li>Two</li></ul><ol><li>First</li><li>Second</li></ol>'));
+      expect(text).toBe('• One\n  • Sub\n• Two\n1. First\n2. Second');
+    });
+
+    test('should decode entities exactly once', () => {
+      expect(enmlToPlainText(wrap('<div>a &amp;lt; b &#x2014; c</div>'))).toBe('a &lt; b — c');
+    });
+
+    test('should show checkbox state and media placeholders', () => {
+      const text = enmlToPlainText(wrap('<div><en-todo checked="true"/>Done</div><div><en-todo/>Open</div><en-media type="image/png" hash="abc"/>'));
+      expect(text).toBe('☑ Done\n☐ Open\n[Media]');
+    });
+  });
+
+  describe('enmlToMarkdown', () => {
+    test('should convert headings, emphasis and links', () => {
+      const markdown = enmlToMarkdown(wrap('<h2>Plan</h2><div>Some <b>bold</b>, <i>italic </i>and a <a href="https://example.com">link</a> for 2*3</div>'));
+      expect(markdown).toBe('## Plan\n\nSome **bold**, *italic* and a [link](https://example.com) for 2\\*3');
+    });
+
+    test('should indent nested ordered and unordered lists', () => {
+      const markdown = enmlToMarkdown(wrap('<ul><li>One<ol><li>First</li><li>Second</li></ol></li><li><div>Two</div></li></ul><div>After</div>'));
+      expect(markdown).toBe('- One\n  1. First\n  2. Second\n- Two\n\nAfter');
+    });
+
+    test('should turn en-todo items into task list entries', () => {
+      const markdown = enmlToMarkdown(wrap('<div><en-todo checked="true"/>Done</div><div><en-todo/>Open</div><div>Notes</div>'));
+      expect(markdown).toBe('- [x] Done\n- [ ] Open\n\nNotes');
+    });
+
+    test('should render tables as GFM tables', () => {
+      const markdown = enmlToMarkdown(wrap('<table><tr><td>Name</td><td>Qty</td></tr><tr><td>a|b</td><td><div>1</div><div>2</div></td></tr></table>'));
+      expect(markdown).toBe('| Name | Qty |\n| --- | --- |\n| a\\|b | 1<br>2 |');
+    });
+
+    test('should fence Evernote code blocks without escaping them', () => {
+      const markdown = enmlToMarkdown(wrap('<div style="-en-codeblock:true;"><div>if (a &lt; b) {</div><div>  run_it();</div><div>}</div></div>'));
+      expect(markdown).toBe('```\nif (a < b) {\n  run_it();\n}\n```');
+    });
+
+    test('should describe media with the resource file name and MIME type', () => {
+      const resources = [{ mime: 'application/pdf', data: { bodyHash: Buffer.from('0a0b', 'hex') }, attributes: { fileName: 'report.pdf' } }];
+      const markdown = enmlToMarkdown(wrap('<div><en-media type="application/pdf" hash="0a0b"/></div><div><en-media type="image/png" hash="ffff"/></div>'), resources);
+      expect(markdown).toBe('[Attachment: report.pdf (application/pdf)]\n[Image (image/png)]');
+    });
+  });
+
+  describe('enmlToHtml', () => {
+    test('should convert ENML elements and keep text escaped', () => {
+      const html = enmlToHtml(wrap('<div>1 &lt; 2</div><en-todo checked="true"/><en-crypt>AA\nBB</en-crypt><en-media type="image/png" hash="abc"/>'));
+      expect(html).toBe('<div class="note-content"><div>1 &lt; 2</div>' +
+        '<input type="checkbox" checked disabled> ' +
+        '<div class="encrypted-content">[Encrypted Content]</div>' +
+        '<img type="image/png" hash="abc" alt="Evernote Image" style="max-width: 100%;"></div>');
+    });
+
+    test('should point media at the resource URL and prefer inlined image data', () => {
+      const resources = [
+        { mime: 'image/png', data: { bodyHash: Buffer.from('0a0b', 'hex') }, attributes: { fileName: 'chart.png' } },
+        { mime: 'application/pdf', data: { bodyHash: Buffer.from('0c0d', 'hex') }, attributes: { fileName: 'report.pdf' } }
+      ];
+      const enml = wrap('<en-media type="image/png" hash="0a0b"/><en-media type="application/pdf" hash="0c0d"/>');
+      const resourceUrl = hash => `/notes/n1/resources/${hash}`;
+
+      const linked = enmlToHtml(enml, { resources, resourceUrl });
+      expect(linked).toContain('<img src="/notes/n1/resources/0a0b" type="image/png" hash="0a0b" alt="chart.png"');
+      expect(linked).toContain('<div class="media-placeholder"><a href="/notes/n1/resources/0c0d">report.pdf (application/pdf)</a></div>');
+
+      const inlined = enmlToHtml(enml, { resources, resourceUrl, imageData: new Map([['0a0b', 'data:image/png;base64,AA==']]) });
+      expect(inlined).toContain('<img src="data:image/png;base64,AA=="');
+    });
+  });
+});
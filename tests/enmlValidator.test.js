@@ -0,0 +1,47 @@
+/**
+ * Unit tests for ENML validation
+ */
+
+const { validateEnml, assertValidEnml } = require('../tools/enmlValidator');
+const { wrapEnml } = require('../tools/enmlWriter');
+
+describe('ENML Validator', () => {
+  describe('validateEnml', () => {
+    test('should accept a valid document', () => {
+      const enml = wrapEnml('<div>Tom &amp; Jerry<br/><en-todo checked="true"/><en-media type="image/png" hash="0123456789abcdef0123456789abcdef"/></div>');
+      expect(validateEnml(enml)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should report forbidden elements and attributes with their position', () => {
+      const { valid, errors } = validateEnml(wrapEnml('<div id="x" onclick="go()">Hi</div><script>alert(1)</script>'));
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        { line: 3, column: 10, message: '<div>: attribute "id" is not allowed in ENML' },
+        { line: 3, column: 10, message: '<div>: event handler attribute "onclick" is not allowed in ENML' },
+        { line: 3, column: 45, message: '<script> is not allowed in ENML' }
+      ]);
+    });
+
+    test('should report malformed markup', () => {
+      const messages = validateEnml(wrapEnml('<div>A & B</p>')).errors.map(error => error.message);
+      expect(messages).toEqual([
+        '<div> is not closed before </en-note>',
+        'unescaped "&" (use &amp;)',
+        'unexpected </p> with no matching <p>'
+      ]);
+    });
+
+    test('should require the DOCTYPE and en-note root', () => {
+      const messages = validateEnml('<div>hi</div>').errors.map(error => error.message);
+      expect(messages[0]).toMatch(/missing <!DOCTYPE en-note/);
+      expect(messages).toContain('root element must be <en-note>, found <div>');
+    });
+  });
+
+  describe('assertValidEnml', () => {
+    test('should throw an ENML_VALIDATION error listing the problems', () => {
+      expect(() => assertValidEnml(wrapEnml('<en-media type="image/png"/>')))
+        .toThrow(/ENML_VALIDATION.*line 3, column 10: <en-media> requires a hash attribute/);
+    });
+  });
+});
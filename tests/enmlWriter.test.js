@@ -0,0 +1,104 @@
+/**
+ * Unit tests for plain text and Markdown to ENML conversion
+ */
+
+const {
+  escapeXml,
+  wrapEnml,
+  extractEnmlBody,
+  sanitizeEnml,
+  textToEnml,
+  markdownToEnml,
+  contentToEnml
+} = require('../tools/enmlWriter');
+
+describe('ENML Writer', () => {
+  describe('escapeXml', () => {
+    test('should escape XML special characters', () => {
+      expect(escapeXml('<a href="x">Tom & Jerry\'s</a>'))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+  });
+
+  describe('textToEnml', () => {
+    test('should put each line in its own div', () => {
+      expect(textToEnml('first\n\nthird')).toBe('<div>first</div><div><br/></div><div>third</div>');
+    });
+
+    test('should escape markup in plain text', () => {
+      expect(textToEnml('1 < 2')).toBe('<div>1 &lt; 2</div>');
+    });
+  });
+
+  describe('markdownToEnml', () => {
+    test('should convert headings and paragraphs', () => {
+      expect(markdownToEnml('# Title\n\nSome **bold** and *italic* text'))
+        .toBe('<h1>Title</h1><p>Some <b>bold</b> and <i>italic</i> text</p>');
+    });
+
+    test('should convert bullet and numbered lists', () => {
+      expect(markdownToEnml('- one\n- two\n\n1. first\n2. second'))
+        .toBe('<ul><li>one</li><li>two</li></ul><ol><li>first</li><li>second</li></ol>');
+    });
+
+    test('should convert task list items to en-todo', () => {
+      expect(markdownToEnml('- [ ] open\n- [x] done'))
+        .toBe('<div><en-todo checked="false"/>open</div><div><en-todo checked="true"/>done</div>');
+    });
+
+    test('should convert links and leave code spans untouched', () => {
+      expect(markdownToEnml('See [docs](https://example.com/?a=1&b=2) and `a*b*c`'))
+        .toBe('<p>See <a href="https://example.com/?a=1&amp;b=2">docs</a> and <code>a*b*c</code></p>');
+    });
+
+    test('should keep balanced parentheses and <...> destinations in link URLs', () => {
+      expect(markdownToEnml('[Foo](https://en.wikipedia.org/wiki/Foo_(bar)) (see [docs](https://example.com/a))'))
+        .toBe('<p><a href="https://en.wikipedia.org/wiki/Foo_(bar)">Foo</a> (see <a href="https://example.com/a">docs</a>)</p>');
+      expect(markdownToEnml('[spec](<https://example.com/a b)>)'))
+        .toBe('<p><a href="https://example.com/a b)">spec</a></p>');
+    });
+
+    test('should drop script and data URLs from links but keep their text', () => {
+      expect(markdownToEnml('[x](javascript:alert(1)) and [y](DATA:text/html,hi) and [z](https://example.com)'))
+        .toBe('<p>x and y and <a href="https://example.com">z</a></p>');
+    });
+
+    test('should convert fenced code blocks', () => {
+      expect(markdownToEnml('```\nif (a < b) {}\n```')).toBe('<pre>if (a &lt; b) {}</pre>');
+    });
+
+    test('should nest indented list items', () => {
+      expect(markdownToEnml('- one\n  1. first\n  2. [x] second\n- two'))
+        .toBe('<ul><li>one<ol><li>first</li><li><en-todo checked="true"/>second</li></ol></li><li>two</li></ul>');
+    });
+
+    test('should convert GFM tables with column alignment', () => {
+      expect(markdownToEnml('| Item | Qty |\n| :--- | ---: |\n| a \\| b | **2** |'))
+        .toBe('<table><tr><th style="text-align: left;">Item</th><th style="text-align: right;">Qty</th></tr>' +
+          '<tr><td style="text-align: left;">a | b</td><td style="text-align: right;"><b>2</b></td></tr></table>');
+    });
+  });
+
+  describe('document wrapping', () => {
+    test('should wrap fragments in an en-note document', () => {
+      const enml = wrapEnml('<div>hi</div>');
+      expect(enml).toContain('<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">');
+      expect(enml).toMatch(/<en-note><div>hi<\/div><\/en-note>$/);
+    });
+
+    test('should extract the body of an existing ENML document', () => {
+      expect(extractEnmlBody(wrapEnml('<div>hi</div>'))).toBe('<div>hi</div>');
+      expect(extractEnmlBody('<en-note/>')).toBe('');
+    });
+
+    test('should strip forbidden elements and attributes from ENML input', () => {
+      expect(sanitizeEnml(wrapEnml('<div id="a" class="b" onclick="c()" style="color: red;">Hi<script>x()</script><section>there</section></div><iframe src="x">y</iframe>')))
+        .toBe('<div style="color: red;">Hithere</div>');
+      expect(contentToEnml('<p>open <b>bold</p>', 'enml')).toMatch(/<en-note><p>open <b>bold<\/b><\/p><\/en-note>$/);
+    });
+
+    test('should reject unknown input formats', () => {
+      expect(() => contentToEnml('x', 'rtf')).toThrow('Unsupported content format: rtf');
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit tests for resource download helpers
+ */
+
+const { resourceDownloadUrl, inlineContent, resourceRouteUrl } = require('../tools/getResource');
+
+describe('Resource helpers', () => {
+  describe('resourceDownloadUrl', () => {
+    test('should use the web API URL prefix', () => {
+      const url = resourceDownloadUrl('abc', { edamWebApiUrlPrefix: 'https://www.evernote.com/shard/s1/' });
+      expect(url).toBe('https://www.evernote.com/shard/s1/res/abc');
+    });
+
+    test('should fall back to the note store URL', () => {
+      const url = resourceDownloadUrl('abc', { edamNoteStoreUrl: 'https://www.evernote.com/shard/s1/notestore' });
+      expect(url).toBe('https://www.evernote.com/shard/s1/res/abc');
+    });
+  });
+
+  describe('resourceRouteUrl', () => {
+    test('should build the local route under the given base URL', () => {
+      expect(resourceRouteUrl('n1', 'abcdef', 'https://localhost:3443')).toBe('https://localhost:3443/notes/n1/resources/abcdef');
+      expect(resourceRouteUrl('n 1', 'abc', '')).toBe('/notes/n%201/resources/abc');
+    });
+  });
+
+  describe('inlineContent', () => {
+    test('should return images as MCP image content', () => {
+      const content = inlineContent(Buffer.from('png'), { guid: 'r1', mime: 'image/png' });
+      expect(content).toEqual({ type: 'image', data: Buffer.from('png').toString('base64'), mimeType: 'image/png' });
+    });
+
+    test('should embed text as text and other files as base64 blobs', () => {
+      expect(inlineContent(Buffer.from('hi'), { guid: 'r2', mime: 'text/plain' }).resource)
+        .toEqual({ uri: 'evernote://resource/r2', mimeType: 'text/plain', text: 'hi' });
+      expect(inlineContent(Buffer.from('pdf'), { guid: 'r3', mime: 'application/pdf' }).resource.blob)
+        .toBe(Buffer.from('pdf').toString('base64'));
+    });
+  });
+});
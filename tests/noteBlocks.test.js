@@ -0,0 +1,97 @@
+/**
+ * Unit tests for note block trees and block patches
+ */
+
+const { parseBlocks, applyBlockOperations } = require('../tools/noteBlocks');
+
+const enml = '<en-note><h1>Trip</h1><div>Intro</div>' +
+  '<h2>Packing</h2><ul><li><en-todo checked="true"/>Tent</li><li>Stove<ul><li>Fuel</li></ul></li></ul>' +
+  '<h2>Budget</h2><table><tr><th>Item</th><th>Cost</th></tr><tr><td>Hotel</td><td>300</td></tr></table>' +
+  '<div><en-media hash="abc" type="image/png"/></div><en-crypt hint="pw">c2VjcmV0</en-crypt>' +
+  '<div><div>Notes</div>loose line<br/><en-todo/>Call home<br/></div></en-note>';
+
+/**
+ * Find a parsed block by its text
+ * @param {Object} blocks - Result of parseBlocks
+ * @param {string} text - Block text
+ * @returns {Object} Block
+ */
+function blockWithText(blocks, text) {
+  return [...blocks.index.values()].find(block => block.text === text);
+}
+
+describe('Note blocks', () => {
+  describe('parseBlocks', () => {
+    test('should classify headings, lists, tables, media and encrypted sections', () => {
+      const { blocks } = parseBlocks(enml);
+
+      expect(blocks.map(block => block.type)).toEqual([
+        'heading', 'paragraph', 'heading', 'list', 'heading', 'table', 'media', 'encrypted', 'container'
+      ]);
+      expect(blocks[3].children.map(item => [item.text, item.checked])).toEqual([['Tent', true], ['Stove', undefined]]);
+      expect(blocks[3].children[1].children[0].children[0].text).toBe('Fuel');
+      expect(blocks[5].rows).toEqual([['Item', 'Cost'], ['Hotel', '300']]);
+      expect(blocks[6]).toMatchObject({ hash: 'abc', mime: 'image/png' });
+      expect(blocks[7]).toMatchObject({ cipher: 'RC2', hint: 'pw' });
+    });
+
+    test('should split loose lines at line breaks and recognise checklist lines', () => {
+      const container = parseBlocks(enml).blocks[8];
+      expect(container.children.map(block => `${block.type}:${block.text}`))
+        .toEqual(['paragraph:Notes', 'paragraph:loose line', 'todo:Call home']);
+    });
+
+    test('should keep IDs stable when other blocks change and number duplicates', () => {
+      const before = parseBlocks(enml);
+      const after = parseBlocks(enml.replace('<div>Intro</div>', '<div>Intro, revised</div>'));
+      expect(blockWithText(after, 'Budget').id).toBe(blockWithText(before, 'Budget').id);
+      expect(blockWithText(after, 'Intro, revised').id).not.toBe(blockWithText(before, 'Intro').id);
+
+      const ids = parseBlocks('<en-note><div>Same</div><div>Same</div></en-note>').blocks.map(block => block.id);
+      expect(ids[1]).toBe(`${ids[0]}-2`);
+    });
+  });
+
+  describe('applyBlockOperations', () => {
+    const blocks = parseBlocks(enml);
+    const id = text => blockWithText(blocks, text).id;
+
+    test('should insert, replace and delete blocks in one batch', () => {
+      const result = applyBlockOperations(enml, [
+        { op: 'replace', blockId: id('Trip'), content: '# Road trip' },
+        { op: 'insertAfter', blockId: id('Intro'), content: 'Leaving *Friday*' },
+        { op: 'delete', blockId: id('loose line') }
+      ]);
+      expect(result).toContain('<h1>Road trip</h1><div>Intro</div><p>Leaving <i>Friday</i></p><h2>Packing</h2>');
+      expect(result).toContain('<div><div>Notes</div><en-todo/>Call home<br/></div>');
+    });
+
+    test('should add list content as items of the surrounding list', () => {
+      const result = applyBlockOperations(enml, [
+        { op: 'insertAfter', blockId: id('Tent'), content: 'Sleeping bag', format: 'text' },
+        { op: 'replace', blockId: id('Fuel'), content: '- Gas\n- Lighter' }
+      ]);
+      expect(result).toContain('Tent</li><li>Sleeping bag</li><li>Stove<ul><li>Gas</li><li>Lighter</li></ul></li>');
+    });
+
+    test('should move a section under another heading one level deeper', () => {
+      const doc = '<en-note><h1>A</h1><div>a</div><h1>B</h1><div>b</div><h2>B1</h2><div>b1</div><h1>C</h1></en-note>';
+      const parsed = parseBlocks(doc);
+      const result = applyBlockOperations(doc, [
+        { op: 'moveSection', blockId: blockWithText(parsed, 'B').id, underBlockId: blockWithText(parsed, 'A').id }
+      ]);
+      expect(result).toBe('<en-note><h1>A</h1><div>a</div><h2>B</h2><div>b</div><h3>B1</h3><div>b1</div><h1>C</h1></en-note>');
+    });
+
+    test('should reject unknown IDs, overlapping changes and moves into the moved section', () => {
+      expect(() => applyBlockOperations(enml, [{ op: 'delete', blockId: 'p-missing' }]))
+        .toThrow('delete: blockId p-missing was not found in the note');
+      expect(() => applyBlockOperations(enml, [
+        { op: 'delete', blockId: id('Stove') },
+        { op: 'replace', blockId: id('Fuel'), content: 'Gas' }
+      ])).toThrow('is changed by more than one operation');
+      expect(() => applyBlockOperations(enml, [{ op: 'moveSection', blockId: id('Trip'), underBlockId: id('Budget') }]))
+        .toThrow('is inside the section being moved');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for en-crypt encryption helpers
+ */
+
+const crypto = require('crypto');
+const { crc32, rc2Ecb, decryptBlock, encryptToEnCrypt, findEncryptedBlocks } = require('../tools/noteEncryption');
+
+/**
+ * Build a legacy RC2 en-crypt body the way older Evernote clients did
+ */
+function legacyBody(text, passphrase) {
+  const bytes = Buffer.from(text, 'utf8');
+  const check = crc32(bytes).toString(16).toUpperCase().padStart(8, '0').slice(0, 4);
+  let plain = Buffer.concat([Buffer.from(check), bytes]);
+  plain = Buffer.concat([plain, Buffer.alloc((8 - plain.length % 8) % 8)]);
+  const key = crypto.createHash('md5').update(passphrase, 'utf8').digest();
+  return rc2Ecb(key, 64, plain, false).toString('base64');
+}
+
+describe('Note encryption', () => {
+  describe('rc2Ecb', () => {
+    // Test vectors from RFC 2268 section 5
+    test.each([
+      ['0000000000000000', 63, '0000000000000000', 'ebb773f993278eff'],
+      ['ffffffffffffffff', 64, 'ffffffffffffffff', '278b27e42e2f0d49'],
+      ['3000000000000000', 64, '1000000000000001', '30649edf9be7d2c2'],
+      ['88bca90e90875a', 64, '0000000000000000', '6ccf4308974c267f'],
+      ['88bca90e90875a7f0f79c384627bafb2', 64, '0000000000000000', '1a807d272bbe5db1'],
+      ['88bca90e90875a7f0f79c384627bafb2', 128, '0000000000000000', '2269552ab0f85ca6']
+    ])('key %s with %i effective bits', (key, bits, plain, cipher) => {
+      expect(rc2Ecb(Buffer.from(key, 'hex'), bits, Buffer.from(plain, 'hex'), false).toString('hex')).toBe(cipher);
+      expect(rc2Ecb(Buffer.from(key, 'hex'), bits, Buffer.from(cipher, 'hex'), true).toString('hex')).toBe(plain);
+    });
+  });
+
+  describe('crc32', () => {
+    test('should match the standard check value', () => {
+      expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    });
+  });
+
+  describe('decryptBlock', () => {
+    test('should round-trip an AES block and reject a wrong passphrase', () => {
+      const element = encryptToEnCrypt('<div>PIN 4242 &amp; more</div>', 'correct horse', 'stable');
+      const [block] = findEncryptedBlocks(`<en-note>${element}</en-note>`);
+
+      expect(block).toMatchObject({ index: 0, cipher: 'AES', length: 128, hint: 'stable' });
+      expect(decryptBlock(block, 'correct horse')).toBe('<div>PIN 4242 &amp; more</div>');
+      expect(() => decryptBlock(block, 'wrong')).toThrow(expect.objectContaining({ code: 'WRONG_PASSPHRASE' }));
+    });
+
+    test('should decrypt legacy RC2 blocks', () => {
+      const block = { cipher: 'RC2', length: 64, body: legacyBody('Safe combination: 12-34-56 ✓', 'pw') };
+      expect(decryptBlock(block, 'pw')).toBe('Safe combination: 12-34-56 ✓');
+      expect(() => decryptBlock(block, 'pW')).toThrow(expect.objectContaining({ code: 'WRONG_PASSPHRASE' }));
+    });
+
+    test('should reject unknown ciphers', () => {
+      expect(() => decryptBlock({ cipher: 'DES', body: 'AAAA' }, 'pw')).toThrow('Unsupported en-crypt cipher "DES"');
+    });
+  });
+
+  describe('findEncryptedBlocks', () => {
+    test('should list blocks in order with defaults for missing attributes', () => {
+      const enml = '<en-note><div>a</div><en-crypt hint="x &amp; y">QUJD</en-crypt><div><en-crypt>REVG</en-crypt></div></en-note>';
+      const blocks = findEncryptedBlocks(enml);
+
+      expect(blocks.map(block => [block.index, block.cipher, block.length, block.hint, block.body]))
+        .toEqual([[0, 'RC2', 64, 'x & y', 'QUJD'], [1, 'RC2', 64, null, 'REVG']]);
+      expect(enml.slice(blocks[1].start, blocks[1].end)).toBe('<en-crypt>REVG</en-crypt>');
+    });
+  });
+});
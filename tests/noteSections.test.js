@@ -0,0 +1,87 @@
+/**
+ * Unit tests for note outlines, sections and paging
+ */
+
+const {
+  findHeadings,
+  buildOutline,
+  findSection,
+  pageContent,
+  encodeContinuationToken,
+  decodeContinuationToken
+} = require('../tools/noteSections');
+const { enmlToPlainText, enmlToMarkdown } = require('../tools/getNoteContent');
+
+const enml = '<en-note><h1>Log</h1><div>Intro</div>' +
+  '<h2>Monday</h2><div>Standup notes</div><h3>Action items</h3><div>Ship it</div>' +
+  '<h2>Tuesday <b>late</b></h2><div>Retro</div><h3>Action items</h3><div>Fix CI</div></en-note>';
+
+describe('Note sections', () => {
+  describe('findHeadings', () => {
+    test('should list headings in order with their text', () => {
+      expect(findHeadings(enml).map(heading => `${heading.level}:${heading.text}`))
+        .toEqual(['1:Log', '2:Monday', '3:Action items', '2:Tuesday late', '3:Action items']);
+    });
+  });
+
+  describe('buildOutline', () => {
+    test('should give each section an offset into the plain text and end it at the next heading of its level', () => {
+      const text = enmlToPlainText(enml);
+      const outline = buildOutline(enml, text, 'text');
+
+      expect(outline.map(entry => entry.text)).toEqual(['Log', 'Monday', 'Action items', 'Tuesday late', 'Action items']);
+      expect(text.substr(outline[1].offset, outline[1].length)).toMatch(/^Monday\n[\s\S]*Ship it\n*$/);
+      expect(outline[0].length).toBe(text.length);
+      expect(text.substr(outline[4].offset, outline[4].length)).toMatch(/^Action items\n+Fix CI$/);
+    });
+
+    test('should locate headings in Markdown and HTML output', () => {
+      const markdown = enmlToMarkdown(enml);
+      const outline = buildOutline(enml, markdown, 'markdown');
+      expect(markdown.slice(outline[3].offset)).toMatch(/^## Tuesday \*\*late\*\*/);
+
+      const html = '<div><h1>Log</h1><h2>Monday</h2></div>';
+      expect(buildOutline('<en-note><h1>Log</h1><h2>Monday</h2></en-note>', html, 'html').map(entry => entry.offset)).toEqual([5, 17]);
+    });
+  });
+
+  describe('findSection', () => {
+    const outline = buildOutline(enml, enmlToPlainText(enml), 'text');
+
+    test('should prefer an exact, case-insensitive match over a partial one', () => {
+      expect(findSection(outline, 'monday').index).toBe(1);
+      expect(findSection(outline, 'Tuesday').index).toBe(3);
+      expect(findSection(outline, 'Wednesday')).toBeNull();
+    });
+  });
+
+  describe('pageContent', () => {
+    test('should break pages at a line end and cover the content exactly once', () => {
+      const content = 'first line\nsecond line\nthird line\n';
+      const pages = [];
+      let page = pageContent(content, 0, 16);
+      pages.push(page);
+      while (!page.done) {
+        page = pageContent(content, page.nextStartChar, 16);
+        pages.push(page);
+      }
+      expect(pages[0]).toMatchObject({ content: 'first line\n', startChar: 0, endChar: 11, nextStartChar: 11, done: false });
+      expect(pages.map(p => p.content).join('')).toBe(content);
+      expect(pages[pages.length - 1].nextStartChar).toBeNull();
+    });
+
+    test('should not split a surrogate pair', () => {
+      const page = pageContent('ab😀cd', 0, 3);
+      expect(page.content).toBe('ab');
+      expect(page.nextStartChar).toBe(2);
+    });
+  });
+
+  describe('continuation tokens', () => {
+    test('should round-trip request state and reject garbage', () => {
+      const state = { noteGuid: 'n1', format: 'markdown', startChar: 400, maxChars: 200 };
+      expect(decodeContinuationToken(encodeContinuationToken(state))).toEqual(state);
+      expect(() => decodeContinuationToken('not-a-token')).toThrow('continuationToken is not valid');
+    });
+  });
+});
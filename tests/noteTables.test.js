@@ -0,0 +1,70 @@
+/**
+ * Unit tests for note table extraction
+ */
+
+const { extractTables, tableToRecords, recordsToCsv } = require('../tools/noteTables');
+
+const budget = '<en-note><table><caption>Trip budget</caption>' +
+  '<tr><th rowspan="2">Item</th><th colspan="2">Cost</th></tr>' +
+  '<tr><th>EUR</th><th>USD</th></tr>' +
+  '<tr><td>Hotel<br/>3 nights</td><td>300</td><td>330</td></tr>' +
+  '<tr><td rowspan="2">Food</td><td colspan="2">varies</td></tr>' +
+  '<tr><td>50</td><td>55</td></tr>' +
+  '</table></en-note>';
+
+describe('Note tables', () => {
+  describe('extractTables', () => {
+    test('should resolve rowspan and colspan into a full grid', () => {
+      const [table] = extractTables(budget);
+
+      expect(table.caption).toBe('Trip budget');
+      expect(table.headerRows).toBe(2);
+      expect(table.grid).toEqual([
+        ['Item', 'Cost', 'Cost'],
+        ['Item', 'EUR', 'USD'],
+        ['Hotel\n3 nights', '300', '330'],
+        ['Food', 'varies', 'varies'],
+        ['Food', '50', '55']
+      ]);
+    });
+
+    test('should number nested tables in document order and pad ragged rows', () => {
+      const tables = extractTables('<en-note><table><tr><td>A</td><td>B</td></tr>' +
+        '<tr><td>x<table><tr><td>inner</td></tr></table></td></tr></table></en-note>');
+
+      expect(tables.map(table => table.index)).toEqual([0, 1]);
+      expect(tables[0].grid).toEqual([['A', 'B'], ['x\ninner', '']]);
+      expect(tables[1].grid).toEqual([['inner']]);
+    });
+
+    test('should render checkboxes and skip encrypted text', () => {
+      const [table] = extractTables('<en-note><table><tr><td><en-todo checked="true"/>Packed</td>' +
+        '<td><en-crypt>c2VjcmV0</en-crypt></td></tr></table></en-note>');
+      expect(table.grid).toEqual([['[x] Packed', '']]);
+    });
+  });
+
+  describe('tableToRecords', () => {
+    test('should key rows by stacked header names', () => {
+      const { headers, rows } = tableToRecords(extractTables(budget)[0]);
+      expect(headers).toEqual(['Item', 'Cost / EUR', 'Cost / USD']);
+      expect(rows[1]).toEqual({ Item: 'Food', 'Cost / EUR': 'varies', 'Cost / USD': 'varies' });
+    });
+
+    test('should use the first row as the header unless told not to, and keep names unique', () => {
+      const [table] = extractTables('<en-note><table><tr><td>Name</td><td>Name</td><td></td></tr>' +
+        '<tr><td>a</td><td>b</td><td>c</td></tr></table></en-note>');
+
+      expect(tableToRecords(table).headers).toEqual(['Name', 'Name (2)', 'Column 3']);
+      expect(tableToRecords(table, false).rows).toHaveLength(2);
+      expect(tableToRecords(table, false).headers).toEqual(['Column 1', 'Column 2', 'Column 3']);
+    });
+  });
+
+  describe('recordsToCsv', () => {
+    test('should quote fields with commas, quotes and line breaks', () => {
+      const csv = recordsToCsv(['Item', 'Note'], [{ Item: 'Hotel, city', Note: 'say "hi"\nlater' }, { Item: 'Tent', Note: '' }]);
+      expect(csv).toBe('Item,Note\n"Hotel, city","say ""hi""\nlater"\nTent,');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for note version tools
+ */
+
+jest.mock('../tools/createSearch', () => ({
+  ...jest.requireActual('../tools/createSearch'),
+  makeNoteStoreRequest: jest.fn()
+}));
+
+const { makeNoteStoreRequest } = require('../tools/createSearch');
+const { listNoteVersions, getNoteVersion, diffNoteVersions } = require('../tools/noteVersions');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://example.com/notestore' };
+
+const versions = {
+  5: { guid: 'n1', title: 'Plan', updateSequenceNum: 5, updated: Date.UTC(2025, 0, 1), content: '<en-note><div>Buy milk</div><div>Call Bob</div></en-note>' },
+  9: { guid: 'n1', title: 'Plan', updateSequenceNum: 9, updated: Date.UTC(2025, 0, 5), content: '<en-note><div>Buy oat milk</div><div>Call Bob</div></en-note>' }
+};
+const current = { guid: 'n1', title: 'Plan v2', updateSequenceNum: 12, updated: Date.UTC(2025, 0, 9), content: '<en-note><div>Buy oat milk</div><div>Call Bob</div><div>Pay rent</div></en-note>' };
+
+describe('Note versions', () => {
+  beforeEach(() => {
+    makeNoteStoreRequest.mockImplementation(async (method, data) => {
+      switch (method) {
+        case 'getNote':
+          return current;
+        case 'listNoteVersions':
+          return [
+            { updateSequenceNum: 5, updated: versions[5].updated, saved: versions[5].updated, title: 'Plan' },
+            { updateSequenceNum: 9, updated: versions[9].updated, saved: versions[9].updated, title: 'Plan' }
+          ];
+        case 'getNoteVersion':
+          if (!versions[data.updateSequenceNum]) throw new Error('Thrift API Error: EDAMNotFoundException');
+          return versions[data.updateSequenceNum];
+        default:
+          throw new Error(`Unexpected method ${method}`);
+      }
+    });
+  });
+
+  test('should list versions newest first alongside the current note', async () => {
+    const result = await listNoteVersions({ noteGuid: 'n1' }, tokenData);
+    expect(result.data.current.updateSequenceNum).toBe(12);
+    expect(result.data.versions.map(version => version.updateSequenceNum)).toEqual([9, 5]);
+    expect(result.data.versions[0].updated).toBe('2025-01-05T00:00:00.000Z');
+  });
+
+  test('should return a version in the requested format', async () => {
+    const result = await getNoteVersion({ noteGuid: 'n1', updateSequenceNum: 5, format: 'markdown' }, tokenData);
+    expect(result.data).toMatchObject({ updateSequenceNum: 5, content: 'Buy milk\nCall Bob', contentType: 'text/markdown' });
+  });
+
+  test('should name media in old versions instead of linking the current note\'s resources', async () => {
+    versions[7] = {
+      guid: 'n1', title: 'Plan', updateSequenceNum: 7, updated: Date.UTC(2025, 0, 3),
+      content: '<en-note><div>Receipt</div><en-media type="image/png" hash="0a0b"/><en-media type="application/pdf" hash="0c0d"/></en-note>',
+      resources: [{ data: { bodyHash: Buffer.from('0a0b', 'hex') }, attributes: { fileName: 'receipt.png' } }]
+    };
+    try {
+      const result = await getNoteVersion({ noteGuid: 'n1', updateSequenceNum: 7, format: 'html' }, tokenData);
+      expect(result.data.content).not.toContain('/resources/');
+      expect(result.data.content).not.toContain('<img');
+      expect(result.data.content).toContain('<div class="media-placeholder">[Image: receipt.png]</div>');
+      expect(result.data.content).toContain('<div class="media-placeholder">[Media Attachment]</div>');
+    } finally {
+      delete versions[7];
+    }
+  });
+
+  test('should diff a version against the current note by default', async () => {
+    const result = await diffNoteVersions({ noteGuid: 'n1', fromUpdateSequenceNum: 5 }, tokenData);
+    expect(result.data).toMatchObject({ added: 2, removed: 1, titleChanged: true, identical: false });
+    expect(result.data.to.current).toBe(true);
+    expect(result.data.unified).toBe('@@ -1,1 +1,1 @@\n-Buy milk\n+Buy oat milk\n@@ -3,0 +3,1 @@\n+Pay rent');
+  });
+
+  test('should diff two saved versions', async () => {
+    const result = await diffNoteVersions({ noteGuid: 'n1', fromUpdateSequenceNum: 5, toUpdateSequenceNum: 9 }, tokenData);
+    expect(result.data).toMatchObject({ added: 1, removed: 1, titleChanged: false });
+  });
+
+  test('should explain missing versions and accounts without note history', async () => {
+    expect((await getNoteVersion({ noteGuid: 'n1', updateSequenceNum: 77 }, tokenData)).error)
+      .toBe('Note with GUID n1, or the requested version of it, was not found.');
+
+    makeNoteStoreRequest.mockRejectedValueOnce(new Error('EDAMUserException: PERMISSION_DENIED (Note)'));
+    expect((await getNoteVersion({ noteGuid: 'n1', updateSequenceNum: 5 }, tokenData)).error)
+      .toBe('Note history is only available to Evernote Premium and Business accounts.');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for notebook tools
+ */
+
+jest.mock('../tools/createSearch', () => ({
+  ...jest.requireActual('../tools/createSearch'),
+  makeNoteStoreRequest: jest.fn()
+}));
+
+const { makeNoteStoreRequest } = require('../tools/createSearch');
+const { listNotebooks, createNotebook, renameNotebook, setNotebookStack } = require('../tools/notebooks');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://example.com/notestore' };
+
+const notebooks = [
+  { guid: 'nb-1', name: 'Inbox', defaultNotebook: true, updateSequenceNum: 3 },
+  { guid: 'nb-2', name: 'Projects', stack: 'Work', published: true, updateSequenceNum: 4 },
+  { guid: 'nb-3', name: 'Clients', stack: 'Work', updateSequenceNum: 5 }
+];
+
+/**
+ * Calls made to a NoteStore method
+ * @param {string} method - Method name
+ * @returns {Array<Object>} Request data of each call
+ */
+function callsTo(method) {
+  return makeNoteStoreRequest.mock.calls.filter(([name]) => name === method).map(([, data]) => data);
+}
+
+describe('Notebook tools', () => {
+  beforeEach(() => {
+    makeNoteStoreRequest.mockReset();
+    makeNoteStoreRequest.mockImplementation(async (method, data) => {
+      switch (method) {
+        case 'listNotebooks':
+          return notebooks;
+        case 'findNoteCounts':
+          return { notebookCounts: { 'nb-1': 4, 'nb-2': 10, 'nb-3': 2 }, trashCount: 3 };
+        case 'createNotebook':
+          return { ...data.notebook, guid: 'nb-new', updateSequenceNum: 20 };
+        case 'updateNotebook':
+          return 21;
+        default:
+          throw new Error(`Unexpected method ${method}`);
+      }
+    });
+  });
+
+  test('listNotebooks should include note counts per notebook and stack, and the trash count', async () => {
+    const result = await listNotebooks({}, tokenData);
+
+    expect(result.data.notebooks.map(notebook => [notebook.name, notebook.noteCount])).toEqual([['Clients', 2], ['Inbox', 4], ['Projects', 10]]);
+    expect(result.data.stacks).toEqual([{ name: 'Work', notebooks: ['Clients', 'Projects'], noteCount: 12 }]);
+    expect(result.data.trashCount).toBe(3);
+  });
+
+  test('createNotebook should join an existing stack spelled differently and refuse taken names', async () => {
+    const created = await createNotebook({ name: 'Travel', stack: 'work' }, tokenData);
+    expect(callsTo('createNotebook')[0].notebook).toEqual({ name: 'Travel', stack: 'Work' });
+    expect(created.data).toMatchObject({ guid: 'nb-new', stack: 'Work', noteCount: 0 });
+
+    const taken = await createNotebook({ name: 'inbox' }, tokenData);
+    expect(taken.status).toBe('error');
+    expect(taken.error).toContain('A notebook named "Inbox" already exists');
+    expect(callsTo('createNotebook')).toHaveLength(1);
+  });
+
+  test('renameNotebook should list notebooks once and keep the fields it does not change', async () => {
+    const result = await renameNotebook({ notebook: 'projects', newName: 'Active Projects' }, tokenData);
+
+    expect(callsTo('listNotebooks')).toHaveLength(1);
+    expect(callsTo('updateNotebook')[0].notebook).toEqual({ ...notebooks[1], name: 'Active Projects' });
+    expect(result.data).toMatchObject({ name: 'Active Projects', previousName: 'Projects', updateSequenceNum: 21 });
+
+    const clash = await renameNotebook({ notebook: 'Projects', newName: 'CLIENTS' }, tokenData);
+    expect(clash.status).toBe('error');
+    expect(callsTo('updateNotebook')).toHaveLength(1);
+  });
+
+  test('setNotebookStack should stack, unstack and skip no-op changes with one listNotebooks call each', async () => {
+    const stacked = await setNotebookStack({ notebook: 'Inbox', stack: 'WORK' }, tokenData);
+    expect(stacked.data).toMatchObject({ stack: 'Work', previousStack: null, changed: true });
+
+    const unstacked = await setNotebookStack({ notebook: 'Clients', stack: '' }, tokenData);
+    expect(callsTo('updateNotebook')[1].notebook).toMatchObject({ guid: 'nb-3', stack: null });
+    expect(unstacked.data).toMatchObject({ stack: null, previousStack: 'Work', changed: true });
+
+    const unchanged = await setNotebookStack({ notebook: 'Projects', stack: 'Work' }, tokenData);
+    expect(unchanged.data.changed).toBe(false);
+    expect(callsTo('updateNotebook')).toHaveLength(2);
+    expect(callsTo('listNotebooks')).toHaveLength(3);
+  });
+});
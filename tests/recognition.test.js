@@ -0,0 +1,69 @@
+/**
+ * Unit tests for recognition index parsing
+ */
+
+const { parseRecognition, recognitionText } = require('../tools/recognition');
+const { recognitionAppendix } = require('../tools/getNoteContent');
+
+const recoIndex = (items) => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<!DOCTYPE recoIndex PUBLIC "SYSTEM" "http://xml.evernote.com/pub/recoIndex.dtd">\n' +
+  `<recoIndex docType="unknown" objType="image" objID="abc" engineVersion="7.0" recoType="service" lang="en">${items}</recoIndex>`;
+
+describe('Recognition', () => {
+  describe('parseRecognition', () => {
+    test('should pick the highest-weighted candidate of each item', () => {
+      const parsed = parseRecognition(recoIndex(
+        '<item x="5" y="10" w="40" h="12"><t w="31">T0TAL</t><t w="87">TOTAL</t></item>' +
+        '<item x="1" y="1" w="9" h="9"><object type="face" w="40"/></item>'
+      ));
+      expect(parsed.objectType).toBe('image');
+      expect(parsed.items).toHaveLength(2);
+      expect(parsed.items[0]).toMatchObject({ x: 5, y: 10, w: 40, h: 12, best: { text: 'TOTAL', weight: 87 } });
+      expect(parsed.items[0].candidates).toHaveLength(2);
+      expect(parsed.items[1].best).toBeNull();
+    });
+
+    test('should accept a Buffer and decode entities', () => {
+      const parsed = parseRecognition(Buffer.from(recoIndex('<item x="0" y="0" w="9" h="9"><t w="50">Fish &amp; Chips</t></item>')));
+      expect(parsed.items[0].best.text).toBe('Fish & Chips');
+    });
+  });
+
+  describe('recognitionText', () => {
+    test('should read items on the same line left to right, then top to bottom', () => {
+      const text = recognitionText(recoIndex(
+        '<item x="60" y="10" w="30" h="10"><t w="80">12.00</t></item>' +
+        '<item x="5" y="12" w="40" h="10"><t w="70">TOTAL</t></item>' +
+        '<item x="5" y="40" w="40" h="10"><t w="61">Thanks</t></item>'
+      ));
+      expect(text).toBe('TOTAL 12.00\nThanks');
+    });
+
+    test('should return an empty string when nothing was recognised', () => {
+      expect(recognitionText(recoIndex(''))).toBe('');
+      expect(recognitionText('')).toBe('');
+    });
+  });
+
+  describe('recognitionAppendix', () => {
+    const resources = [
+      { guid: 'r1', mime: 'image/jpeg', attributes: { fileName: 'receipt_1.jpg' } },
+      { guid: 'r2', mime: 'application/pdf' }
+    ];
+    const texts = new Map([['r1', 'TOTAL 12.00\nThanks'], ['r2', 'Page one']]);
+
+    test('should label each resource in text output', () => {
+      expect(recognitionAppendix(resources, texts, 'text'))
+        .toBe('\n\n--- Recognized text ---\n\n[receipt_1.jpg]\nTOTAL 12.00\nThanks\n\n[application/pdf #2]\nPage one');
+    });
+
+    test('should use headings and hard line breaks in Markdown output', () => {
+      expect(recognitionAppendix(resources.slice(0, 1), texts, 'markdown'))
+        .toBe('\n\n## Recognized text\n\n### receipt\\_1.jpg\n\nTOTAL 12.00  \nThanks');
+    });
+
+    test('should add nothing when no resource has text', () => {
+      expect(recognitionAppendix(resources, new Map(), 'text')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Unit tests for reminder helpers
+ */
+
+const { reminderStatus, parseReminderTime } = require('../tools/reminders');
+
+describe('Reminder helpers', () => {
+  const now = Date.parse('2025-06-01T12:00:00Z');
+
+  describe('reminderStatus', () => {
+    test('should classify reminders by due and done times', () => {
+      expect(reminderStatus({}, now)).toBeNull();
+      expect(reminderStatus({ reminderOrder: 1 }, now)).toBe('unscheduled');
+      expect(reminderStatus({ reminderOrder: 1, reminderTime: now - 1 }, now)).toBe('overdue');
+      expect(reminderStatus({ reminderOrder: 1, reminderTime: now + 1 }, now)).toBe('upcoming');
+      expect(reminderStatus({ reminderOrder: 1, reminderTime: now - 1, reminderDoneTime: now }, now)).toBe('done');
+    });
+  });
+
+  describe('parseReminderTime', () => {
+    test('should accept ISO dates and epoch milliseconds', () => {
+      expect(parseReminderTime('2025-06-01T12:00:00Z')).toBe(now);
+      expect(parseReminderTime(now)).toBe(now);
+    });
+
+    test('should reject unparseable values', () => {
+      expect(() => parseReminderTime('next tuesday-ish')).toThrow('Invalid reminderTime');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for search date phrases
+ */
+
+const { parseDatePhrase, extractDatePhrase } = require('../tools/searchDates');
+
+// A Monday afternoon in New York
+const options = { now: new Date('2026-10-19T15:00:00Z'), timeZone: 'America/New_York' };
+
+/**
+ * First and last day a phrase covers
+ * @param {string} phrase - Date phrase
+ * @returns {Array<string>} [from, to]
+ */
+function days(phrase) {
+  const range = parseDatePhrase(phrase, options);
+  return range && [range.from, range.to];
+}
+
+describe('Search date phrases', () => {
+  describe('parseDatePhrase', () => {
+    test('should read days, calendar periods and rolling periods', () => {
+      expect(days('yesterday')).toEqual(['2026-10-18', '2026-10-18']);
+      expect(days('last week')).toEqual(['2026-10-12', '2026-10-18']);
+      expect(days('past week')).toEqual(['2026-10-13', '2026-10-19']);
+      expect(days('last 3 months')).toEqual(['2026-07-20', '2026-10-19']);
+      expect(days('2 weeks ago')).toEqual(['2026-10-05', '2026-10-11']);
+      expect(days('last friday')).toEqual(['2026-10-16', '2026-10-16']);
+    });
+
+    test('should take the latest month or quarter that has started when no year is given', () => {
+      expect(days('March')).toEqual(['2026-03-01', '2026-03-31']);
+      expect(days('December')).toEqual(['2025-12-01', '2025-12-31']);
+      expect(days('Q2 2025')).toEqual(['2025-04-01', '2025-06-30']);
+      expect(days('Q4')).toEqual(['2026-10-01', '2026-12-31']);
+    });
+
+    test('should read open and two-sided ranges', () => {
+      expect(days('since March')).toEqual(['2026-03-01', null]);
+      expect(days('after Q2 2025')).toEqual(['2025-07-01', null]);
+      expect(days('before 2025')).toEqual([null, '2024-12-31']);
+      expect(days('between March 1 and April 2026')).toEqual(['2026-03-01', '2026-04-30']);
+      expect(days('from Jan to March')).toEqual(['2026-01-01', '2026-03-31']);
+    });
+
+    test('should start each day at midnight in the time zone, across daylight saving changes', () => {
+      expect(parseDatePhrase('March 2026', options)).toMatchObject({
+        after: '2026-03-01T05:00:00.000Z',
+        before: '2026-04-01T04:00:00.000Z'
+      });
+      expect(parseDatePhrase('today', { now: new Date('2026-10-20T02:00:00Z'), timeZone: 'America/Los_Angeles' }))
+        .toMatchObject({ from: '2026-10-19', after: '2026-10-19T07:00:00.000Z' });
+    });
+
+    test('should reject phrases it does not understand and impossible dates', () => {
+      expect(parseDatePhrase('soonish', options)).toBeNull();
+      expect(parseDatePhrase('2025-02-30', options)).toBeNull();
+      expect(parseDatePhrase('between April and March 2026', options)).toBeNull();
+    });
+  });
+
+  describe('extractDatePhrase', () => {
+    test('should remove an introduced date phrase from the query', () => {
+      expect(extractDatePhrase('meeting notes from last week', options)).toMatchObject({
+        phrase: 'from last week',
+        query: 'meeting notes',
+        range: { from: '2026-10-12', to: '2026-10-18' }
+      });
+      expect(extractDatePhrase('budget Q2 2025 review', options).query).toBe('budget review');
+    });
+
+    test('should leave bare names and numbers alone', () => {
+      expect(extractDatePhrase('notes about May', options)).toBeNull();
+      expect(extractDatePhrase('report 2024', options)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the search query parser
+ */
+
+const { parseSearchQuery, describeSearchQuery, searchQueryNames, findMissingNames } = require('../tools/searchQuery');
+
+describe('Search query parser', () => {
+  describe('parseSearchQuery', () => {
+    test('should parse words, phrases, wildcards, negations and operators', () => {
+      const parsed = parseSearchQuery('any: budget -"old plan" proj* Tag:"Q1 \\"draft\\"" -created:day-30 https://example.com');
+
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.matchAny).toBe(true);
+      expect(parsed.terms.map(({ column, ...term }) => term)).toEqual([
+        { type: 'word', value: 'budget', negated: false, wildcard: false },
+        { type: 'phrase', value: 'old plan', negated: true, wildcard: false },
+        { type: 'word', value: 'proj', negated: false, wildcard: true },
+        { type: 'operator', field: 'tag', value: 'Q1 "draft"', negated: false, wildcard: false },
+        { type: 'operator', field: 'created', value: 'day-30', negated: true, wildcard: false },
+        { type: 'word', value: 'https://example.com', negated: false, wildcard: false }
+      ]);
+    });
+
+    test('should report bad values and unbalanced quotes with their column', () => {
+      const { errors } = parseSearchQuery('Re: created:20241340 todo:done tag: boat latitude:north "unclosed');
+
+      expect(errors.map(error => error.column)).toEqual([5, 22, 42, 57]);
+      expect(errors[0].message).toContain('invalid date "20241340"');
+      expect(errors[1].message).toBe('todo: must be true, false or *, not "done"');
+      expect(errors[2].message).toBe('latitude: needs a number or *, not "north"');
+      expect(errors[3].message).toContain('Unbalanced quote');
+    });
+
+    test('should search unknown operators and operators without a value as text, with a warning', () => {
+      const parsed = parseSearchQuery('Re: invoice Subject:meeting TODO: call -tag:');
+
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.warnings.map(warning => warning.column)).toEqual([1, 13, 29, 40]);
+      expect(parsed.warnings[0].message).toBe('Unknown operator "Re:" is searched for as text');
+      expect(parsed.warnings[2].message).toContain('TODO: has no value');
+      expect(parsed.terms.map(({ column, ...term }) => term)).toEqual([
+        { type: 'word', value: 'Re:', negated: false, wildcard: false },
+        { type: 'word', value: 'invoice', negated: false, wildcard: false },
+        { type: 'word', value: 'Subject:meeting', negated: false, wildcard: false },
+        { type: 'word', value: 'TODO:', negated: false, wildcard: false },
+        { type: 'word', value: 'call', negated: false, wildcard: false },
+        { type: 'word', value: 'tag:', negated: true, wildcard: false }
+      ]);
+    });
+
+    test('should accept every date form and warn about a misplaced any:', () => {
+      const parsed = parseSearchQuery('created:20240101T120000Z updated:month-2 reminderTime:* any:');
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.warnings).toEqual([{ column: 57, message: 'any: applies to the whole query; put it first' }]);
+    });
+  });
+
+  describe('describeSearchQuery', () => {
+    test('should describe each term in words', () => {
+      expect(describeSearchQuery(parseSearchQuery(
+        'budget -tag:archive notebook:Ho* todo:false -reminderOrder:* created:20240101 -updated:week-1 resource:image/*'
+      ))).toBe('Notes that contain "budget", are not tagged "archive", are in notebook "Ho*", have unchecked to-dos, ' +
+        'have no reminder, were created on or after 2024-01-01, were updated before the start of last week ' +
+        'and have an attachment of type "image/*"');
+      expect(describeSearchQuery(parseSearchQuery('any: intitle:invoice encryption:')))
+        .toBe('Notes that match any of: have "invoice" in the title or contain encrypted text');
+      expect(describeSearchQuery(parseSearchQuery(''))).toBe('All notes');
+    });
+  });
+
+  describe('notebook and tag names', () => {
+    test('should find names that match nothing, honouring prefixes and ignoring case', () => {
+      const names = searchQueryNames(parseSearchQuery('notebook:Ho* notebook:work tag:* tag:Urgent -tag:misc'));
+      expect(names.tags).toEqual([{ name: 'Urgent', wildcard: false }, { name: 'misc', wildcard: false }]);
+      expect(findMissingNames(names.notebooks, ['Home', 'Work'])).toEqual([]);
+      expect(findMissingNames(names.tags, ['urgent', 'Finance'])).toEqual(['misc']);
+      expect(findMissingNames([{ name: 'Fin', wildcard: true }], ['Home'])).toEqual(['Fin*']);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for tag tools
+ */
+
+jest.mock('../tools/createSearch', () => ({
+  ...jest.requireActual('../tools/createSearch'),
+  makeNoteStoreRequest: jest.fn()
+}));
+
+const { makeNoteStoreRequest } = require('../tools/createSearch');
+const { mergeTags } = require('../tools/tags');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://example.com/notestore' };
+
+const tags = [
+  { guid: 'tag-old', name: 'receipts' },
+  { guid: 'tag-new', name: 'Receipts 2025' },
+  { guid: 'tag-child', name: 'fuel', parentGuid: 'tag-old' }
+];
+
+const activeNotes = [{ guid: 'n1', title: 'Hotel', tagGuids: ['tag-old', 'tag-x'] }];
+const trashedNotes = [{ guid: 'n2', title: 'Old taxi', tagGuids: ['tag-old'] }];
+
+/**
+ * Fake NoteStore for merges
+ * @param {Object} options - Options
+ * @param {string} options.failNote - GUID of a note whose update fails
+ */
+function fakeNoteStore({ failNote } = {}) {
+  makeNoteStoreRequest.mockImplementation(async (method, data) => {
+    switch (method) {
+      case 'listTags':
+        return tags;
+      case 'findNotesMetadata': {
+        const notes = data.filter.inactive ? trashedNotes : activeNotes;
+        return { notes: data.offset === 0 ? notes : [], totalNotes: notes.length };
+      }
+      case 'updateNote':
+        if (data.note.guid === failNote) throw new Error('Thrift API Error: socket hang up');
+        return { ...data.note };
+      case 'updateTag':
+      case 'expungeTag':
+        return 30;
+      default:
+        throw new Error(`Unexpected method ${method}`);
+    }
+  });
+}
+
+/**
+ * Names of the methods that changed something, in call order
+ * @returns {Array<string>} Method names
+ */
+function writeOrder() {
+  return makeNoteStoreRequest.mock.calls
+    .map(([method]) => method)
+    .filter(method => ['updateNote', 'updateTag', 'expungeTag'].includes(method));
+}
+
+describe('mergeTags', () => {
+  beforeEach(() => {
+    makeNoteStoreRequest.mockReset();
+  });
+
+  test('should retag active and trashed notes, then move child tags, then expunge the source', async () => {
+    fakeNoteStore();
+
+    const result = await mergeTags({ source: 'receipts', target: 'Receipts 2025' }, tokenData);
+
+    expect(writeOrder()).toEqual(['updateNote', 'updateNote', 'updateTag', 'expungeTag']);
+    const updates = makeNoteStoreRequest.mock.calls.filter(([method]) => method === 'updateNote').map(([, data]) => data.note);
+    expect(updates).toEqual([
+      { guid: 'n1', title: 'Hotel', tagGuids: ['tag-x', 'tag-new'] },
+      { guid: 'n2', title: 'Old taxi', tagGuids: ['tag-new'] }
+    ]);
+    expect(makeNoteStoreRequest.mock.calls.find(([method]) => method === 'updateTag')[1].tag).toMatchObject({ guid: 'tag-child', parentGuid: 'tag-new' });
+    expect(result.status).toBe('success');
+    expect(result.data.retagged.map(note => note.inTrash)).toEqual([false, true]);
+    expect(result.data.sourceExpunged).toBe(true);
+  });
+
+  test('should keep the source tag when a note could not be retagged', async () => {
+    fakeNoteStore({ failNote: 'n2' });
+
+    const result = await mergeTags({ source: 'receipts', target: 'Receipts 2025' }, tokenData);
+
+    expect(writeOrder()).not.toContain('expungeTag');
+    expect(result.status).toBe('error');
+    expect(result.data.sourceExpunged).toBe(false);
+    expect(result.data.failed).toEqual([{ guid: 'n2', title: 'Old taxi', error: expect.stringContaining('socket hang up') }]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for trash tools
+ */
+
+jest.mock('../tools/createSearch', () => ({
+  ...jest.requireActual('../tools/createSearch'),
+  makeNoteStoreRequest: jest.fn()
+}));
+
+const { makeNoteStoreRequest } = require('../tools/createSearch');
+const { listTrash, deleteNote, restoreNote, expungeNote } = require('../tools/trash');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://example.com/notestore' };
+
+const notes = {
+  trashed: { guid: 'trashed', title: 'Old draft', active: false, deleted: Date.UTC(2025, 0, 2), notebookGuid: 'nb-1', updateSequenceNum: 4 },
+  live: { guid: 'live', title: 'Plan', active: true, notebookGuid: 'nb-1', updateSequenceNum: 9 }
+};
+
+/**
+ * Calls that change something in the account
+ * @returns {Array<Array>} [method, data] pairs
+ */
+function writes() {
+  return makeNoteStoreRequest.mock.calls.filter(([method]) => ['deleteNote', 'updateNote', 'expungeNote'].includes(method));
+}
+
+describe('Trash tools', () => {
+  beforeEach(() => {
+    makeNoteStoreRequest.mockReset();
+    makeNoteStoreRequest.mockImplementation(async (method, data) => {
+      switch (method) {
+        case 'getNote':
+          if (!notes[data.guid]) throw new Error('Thrift API Error: not found');
+          return notes[data.guid];
+        case 'listNotebooks':
+          return [{ guid: 'nb-1', name: 'Work' }];
+        case 'findNotesMetadata':
+          return { notes: [notes.trashed], totalNotes: 1 };
+        case 'deleteNote':
+          return 10;
+        case 'updateNote':
+          return { ...data.note, notebookGuid: 'nb-1', updateSequenceNum: 11 };
+        case 'expungeNote':
+          return 12;
+        default:
+          throw new Error(`Unexpected method ${method}`);
+      }
+    });
+  });
+
+  test('listTrash should search only inactive notes', async () => {
+    const result = await listTrash({ query: 'draft' }, tokenData);
+
+    expect(makeNoteStoreRequest.mock.calls[0][1].filter).toEqual({ words: 'draft', inactive: true });
+    expect(result.data.results[0]).toMatchObject({ guid: 'trashed', active: false, notebookName: 'Work', deleted: '2025-01-02T00:00:00.000Z' });
+  });
+
+  test('deleteNote should refuse a note that is already in the trash', async () => {
+    const result = await deleteNote({ noteGuid: 'trashed' }, tokenData);
+
+    expect(result.status).toBe('error');
+    expect(writes()).toHaveLength(0);
+  });
+
+  test('restoreNote should set active back to true', async () => {
+    const result = await restoreNote({ noteGuid: 'trashed' }, tokenData);
+
+    expect(writes()).toEqual([['updateNote', { authenticationToken: 'token', note: { guid: 'trashed', title: 'Old draft', active: true } }, tokenData]]);
+    expect(result.data).toMatchObject({ guid: 'trashed', active: true });
+  });
+
+  test('expungeNote should refuse without confirm: true', async () => {
+    const result = await expungeNote({ noteGuid: 'trashed' }, tokenData);
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('confirm: true');
+    expect(makeNoteStoreRequest).not.toHaveBeenCalled();
+  });
+
+  test('expungeNote dry run should preview without writing', async () => {
+    const result = await expungeNote({ noteGuids: ['trashed', 'live'], dryRun: true }, tokenData);
+
+    expect(writes()).toHaveLength(0);
+    expect(result.data.wouldExpunge.map(note => note.guid)).toEqual(['trashed']);
+    expect(result.data.skipped).toEqual([{ guid: 'live', title: 'Plan', reason: expect.stringContaining('not in the trash') }]);
+  });
+
+  test('expungeNote should only expunge notes that are in the trash', async () => {
+    const result = await expungeNote({ noteGuids: ['trashed', 'live'], confirm: true }, tokenData);
+
+    expect(writes()).toEqual([['expungeNote', { authenticationToken: 'token', guid: 'trashed' }, tokenData]]);
+    expect(result.data.expunged).toEqual([{ guid: 'trashed', title: 'Old draft' }]);
+    expect(result.data.skipped.map(note => note.guid)).toEqual(['live']);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for note updates: three-way merge, conflict reports and USN retries
+ */
+
+jest.mock('../tools/createSearch', () => ({
+  ...jest.requireActual('../tools/createSearch'),
+  makeNoteStoreRequest: jest.fn()
+}));
+
+const { makeNoteStoreRequest } = require('../tools/createSearch');
+const { updateNote, performNoteUpdate, mergeNoteChanges } = require('../tools/updateNote');
+const { recordSnapshot } = require('../tools/noteSnapshots');
+const { wrapEnml, ENML_HEADER } = require('../tools/enmlWriter');
+
+const tokenData = { accessToken: 'token', edamNoteStoreUrl: 'https://example.com/notestore' };
+
+const base = { guid: 'n1', title: 'Plan', updateSequenceNum: 5, content: wrapEnml('<div>Buy milk</div><div>Call Bob</div><div>Pay rent</div>') };
+
+// The server copy was edited in its last block since USN 5, and has a styled <en-note>
+const server = {
+  guid: 'n1',
+  title: 'Plan',
+  updateSequenceNum: 7,
+  notebookGuid: 'nb-1',
+  tagGuids: [],
+  content: `${ENML_HEADER}\n<en-note style="word-wrap: break-word;"><div>Buy milk</div><div>Call Bob</div><div>Pay rent on Friday</div></en-note>`
+};
+
+/**
+ * Fake NoteStore where updateNoteIfUsnMatches succeeds only when told to
+ * @param {boolean} accept - Whether writes succeed
+ * @returns {Array<Object>} Notes sent to updateNoteIfUsnMatches
+ */
+function fakeNoteStore(accept = true) {
+  const writes = [];
+  makeNoteStoreRequest.mockImplementation(async (method, data) => {
+    switch (method) {
+      case 'getNote':
+        return { ...server };
+      case 'updateNoteIfUsnMatches':
+        writes.push(data.note);
+        return accept
+          ? { updated: true, note: { ...data.note, updateSequenceNum: data.note.updateSequenceNum + 1 } }
+          : { updated: false, note: server };
+      default:
+        throw new Error(`Unexpected method ${method}`);
+    }
+  });
+  return writes;
+}
+
+describe('Note updates', () => {
+  beforeEach(() => {
+    makeNoteStoreRequest.mockReset();
+    recordSnapshot(base);
+  });
+
+  test('should merge non-overlapping edits made against a stale USN', async () => {
+    const writes = fakeNoteStore();
+    const changes = { content: wrapEnml('<div>Buy oat milk</div><div>Call Bob</div><div>Pay rent</div>') };
+
+    const result = await performNoteUpdate('n1', 5, changes, tokenData);
+
+    expect(result).toMatchObject({ updated: true, merged: true });
+    expect(writes).toHaveLength(1);
+    expect(writes[0].updateSequenceNum).toBe(7);
+    expect(writes[0].content).toBe(`${ENML_HEADER}\n<en-note style="word-wrap: break-word;"><div>Buy oat milk</div><div>Call Bob</div><div>Pay rent on Friday</div></en-note>`);
+  });
+
+  test('should tag an untagged note when another client only edited the body', () => {
+    const untagged = { title: 'Plan', notebookGuid: 'nb-1', tagGuids: null, content: base.content };
+    const edited = { ...untagged, content: server.content };
+
+    const { merged, conflicts } = mergeNoteChanges(untagged, edited, { tagGuids: ['t1'] });
+
+    expect(conflicts).toEqual([]);
+    expect(merged.tagGuids).toEqual(['t1']);
+  });
+
+  test('should report overlapping edits as a conflict and write nothing', async () => {
+    const writes = fakeNoteStore();
+
+    const result = await updateNote({
+      noteGuid: 'n1',
+      updateSequenceNum: 5,
+      body: '<div>Buy milk</div><div>Call Bob</div><div>Pay rent today</div>',
+      format: 'enml'
+    }, tokenData);
+
+    expect(writes).toHaveLength(0);
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('Nothing was written');
+    expect(result.data).toMatchObject({ conflict: true, expectedUpdateSequenceNum: 5, currentUpdateSequenceNum: 7 });
+    expect(result.data.conflicts).toEqual([{
+      field: 'content',
+      base: '<div>Pay rent</div>',
+      ours: '<div>Pay rent today</div>',
+      theirs: '<div>Pay rent on Friday</div>'
+    }]);
+  });
+
+  test('should give up when the note keeps changing between read and write', async () => {
+    const writes = fakeNoteStore(false);
+
+    await expect(performNoteUpdate('n1', 7, { title: 'Plan B' }, tokenData))
+      .rejects.toThrow('Note kept changing during update; gave up after 3 attempts');
+    expect(writes).toHaveLength(3);
+  });
+});
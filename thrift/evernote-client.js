@@ -9,17 +9,17 @@ const { URL } = require('url');
 
 // Import the generated Evernote Thrift client
 const NoteStore = require('./gen-nodejs/NoteStore');
+const UserStore = require('./gen-nodejs/UserStore');
 const NoteStoreTypes = require('./gen-nodejs/NoteStore_types');
 const Types = require('./gen-nodejs/Types_types');
 
 /**
- * Create a real Thrift client for Evernote NoteStore
- * @param {string} noteStoreUrl - The NoteStore URL from OAuth response
+ * Create a real Thrift client for an Evernote service over HTTPS
+ * @param {Object} service - Generated Thrift service (NoteStore or UserStore)
+ * @param {URL} url - Service endpoint
  * @returns {Object} Thrift client and connection
  */
-function createNoteStoreClient(noteStoreUrl) {
-  const url = new URL(noteStoreUrl);
-  
+function createThriftClient(service, url) {
   console.error(`🔧 Creating real Thrift connection to: ${url.hostname}:${url.port || 443}${url.pathname}`);
   
   // Create HTTPS connection for Thrift
@@ -35,8 +35,8 @@ function createNoteStoreClient(noteStoreUrl) {
   
   const connection = thrift.createHttpConnection(url.hostname, url.port || 443, connectionOptions);
   
-  // Create the NoteStore client
-  const client = thrift.createHttpClient(NoteStore, connection);
+  // Create the service client
+  const client = thrift.createHttpClient(service, connection);
   
   // Handle connection events
   connection.on('error', (err) => {
@@ -51,6 +51,24 @@ function createNoteStoreClient(noteStoreUrl) {
   return { client, connection };
 }
 
+/**
+ * Create a real Thrift client for Evernote NoteStore
+ * @param {string} noteStoreUrl - The NoteStore URL from OAuth response
+ * @returns {Object} Thrift client and connection
+ */
+function createNoteStoreClient(noteStoreUrl) {
+  return createThriftClient(NoteStore, new URL(noteStoreUrl));
+}
+
+/**
+ * Create a real Thrift client for Evernote UserStore, which is served from the NoteStore's host
+ * @param {string} noteStoreUrl - The NoteStore URL from OAuth response
+ * @returns {Object} Thrift client and connection
+ */
+function createUserStoreClient(noteStoreUrl) {
+  return createThriftClient(UserStore, new URL('/edam/user', noteStoreUrl));
+}
+
 /**
  * Make a real Thrift method call to Evernote NoteStore
  * @param {Object} clientData - Object containing client and connection from createNoteStoreClient
@@ -144,7 +162,254 @@ function callThriftMethod(clientData, method, params = []) {
             }
           });
           break;
-          
+
+        case 'createNote':
+          const [authToken7, note] = params;
+          client.createNote(authToken7, note, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'listNotebooks':
+          const [authToken8] = params;
+          client.listNotebooks(authToken8, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'getDefaultNotebook':
+          const [authToken9] = params;
+          client.getDefaultNotebook(authToken9, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'createTag':
+          const [authToken10, tag] = params;
+          client.createTag(authToken10, tag, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'updateNote':
+          const [authToken11, noteToUpdate] = params;
+          client.updateNote(authToken11, noteToUpdate, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'updateNoteIfUsnMatches':
+          const [authToken12, noteIfUsnMatches] = params;
+          client.updateNoteIfUsnMatches(authToken12, noteIfUsnMatches, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'deleteNote':
+          const [authToken13, noteToDelete] = params;
+          client.deleteNote(authToken13, noteToDelete, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'expungeNote':
+          const [authToken14, noteToExpunge] = params;
+          client.expungeNote(authToken14, noteToExpunge, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'findNoteCounts':
+          const [authToken15, countsFilter, withTrash] = params;
+          client.findNoteCounts(authToken15, countsFilter, withTrash, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'createNotebook':
+          const [authToken16, notebook] = params;
+          client.createNotebook(authToken16, notebook, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'updateNotebook':
+          const [authToken17, notebookToUpdate] = params;
+          client.updateNotebook(authToken17, notebookToUpdate, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'updateTag':
+          const [authToken18, tagToUpdate] = params;
+          client.updateTag(authToken18, tagToUpdate, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'expungeTag':
+          const [authToken19, tagToExpunge] = params;
+          client.expungeTag(authToken19, tagToExpunge, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'getResource':
+          const [authToken20, resourceGuid, withData, withRecognition, withAttributes, withAlternateData] = params;
+          client.getResource(authToken20, resourceGuid, withData, withRecognition, withAttributes, withAlternateData, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'getResourceData':
+          const [authToken21, resourceDataGuid] = params;
+          client.getResourceData(authToken21, resourceDataGuid, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'getResourceByHash':
+          const [authToken22, hashNoteGuid, contentHash, withHashData, withHashRecognition, withHashAlternateData] = params;
+          client.getResourceByHash(authToken22, hashNoteGuid, contentHash, withHashData, withHashRecognition, withHashAlternateData, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'listNoteVersions':
+          const [authToken23, versionsNoteGuid] = params;
+          client.listNoteVersions(authToken23, versionsNoteGuid, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'getNoteVersion':
+          const [authToken24, versionNoteGuid, versionUsn, withVersionResourcesData, withVersionResourcesRecognition, withVersionResourcesAlternateData] = params;
+          client.getNoteVersion(authToken24, versionNoteGuid, versionUsn, withVersionResourcesData, withVersionResourcesRecognition, withVersionResourcesAlternateData, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
+        case 'getUser':
+          const [authToken25] = params;
+          client.getUser(authToken25, (err, result) => {
+            if (err) {
+              console.error(`❌ Thrift ${method} error:`, err);
+              reject(err);
+            } else {
+              console.error(`✅ Thrift ${method} completed successfully`);
+              resolve(result);
+            }
+          });
+          break;
+
         default:
           reject(new Error(`Unsupported Thrift method: ${method}`));
       }
@@ -176,6 +441,7 @@ function closeConnection(clientData) {
 
 module.exports = {
   createNoteStoreClient,
+  createUserStoreClient,
   callThriftMethod,
   closeConnection
 };
\ No newline at end of file
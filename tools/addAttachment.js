@@ -0,0 +1,315 @@
+/**
+ * Evernote MCP Tool: Add Attachment
+ * Uploads a local file into a new or existing note as an <en-media> resource
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { escapeXml, wrapEnml } = require('./enmlWriter');
+const { insertIntoEnml } = require('./appendToNote');
+const { fetchNoteWithContent } = require('./updateNote');
+const { validateTitle } = require('./createNote');
+const { resolveNotebook, resolveTags } = require('./lookup');
+const { recordSnapshot } = require('./noteSnapshots');
+const Limits = require('../thrift/gen-nodejs/Limits_types');
+
+// Retries when another client saves the note while we are attaching
+const MAX_ATTACH_ATTEMPTS = 3;
+
+const MIME_PATTERN = new RegExp(Limits.EDAM_MIME_REGEX);
+
+// MIME types by file extension; anything else is uploaded as application/octet-stream
+const MIME_TYPES = {
+  '.pdf': Limits.EDAM_MIME_TYPE_PDF,
+  '.png': Limits.EDAM_MIME_TYPE_PNG,
+  '.jpg': Limits.EDAM_MIME_TYPE_JPEG,
+  '.jpeg': Limits.EDAM_MIME_TYPE_JPEG,
+  '.gif': Limits.EDAM_MIME_TYPE_GIF,
+  '.tif': Limits.EDAM_MIME_TYPE_TIFF,
+  '.tiff': Limits.EDAM_MIME_TYPE_TIFF,
+  '.bmp': Limits.EDAM_MIME_TYPE_BMP,
+  '.wav': Limits.EDAM_MIME_TYPE_WAV,
+  '.mp3': Limits.EDAM_MIME_TYPE_MP3,
+  '.amr': Limits.EDAM_MIME_TYPE_AMR,
+  '.aac': Limits.EDAM_MIME_TYPE_AAC,
+  '.m4a': Limits.EDAM_MIME_TYPE_M4A,
+  '.mp4': Limits.EDAM_MIME_TYPE_MP4_VIDEO,
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.zip': 'application/zip'
+};
+
+/**
+ * Guess a file's MIME type from its extension
+ * @param {string} fileName - File name
+ * @returns {string} MIME type
+ */
+function guessMimeType(fileName) {
+  return MIME_TYPES[path.extname(fileName || '').toLowerCase()] || Limits.EDAM_MIME_TYPE_DEFAULT;
+}
+
+/**
+ * Build an Evernote Resource for a file's bytes
+ * @param {Buffer} body - File contents
+ * @param {string} mime - MIME type
+ * @param {string} fileName - File name shown in Evernote
+ * @returns {Object} { resource, hash } where hash is the hex MD5 used by <en-media>
+ */
+function buildResource(body, mime, fileName) {
+  const bodyHash = crypto.createHash('md5').update(body).digest();
+  return {
+    hash: bodyHash.toString('hex'),
+    resource: {
+      mime,
+      data: {
+        bodyHash,
+        size: body.length,
+        body
+      },
+      attributes: {
+        fileName,
+        // Images display inline; everything else shows as an attachment
+        attachment: !mime.startsWith('image/')
+      }
+    }
+  };
+}
+
+/**
+ * Build the <en-media> tag that displays a resource
+ * @param {string} hash - Hex MD5 of the resource body
+ * @param {string} mime - MIME type
+ * @returns {string} ENML fragment
+ */
+function enMediaTag(hash, mime) {
+  return `<div><en-media type="${escapeXml(mime)}" hash="${hash}"/></div>`;
+}
+
+/**
+ * Total stored size of a note: ENML plus every resource body
+ * @param {string} content - ENML content
+ * @param {Array} resources - Note resources (metadata is enough)
+ * @returns {number} Size in bytes
+ */
+function noteSize(content, resources) {
+  return Buffer.byteLength(content || '', 'utf8') +
+    (resources || []).reduce((total, resource) => total + (resource.data && resource.data.size ? resource.data.size : 0), 0);
+}
+
+/**
+ * Check a note against Evernote's size limits before uploading.
+ * Throws above the hard (premium) limits and returns a warning above the free-account limits.
+ * @param {number} fileSize - Size of the new resource
+ * @param {number} totalSize - Size of the note including the new resource
+ * @param {number} resourceCount - Number of resources including the new one
+ * @returns {string|null} Warning, if the upload may be rejected on a free account
+ */
+function checkSizeLimits(fileSize, totalSize, resourceCount) {
+  if (fileSize > Limits.EDAM_RESOURCE_SIZE_MAX_PREMIUM) {
+    throw new Error(`File is ${fileSize} bytes; Evernote resources are limited to ${Limits.EDAM_RESOURCE_SIZE_MAX_PREMIUM} bytes`);
+  }
+  if (totalSize > Limits.EDAM_NOTE_SIZE_MAX_PREMIUM) {
+    throw new Error(`Note would be ${totalSize} bytes; Evernote notes are limited to ${Limits.EDAM_NOTE_SIZE_MAX_PREMIUM} bytes`);
+  }
+  if (resourceCount > Limits.EDAM_NOTE_RESOURCES_MAX) {
+    throw new Error(`Notes can have at most ${Limits.EDAM_NOTE_RESOURCES_MAX} attachments`);
+  }
+  if (fileSize > Limits.EDAM_RESOURCE_SIZE_MAX_FREE || totalSize > Limits.EDAM_NOTE_SIZE_MAX_FREE) {
+    return `Upload exceeds the ${Limits.EDAM_NOTE_SIZE_MAX_FREE}-byte limit for free accounts and will only succeed on a paid plan`;
+  }
+  return null;
+}
+
+/**
+ * Read a local file for upload, checking the size before loading it
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} { body, fileName, size }
+ */
+async function readAttachment(filePath) {
+  const resolved = path.resolve(filePath);
+  const stats = await fs.promises.stat(resolved);
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${filePath}`);
+  }
+  checkSizeLimits(stats.size, stats.size, 1);
+  const body = await fs.promises.readFile(resolved);
+  return { body, fileName: path.basename(resolved), size: body.length };
+}
+
+/**
+ * Find the uploaded resource in a saved note by its hash
+ * @param {Object} note - Note returned by the NoteStore
+ * @param {string} hash - Hex MD5 of the resource body
+ * @returns {string|null} Resource GUID
+ */
+function findResourceGuid(note, hash) {
+  const match = (note.resources || []).find(resource =>
+    resource.data && resource.data.bodyHash && Buffer.from(resource.data.bodyHash).toString('hex') === hash);
+  return match ? match.guid : null;
+}
+
+/**
+ * Create a new note containing only the attachment
+ * @param {Object} args - Tool arguments
+ * @param {Object} upload - Resource, hash and file details
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Saved note and content
+ */
+async function attachToNewNote(args, upload, tokenData) {
+  const title = validateTitle(args.title);
+  const content = wrapEnml(enMediaTag(upload.hash, upload.resource.mime));
+  const warning = checkSizeLimits(upload.size, noteSize(content, [upload.resource]), 1);
+  const notebook = await resolveNotebook(args.notebook, tokenData);
+  const tags = await resolveTags(args.tags || [], tokenData);
+
+  console.error('🌐 Calling Evernote createNote API with attachment...');
+  const note = await makeNoteStoreRequest('createNote', {
+    authenticationToken: tokenData.accessToken,
+    note: {
+      title,
+      content,
+      notebookGuid: notebook.guid,
+      tagGuids: tags.tagGuids,
+      resources: [upload.resource]
+    }
+  }, tokenData);
+
+  return { note, content, warning, previousUpdateSequenceNum: null };
+}
+
+/**
+ * Add the attachment to an existing note, keeping its other resources
+ * @param {Object} args - Tool arguments
+ * @param {Object} upload - Resource, hash and file details
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Saved note and content
+ */
+async function attachToExistingNote(args, upload, tokenData) {
+  const fragment = enMediaTag(upload.hash, upload.resource.mime);
+
+  for (let attempt = 1; attempt <= MAX_ATTACH_ATTEMPTS; attempt++) {
+    const current = await fetchNoteWithContent(args.noteGuid, tokenData);
+    const content = insertIntoEnml(current.content, fragment, args.position === 'start' ? 'start' : 'end');
+
+    const note = {
+      guid: current.guid,
+      title: current.title,
+      updateSequenceNum: current.updateSequenceNum,
+      content
+    };
+
+    // The same file is already on the note: just show it again instead of uploading a duplicate
+    let warning = null;
+    if (!findResourceGuid(current, upload.hash)) {
+      // Existing resources are identified by GUID; their bodies do not need to be re-sent
+      note.resources = [...(current.resources || []), upload.resource];
+      warning = checkSizeLimits(upload.size, noteSize(content, note.resources), note.resources.length);
+    }
+
+    console.error(`🌐 Calling Evernote updateNoteIfUsnMatches API with attachment (USN ${current.updateSequenceNum})...`);
+    const result = await makeNoteStoreRequest('updateNoteIfUsnMatches', {
+      authenticationToken: tokenData.accessToken,
+      note
+    }, tokenData);
+
+    if (result.updated) {
+      return { note: result.note, content, warning, previousUpdateSequenceNum: current.updateSequenceNum };
+    }
+    console.error('⚠️ Note changed during attach, retrying...');
+  }
+
+  throw new Error(`Note kept changing during attach; gave up after ${MAX_ATTACH_ATTEMPTS} attempts`);
+}
+
+/**
+ * Attach a local file to a note
+ * @param {Object} args - Arguments containing filePath, and noteGuid or title (with optional notebook and tags)
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function addAttachment(args, tokenData) {
+  logToolInvocation('addAttachment', args);
+
+  try {
+    // Validate required parameters
+    if (!args.filePath) {
+      return createMCPResponse('error', null, 'filePath is required');
+    }
+    if (!args.noteGuid && !args.title) {
+      return createMCPResponse('error', null, 'Provide noteGuid to attach to an existing note, or title to create a new one');
+    }
+
+    const file = await readAttachment(args.filePath);
+    const fileName = args.fileName || file.fileName;
+    const mime = args.mimeType || guessMimeType(fileName);
+    if (mime.length < Limits.EDAM_MIME_LEN_MIN || mime.length > Limits.EDAM_MIME_LEN_MAX || !MIME_PATTERN.test(mime)) {
+      return createMCPResponse('error', null, `Invalid MIME type: ${mime}`);
+    }
+
+    const upload = { ...buildResource(file.body, mime, fileName), size: file.size };
+    console.error(`📎 Attaching ${fileName} (${mime}, ${file.size} bytes, md5 ${upload.hash})`);
+
+    const saved = args.noteGuid
+      ? await attachToExistingNote(args, upload, tokenData)
+      : await attachToNewNote(args, upload, tokenData);
+
+    recordSnapshot({ ...saved.note, content: saved.content });
+    console.error('✅ Attached file to note:', saved.note.guid);
+
+    return createMCPResponse('success', {
+      noteGuid: saved.note.guid,
+      title: saved.note.title,
+      createdNote: !args.noteGuid,
+      updateSequenceNum: saved.note.updateSequenceNum,
+      previousUpdateSequenceNum: saved.previousUpdateSequenceNum,
+      resource: {
+        guid: findResourceGuid(saved.note, upload.hash),
+        hash: upload.hash,
+        mime,
+        fileName,
+        size: file.size
+      },
+      warning: saved.warning
+    });
+
+  } catch (error) {
+    console.error('❌ addAttachment error:', error.message);
+
+    // Provide more specific error messages
+    let errorMessage;
+    if (error.code === 'ENOENT') {
+      errorMessage = `File not found: ${args.filePath}`;
+    } else if (error.code === 'EACCES') {
+      errorMessage = `Permission denied reading file: ${args.filePath}`;
+    } else if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('not found') || error.message.includes('404')) {
+      errorMessage = `Note with GUID ${args.noteGuid} not found or has been deleted.`;
+    } else if (error.message.includes('LIMIT_REACHED') || error.message.includes('QUOTA_REACHED')) {
+      errorMessage = 'Evernote rejected the attachment: the file is too large for this account or the monthly upload quota has been reached.';
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to add attachment: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+module.exports = {
+  addAttachment,
+  guessMimeType,
+  buildResource
+};
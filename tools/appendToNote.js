@@ -0,0 +1,193 @@
+/**
+ * Evernote MCP Tool: Append / Prepend to Note
+ * Inserts new content at the start or end of a note's body without
+ * rewriting the rest of the note
+ */
+
+const { logToolInvocation, createMCPResponse } = require('./createSearch');
+const { contentToEnmlFragment, escapeXml, wrapEnml, SUPPORTED_INPUT_FORMATS } = require('./enmlWriter');
+const { fetchNoteWithContent, performNoteUpdate } = require('./updateNote');
+const Limits = require('../thrift/gen-nodejs/Limits_types');
+
+// Retries when another client saves the note while we are inserting
+const MAX_INSERT_ATTEMPTS = 3;
+
+/**
+ * Insert an ENML fragment directly inside the <en-note> element.
+ * Everything else in the document is kept byte-for-byte, including
+ * en-media and en-crypt blocks.
+ * @param {string} enml - Complete ENML document
+ * @param {string} fragment - ENML fragment to insert
+ * @param {string} position - 'start' or 'end'
+ * @returns {string} Updated ENML document
+ */
+function insertIntoEnml(enml, fragment, position) {
+  if (!enml) {
+    return wrapEnml(fragment);
+  }
+
+  const openTag = enml.match(/<en-note\b[^>]*>/i);
+  if (!openTag) {
+    throw new Error('Note content has no <en-note> element');
+  }
+
+  const openStart = openTag.index;
+  const openEnd = openStart + openTag[0].length;
+
+  // <en-note/> is an empty note; expand it so there is somewhere to insert
+  if (openTag[0].endsWith('/>')) {
+    const expanded = openTag[0].replace(/\s*\/>$/, '>');
+    return enml.slice(0, openStart) + expanded + fragment + '</en-note>' + enml.slice(openEnd);
+  }
+
+  if (position === 'start') {
+    return enml.slice(0, openEnd) + fragment + enml.slice(openEnd);
+  }
+
+  const closeStart = enml.toLowerCase().lastIndexOf('</en-note>');
+  if (closeStart === -1 || closeStart < openEnd) {
+    throw new Error('Note content has no closing </en-note> tag');
+  }
+  return enml.slice(0, closeStart) + fragment + enml.slice(closeStart);
+}
+
+/**
+ * Format the current time as a log entry heading
+ * @param {Date} date - Timestamp
+ * @returns {string} ENML heading fragment
+ */
+function timestampFragment(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return `<div><b>${escapeXml(stamp)}</b></div>`;
+}
+
+/**
+ * Insert an ENML fragment into a note at the given position, retrying if the note changes meanwhile
+ * @param {string} noteGuid - Note to update
+ * @param {string} fragment - ENML fragment to insert
+ * @param {string} position - 'start' or 'end'
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Update result summary
+ */
+async function insertFragment(noteGuid, fragment, position, tokenData) {
+  for (let attempt = 1; attempt <= MAX_INSERT_ATTEMPTS; attempt++) {
+    const current = await fetchNoteWithContent(noteGuid, tokenData);
+    const content = insertIntoEnml(current.content, fragment, position);
+
+    if (Buffer.byteLength(content, 'utf8') > Limits.EDAM_NOTE_CONTENT_LEN_MAX) {
+      throw new Error(`Note content would exceed the Evernote limit of ${Limits.EDAM_NOTE_CONTENT_LEN_MAX} bytes`);
+    }
+
+    const result = await performNoteUpdate(noteGuid, current.updateSequenceNum, { content }, tokenData, { current });
+    if (result.updated) {
+      return {
+        guid: result.note.guid,
+        title: result.note.title,
+        updateSequenceNum: result.note.updateSequenceNum,
+        previousUpdateSequenceNum: current.updateSequenceNum,
+        position,
+        insertedLength: fragment.length,
+        contentLength: Buffer.byteLength(content, 'utf8')
+      };
+    }
+
+    // Only reachable if the note changed mid-write in a way that could not be merged;
+    // insertion is order-independent, so just redo it on the fresh copy
+    console.error('⚠️ Note changed during insert, retrying...');
+  }
+
+  throw new Error(`Note kept changing during insert; gave up after ${MAX_INSERT_ATTEMPTS} attempts`);
+}
+
+/**
+ * Insert content into a note at the given position
+ * @param {Object} args - Tool arguments
+ * @param {string} position - 'start' or 'end'
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Update result summary
+ */
+async function insertContent(args, position, tokenData) {
+  let fragment = contentToEnmlFragment(args.content, args.format || 'text');
+  if (args.addTimestamp) {
+    fragment = timestampFragment(new Date()) + fragment;
+  }
+  return insertFragment(args.noteGuid, fragment, position, tokenData);
+}
+
+/**
+ * Shared tool handler for appendToNote and prependToNote
+ * @param {string} toolName - Tool name for logging and errors
+ * @param {string} position - 'start' or 'end'
+ * @param {Object} args - Arguments containing noteGuid, content, format and addTimestamp
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function handleInsert(toolName, position, args, tokenData) {
+  logToolInvocation(toolName, args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!args.content) {
+      return createMCPResponse('error', null, 'content is required');
+    }
+
+    const format = args.format || 'text';
+    if (!SUPPORTED_INPUT_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${SUPPORTED_INPUT_FORMATS.join(', ')}`);
+    }
+
+    const result = await insertContent(args, position, tokenData);
+    console.error(`✅ Inserted content at ${position} of note ${result.guid}`);
+    return createMCPResponse('success', result);
+
+  } catch (error) {
+    console.error(`❌ ${toolName} error:`, error.message);
+
+    // Provide more specific error messages
+    let errorMessage;
+    if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('not found') || error.message.includes('404')) {
+      errorMessage = `Note with GUID ${args.noteGuid} not found or has been deleted.`;
+    } else if (error.message.includes('ENML_VALIDATION')) {
+      errorMessage = error.enmlErrors ? error.message : 'Evernote rejected the inserted content as invalid ENML.';
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to insert content: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+/**
+ * Append content to the end of a note
+ * @param {Object} args - Arguments containing noteGuid, content, format and addTimestamp
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function appendToNote(args, tokenData) {
+  return handleInsert('appendToNote', 'end', args, tokenData);
+}
+
+/**
+ * Prepend content to the start of a note
+ * @param {Object} args - Arguments containing noteGuid, content, format and addTimestamp
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function prependToNote(args, tokenData) {
+  return handleInsert('prependToNote', 'start', args, tokenData);
+}
+
+module.exports = {
+  appendToNote,
+  prependToNote,
+  insertIntoEnml,
+  insertFragment
+};
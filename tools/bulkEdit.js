@@ -0,0 +1,325 @@
+/**
+ * Evernote MCP Tools: Bulk Edit
+ * Retags or moves every note matched by a search, with a dry-run preview
+ * and per-note results
+ */
+
+const { makeNoteStoreRequest, buildNoteFilter, hasSearchCriteria, resolveDateRange, SEARCH_CRITERIA_FIELDS, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { getCachedResults } = require('./getSearch');
+const lookup = require('./lookup');
+
+// Notes fetched per findNotesMetadata call
+const NOTES_PAGE_SIZE = 100;
+
+// Refuse bulk edits larger than this; narrow the search instead
+const MAX_BULK_NOTES = 1000;
+
+/**
+ * Work out the search criteria from either a cached searchId or inline createSearch arguments
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Search criteria
+ */
+function resolveCriteria(args) {
+  let source = args;
+  if (args.searchId) {
+    const cached = getCachedResults(args.searchId);
+    if (!cached) {
+      throw new Error(`Search ID ${args.searchId} not found or expired. Please run the search again or pass the search criteria directly.`);
+    }
+    source = cached.originalArgs;
+  }
+
+  const criteria = {};
+  for (const field of SEARCH_CRITERIA_FIELDS) {
+    if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+      criteria[field] = source[field];
+    }
+  }
+
+  if (!hasSearchCriteria(criteria)) {
+    throw new Error('Either searchId or search criteria (query, notebookName, notebookGuid, tags or another filter) must be provided');
+  }
+  return criteria;
+}
+
+/**
+ * Page through every note matching the criteria
+ * @param {Object} criteria - Search criteria
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Array>} Note metadata with title, notebook, tags and USN
+ */
+async function collectMatches(criteria, tokenData) {
+  const filter = buildNoteFilter(criteria);
+  const notes = [];
+  let offset = 0;
+  let total = Infinity;
+
+  while (offset < total) {
+    const response = await makeNoteStoreRequest('findNotesMetadata', {
+      authenticationToken: tokenData.accessToken,
+      filter,
+      offset,
+      maxNotes: NOTES_PAGE_SIZE,
+      resultSpec: {
+        includeTitle: true,
+        includeUpdateSequenceNum: true,
+        includeNotebookGuid: true,
+        includeTagGuids: true
+      }
+    }, tokenData);
+
+    total = response.totalNotes || 0;
+    if (total > MAX_BULK_NOTES) {
+      throw new Error(`Search matches ${total} notes; bulk edits are limited to ${MAX_BULK_NOTES}. Narrow the search criteria.`);
+    }
+
+    const page = response.notes || [];
+    notes.push(...page);
+    if (page.length === 0) {
+      break;
+    }
+    offset += page.length;
+  }
+
+  return notes;
+}
+
+/**
+ * Apply a change to one note, recomputing it once if the note was modified
+ * between the search and the write
+ * @param {Object} note - Note metadata from the search
+ * @param {Function} plan - Returns the fields to change for a note, or null if nothing changes
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object|null>} Updated note, or null if the note no longer needs changing
+ */
+async function applyToNote(note, plan, tokenData) {
+  let current = note;
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const changes = plan(current);
+    if (!changes) {
+      return null;
+    }
+
+    const result = await makeNoteStoreRequest('updateNoteIfUsnMatches', {
+      authenticationToken: tokenData.accessToken,
+      note: {
+        guid: current.guid,
+        title: current.title,
+        updateSequenceNum: current.updateSequenceNum,
+        ...changes
+      }
+    }, tokenData);
+
+    if (result.updated) {
+      return result.note;
+    }
+    console.error(`⚠️ Note ${note.guid} changed since the search, re-planning...`);
+    current = result.note;
+  }
+
+  throw new Error('Note kept changing during the bulk edit');
+}
+
+/**
+ * Run a bulk edit: collect matches, preview or apply the planned change to each
+ * @param {Object} args - Tool arguments (search criteria or searchId, and dryRun)
+ * @param {Function} plan - Returns the fields to change for a note, or null if nothing changes
+ * @param {Function} describe - Summarises a note's before/after state for previews
+ * @param {Object} tokenData - OAuth authentication data
+ * @param {Object} options - Options
+ * @param {Function} options.beforeApply - Called once the matches are known and some will change, before any write
+ * @returns {Promise<Object>} { dryRun, totalMatched, ... } result data
+ */
+async function runBulkEdit(args, plan, describe, tokenData, { beforeApply } = {}) {
+  const { args: criteria, dateRange } = await resolveDateRange(resolveCriteria(args), tokenData);
+  const notes = await collectMatches(criteria, tokenData);
+  const toChange = notes.filter(note => plan(note) !== null);
+  const unchanged = notes.length - toChange.length;
+  const query = buildNoteFilter(criteria).words;
+
+  console.error(`🔍 ${notes.length} note(s) matched, ${toChange.length} would change`);
+
+  if (args.dryRun !== false) {
+    return {
+      dryRun: true,
+      query,
+      ...(dateRange ? { dateRange } : {}),
+      totalMatched: notes.length,
+      unchanged,
+      changes: toChange.map(note => ({ guid: note.guid, title: note.title, ...describe(note, plan(note)) }))
+    };
+  }
+
+  if (toChange.length > 0 && beforeApply) {
+    await beforeApply();
+  }
+
+  const succeeded = [];
+  const failed = [];
+  for (const note of toChange) {
+    try {
+      const updated = await applyToNote(note, plan, tokenData);
+      succeeded.push({ guid: note.guid, title: note.title, updateSequenceNum: updated ? updated.updateSequenceNum : note.updateSequenceNum });
+    } catch (error) {
+      failed.push({ guid: note.guid, title: note.title, error: error.message });
+    }
+  }
+
+  return {
+    dryRun: false,
+    query,
+    ...(dateRange ? { dateRange } : {}),
+    totalMatched: notes.length,
+    unchanged,
+    succeeded,
+    failed
+  };
+}
+
+/**
+ * Wrap a bulk edit result in an MCP response
+ * @param {Object} result - Result of runBulkEdit
+ * @param {Object} extra - Extra fields to include in the response
+ * @returns {Object} Standardized MCP response
+ */
+function bulkResponse(result, extra) {
+  const data = { ...result, ...extra };
+  if (result.dryRun) {
+    return createMCPResponse('success', data);
+  }
+  const allFailed = result.failed.length > 0 && result.succeeded.length === 0;
+  return createMCPResponse(allFailed ? 'error' : 'success', data, allFailed ? 'No notes were updated' : null);
+}
+
+/**
+ * Map bulk edit errors to user-facing messages
+ * @param {Error} error - Error thrown by the tool
+ * @returns {string} Error message
+ */
+function bulkErrorMessage(error) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `Bulk edit failed: ${error.message}`;
+}
+
+/**
+ * Add and/or remove tags on every note matched by a search
+ * @param {Object} args - Arguments containing search criteria or searchId, addTags, removeTags and dryRun
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function bulkTagNotes(args, tokenData) {
+  logToolInvocation('bulkTagNotes', args);
+
+  try {
+    const addNames = args.addTags || [];
+    const removeRefs = args.removeTags || [];
+    if (addNames.length === 0 && removeRefs.length === 0) {
+      return createMCPResponse('error', null, 'Provide addTags and/or removeTags');
+    }
+
+    const tags = await lookup.listTags(tokenData);
+    const names = new Map(tags.map(tag => [tag.guid, tag.name]));
+    const removeGuids = removeRefs.map(ref => lookup.findTag(ref, tags).guid);
+
+    // Tags that do not exist yet are only created when the change is applied
+    const addGuids = [];
+    const tagsToCreate = [];
+    for (const rawName of addNames) {
+      const name = lookup.validateTagName(rawName);
+      const existing = tags.find(tag => (tag.name || '').toLowerCase() === name.toLowerCase());
+      if (existing) {
+        addGuids.push(existing.guid);
+      } else {
+        tagsToCreate.push(name);
+      }
+    }
+
+    const overlap = addGuids.filter(guid => removeGuids.includes(guid));
+    if (overlap.length > 0) {
+      return createMCPResponse('error', null, `Tags cannot be both added and removed: ${overlap.map(guid => names.get(guid)).join(', ')}`);
+    }
+
+    // Missing tags are created only after the search succeeded and found notes to tag
+    let createdTags = [];
+    const createMissingTags = async () => {
+      if (tagsToCreate.length === 0) return;
+      const created = await lookup.resolveTags(tagsToCreate, tokenData);
+      created.tagGuids.forEach((guid, i) => {
+        addGuids.push(guid);
+        names.set(guid, created.tagNames[i]);
+      });
+      createdTags = created.createdTags;
+      tagsToCreate.length = 0;
+    };
+
+    const plan = note => {
+      const before = note.tagGuids || [];
+      const after = before.filter(guid => !removeGuids.includes(guid));
+      addGuids.forEach(guid => {
+        if (!after.includes(guid)) {
+          after.push(guid);
+        }
+      });
+      const changed = after.length !== before.length || after.some(guid => !before.includes(guid));
+      // A tag still to be created is on no note yet, so every note would change
+      return changed || tagsToCreate.length > 0 ? { tagGuids: after } : null;
+    };
+    const describe = (note, changes) => ({
+      tagsBefore: (note.tagGuids || []).map(guid => names.get(guid) || guid),
+      tagsAfter: [...changes.tagGuids.map(guid => names.get(guid) || guid), ...tagsToCreate]
+    });
+
+    const result = await runBulkEdit(args, plan, describe, tokenData, { beforeApply: createMissingTags });
+    console.error(`✅ bulkTagNotes ${result.dryRun ? 'preview' : 'applied'}`);
+    return bulkResponse(result, result.dryRun ? { tagsToCreate } : { createdTags });
+
+  } catch (error) {
+    console.error('❌ bulkTagNotes error:', error.message);
+    return createMCPResponse('error', null, bulkErrorMessage(error));
+  }
+}
+
+/**
+ * Move every note matched by a search into another notebook
+ * @param {Object} args - Arguments containing search criteria or searchId, notebook and dryRun
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function bulkMoveNotes(args, tokenData) {
+  logToolInvocation('bulkMoveNotes', args);
+
+  try {
+    if (!args.notebook) {
+      return createMCPResponse('error', null, 'notebook is required');
+    }
+
+    const notebooks = await lookup.listNotebooks(tokenData);
+    const names = new Map(notebooks.map(notebook => [notebook.guid, notebook.name]));
+    const target = lookup.findNotebook(args.notebook, notebooks);
+
+    const plan = note => (note.notebookGuid === target.guid ? null : { notebookGuid: target.guid });
+    const describe = note => ({
+      notebookBefore: names.get(note.notebookGuid) || note.notebookGuid,
+      notebookAfter: target.name
+    });
+
+    const result = await runBulkEdit(args, plan, describe, tokenData);
+    console.error(`✅ bulkMoveNotes ${result.dryRun ? 'preview' : 'applied'}`);
+    return bulkResponse(result, { notebookGuid: target.guid, notebookName: target.name });
+
+  } catch (error) {
+    console.error('❌ bulkMoveNotes error:', error.message);
+    return createMCPResponse('error', null, bulkErrorMessage(error));
+  }
+}
+
+module.exports = {
+  bulkTagNotes,
+  bulkMoveNotes,
+  resolveCriteria
+};
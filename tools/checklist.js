@@ -0,0 +1,357 @@
+/**
+ * Evernote MCP Tools: Checklists
+ * Reads a note's <en-todo> items as structured data and checks, unchecks,
+ * adds or removes them by index
+ */
+
+const { logToolInvocation, createMCPResponse } = require('./createSearch');
+const { escapeXml } = require('./enmlWriter');
+const { parseEnml } = require('./enmlParser');
+const { fetchNoteWithContent, performNoteUpdate } = require('./updateNote');
+const { getSnapshot } = require('./noteSnapshots');
+
+// Elements that can hold a checklist item on its own line
+const ITEM_CONTAINERS = new Set(['div', 'p', 'li', 'td', 'th', 'blockquote']);
+
+// Elements that end a checklist item's text when it is not wrapped in its own container
+const ITEM_TEXT_END = new Set(['en-todo', 'br', 'div', 'p', 'li', 'ul', 'ol', 'table', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+const CHECKLIST_OPERATIONS = ['check', 'uncheck', 'toggle', 'add', 'remove'];
+
+// Markup that leaves a line blank: line breaks, non-breaking spaces and whitespace
+const BLANK_MARKUP = /<br\s*\/?>|&nbsp;|&#160;|&#xa0;|\s/gi;
+
+/**
+ * Collapse collected text runs
+ * @param {Array<string>} parts - Decoded text runs
+ * @returns {string} Text with whitespace collapsed
+ */
+function collapseText(parts) {
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find every <en-todo> in an ENML document
+ * @param {string} enml - ENML document
+ * @returns {Array<Object>} Items with index, text, checked, heading and the offsets needed to edit them
+ */
+function parseChecklist(enml) {
+  const source = enml || '';
+  const items = [];
+  const stack = [];
+  let heading = null;
+  let headingText = null;
+  let pending = null; // Item whose text is still being read
+
+  const finishItem = offset => {
+    if (pending) {
+      pending.textEnd = offset;
+      pending.text = collapseText(pending.textParts);
+      pending = null;
+    }
+  };
+
+  parseEnml(source, {
+    onOpenTag(name, attributes, { selfClosing, start, end }) {
+      if (ITEM_TEXT_END.has(name)) {
+        finishItem(start);
+      }
+
+      if (name === 'en-todo') {
+        const container = [...stack].reverse().find(element => ITEM_CONTAINERS.has(element.name)) || null;
+        pending = {
+          index: items.length,
+          checked: String(attributes.checked).toLowerCase() === 'true',
+          heading,
+          tagStart: start,
+          openEnd: end,
+          tagEnd: end,
+          container,
+          textParts: []
+        };
+        items.push(pending);
+        if (!selfClosing) {
+          stack.push({ name, start, openEnd: end, closeStart: null, end: null });
+        }
+        return;
+      }
+
+      if (/^h[1-6]$/.test(name)) {
+        headingText = [];
+      }
+      if (!selfClosing && name !== 'br' && name !== 'hr') {
+        stack.push({ name, start, openEnd: end, closeStart: null, end: null });
+      }
+    },
+
+    onCloseTag(name, { selfClosing, start, end }) {
+      if (selfClosing) return;
+
+      // Pop back to the matching element, recording where each container ends
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i].name === name) {
+          const element = stack[i];
+          element.closeStart = start;
+          element.end = end;
+          stack.length = i;
+          // Item text never runs past its container
+          if (pending && (pending.container === element || name === 'en-note')) {
+            finishItem(start);
+          }
+          break;
+        }
+      }
+
+      if (name === 'en-todo' && pending && pending.tagEnd === start) {
+        pending.tagEnd = end;
+      } else if (/^h[1-6]$/.test(name) && headingText) {
+        heading = collapseText(headingText) || heading;
+        headingText = null;
+      }
+    },
+
+    onText(text) {
+      if (pending) pending.textParts.push(text);
+      if (headingText) headingText.push(text);
+    }
+  });
+  finishItem(source.length);
+
+  items.forEach((item, i) => {
+    delete item.textParts;
+    item.shareContainer = items.some((other, j) => j !== i && other.container && other.container === item.container);
+    // A container is the item's own line only when nothing else is in it: no other text, markup or nested list
+    item.ownsContainer = Boolean(item.container) && !item.shareContainer && item.container.end !== null &&
+      !(source.slice(item.container.openEnd, item.tagStart) + source.slice(item.textEnd, item.container.closeStart))
+        .replace(BLANK_MARKUP, '');
+  });
+
+  return items;
+}
+
+/**
+ * Public view of a checklist item
+ * @param {Object} item - Parsed item
+ * @returns {Object} { index, text, checked, heading }
+ */
+function itemSummary(item) {
+  return {
+    index: item.index,
+    text: item.text,
+    checked: item.checked,
+    heading: item.heading
+  };
+}
+
+/**
+ * Rewrite an <en-todo> opening tag with a new checked state
+ * @param {string} tag - Original opening tag
+ * @param {boolean} checked - New state
+ * @returns {string} Updated tag
+ */
+function setCheckedAttribute(tag, checked) {
+  const withoutChecked = tag.replace(/\s+checked\s*=\s*("[^"]*"|'[^']*')/i, '');
+  return withoutChecked.replace(/^<en-todo/i, `<en-todo checked="${checked}"`);
+}
+
+/**
+ * Apply checklist operations to an ENML document.
+ * Indexes always refer to the items as they were before any operation in the batch.
+ * @param {string} enml - ENML document
+ * @param {Array<Object>} operations - { op, index, text, checked, afterIndex }
+ * @returns {string} Updated ENML document
+ */
+function applyChecklistOperations(enml, operations) {
+  const items = parseChecklist(enml);
+  const edits = [];
+  const inserts = new Map();
+  const touched = new Set();
+
+  const itemAt = (index, op) => {
+    if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+      throw new Error(`${op}: index ${index} is out of range (note has ${items.length} checklist items)`);
+    }
+    return items[index];
+  };
+
+  for (const operation of operations) {
+    const op = operation && operation.op;
+    if (!CHECKLIST_OPERATIONS.includes(op)) {
+      throw new Error(`op must be one of: ${CHECKLIST_OPERATIONS.join(', ')}`);
+    }
+
+    if (op === 'add') {
+      if (typeof operation.text !== 'string' || !operation.text.trim()) {
+        throw new Error('add: text is required');
+      }
+      const after = operation.afterIndex !== undefined ? itemAt(operation.afterIndex, op) : items[items.length - 1];
+      // A new line follows the item's own line; inside a shared line or a table cell it goes after the item's text
+      const ownLine = after && after.ownsContainer && !['td', 'th'].includes(after.container.name);
+      const position = after ? (ownLine ? after.container.end : after.textEnd) : null;
+      const wrapper = ownLine && after.container.name === 'li' ? 'li' : 'div';
+      const fragment = `<${wrapper}><en-todo checked="${operation.checked === true}"/>${escapeXml(operation.text.trim())}</${wrapper}>`;
+      const key = position === null ? 'end' : position;
+      inserts.set(key, (inserts.get(key) || '') + fragment);
+      continue;
+    }
+
+    const item = itemAt(operation.index, op);
+    if (touched.has(item.index)) {
+      throw new Error(`Checklist item ${item.index} is changed by more than one operation`);
+    }
+    touched.add(item.index);
+
+    if (op === 'remove') {
+      // Items sharing a line, or a line with other content, are separated by <br/>; take the break with the item
+      const lineBreak = enml.slice(item.textEnd).match(/^<br\s*\/?>/i);
+      edits.push(item.ownsContainer
+        ? { start: item.container.start, end: item.container.end, text: '' }
+        : { start: item.tagStart, end: item.textEnd + (lineBreak ? lineBreak[0].length : 0), text: '' });
+    } else {
+      const checked = op === 'toggle' ? !item.checked : op === 'check';
+      edits.push({ start: item.tagStart, end: item.openEnd, text: setCheckedAttribute(enml.slice(item.tagStart, item.openEnd), checked) });
+    }
+  }
+
+  for (const [key, text] of inserts.entries()) {
+    if (key === 'end') {
+      const close = enml.toLowerCase().lastIndexOf('</en-note>');
+      if (close === -1) {
+        throw new Error('Note content has no closing </en-note> tag');
+      }
+      edits.push({ start: close, end: close, text });
+    } else {
+      edits.push({ start: key, end: key, text });
+    }
+  }
+
+  // Splice from the end so earlier offsets stay valid; inserts go after a removal ending at the same place
+  edits.sort((a, b) => b.start - a.start || (b.end - b.start) - (a.end - a.start));
+  return edits.reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), enml);
+}
+
+/**
+ * Get a note's checklist items
+ * @param {Object} args - Arguments containing noteGuid
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function getChecklist(args, tokenData) {
+  logToolInvocation('getChecklist', args);
+
+  try {
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+
+    const note = await fetchNoteWithContent(args.noteGuid, tokenData);
+    const items = parseChecklist(note.content).map(itemSummary);
+
+    console.error(`✅ Found ${items.length} checklist items`);
+    return createMCPResponse('success', {
+      guid: note.guid,
+      title: note.title,
+      updateSequenceNum: note.updateSequenceNum,
+      items,
+      total: items.length,
+      checkedCount: items.filter(item => item.checked).length
+    });
+
+  } catch (error) {
+    console.error('❌ getChecklist error:', error.message);
+    return createMCPResponse('error', null, checklistErrorMessage(error, args.noteGuid, 'read the checklist'));
+  }
+}
+
+/**
+ * Check, uncheck, add or remove checklist items
+ * @param {Object} args - Arguments containing noteGuid, updateSequenceNum and operations
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function updateChecklist(args, tokenData) {
+  logToolInvocation('updateChecklist', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!Number.isInteger(args.updateSequenceNum) || args.updateSequenceNum < 1) {
+      return createMCPResponse('error', null, 'updateSequenceNum is required (use the value returned by getChecklist)');
+    }
+    if (!Array.isArray(args.operations) || args.operations.length === 0) {
+      return createMCPResponse('error', null, 'operations must be a non-empty array');
+    }
+
+    const current = await fetchNoteWithContent(args.noteGuid, tokenData);
+
+    // Indexes refer to the version the caller read, so edit that version and let the update merge it forward
+    let base = current;
+    if (current.updateSequenceNum !== args.updateSequenceNum) {
+      base = getSnapshot(args.noteGuid, args.updateSequenceNum);
+      if (!base) {
+        return createMCPResponse('error', null, `Note has changed since update sequence number ${args.updateSequenceNum} and that version is not cached. Call getChecklist again.`);
+      }
+    }
+
+    const content = applyChecklistOperations(base.content, args.operations);
+    const result = await performNoteUpdate(args.noteGuid, args.updateSequenceNum, { content }, tokenData, { current });
+
+    if (!result.updated) {
+      console.error(`⚠️ updateChecklist conflict on ${result.conflicts.length} region(s)`);
+      return createMCPResponse('error', {
+        conflict: true,
+        noteGuid: args.noteGuid,
+        expectedUpdateSequenceNum: args.updateSequenceNum,
+        currentUpdateSequenceNum: result.current.updateSequenceNum,
+        conflicts: result.conflicts
+      }, `Note was modified after update sequence number ${args.updateSequenceNum} and the checklist changes could not be merged automatically. Nothing was written.`);
+    }
+
+    const saved = getSnapshot(result.note.guid, result.note.updateSequenceNum);
+    const items = saved ? parseChecklist(saved.content).map(itemSummary) : null;
+
+    console.error('✅ Updated checklist on note:', result.note.guid);
+    return createMCPResponse('success', {
+      guid: result.note.guid,
+      title: result.note.title,
+      updateSequenceNum: result.note.updateSequenceNum,
+      previousUpdateSequenceNum: args.updateSequenceNum,
+      merged: result.merged,
+      applied: args.operations.length,
+      items
+    });
+
+  } catch (error) {
+    console.error('❌ updateChecklist error:', error.message);
+    return createMCPResponse('error', null, checklistErrorMessage(error, args.noteGuid, 'update the checklist'));
+  }
+}
+
+/**
+ * Map checklist tool errors to user-facing messages
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} noteGuid - Note GUID
+ * @param {string} action - Description of the failed action
+ * @returns {string} Error message
+ */
+function checklistErrorMessage(error, noteGuid, action) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  } else if (error.message.includes('not found') || error.message.includes('404')) {
+    return `Note with GUID ${noteGuid} not found or has been deleted.`;
+  } else if (error.message.includes('ENML_VALIDATION')) {
+    return error.enmlErrors ? error.message : 'Evernote rejected the updated checklist as invalid ENML.';
+  } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `Failed to ${action}: ${error.message}`;
+}
+
+module.exports = {
+  getChecklist,
+  updateChecklist,
+  parseChecklist,
+  applyChecklistOperations
+};
@@ -0,0 +1,60 @@
+/**
+ * Evernote MCP Tool: Count Notes
+ * Counts the notes matching a search per notebook and per tag, and in the trash,
+ * using findNoteCounts so a broad search can be narrowed without paging through it
+ */
+
+const { buildNoteFilter, resolveDateRange, validateSearchQuery, invalidSearchQueryMessage, fetchSearchFacets, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { resolveCriteria } = require('./bulkEdit');
+
+/**
+ * Count notes matching search criteria or a cached search, by notebook and tag
+ * @param {Object} args - createSearch criteria, or searchId
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function countNotes(args, tokenData) {
+  logToolInvocation('countNotes', args);
+
+  try {
+    const { args: criteria, dateRange } = await resolveDateRange(resolveCriteria(args), tokenData);
+    const noteFilter = buildNoteFilter(criteria);
+
+    // Same gate as createSearch: malformed queries are errors, text that only looks like an operator is a warning
+    const validation = await validateSearchQuery(noteFilter.words, tokenData);
+    if (!validation.valid) {
+      return createMCPResponse('error', null, invalidSearchQueryMessage(noteFilter.words, validation));
+    }
+
+    console.error('🌐 Calling Evernote findNoteCounts API...');
+    const facets = await fetchSearchFacets(noteFilter, tokenData);
+
+    console.error(`✅ Counted ${facets.totalFound} notes in ${facets.notebooks.length} notebooks`);
+    return createMCPResponse('success', {
+      query: noteFilter.words,
+      ...(dateRange ? { dateRange } : {}),
+      ...facets,
+      ...(validation.warnings.length > 0 ? { warnings: validation.warnings.map(warning => warning.message) } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ countNotes error:', error.message);
+
+    let errorMessage;
+    if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('quota')) {
+      errorMessage = 'Evernote API quota exceeded. Please try again later.';
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to count notes: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+module.exports = {
+  countNotes
+};
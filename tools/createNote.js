@@ -0,0 +1,202 @@
+/**
+ * Evernote MCP Tool: Create Note
+ * Creates a new note from plain text, Markdown or ENML content
+ */
+
+const crypto = require('crypto');
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { contentToEnml, SUPPORTED_INPUT_FORMATS } = require('./enmlWriter');
+const { resolveNotebook, resolveTags } = require('./lookup');
+const { recordSnapshot } = require('./noteSnapshots');
+const Limits = require('../thrift/gen-nodejs/Limits_types');
+
+// Results of completed createNote calls keyed by idempotency key, so a retried
+// call returns the original note instead of creating a duplicate
+const idempotencyCache = new Map();
+
+// Calls still in flight, so concurrent retries wait for the first attempt
+const pendingCreates = new Map();
+
+// Keep idempotency records for 24 hours
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Drop expired idempotency records
+ */
+function pruneIdempotencyCache() {
+  const now = Date.now();
+  for (const [key, entry] of idempotencyCache.entries()) {
+    if (now > entry.expires) {
+      idempotencyCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Hash the arguments that decide which note is created, so a reused idempotency key
+ * can be told apart from a retry of the same call
+ * @param {Object} args - Tool arguments
+ * @returns {string} SHA-256 hex digest of the normalised arguments
+ */
+function fingerprintArgs(args) {
+  const normalised = {
+    title: typeof args.title === 'string' ? args.title.trim() : args.title,
+    body: args.body || '',
+    format: args.format || 'text',
+    notebook: args.notebook ? String(args.notebook).trim().toLowerCase() : null,
+    tags: (args.tags || []).map(tag => String(tag).trim().toLowerCase()).sort()
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(normalised)).digest('hex');
+}
+
+/**
+ * Validate a note title against Evernote's limits
+ * @param {string} title - Note title
+ * @returns {string} Trimmed title
+ */
+function validateTitle(title) {
+  const trimmed = typeof title === 'string' ? title.trim() : '';
+  if (trimmed.length < Limits.EDAM_NOTE_TITLE_LEN_MIN || trimmed.length > Limits.EDAM_NOTE_TITLE_LEN_MAX) {
+    throw new Error(`title must be between ${Limits.EDAM_NOTE_TITLE_LEN_MIN} and ${Limits.EDAM_NOTE_TITLE_LEN_MAX} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Create the note in Evernote
+ * @param {Object} args - Tool arguments
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Created note summary
+ */
+async function performCreateNote(args, tokenData) {
+  const title = validateTitle(args.title);
+  const format = args.format || 'text';
+  const content = contentToEnml(args.body || '', format);
+
+  if (Buffer.byteLength(content, 'utf8') > Limits.EDAM_NOTE_CONTENT_LEN_MAX) {
+    throw new Error(`Note content exceeds the Evernote limit of ${Limits.EDAM_NOTE_CONTENT_LEN_MAX} bytes`);
+  }
+
+  console.error('📚 Resolving notebook:', args.notebook || '(default)');
+  const notebook = await resolveNotebook(args.notebook, tokenData);
+
+  const tags = await resolveTags(args.tags || [], tokenData);
+  if (tags.createdTags.length > 0) {
+    console.error('✅ Created tags:', tags.createdTags.map(tag => tag.name));
+  }
+
+  const requestData = {
+    authenticationToken: tokenData.accessToken,
+    note: {
+      title,
+      content,
+      notebookGuid: notebook.guid,
+      tagGuids: tags.tagGuids
+    }
+  };
+
+  console.error('🌐 Calling Evernote createNote API...');
+  const note = await makeNoteStoreRequest('createNote', requestData, tokenData);
+  console.error('✅ Created note:', note.guid);
+  recordSnapshot({ ...note, content });
+
+  return {
+    guid: note.guid,
+    title: note.title,
+    updateSequenceNum: note.updateSequenceNum,
+    created: note.created ? new Date(note.created).toISOString() : null,
+    notebookGuid: notebook.guid,
+    notebookName: notebook.name,
+    tagGuids: tags.tagGuids,
+    tagNames: tags.tagNames,
+    createdTags: tags.createdTags,
+    format
+  };
+}
+
+/**
+ * Create a new note
+ * @param {Object} args - Arguments containing title, body, format, notebook, tags and idempotencyKey
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function createNote(args, tokenData) {
+  logToolInvocation('createNote', args);
+
+  try {
+    // Validate required parameters
+    if (!args.title) {
+      return createMCPResponse('error', null, 'title is required');
+    }
+
+    const format = args.format || 'text';
+    if (!SUPPORTED_INPUT_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${SUPPORTED_INPUT_FORMATS.join(', ')}`);
+    }
+
+    const key = args.idempotencyKey;
+    if (!key) {
+      return createMCPResponse('success', await performCreateNote(args, tokenData));
+    }
+
+    pruneIdempotencyCache();
+
+    // A key may only be replayed by a call asking for the same note
+    const fingerprint = fingerprintArgs(args);
+    const previous = idempotencyCache.get(key) || pendingCreates.get(key);
+    if (previous && previous.fingerprint !== fingerprint) {
+      return createMCPResponse('error', null, `idempotencyKey "${key}" was already used to create a note with a different title, body, format, notebook or tags. Use a new key for a new note.`);
+    }
+
+    const cached = idempotencyCache.get(key);
+    if (cached) {
+      console.error('♻️ Returning note already created for idempotency key');
+      return createMCPResponse('success', { ...cached.result, idempotencyKey: key, idempotentReplay: true });
+    }
+
+    if (pendingCreates.has(key)) {
+      console.error('⏳ Waiting for in-flight createNote with the same idempotency key');
+      const result = await pendingCreates.get(key).promise;
+      return createMCPResponse('success', { ...result, idempotencyKey: key, idempotentReplay: true });
+    }
+
+    const pending = performCreateNote(args, tokenData);
+    pendingCreates.set(key, { promise: pending, fingerprint });
+
+    try {
+      const result = await pending;
+      idempotencyCache.set(key, {
+        result,
+        fingerprint,
+        expires: Date.now() + IDEMPOTENCY_TTL_MS
+      });
+      return createMCPResponse('success', { ...result, idempotencyKey: key, idempotentReplay: false });
+    } finally {
+      pendingCreates.delete(key);
+    }
+
+  } catch (error) {
+    console.error('❌ createNote error:', error.message);
+
+    // Provide more specific error messages
+    let errorMessage;
+    if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('ENML_VALIDATION')) {
+      errorMessage = error.enmlErrors ? error.message : 'Evernote rejected the note content as invalid ENML.';
+    } else if (error.message.includes('quota') || error.message.includes('QUOTA_REACHED')) {
+      errorMessage = 'Evernote upload quota exceeded. Please try again later.';
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to create note: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+module.exports = {
+  createNote,
+  validateTitle
+};
@@ -5,50 +5,185 @@
 
 const https = require('https');
 const querystring = require('querystring');
-const { createNoteStoreClient, callThriftMethod, closeConnection } = require('../thrift/evernote-client');
+const { createNoteStoreClient, createUserStoreClient, callThriftMethod, closeConnection } = require('../thrift/evernote-client');
+const { assertValidEnml } = require('./enmlValidator');
+const { parseDatePhrase, extractDatePhrase } = require('./searchDates');
+const { parseSearchQuery, describeSearchQuery, searchQueryNames, findMissingNames, RELATIVE_DATE_PATTERN } = require('./searchQuery');
 
 // Check if development mode is enabled
 const DEV_MODE = process.env.DEV_MODE === 'true' || process.env.NODE_ENV === 'development';
 
+// Search arguments understood by buildSearchQuery and buildNoteFilter
+const SEARCH_CRITERIA_FIELDS = [
+  'query', 'notebookName', 'notebookGuid', 'tags', 'intitle', 'todo', 'resource', 'source', 'author',
+  'hasReminder', 'createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore', 'dateRange', 'dateField',
+  'matchAny', 'exclude'
+];
+
+// Search arguments that change how other criteria apply rather than being criteria themselves
+const SEARCH_MODIFIERS = ['matchAny', 'dateField'];
+
+// Filters that any: would turn into alternatives; the grammar has no grouping to keep them outside it,
+// so "any: created:X -created:Y" matches nearly every note
+const MATCH_ANY_CONFLICTS = [
+  'notebookName', 'hasReminder', 'createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore', 'exclude'
+];
+
+// Note dates a dateRange can apply to
+const DATE_FIELDS = ['created', 'updated'];
+
+// Account time zones, by access token; they rarely change and cost a UserStore call
+const timeZoneCache = new Map();
+
+// Values of the todo argument and the todo: search term they produce
+const TODO_STATES = { checked: 'true', unchecked: 'false', any: '*' };
+
+// A plain value ending in a * wildcard; quoting it would make the * literal
+const WILDCARD_VALUE_PATTERN = /^[\w./+-]+\*$/;
+
+/**
+ * Quote a value for the search grammar, escaping backslashes and double quotes
+ * @param {string} value - Notebook, tag, title word, MIME type or other value
+ * @returns {string} Quoted value, or the value as-is when it is a simple wildcard pattern
+ */
+function quoteSearchValue(value) {
+  const text = String(value);
+  if (WILDCARD_VALUE_PATTERN.test(text)) {
+    return text;
+  }
+  return `"${text.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Format a date for created: and updated: terms
+ * @param {string} value - YYYY-MM-DD, an ISO date-time, YYYYMMDD or a relative form such as day-7
+ * @returns {string} YYYYMMDD, YYYYMMDDTHHMMSSZ or the relative form
+ */
+function formatSearchDate(value) {
+  const text = String(value).trim();
+  if (RELATIVE_DATE_PATTERN.test(text) || /^\d{8}(T\d{6}Z?)?$/.test(text)) {
+    return text;
+  }
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}": use YYYY-MM-DD, YYYYMMDD or a relative form such as day-7 or month-1`);
+  }
+  // Plain dates stay calendar dates; anything with a time is converted to UTC
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    return dateOnly.slice(1).join('');
+  }
+  return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+/**
+ * Check whether search arguments contain anything to search for
+ * @param {Object} args - Search arguments
+ * @returns {boolean} True if at least one criterion is set
+ */
+function hasSearchCriteria(args) {
+  return SEARCH_CRITERIA_FIELDS.some(field => {
+    const value = args[field];
+    if (SEARCH_MODIFIERS.includes(field) || value === undefined || value === null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (field === 'exclude') return typeof value === 'object' && Object.keys(value).length > 0;
+    return true;
+  });
+}
+
 /**
  * Build Evernote search query string using search grammar
  * @param {Object} args - Search arguments
  * @returns {string} Formatted search query
  */
 function buildSearchQuery(args) {
-  let searchTerms = [];
+  const searchTerms = [];
+  const exclude = args.exclude || {};
+  const values = value => (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+  const addTerms = (field, value, negate = false) => {
+    values(value).forEach(item => searchTerms.push(`${negate ? '-' : ''}${field}:${quoteSearchValue(item)}`));
+  };
   
-  // Add main query if provided
+  // any: must lead the query and makes every remaining term an alternative, filters included
+  if (args.matchAny) {
+    const conflicts = MATCH_ANY_CONFLICTS.filter(field => hasSearchCriteria({ [field]: args[field] }));
+    if (conflicts.length > 0) {
+      throw new Error(`matchAny only applies to query words, tags, intitle, todo, resource, source and author; it cannot be combined with ${conflicts.join(', ')} (use notebookGuid to limit an any: search to a notebook)`);
+    }
+    searchTerms.push('any:');
+  }
+  
+  // Add main query if provided; it is passed through as written so it may use the grammar itself
   if (args.query) {
     searchTerms.push(args.query);
   }
+  values(exclude.words).forEach(word => searchTerms.push(`-${quoteSearchValue(word)}`));
   
   // Add notebook filter
   if (args.notebookName) {
-    searchTerms.push(`notebook:"${args.notebookName}"`);
+    searchTerms.push(`notebook:${quoteSearchValue(args.notebookName)}`);
   }
   
-  // Add tag filters
-  if (args.tags && Array.isArray(args.tags)) {
-    args.tags.forEach(tag => {
-      searchTerms.push(`tag:"${tag}"`);
-    });
+  // Add tag, title, attachment type, source and author filters, and their negations
+  addTerms('tag', args.tags);
+  addTerms('tag', exclude.tags, true);
+  addTerms('intitle', args.intitle);
+  addTerms('intitle', exclude.intitle, true);
+  addTerms('resource', args.resource);
+  addTerms('resource', exclude.resource, true);
+  addTerms('source', args.source);
+  addTerms('source', exclude.source, true);
+  addTerms('author', args.author);
+  addTerms('author', exclude.author, true);
+  
+  // Add checklist and reminder filters
+  if (args.todo !== undefined) {
+    if (!TODO_STATES[args.todo]) {
+      throw new Error(`todo must be one of: ${Object.keys(TODO_STATES).join(', ')}`);
+    }
+    searchTerms.push(`todo:${TODO_STATES[args.todo]}`);
+  }
+  if (args.hasReminder !== undefined) {
+    searchTerms.push(args.hasReminder ? 'reminderOrder:*' : '-reminderOrder:*');
   }
   
-  // Add date range filters
+  // Add date range filters; a negated term matches notes before the date
   if (args.createdAfter) {
-    const date = new Date(args.createdAfter).toISOString().split('T')[0];
-    searchTerms.push(`created:${date}`);
+    searchTerms.push(`created:${formatSearchDate(args.createdAfter)}`);
+  }
+  if (args.createdBefore) {
+    searchTerms.push(`-created:${formatSearchDate(args.createdBefore)}`);
   }
-  
   if (args.updatedAfter) {
-    const date = new Date(args.updatedAfter).toISOString().split('T')[0];
-    searchTerms.push(`updated:${date}`);
+    searchTerms.push(`updated:${formatSearchDate(args.updatedAfter)}`);
+  }
+  if (args.updatedBefore) {
+    searchTerms.push(`-updated:${formatSearchDate(args.updatedBefore)}`);
   }
   
   return searchTerms.join(' ');
 }
 
+/**
+ * Build the NoteFilter for a set of search arguments
+ * @param {Object} args - Search arguments
+ * @returns {Object} NoteFilter for findNotesMetadata
+ */
+function buildNoteFilter(args) {
+  const noteFilter = {
+    words: buildSearchQuery(args),
+    inactive: false // Only search active notes (not in trash)
+  };
+  
+  // Add notebook GUID if provided
+  if (args.notebookGuid) {
+    noteFilter.notebookGuid = args.notebookGuid;
+  }
+  
+  return noteFilter;
+}
+
 /**
  * Make authenticated request to Evernote NoteStore API using Thrift protocol
  * @param {string} method - Thrift method name (e.g., 'findNotesMetadata')
@@ -63,6 +198,11 @@ async function makeNoteStoreRequest(method, data, tokenData) {
     throw new Error('Note store URL not available in token data');
   }
   
+  // Catch invalid ENML here, where we can say what is wrong, rather than from Evernote's bare ENML_VALIDATION
+  if (['createNote', 'updateNote', 'updateNoteIfUsnMatches'].includes(method) && data.note && typeof data.note.content === 'string') {
+    assertValidEnml(data.note.content);
+  }
+  
   console.error(`🔧 Thrift API call: ${method}`);
   logEvernoteRequest(method, data);
   
@@ -94,6 +234,54 @@ async function makeNoteStoreRequest(method, data, tokenData) {
       case 'getNotebook':
         params.push(data.guid);
         break;
+      case 'createNote':
+      case 'updateNote':
+      case 'updateNoteIfUsnMatches':
+        params.push(data.note);
+        break;
+      case 'listNotebooks':
+      case 'getDefaultNotebook':
+        // No additional parameters needed
+        break;
+      case 'createTag':
+        params.push(data.tag);
+        break;
+      case 'deleteNote':
+        params.push(data.guid);
+        break;
+      case 'expungeNote':
+        params.push(data.guid);
+        break;
+      case 'findNoteCounts':
+        params.push(data.filter, data.withTrash);
+        break;
+      case 'createNotebook':
+        params.push(data.notebook);
+        break;
+      case 'updateNotebook':
+        params.push(data.notebook);
+        break;
+      case 'updateTag':
+        params.push(data.tag);
+        break;
+      case 'expungeTag':
+        params.push(data.guid);
+        break;
+      case 'getResource':
+        params.push(data.guid, data.withData, data.withRecognition, data.withAttributes, data.withAlternateData);
+        break;
+      case 'getResourceData':
+        params.push(data.guid);
+        break;
+      case 'getResourceByHash':
+        params.push(data.noteGuid, data.contentHash, data.withData, data.withRecognition, data.withAlternateData);
+        break;
+      case 'listNoteVersions':
+        params.push(data.noteGuid);
+        break;
+      case 'getNoteVersion':
+        params.push(data.noteGuid, data.updateSequenceNum, data.withResourcesData, data.withResourcesRecognition, data.withResourcesAlternateData);
+        break;
       default:
         // For other methods, pass all data fields as parameters
         Object.keys(data).forEach(key => {
@@ -172,6 +360,220 @@ async function makeNoteStoreRequest(method, data, tokenData) {
   }
 }
 
+/**
+ * Make authenticated request to Evernote UserStore API using Thrift protocol
+ * @param {string} method - Thrift method name (e.g., 'getUser')
+ * @param {Object} data - Request data containing the auth token
+ * @param {Object} tokenData - OAuth token data
+ * @returns {Promise<Object>} API response
+ */
+async function makeUserStoreRequest(method, data, tokenData) {
+  // The UserStore is served from the same host as the note store
+  const noteStoreUrl = tokenData.edamNoteStoreUrl;
+  if (!noteStoreUrl) {
+    throw new Error('Note store URL not available in token data');
+  }
+
+  console.error(`🔧 Thrift API call: ${method}`);
+  logEvernoteRequest(method, data);
+
+  let connection = null;
+  try {
+    connection = createUserStoreClient(noteStoreUrl);
+    const response = await callThriftMethod(connection, method, [data.authenticationToken]);
+    logEvernoteResponse(method, response, 200);
+    return response;
+  } catch (error) {
+    console.error(`❌ Thrift call ${method} failed:`, error.message);
+    throw new Error(`Thrift API Error: ${error.message}`);
+  } finally {
+    if (connection) {
+      closeConnection(connection);
+    }
+  }
+}
+
+/**
+ * Look up the time zone set in the user's Evernote account.
+ * Falls back to the server's time zone when the account has none or the lookup fails.
+ * @param {Object} tokenData - OAuth token data
+ * @returns {Promise<Object>} { timeZone, source } where source is 'account' or 'server'
+ */
+async function getAccountTimeZone(tokenData) {
+  if (timeZoneCache.has(tokenData.accessToken)) {
+    return timeZoneCache.get(tokenData.accessToken);
+  }
+
+  let result = { timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC', source: 'server' };
+  try {
+    const user = await makeUserStoreRequest('getUser', { authenticationToken: tokenData.accessToken }, tokenData);
+    if (user && user.timezone) {
+      // Throws for zone names this runtime does not know
+      new Intl.DateTimeFormat('en-US', { timeZone: user.timezone });
+      result = { timeZone: user.timezone, source: 'account' };
+    }
+  } catch (error) {
+    console.error(`⚠️ Could not read the account time zone, using ${result.timeZone}:`, error.message);
+  }
+
+  timeZoneCache.set(tokenData.accessToken, result);
+  return result;
+}
+
+/**
+ * Turn a dateRange argument, or a date phrase in the query, into created/updated bounds.
+ * Explicit createdAfter/createdBefore (or updated) arguments take precedence over the phrase.
+ * @param {Object} args - Search arguments
+ * @param {Object} tokenData - OAuth token data
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current instant (default: now)
+ * @returns {Promise<Object>} { args, dateRange } with the bounds applied and the interpreted range, or null
+ */
+async function resolveDateRange(args, tokenData, { now = new Date() } = {}) {
+  const field = args.dateField || 'created';
+  if (!DATE_FIELDS.includes(field)) {
+    throw new Error(`dateField must be one of: ${DATE_FIELDS.join(', ')}`);
+  }
+
+  // Check for a phrase before spending a UserStore call on the time zone
+  if (args.dateRange) {
+    if (!parseDatePhrase(args.dateRange, { now })) {
+      throw new Error(`Could not understand dateRange "${args.dateRange}". Try phrases such as "last week", "since March", "yesterday", "Q2 2025" or "between 2025-01-01 and 2025-03-31"`);
+    }
+  } else if (!args.query || !extractDatePhrase(args.query, { now })) {
+    return { args, dateRange: null };
+  }
+
+  const { timeZone, source } = await getAccountTimeZone(tokenData);
+  const options = { now, timeZone };
+  let range;
+  let query = args.query;
+  if (args.dateRange) {
+    range = parseDatePhrase(args.dateRange, options);
+  } else {
+    const found = extractDatePhrase(args.query, options);
+    range = found.range;
+    query = found.query;
+  }
+
+  const resolved = { ...args, query };
+  if (range.after && !args[`${field}After`]) {
+    resolved[`${field}After`] = range.after;
+  }
+  if (range.before && !args[`${field}Before`]) {
+    resolved[`${field}Before`] = range.before;
+  }
+
+  console.error(`📅 Interpreted "${range.phrase}" as ${range.from || '…'} to ${range.to || '…'} (${timeZone})`);
+  return {
+    args: resolved,
+    dateRange: { ...range, field, timeZone, timeZoneSource: source }
+  };
+}
+
+/**
+ * Parse and check a search query before it is sent to Evernote.
+ * Syntax problems are errors; notebooks and tags that match nothing in the account are reported
+ * separately, since such a query is well formed but cannot match anything.
+ * @param {string} query - Search query in the Evernote search grammar
+ * @param {Object} tokenData - OAuth token data
+ * @returns {Promise<Object>} { valid, matchAny, terms, description, errors, warnings, missingNotebooks, missingTags }
+ */
+async function validateSearchQuery(query, tokenData) {
+  const parsed = parseSearchQuery(query);
+  const names = searchQueryNames(parsed);
+  const warnings = [...parsed.warnings];
+  let missingNotebooks = [];
+  let missingTags = [];
+
+  // Only list notebooks and tags when the query names some
+  try {
+    if (names.notebooks.length > 0) {
+      const notebooks = await makeNoteStoreRequest('listNotebooks', { authenticationToken: tokenData.accessToken }, tokenData);
+      missingNotebooks = findMissingNames(names.notebooks, (notebooks || []).map(notebook => notebook.name));
+    }
+    if (names.tags.length > 0) {
+      const tags = await makeNoteStoreRequest('listTags', { authenticationToken: tokenData.accessToken }, tokenData);
+      missingTags = findMissingNames(names.tags, (tags || []).map(tag => tag.name));
+    }
+  } catch (error) {
+    console.error('⚠️ Could not check notebook and tag names:', error.message);
+    warnings.push({ column: 1, message: `Notebook and tag names were not checked: ${error.message}` });
+  }
+
+  missingNotebooks.forEach(name => warnings.push({ column: 1, message: `No notebook matches "${name}"` }));
+  missingTags.forEach(name => warnings.push({ column: 1, message: `No tag matches "${name}"` }));
+
+  return {
+    valid: parsed.errors.length === 0,
+    matchAny: parsed.matchAny,
+    terms: parsed.terms,
+    description: describeSearchQuery(parsed),
+    errors: parsed.errors,
+    warnings,
+    missingNotebooks,
+    missingTags
+  };
+}
+
+/**
+ * Describe why validateSearchQuery rejected a query, for the error response of a tool that runs it
+ * @param {string} query - Search query as sent to Evernote
+ * @param {Object} validation - Result of validateSearchQuery
+ * @returns {string} Error message naming each problem and its column
+ */
+function invalidSearchQueryMessage(query, validation) {
+  const problems = validation.errors.map(error => `column ${error.column}: ${error.message}`);
+  return `Invalid search query "${query}": ${problems.join('; ')}`;
+}
+
+/**
+ * Count the notes matching a filter per notebook and per tag, and in the trash.
+ * Names come from listNotebooks and listTags; linked notebooks and tags from other
+ * accounts are not in those lists, so their names are null.
+ * @param {Object} noteFilter - NoteFilter from buildNoteFilter
+ * @param {Object} tokenData - OAuth token data
+ * @returns {Promise<Object>} { totalFound, notebooks, tags, trashCount }, facets sorted by count
+ */
+async function fetchSearchFacets(noteFilter, tokenData) {
+  const counts = await makeNoteStoreRequest('findNoteCounts', {
+    authenticationToken: tokenData.accessToken,
+    filter: noteFilter,
+    withTrash: true
+  }, tokenData);
+  const notebookCounts = counts.notebookCounts || {};
+  const tagCounts = counts.tagCounts || {};
+
+  let notebooks = [];
+  let tags = [];
+  try {
+    if (Object.keys(notebookCounts).length > 0) {
+      notebooks = await makeNoteStoreRequest('listNotebooks', { authenticationToken: tokenData.accessToken }, tokenData) || [];
+    }
+    if (Object.keys(tagCounts).length > 0) {
+      tags = await makeNoteStoreRequest('listTags', { authenticationToken: tokenData.accessToken }, tokenData) || [];
+    }
+  } catch (error) {
+    console.error('⚠️ Could not resolve notebook and tag names for counts:', error.message);
+  }
+
+  const facets = (countsByGuid, items, describe) => {
+    const byGuid = new Map(items.map(item => [item.guid, item]));
+    return Object.entries(countsByGuid)
+      .filter(([, count]) => count > 0)
+      .map(([guid, count]) => ({ guid, ...describe(byGuid.get(guid) || {}), count }))
+      .sort((a, b) => b.count - a.count || String(a.name || '').localeCompare(String(b.name || '')));
+  };
+
+  // Every active note is in exactly one notebook, so the notebook counts add up to the total
+  return {
+    totalFound: Object.values(notebookCounts).reduce((sum, count) => sum + count, 0),
+    notebooks: facets(notebookCounts, notebooks, notebook => ({ name: notebook.name || null, stack: notebook.stack || null })),
+    tags: facets(tagCounts, tags, tag => ({ name: tag.name || null })),
+    trashCount: counts.trashCount || 0
+  };
+}
+
 /**
  * Redact sensitive information from objects for logging
  * @param {Object} obj - Object to redact
@@ -192,6 +594,7 @@ function redactSensitiveInfo(obj) {
         lowerKey.includes('secret') || 
         lowerKey.includes('key') || 
         lowerKey.includes('password') || 
+        lowerKey.includes('passphrase') || 
         lowerKey.includes('auth')) {
       redacted[key] = value ? `[REDACTED:${value.toString().length}chars]` : value;
     } else if (typeof value === 'object' && value !== null) {
@@ -269,9 +672,10 @@ function logEvernoteResponse(endpoint, responseData, statusCode) {
  * @param {string} status - 'success' or 'error'
  * @param {Object} data - Response data (null for errors)
  * @param {string} error - Error message (null for success)
+ * @param {Object} options - { sensitive: true } keeps the data out of the log even in dev mode
  * @returns {Object} Standardized response
  */
-function createMCPResponse(status, data = null, error = null) {
+function createMCPResponse(status, data = null, error = null, options = {}) {
   const response = {
     status,
     timestamp: new Date().toISOString(),
@@ -279,7 +683,7 @@ function createMCPResponse(status, data = null, error = null) {
     error
   };
   
-  if (DEV_MODE) {
+  if (DEV_MODE && !options.sensitive) {
     console.error(`📤 MCP Response:`, JSON.stringify(response, null, 2));
   } else {
     console.error(`📤 MCP Response: ${status} (${data ? 'with data' : error ? 'with error' : 'empty'})`);
@@ -297,24 +701,23 @@ async function createSearch(args, tokenData) {
   logToolInvocation('createSearch', args);
   
   // Validate required parameters
-  if (!args.query && !args.notebookName && !args.tags) {
-    throw new Error('At least one search criteria must be provided (query, notebookName, or tags)');
+  if (!hasSearchCriteria(args)) {
+    throw new Error('At least one search criteria must be provided (query, notebookName, tags or another filter)');
   }
   
   try {
-    // Build search query using Evernote search grammar
-    const searchQuery = buildSearchQuery(args);
-    console.error('📝 Built search query:', searchQuery);
+    // Turn a dateRange, or a date phrase in the query, into created/updated bounds
+    const { args: searchArgs, dateRange } = await resolveDateRange(args, tokenData);
     
-    // Prepare NoteFilter for the API call
-    const noteFilter = {
-      words: searchQuery,
-      inactive: false // Only search active notes (not in trash)
-    };
+    // Build NoteFilter using Evernote search grammar
+    const noteFilter = buildNoteFilter(searchArgs);
+    const searchQuery = noteFilter.words;
+    console.error('📝 Built search query:', searchQuery);
     
-    // Add notebook GUID if provided
-    if (args.notebookGuid) {
-      noteFilter.notebookGuid = args.notebookGuid;
+    // Reject malformed queries here, where we can say what is wrong, rather than returning no matches
+    const validation = await validateSearchQuery(searchQuery, tokenData);
+    if (!validation.valid) {
+      return createMCPResponse('error', null, invalidSearchQueryMessage(searchQuery, validation));
     }
     
     // Prepare request parameters
@@ -379,6 +782,18 @@ async function createSearch(args, tokenData) {
       offset: offset,
       maxResults: maxResults
     };
+    if (dateRange) {
+      // Show what the date phrase was taken to mean
+      responseData.dateRange = dateRange;
+    }
+    if (validation.warnings.length > 0) {
+      // Unknown notebook or tag names usually explain an empty result
+      responseData.warnings = validation.warnings.map(warning => warning.message);
+    }
+    if (args.includeFacets) {
+      const { notebooks, tags, trashCount } = await fetchSearchFacets(noteFilter, tokenData);
+      responseData.facets = { notebooks, tags, trashCount };
+    }
     
     return createMCPResponse('success', responseData);
     
@@ -406,7 +821,18 @@ async function createSearch(args, tokenData) {
 module.exports = {
   createSearch,
   buildSearchQuery,
+  buildNoteFilter,
+  quoteSearchValue,
+  formatSearchDate,
+  hasSearchCriteria,
+  resolveDateRange,
+  getAccountTimeZone,
+  validateSearchQuery,
+  invalidSearchQueryMessage,
+  fetchSearchFacets,
+  SEARCH_CRITERIA_FIELDS,
   makeNoteStoreRequest,
+  makeUserStoreRequest,
   logToolInvocation,
   createMCPResponse,
   redactSensitiveInfo,
@@ -0,0 +1,214 @@
+/**
+ * Diff and three-way merge helpers
+ * Line/block-level diffing used for note merges and version comparisons
+ */
+
+// Above this many cells the LCS table gets too large to hold in memory, so the
+// differing middle section is reported as a single replacement instead
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Split an ENML body into blocks that can be diffed and re-joined losslessly.
+ * A block ends after a closing block-level tag, a line break, or a newline.
+ * @param {string} enml - ENML body fragment
+ * @returns {Array<string>} Blocks whose concatenation equals the input
+ */
+function splitEnmlBlocks(enml) {
+  if (!enml) return [];
+  return enml
+    .split(/(?<=<\/(?:div|p|li|h[1-6]|tr|table|ul|ol|pre|blockquote|en-crypt)>|<br\s*\/?>|<hr\s*\/?>|\n)/i)
+    .filter(block => block.length > 0);
+}
+
+/**
+ * Compute the regions where two sequences differ
+ * @param {Array<string>} a - Original sequence
+ * @param {Array<string>} b - Changed sequence
+ * @returns {Array<Object>} Hunks of the form { aStart, aEnd, bStart, bEnd }
+ */
+function diffSequences(a, b) {
+  // Common prefix and suffix never need the LCS table
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const aMid = a.slice(prefix, a.length - suffix);
+  const bMid = b.slice(prefix, b.length - suffix);
+  const n = aMid.length;
+  const m = bMid.length;
+
+  if (n === 0 && m === 0) {
+    return [];
+  }
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return [{ aStart: prefix, aEnd: prefix + n, bStart: prefix, bEnd: prefix + m }];
+  }
+
+  // lengths[i * (m + 1) + j] = LCS length of aMid[i..] and bMid[j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = aMid[i] === bMid[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let current = null;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && aMid[i] === bMid[j]) {
+      if (current) {
+        hunks.push(current);
+        current = null;
+      }
+      i++;
+      j++;
+      continue;
+    }
+    if (!current) {
+      current = { aStart: prefix + i, aEnd: prefix + i, bStart: prefix + j, bEnd: prefix + j };
+    }
+    if (j < m && (i >= n || lengths[i * width + j + 1] >= lengths[(i + 1) * width + j])) {
+      j++;
+      current.bEnd = prefix + j;
+    } else {
+      i++;
+      current.aEnd = prefix + i;
+    }
+  }
+  if (current) {
+    hunks.push(current);
+  }
+
+  return hunks;
+}
+
+/**
+ * Produce a line-level diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Object} { hunks, added, removed, unified }
+ */
+function diffLines(oldText, newText) {
+  const oldLines = (oldText || '').split('\n');
+  const newLines = (newText || '').split('\n');
+  const hunks = diffSequences(oldLines, newLines);
+
+  let added = 0;
+  let removed = 0;
+  const unified = [];
+
+  for (const hunk of hunks) {
+    removed += hunk.aEnd - hunk.aStart;
+    added += hunk.bEnd - hunk.bStart;
+    unified.push(`@@ -${hunk.aStart + 1},${hunk.aEnd - hunk.aStart} +${hunk.bStart + 1},${hunk.bEnd - hunk.bStart} @@`);
+    oldLines.slice(hunk.aStart, hunk.aEnd).forEach(line => unified.push(`-${line}`));
+    newLines.slice(hunk.bStart, hunk.bEnd).forEach(line => unified.push(`+${line}`));
+  }
+
+  return {
+    hunks: hunks.map(hunk => ({
+      oldStart: hunk.aStart + 1,
+      oldLines: oldLines.slice(hunk.aStart, hunk.aEnd),
+      newStart: hunk.bStart + 1,
+      newLines: newLines.slice(hunk.bStart, hunk.bEnd)
+    })),
+    added,
+    removed,
+    unified: unified.join('\n')
+  };
+}
+
+/**
+ * Three-way merge of two edited sequences against their common base
+ * @param {Array<string>} base - Common ancestor
+ * @param {Array<string>} ours - Our edited version
+ * @param {Array<string>} theirs - Their edited version
+ * @returns {Object} { clean, merged, conflicts }
+ */
+function diff3Merge(base, ours, theirs) {
+  const hunks = [
+    ...diffSequences(base, ours).map(hunk => ({ ...hunk, side: 'ours' })),
+    ...diffSequences(base, theirs).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((x, y) => x.aStart - y.aStart || (x.side === 'ours' ? -1 : 1));
+
+  const merged = [];
+  const conflicts = [];
+  let baseIndex = 0;
+  let h = 0;
+
+  while (h < hunks.length) {
+    // Group hunks that touch or overlap the same base region
+    const group = [hunks[h]];
+    let groupStart = hunks[h].aStart;
+    let groupEnd = hunks[h].aEnd;
+    h++;
+    while (h < hunks.length && hunks[h].aStart <= groupEnd) {
+      group.push(hunks[h]);
+      groupEnd = Math.max(groupEnd, hunks[h].aEnd);
+      h++;
+    }
+
+    merged.push(...base.slice(baseIndex, groupStart));
+
+    const sideContent = (side, sequence) => {
+      const sideHunks = group.filter(hunk => hunk.side === side);
+      if (sideHunks.length === 0) {
+        return null;
+      }
+      const first = sideHunks[0];
+      const last = sideHunks[sideHunks.length - 1];
+      const start = first.bStart - (first.aStart - groupStart);
+      const end = last.bEnd + (groupEnd - last.aEnd);
+      return sequence.slice(start, end);
+    };
+
+    const oursContent = sideContent('ours', ours);
+    const theirsContent = sideContent('theirs', theirs);
+    const baseContent = base.slice(groupStart, groupEnd);
+
+    if (theirsContent === null) {
+      merged.push(...oursContent);
+    } else if (oursContent === null) {
+      merged.push(...theirsContent);
+    } else if (oursContent.join('\u0000') === theirsContent.join('\u0000')) {
+      merged.push(...oursContent);
+    } else {
+      conflicts.push({
+        baseStart: groupStart,
+        base: baseContent,
+        ours: oursContent,
+        theirs: theirsContent
+      });
+      // Keep their version in place so the merged sequence stays well-formed
+      merged.push(...theirsContent);
+    }
+
+    baseIndex = groupEnd;
+  }
+
+  merged.push(...base.slice(baseIndex));
+
+  return {
+    clean: conflicts.length === 0,
+    merged,
+    conflicts
+  };
+}
+
+module.exports = {
+  splitEnmlBlocks,
+  diffSequences,
+  diffLines,
+  diff3Merge
+};
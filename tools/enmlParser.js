@@ -0,0 +1,241 @@
+/**
+ * ENML Parser
+ * Streaming SAX-style tokenizer for ENML. Emits open tag, close tag and text
+ * events in a single pass so converters can build their output without
+ * rewriting the whole document several times.
+ */
+
+// Elements that never have content; HTML output writes them without a closing tag
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'area', 'col', 'en-media', 'en-todo']);
+
+// XHTML named entities that turn up in ENML; anything else is left as written
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  mdash: '—', ndash: '–', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±', times: '×',
+  divide: '÷', euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§',
+  para: '¶', shy: '\u00ad', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', larr: '←',
+  rarr: '→', uarr: '↑', darr: '↓', harr: '↔', hearts: '♥', check: '✓'
+};
+
+const ENTITY_PATTERN = /&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);/g;
+const ATTRIBUTE_PATTERN = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Decode character and entity references in one pass, so "&amp;lt;" becomes "&lt;" and not "<"
+ * @param {string} text - Escaped text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  if (!text || !text.includes('&')) {
+    return text || '';
+  }
+  return text.replace(ENTITY_PATTERN, (reference, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : reference;
+  });
+}
+
+/**
+ * Parse the attribute portion of a start tag
+ * @param {string} source - Text between the tag name and the closing ">"
+ * @returns {Object} Attribute values keyed by name, decoded
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1]] = value === undefined ? '' : decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Find the ">" that ends a start tag, skipping any inside quoted attribute values
+ * @param {string} buffer - Buffered input
+ * @param {number} from - Index just after "<"
+ * @returns {number} Index of ">", or -1 if the tag is not complete yet
+ */
+function findTagEnd(buffer, from) {
+  let quote = null;
+  for (let i = from; i < buffer.length; i++) {
+    const char = buffer[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Create a streaming ENML parser.
+ * Handlers receive positions as absolute offsets into the full input:
+ *   onOpenTag(name, attributes, { selfClosing, start, end })
+ *   onCloseTag(name, { selfClosing, start, end }) - also called straight after a self-closing tag
+ *   onText(text, { start, end }) - text with entities decoded; CDATA is passed through as text
+ * The XML declaration, DOCTYPE, processing instructions, comments and whitespace
+ * outside the root element are skipped.
+ * @param {Object} handlers - Event callbacks; any may be omitted
+ * @returns {Object} Parser with write(chunk) and end() methods
+ */
+function createEnmlParser(handlers = {}) {
+  let buffer = '';
+  let offset = 0; // Absolute position of buffer[0]
+  let ended = false;
+  let depth = 0; // Open elements; text outside the root element is only prolog whitespace
+
+  const emitText = (raw, start, decode = true) => {
+    if (raw && depth > 0 && handlers.onText) {
+      handlers.onText(decode ? decodeEntities(raw) : raw, { start, end: start + raw.length });
+    }
+  };
+
+  // Consume as many complete tokens as the buffer holds
+  const drain = () => {
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      const lt = buffer.indexOf('<', pos);
+
+      // Text runs to the next "<"; hold it back until we know it is complete so entities are not split
+      if (lt === -1) {
+        if (!ended) {
+          break;
+        }
+        emitText(buffer.slice(pos), offset + pos);
+        pos = buffer.length;
+        break;
+      }
+      if (lt > pos) {
+        emitText(buffer.slice(pos, lt), offset + pos);
+        pos = lt;
+      }
+
+      let close;
+      if (buffer.startsWith('<!--', pos)) {
+        close = buffer.indexOf('-->', pos + 4);
+        if (close === -1) break;
+        pos = close + 3;
+      } else if (buffer.startsWith('<![CDATA[', pos)) {
+        close = buffer.indexOf(']]>', pos + 9);
+        if (close === -1) break;
+        emitText(buffer.slice(pos + 9, close), offset + pos + 9, false);
+        pos = close + 3;
+      } else if (buffer.startsWith('<?', pos)) {
+        close = buffer.indexOf('?>', pos + 2);
+        if (close === -1) break;
+        pos = close + 2;
+      } else if (buffer.startsWith('<!', pos)) {
+        // DOCTYPE, possibly with an internal subset in brackets
+        const bracket = buffer.indexOf('[', pos);
+        close = buffer.indexOf('>', pos);
+        if (bracket !== -1 && (close === -1 || bracket < close)) {
+          close = buffer.indexOf(']>', bracket);
+          if (close !== -1) close += 1;
+        }
+        if (close === -1) break;
+        pos = close + 1;
+      } else if (buffer[pos + 1] === '/') {
+        close = buffer.indexOf('>', pos + 2);
+        if (close === -1) break;
+        const name = buffer.slice(pos + 2, close).trim().toLowerCase();
+        depth = Math.max(depth - 1, 0);
+        if (handlers.onCloseTag) {
+          handlers.onCloseTag(name, { selfClosing: false, start: offset + pos, end: offset + close + 1 });
+        }
+        pos = close + 1;
+      } else if (/[a-zA-Z]/.test(buffer[pos + 1] || '')) {
+        close = findTagEnd(buffer, pos + 1);
+        if (close === -1) break;
+        const body = buffer.slice(pos + 1, close);
+        const selfClosing = body.endsWith('/');
+        const nameEnd = body.search(/[\s/]|$/);
+        const name = body.slice(0, nameEnd).toLowerCase();
+        const attributes = parseAttributes(body.slice(nameEnd, selfClosing ? -1 : undefined));
+        const position = { selfClosing, start: offset + pos, end: offset + close + 1 };
+        if (!selfClosing) {
+          depth++;
+        }
+        if (handlers.onOpenTag) {
+          handlers.onOpenTag(name, attributes, position);
+        }
+        if (selfClosing && handlers.onCloseTag) {
+          handlers.onCloseTag(name, position);
+        }
+        pos = close + 1;
+      } else if (pos + 1 < buffer.length || ended) {
+        // A stray "<" that does not start markup is kept as text
+        emitText('<', offset + pos, false);
+        pos += 1;
+      } else {
+        break;
+      }
+    }
+
+    if (ended && pos < buffer.length) {
+      // Unterminated markup at the end of input; keep it visible rather than dropping it
+      emitText(buffer.slice(pos), offset + pos, false);
+      pos = buffer.length;
+    }
+
+    buffer = buffer.slice(pos);
+    offset += pos;
+  };
+
+  return {
+    /**
+     * Feed more ENML to the parser
+     * @param {string} chunk - Next piece of input
+     * @returns {Object} The parser, for chaining
+     */
+    write(chunk) {
+      if (ended) {
+        throw new Error('Cannot write to an ENML parser after end()');
+      }
+      buffer += chunk;
+      drain();
+      return this;
+    },
+
+    /**
+     * Flush any buffered input
+     * @returns {Object} The parser
+     */
+    end() {
+      ended = true;
+      drain();
+      return this;
+    }
+  };
+}
+
+/**
+ * Parse a complete ENML document
+ * @param {string} enml - ENML content
+ * @param {Object} handlers - Event callbacks as for createEnmlParser
+ */
+function parseEnml(enml, handlers) {
+  createEnmlParser(handlers).write(enml || '').end();
+}
+
+module.exports = {
+  VOID_ELEMENTS,
+  decodeEntities,
+  parseAttributes,
+  createEnmlParser,
+  parseEnml
+};
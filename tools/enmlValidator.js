@@ -0,0 +1,208 @@
+/**
+ * ENML Validator
+ * Checks ENML against the rules of the ENML 2 DTD before it is sent to Evernote,
+ * so a bad note is reported with line and column instead of a bare ENML_VALIDATION
+ */
+
+const { parseEnml } = require('./enmlParser');
+
+// Elements declared by http://xml.evernote.com/pub/enml2.dtd
+const ALLOWED_ELEMENTS = new Set([
+  'en-note', 'en-crypt', 'en-todo', 'en-media',
+  'a', 'abbr', 'acronym', 'address', 'area', 'b', 'bdo', 'big', 'blockquote', 'br',
+  'caption', 'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'dfn', 'div',
+  'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins',
+  'kbd', 'li', 'map', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strike',
+  'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr',
+  'tt', 'u', 'ul', 'var', 'xmp'
+]);
+
+// Forbidden elements whose content is code or form state rather than note text
+const STRIPPED_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'noframes', 'object', 'embed', 'applet',
+  'param', 'noscript', 'head', 'meta', 'link', 'base', 'basefont', 'bgsound', 'select',
+  'option', 'optgroup', 'textarea', 'button', 'input', 'isindex', 'xml', 'plaintext'
+]);
+
+// Attributes the DTD forbids on every element
+const FORBIDDEN_ATTRIBUTES = new Set(['id', 'class', 'accesskey', 'data', 'dynsrc', 'tabindex']);
+
+// Most problems listed in a thrown validation error
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Check whether an attribute is forbidden in ENML
+ * @param {string} name - Attribute name
+ * @param {string} value - Decoded attribute value
+ * @returns {string|null} Reason the attribute is not allowed, or null if it is
+ */
+function forbiddenAttributeReason(name, value) {
+  const lower = name.toLowerCase();
+  if (FORBIDDEN_ATTRIBUTES.has(lower)) {
+    return `attribute "${name}" is not allowed in ENML`;
+  }
+  if (lower.startsWith('on')) {
+    return `event handler attribute "${name}" is not allowed in ENML`;
+  }
+  if ((lower === 'href' || lower === 'src') && /^\s*(javascript|vbscript|data):/i.test(value || '')) {
+    return `${lower} with a script or data URL is not allowed in ENML`;
+  }
+  return null;
+}
+
+/**
+ * Build a function that maps string offsets to 1-based line and column
+ * @param {string} text - Source text
+ * @returns {Function} (offset) => { line, column }
+ */
+function createLocator(text) {
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Validate an ENML document
+ * @param {string} enml - Complete ENML document
+ * @returns {Object} { valid, errors: [{ line, column, message }] }
+ */
+function validateEnml(enml) {
+  const source = String(enml || '');
+  const locate = createLocator(source);
+  const errors = [];
+  const stack = [];
+  let rootSeen = false;
+  let rootClosed = false;
+
+  const report = (offset, message) => errors.push({ ...locate(offset), message });
+
+  // The XML prolog is not visible through the parser, so check it directly
+  if (!/<!DOCTYPE\s+en-note\b/i.test(source)) {
+    report(0, 'missing <!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd"> declaration');
+  }
+
+  const checkAmpersands = (raw, start) => {
+    const bare = /&(?!#[0-9]+;|#x[0-9a-fA-F]+;|[a-zA-Z][a-zA-Z0-9]*;)/g;
+    let match;
+    while ((match = bare.exec(raw)) !== null) {
+      report(start + match.index, 'unescaped "&" (use &amp;)');
+    }
+  };
+
+  parseEnml(source, {
+    onOpenTag(name, attributes, { selfClosing, start, end }) {
+      if (rootClosed) {
+        report(start, `<${name}> appears after </en-note>; everything must be inside the en-note root`);
+      } else if (!rootSeen) {
+        rootSeen = true;
+        if (name !== 'en-note') {
+          report(start, `root element must be <en-note>, found <${name}>`);
+        }
+      } else if (name === 'en-note') {
+        report(start, '<en-note> cannot be nested');
+      }
+
+      if (!ALLOWED_ELEMENTS.has(name)) {
+        report(start, `<${name}> is not allowed in ENML`);
+      }
+
+      for (const [attribute, value] of Object.entries(attributes)) {
+        const reason = forbiddenAttributeReason(attribute, value);
+        if (reason) {
+          report(start, `<${name}>: ${reason}`);
+        }
+      }
+      checkAmpersands(source.slice(start, end), start);
+
+      if (name === 'en-media') {
+        if (!attributes.type) {
+          report(start, '<en-media> requires a type attribute');
+        }
+        if (!/^[0-9a-fA-F]{32}$/.test(attributes.hash || '')) {
+          report(start, '<en-media> requires a hash attribute holding the 32-character hex MD5 of the resource');
+        }
+      }
+      if (name === 'en-todo' && attributes.checked !== undefined && !['true', 'false'].includes(attributes.checked)) {
+        report(start, `<en-todo> checked must be "true" or "false", found "${attributes.checked}"`);
+      }
+
+      if (!selfClosing) {
+        stack.push({ name, start });
+      }
+    },
+
+    onCloseTag(name, { selfClosing, start }) {
+      if (selfClosing) return;
+
+      const index = stack.map(element => element.name).lastIndexOf(name);
+      if (index === -1) {
+        report(start, `unexpected </${name}> with no matching <${name}>`);
+        return;
+      }
+      for (const unclosed of stack.splice(index + 1).reverse()) {
+        report(unclosed.start, `<${unclosed.name}> is not closed before </${name}>`);
+      }
+      stack.pop();
+      if (name === 'en-note' && stack.length === 0) {
+        rootClosed = true;
+      }
+    },
+
+    onText(text, { start, end }) {
+      const raw = source.slice(start, end);
+      if (raw.includes('<')) {
+        report(start + raw.indexOf('<'), 'unescaped "<" or malformed tag (use &lt; for a literal "<")');
+      }
+      checkAmpersands(raw, start);
+    }
+  });
+
+  if (!rootSeen) {
+    report(source.length, 'document has no <en-note> root element');
+  }
+  for (const unclosed of stack) {
+    report(unclosed.start, `<${unclosed.name}> is never closed`);
+  }
+
+  errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Throw if an ENML document would be rejected by Evernote
+ * @param {string} enml - Complete ENML document
+ * @throws {Error} ENML_VALIDATION error listing each problem; the list is also on error.enmlErrors
+ */
+function assertValidEnml(enml) {
+  const { valid, errors } = validateEnml(enml);
+  if (valid) return;
+
+  const listed = errors.slice(0, MAX_REPORTED_ERRORS)
+    .map(error => `line ${error.line}, column ${error.column}: ${error.message}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    listed.push(`...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+
+  const error = new Error(`Note content is not valid ENML (ENML_VALIDATION): ${listed.join('; ')}`);
+  error.enmlErrors = errors;
+  throw error;
+}
+
+module.exports = {
+  ALLOWED_ELEMENTS,
+  STRIPPED_ELEMENTS,
+  forbiddenAttributeReason,
+  validateEnml,
+  assertValidEnml
+};
@@ -0,0 +1,387 @@
+/**
+ * ENML Writer
+ * Converts plain text and Markdown into Evernote Markup Language (ENML) for write operations
+ */
+
+const { parseEnml, decodeEntities, VOID_ELEMENTS } = require('./enmlParser');
+const { ALLOWED_ELEMENTS, STRIPPED_ELEMENTS, forbiddenAttributeReason } = require('./enmlValidator');
+
+const ENML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">';
+
+const SUPPORTED_INPUT_FORMATS = ['text', 'markdown', 'enml'];
+
+/**
+ * Escape text for safe inclusion in ENML element content or attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap an ENML body fragment in the XML declaration, DOCTYPE and en-note root
+ * @param {string} fragment - ENML body fragment
+ * @returns {string} Complete ENML document
+ */
+function wrapEnml(fragment) {
+  return `${ENML_HEADER}\n<en-note>${fragment}</en-note>`;
+}
+
+/**
+ * Extract the inner body of an ENML document (everything inside <en-note>)
+ * @param {string} enml - Complete ENML document or bare fragment
+ * @returns {string} Body fragment
+ */
+function extractEnmlBody(enml) {
+  if (!enml) return '';
+
+  const match = enml.match(/<en-note[^>]*>([\s\S]*)<\/en-note>/i);
+  if (match) {
+    return match[1];
+  }
+
+  // Self-closing <en-note/> means an empty note
+  if (/<en-note[^>]*\/>/i.test(enml)) {
+    return '';
+  }
+
+  return enml;
+}
+
+/**
+ * Remove what the ENML DTD forbids from an ENML document or fragment.
+ * Script-like elements are dropped with their content, other unknown elements
+ * are unwrapped so their text survives, and forbidden attributes are removed.
+ * @param {string} enml - ENML document or body fragment
+ * @returns {string} Sanitized body fragment
+ */
+function sanitizeEnml(enml) {
+  if (!enml) return '';
+
+  const output = [];
+  const open = [];
+  let strippedDepth = 0;
+
+  parseEnml(/<en-note[\s>/]/i.test(enml) ? enml : `<en-note>${enml}</en-note>`, {
+    onOpenTag(name, attributes, { selfClosing }) {
+      const kept = strippedDepth === 0 && ALLOWED_ELEMENTS.has(name) && name !== 'en-note';
+      if (!selfClosing) {
+        open.push({ name, kept, stripped: STRIPPED_ELEMENTS.has(name) });
+      }
+      if (STRIPPED_ELEMENTS.has(name) && !selfClosing) {
+        strippedDepth++;
+      }
+      if (!kept) return;
+
+      const attributeText = Object.entries(attributes)
+        .filter(([attribute, value]) => !forbiddenAttributeReason(attribute, value))
+        .map(([attribute, value]) => ` ${attribute}="${escapeXml(value)}"`)
+        .join('');
+      output.push(selfClosing && VOID_ELEMENTS.has(name) ? `<${name}${attributeText}/>` : `<${name}${attributeText}>`);
+      if (selfClosing && !VOID_ELEMENTS.has(name)) {
+        output.push(`</${name}>`);
+      }
+    },
+
+    onCloseTag(name, { selfClosing }) {
+      if (selfClosing) return;
+      const index = open.map(element => element.name).lastIndexOf(name);
+      if (index === -1) return;
+      // Close anything left open inside this element so the output stays well formed
+      for (const element of open.splice(index).reverse()) {
+        if (element.stripped) {
+          strippedDepth--;
+        } else if (element.kept) {
+          output.push(`</${element.name}>`);
+        }
+      }
+    },
+
+    onText(text) {
+      if (strippedDepth === 0) {
+        output.push(escapeXml(text));
+      }
+    }
+  });
+
+  for (const element of open.reverse()) {
+    if (element.kept) {
+      output.push(`</${element.name}>`);
+    }
+  }
+
+  return output.join('');
+}
+
+/**
+ * Convert plain text to an ENML fragment, one <div> per line
+ * @param {string} text - Plain text
+ * @returns {string} ENML body fragment
+ */
+function textToEnml(text) {
+  if (!text) return '';
+
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.length > 0 ? `<div>${escapeXml(line)}</div>` : '<div><br/></div>')
+    .join('');
+}
+
+/**
+ * Convert Markdown inline syntax (code, bold, italic, links) to ENML
+ * @param {string} text - Markdown text for a single block
+ * @returns {string} ENML inline content
+ */
+function markdownInlineToEnml(text) {
+  const codeSpans = [];
+
+  // Pull code spans out first so their contents are not treated as emphasis
+  let html = String(text).replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${escapeXml(code)}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  // A destination may hold balanced parentheses, as in .../wiki/Foo_(bar), or be wrapped in <...> (escaped by now)
+  html = escapeXml(html)
+    .replace(/\[([^\]]+)\]\((?:&lt;((?:(?!&gt;).)+)&gt;|((?:[^()\s]|\([^()\s]*\))+))\)/g,
+      (match, label, angled, plain) => {
+        // Script and data URLs are not allowed in ENML; keep the link text without the link
+        const href = angled || plain;
+        return forbiddenAttributeReason('href', decodeEntities(href)) ? label : `<a href="${href}">${label}</a>`;
+      })
+    .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '<b>$2</b>')
+    .replace(/(^|[^*\w])[*_](?=\S)(.+?)[*_](?![*\w])/g, '$1<i>$2</i>')
+    .replace(/~~(?=\S)(.+?)~~/g, '<s>$1</s>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+/**
+ * Split a GFM table row into its cell texts
+ * @param {string} line - Table row, with or without outer pipes
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let cell = '';
+  const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Convert Markdown to an ENML fragment
+ * Handles headings, paragraphs, nested bullet/numbered lists, task lists,
+ * GFM tables, block quotes, fenced code blocks and horizontal rules.
+ * @param {string} markdown - Markdown text
+ * @returns {string} ENML body fragment
+ */
+function markdownToEnml(markdown) {
+  if (!markdown) return '';
+
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+  let paragraph = [];
+  const lists = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      output.push(`<p>${paragraph.map(markdownInlineToEnml).join('<br/>')}</p>`);
+      paragraph = [];
+    }
+  };
+
+  // Close the innermost list, nesting it inside its parent's last item
+  const closeList = () => {
+    const list = lists.pop();
+    const html = `<${list.type}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.type}>`;
+    if (lists.length > 0) {
+      const parent = lists[lists.length - 1];
+      parent.items[parent.items.length - 1] += html;
+    } else {
+      output.push(html);
+    }
+  };
+
+  const flushList = () => {
+    while (lists.length > 0) {
+      closeList();
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      flushParagraph();
+      flushList();
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      output.push(`<pre>${escapeXml(codeLines.join('\n'))}</pre>`);
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    // GFM table: a header row followed by a delimiter row such as | --- | :-: |
+    if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      flushParagraph();
+      flushList();
+      const alignments = splitTableRow(lines[i + 1]).map(cell =>
+        cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null);
+      const renderRow = (cells, tag) => '<tr>' + alignments.map((align, column) =>
+        `<${tag}${align ? ` style="text-align: ${align};"` : ''}>${markdownInlineToEnml(cells[column] || '')}</${tag}>`).join('') + '</tr>';
+
+      const rows = [renderRow(splitTableRow(line), 'th')];
+      i += 2;
+      while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+        rows.push(renderRow(splitTableRow(lines[i]), 'td'));
+        i++;
+      }
+      i--;
+      output.push(`<table>${rows.join('')}</table>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      output.push(`<h${level}>${markdownInlineToEnml(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      output.push('<hr/>');
+      continue;
+    }
+
+    const task = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+    if (task && (lists.length === 0 || task[1].length <= lists[0].indent)) {
+      // Top-level task items become en-todo lines, which Evernote renders as a checklist
+      flushParagraph();
+      flushList();
+      const checked = task[2].toLowerCase() === 'x';
+      output.push(`<div><en-todo checked="${checked}"/>${markdownInlineToEnml(task[3])}</div>`);
+      continue;
+    }
+
+    const item = line.match(/^(\s*)(?:([-*+])|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const indent = item[1].replace(/\t/g, '    ').length;
+      const type = item[2] ? 'ul' : 'ol';
+
+      while (lists.length > 0 && indent < lists[lists.length - 1].indent) {
+        closeList();
+      }
+      const current = lists[lists.length - 1];
+      if (current && indent === current.indent && current.type !== type) {
+        closeList();
+      }
+      const parent = lists[lists.length - 1];
+      if (!parent || indent > parent.indent || parent.type !== type) {
+        lists.push({ type, indent, items: [] });
+      }
+
+      // Tasks nested in a list keep their checkbox inside the list item
+      const nestedTask = item[3].match(/^\[([ xX])\]\s+(.*)$/);
+      lists[lists.length - 1].items.push(nestedTask
+        ? `<en-todo checked="${nestedTask[1].toLowerCase() === 'x'}"/>${markdownInlineToEnml(nestedTask[2])}`
+        : markdownInlineToEnml(item[3]));
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      flushParagraph();
+      flushList();
+      output.push(`<blockquote>${markdownInlineToEnml(quote[1])}</blockquote>`);
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line.trim());
+  }
+
+  flushParagraph();
+  flushList();
+
+  // Adjacent block quote lines belong to the same quote
+  return output.join('').replace(/<\/blockquote><blockquote>/g, '<br/>');
+}
+
+/**
+ * Convert note body input to an ENML body fragment
+ * @param {string} body - Body content
+ * @param {string} format - Input format: text, markdown or enml
+ * @returns {string} ENML body fragment
+ */
+function contentToEnmlFragment(body, format = 'text') {
+  switch (format) {
+    case 'enml':
+      return sanitizeEnml(body || '');
+    case 'markdown':
+      return markdownToEnml(body || '');
+    case 'text':
+      return textToEnml(body || '');
+    default:
+      throw new Error(`Unsupported content format: ${format}. Supported formats: ${SUPPORTED_INPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Convert note body input to a complete ENML document
+ * @param {string} body - Body content
+ * @param {string} format - Input format: text, markdown or enml
+ * @returns {string} Complete ENML document
+ */
+function contentToEnml(body, format = 'text') {
+  return wrapEnml(contentToEnmlFragment(body, format));
+}
+
+module.exports = {
+  ENML_HEADER,
+  SUPPORTED_INPUT_FORMATS,
+  escapeXml,
+  wrapEnml,
+  extractEnmlBody,
+  sanitizeEnml,
+  textToEnml,
+  markdownToEnml,
+  markdownInlineToEnml,
+  contentToEnmlFragment,
+  contentToEnml
+};
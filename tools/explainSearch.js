@@ -0,0 +1,50 @@
+/**
+ * Evernote MCP Tool: Explain Search
+ * Parses an Evernote search query, reports anything malformed or any notebook
+ * and tag names that match nothing, and describes what the query matches
+ */
+
+const { validateSearchQuery, logToolInvocation, createMCPResponse } = require('./createSearch');
+
+/**
+ * Explain and validate a search query without running it
+ * @param {Object} args - Arguments containing query
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function explainSearch(args, tokenData) {
+  logToolInvocation('explainSearch', args);
+
+  try {
+    // Validate required parameters
+    if (typeof args.query !== 'string') {
+      return createMCPResponse('error', null, 'query is required');
+    }
+
+    const validation = await validateSearchQuery(args.query, tokenData);
+
+    console.error(`✅ Explained search query (${validation.errors.length} errors, ${validation.warnings.length} warnings)`);
+    return createMCPResponse('success', {
+      query: args.query,
+      ...validation
+    });
+
+  } catch (error) {
+    console.error('❌ explainSearch error:', error.message);
+
+    let errorMessage;
+    if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to explain search: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+module.exports = {
+  explainSearch
+};
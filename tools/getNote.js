@@ -42,12 +42,14 @@ async function getNote(args, tokenData) {
       try {
         console.error('🏷️ Resolving tag names...');
         const tagData = {
-          authenticationToken: tokenData.accessToken,
-          guids: note.tagGuids
+          authenticationToken: tokenData.accessToken
         };
         
+        // listTags returns every tag in the account, so keep only the note's own tags
         const tagsResponse = await makeNoteStoreRequest('listTags', tagData, tokenData);
-        tagNames = tagsResponse.map(tag => tag.name);
+        tagNames = tagsResponse
+          .filter(tag => note.tagGuids.includes(tag.guid))
+          .map(tag => tag.name);
         console.error('✅ Resolved tag names:', tagNames);
       } catch (tagError) {
         console.error('⚠️ Failed to resolve tag names:', tagError.message);
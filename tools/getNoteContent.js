@@ -5,8 +5,23 @@
 
 const https = require('https');
 const { makeNoteStoreRequest, logToolInvocation, createMCPResponse, logEvernoteRequest, logEvernoteResponse, DEV_MODE } = require('./createSearch');
+const { recordSnapshot } = require('./noteSnapshots');
+const { parseEnml, VOID_ELEMENTS } = require('./enmlParser');
+const { escapeXml } = require('./enmlWriter');
+const { resourceRouteUrl, inlineImageSources } = require('./getResource');
+const { recognitionText } = require('./recognition');
+const { buildOutline, findSection, pageContent, encodeContinuationToken, decodeContinuationToken } = require('./noteSections');
 
 
+// Elements that start on a new line in plain text output
+const BLOCK_ELEMENTS = new Set([
+  'en-note', 'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li',
+  'table', 'tr', 'blockquote', 'pre', 'hr', 'center', 'dl', 'dt', 'dd', 'address'
+]);
+
+// Block elements followed by a blank line in plain text output
+const SPACED_ELEMENTS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'blockquote', 'pre']);
+
 /**
  * Convert Evernote's ENML (Evernote Markup Language) to plain text
  * @param {string} enml - ENML content
@@ -14,94 +29,695 @@ const { makeNoteStoreRequest, logToolInvocation, createMCPResponse, logEvernoteR
  */
 function enmlToPlainText(enml) {
   if (!enml) return '';
-  
-  // Remove ENML-specific tags
-  let text = enml
-    // Remove DOCTYPE and XML declarations
-    .replace(/<!DOCTYPE[^>]*>/gi, '')
-    .replace(/<\?xml[^>]*\?>/gi, '')
-    // Remove en-note wrapper
-    .replace(/<\/?en-note[^>]*>/gi, '')
-    // Remove media elements but keep alt text if available
-    .replace(/<en-media[^>]*alt=["']([^"']*)["'][^>]*>/gi, '$1')
-    .replace(/<en-media[^>]*>/gi, '[Media]')
-    // Remove crypt elements
-    .replace(/<en-crypt[^>]*>.*?<\/en-crypt>/gi, '[Encrypted Content]')
-    // Remove todo checkboxes but indicate status
-    .replace(/<en-todo\s+checked=["']true["'][^>]*>/gi, '☑ ')
-    .replace(/<en-todo[^>]*>/gi, '☐ ')
-    // Convert common HTML tags to plain text equivalents
-    .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<\/p>/gi, '\n\n')
-    .replace(/<p[^>]*>/gi, '')
-    .replace(/<\/div>/gi, '\n')
-    .replace(/<div[^>]*>/gi, '')
-    .replace(/<\/h[1-6]>/gi, '\n\n')
-    .replace(/<h[1-6][^>]*>/gi, '')
-    .replace(/<\/li>/gi, '\n')
-    .replace(/<li[^>]*>/gi, '• ')
-    .replace(/<\/?[uo]l[^>]*>/gi, '\n')
-    .replace(/<\/td>/gi, '\t')
-    .replace(/<\/tr>/gi, '\n')
-    .replace(/<t[dhr][^>]*>/gi, '')
-    .replace(/<\/?table[^>]*>/gi, '\n')
-    // Remove all remaining HTML tags
-    .replace(/<[^>]*>/g, '')
-    // Decode HTML entities
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'")
-    // Clean up whitespace
-    .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove multiple consecutive newlines
-    .replace(/^\s+|\s+$/g, '') // Trim whitespace
-    .replace(/[ \t]+/g, ' '); // Normalize spaces
-  
-  return text;
+
+  const out = [];
+  const lists = [];
+  let lastChar = '';
+  let trailingNewlines = 0;
+  let inCrypt = false;
+  let preDepth = 0;
+  let firstCell = true;
+
+  const write = (text) => {
+    out.push(text);
+    const trimmed = text.replace(/\n+$/, '');
+    trailingNewlines = trimmed.length === 0 ? trailingNewlines + text.length : text.length - trimmed.length;
+    lastChar = text[text.length - 1];
+  };
+
+  // Drop spaces left at the end of the current line before breaking it
+  const breakLine = () => {
+    if (lastChar === ' ') {
+      out[out.length - 1] = out[out.length - 1].replace(/ +$/, '');
+    }
+    write('\n');
+  };
+
+  // Make sure the next output starts a new line, or follows a blank line
+  const endLine = (newlines = 1) => {
+    while (out.length > 0 && trailingNewlines < newlines) {
+      breakLine();
+    }
+  };
+
+  parseEnml(enml, {
+    onOpenTag(name, attributes) {
+      if (inCrypt) return;
+
+      switch (name) {
+        case 'br':
+          if (out.length > 0 && trailingNewlines < 2) {
+            breakLine();
+          }
+          break;
+        case 'en-todo':
+          // Show checkbox status
+          write(String(attributes.checked).toLowerCase() === 'true' ? '☑ ' : '☐ ');
+          break;
+        case 'en-media':
+          // Keep alt text if available
+          write(attributes.alt || '[Media]');
+          break;
+        case 'en-crypt':
+          write('[Encrypted Content]');
+          inCrypt = true;
+          break;
+        case 'ul':
+        case 'ol':
+          endLine();
+          lists.push({ ordered: name === 'ol', count: 0 });
+          break;
+        case 'li': {
+          endLine();
+          const list = lists[lists.length - 1];
+          const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+          write(indent + (list && list.ordered ? `${++list.count}. ` : '• '));
+          break;
+        }
+        case 'tr':
+          endLine();
+          firstCell = true;
+          break;
+        case 'td':
+        case 'th':
+          if (!firstCell) {
+            write('\t');
+          }
+          firstCell = false;
+          break;
+        default:
+          if (BLOCK_ELEMENTS.has(name)) {
+            endLine();
+          }
+          if (name === 'pre') {
+            preDepth++;
+          }
+      }
+    },
+
+    onCloseTag(name) {
+      if (name === 'en-crypt') {
+        inCrypt = false;
+        return;
+      }
+      if (inCrypt) return;
+
+      if (name === 'ul' || name === 'ol') {
+        lists.pop();
+      } else if (name === 'pre') {
+        preDepth = Math.max(preDepth - 1, 0);
+      }
+      if (SPACED_ELEMENTS.has(name)) {
+        endLine(2);
+      } else if (BLOCK_ELEMENTS.has(name)) {
+        endLine();
+      }
+    },
+
+    onText(text) {
+      if (inCrypt) return;
+
+      // Collapse source whitespace as a browser would, except in <pre>; non-breaking spaces are kept
+      let value = preDepth > 0 ? text : text.replace(/[ \t\r\n]+/g, ' ');
+      if (preDepth === 0 && (out.length === 0 || lastChar === ' ' || lastChar === '\n' || lastChar === '\t')) {
+        value = value.replace(/^ /, '');
+      }
+      if (value) {
+        write(value.replace(/\u00a0/g, ' '));
+      }
+    }
+  });
+
+  return out.join('').replace(/^\s+|\s+$/g, '');
+}
+
+/**
+ * Index a note's resources by the hex MD5 hash that en-media tags refer to
+ * @param {Array<Object>} resources - Note resources
+ * @returns {Map<string, Object>} Resources keyed by hex body hash
+ */
+function indexResourcesByHash(resources) {
+  const byHash = new Map();
+  for (const resource of resources || []) {
+    if (resource.data && resource.data.bodyHash) {
+      byHash.set(Buffer.from(resource.data.bodyHash).toString('hex'), resource);
+    }
+  }
+  return byHash;
+}
+
+/**
+ * Serialize attributes for HTML output
+ * @param {Object} attributes - Attribute values keyed by name
+ * @param {Array<string>} exclude - Attribute names to leave out
+ * @returns {string} Attribute string with a leading space per attribute
+ */
+function htmlAttributes(attributes, exclude = []) {
+  return Object.entries(attributes)
+    .filter(([name]) => !exclude.includes(name))
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
 }
 
 /**
  * Clean up ENML content for better HTML presentation
  * @param {string} enml - ENML content
+ * @param {Object} options - Optional resource handling
+ * @param {Array<Object>} options.resources - Note resources, used to name attachments
+ * @param {Function} options.resourceUrl - (hash) => URL serving the resource; images and attachments link to it
+ * @param {Map<string, string>} options.imageData - Data URIs keyed by hash, embedded in place of resourceUrl
+ * @param {boolean} options.mediaPlaceholders - Name images and attachments in a placeholder instead of linking them
  * @returns {string} Cleaned HTML content
  */
-function enmlToHtml(enml) {
+function enmlToHtml(enml, options = {}) {
   if (!enml) return '';
-  
-  // Remove ENML-specific elements and convert to standard HTML
-  let html = enml
-    // Remove DOCTYPE and XML declarations
-    .replace(/<!DOCTYPE[^>]*>/gi, '')
-    .replace(/<\?xml[^>]*\?>/gi, '')
-    // Convert en-note to div
-    .replace(/<en-note[^>]*>/gi, '<div class="note-content">')
-    .replace(/<\/en-note>/gi, '</div>')
-    // Convert media elements to placeholder or image tags
-    .replace(/<en-media([^>]*type=["']image[^"']*["'][^>]*)>/gi, '<img$1 alt="Evernote Image" style="max-width: 100%;">')
-    .replace(/<en-media[^>]*>/gi, '<div class="media-placeholder">[Media Attachment]</div>')
-    // Convert crypt elements
-    .replace(/<en-crypt[^>]*>.*?<\/en-crypt>/gi, '<div class="encrypted-content">[Encrypted Content]</div>')
-    // Convert todo checkboxes to HTML checkboxes
-    .replace(/<en-todo\s+checked=["']true["'][^>]*>/gi, '<input type="checkbox" checked disabled> ')
-    .replace(/<en-todo[^>]*>/gi, '<input type="checkbox" disabled> ')
-    // Decode HTML entities
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'");
-  
-  return html;
+
+  const out = [];
+  const resourcesByHash = indexResourcesByHash(options.resources);
+  let inCrypt = false;
+
+  const mediaSource = hash => {
+    if (options.imageData && options.imageData.has(hash)) return options.imageData.get(hash);
+    return hash && options.resourceUrl ? options.resourceUrl(hash) : null;
+  };
+
+  parseEnml(enml, {
+    onOpenTag(name, attributes) {
+      if (inCrypt) return;
+
+      switch (name) {
+        case 'en-note':
+          // Convert en-note to div
+          out.push('<div class="note-content">');
+          break;
+        case 'en-media': {
+          // Convert media elements to image tags, or to a placeholder linking to the attachment
+          const hash = String(attributes.hash || '').toLowerCase();
+          const resource = resourcesByHash.get(hash);
+          const fileName = resource && resource.attributes && resource.attributes.fileName;
+          const src = mediaSource(hash);
+          if (options.mediaPlaceholders) {
+            const kind = /^image\//i.test(attributes.type || '') ? 'Image' : 'Attachment';
+            const label = fileName ? `${kind}: ${fileName}` : (kind === 'Image' ? 'Image' : 'Media Attachment');
+            out.push(`<div class="media-placeholder">[${escapeXml(label)}]</div>`);
+          } else if (/^image\//i.test(attributes.type || '')) {
+            out.push(`<img${src ? ` src="${escapeXml(src)}"` : ''}${htmlAttributes(attributes, ['alt', 'style', 'src'])} alt="${escapeXml(fileName || 'Evernote Image')}" style="max-width: 100%;">`);
+          } else if (src) {
+            const label = `${fileName || 'Attachment'} (${attributes.type || 'application/octet-stream'})`;
+            out.push(`<div class="media-placeholder"><a href="${escapeXml(src)}">${escapeXml(label)}</a></div>`);
+          } else {
+            out.push('<div class="media-placeholder">[Media Attachment]</div>');
+          }
+          break;
+        }
+        case 'en-crypt':
+          out.push('<div class="encrypted-content">[Encrypted Content]</div>');
+          inCrypt = true;
+          break;
+        case 'en-todo':
+          // Convert todo checkboxes to HTML checkboxes
+          out.push(String(attributes.checked).toLowerCase() === 'true'
+            ? '<input type="checkbox" checked disabled> '
+            : '<input type="checkbox" disabled> ');
+          break;
+        default:
+          out.push(`<${name}${htmlAttributes(attributes)}>`);
+      }
+    },
+
+    onCloseTag(name) {
+      if (name === 'en-crypt') {
+        inCrypt = false;
+      } else if (inCrypt) {
+        return;
+      } else if (name === 'en-note') {
+        out.push('</div>');
+      } else if (!VOID_ELEMENTS.has(name)) {
+        out.push(`</${name}>`);
+      }
+    },
+
+    onText(text) {
+      // Text arrives decoded, so escape it again rather than letting "&lt;" turn into markup
+      if (!inCrypt) {
+        out.push(escapeXml(text));
+      }
+    }
+  });
+
+  return out.join('');
+}
+
+// Evernote marks code blocks with this inline style on a div
+const CODE_BLOCK_STYLE = /-en-codeblock\s*:\s*true/i;
+
+// Inline elements and the Markdown markers that wrap their content
+const INLINE_MARKERS = { b: '**', strong: '**', i: '*', em: '*', s: '~~', strike: '~~', del: '~~', code: '`' };
+
+/**
+ * Escape characters that Markdown would otherwise treat as formatting
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Markdown markers implied by a span's inline style
+ * @param {string} style - Style attribute value
+ * @returns {string} Marker, or '' if the style adds no emphasis
+ */
+function styleMarker(style) {
+  let marker = '';
+  if (/font-weight\s*:\s*(bold|[6-9]00)/i.test(style || '')) marker += '**';
+  if (/font-style\s*:\s*italic/i.test(style || '')) marker += '*';
+  if (/text-decoration[^;]*line-through/i.test(style || '')) marker += '~~';
+  return marker;
+}
+
+/**
+ * Describe an en-media element as a placeholder carrying the resource's file name and MIME type
+ * @param {Object} attributes - en-media attributes
+ * @param {Map<string, Object>} resourcesByHash - Note resources keyed by hex body hash
+ * @returns {string} Placeholder text
+ */
+function mediaPlaceholder(attributes, resourcesByHash) {
+  const resource = resourcesByHash.get(String(attributes.hash || '').toLowerCase());
+  const mime = (resource && resource.mime) || attributes.type || 'application/octet-stream';
+  const fileName = resource && resource.attributes && resource.attributes.fileName;
+  const kind = mime.startsWith('image/') ? 'Image' : 'Attachment';
+  return fileName ? `[${kind}: ${escapeMarkdown(fileName)} (${mime})]` : `[${kind} (${mime})]`;
+}
+
+/**
+ * Convert Evernote's ENML to GitHub-flavoured Markdown
+ * @param {string} enml - ENML content
+ * @param {Array<Object>} resources - Note resources, used to name en-media placeholders
+ * @returns {string} Markdown content
+ */
+function enmlToMarkdown(enml, resources = []) {
+  if (!enml) return '';
+
+  const resourcesByHash = indexResourcesByHash(resources);
+
+  // Output goes to the innermost sink: the document, a table cell or a code block
+  const createSink = type => ({
+    type,
+    chunks: [],
+    trailingNewlines: 0,
+    atLineStart: true,
+    pendingSpace: false,
+    pendingBreak: false,
+    pendingMarkers: [],
+    afterMarker: false,
+    taskRun: false
+  });
+  const sinks = [createSink('document')];
+  const frames = [];
+  const lists = [];
+  const tables = [];
+  let quoteDepth = 0;
+  let inCrypt = false;
+
+  const sink = () => sinks[sinks.length - 1];
+
+  const write = (text) => {
+    const current = sink();
+    current.chunks.push(text);
+    const trimmed = text.replace(/\n+$/, '');
+    current.trailingNewlines = trimmed.length === 0 ? current.trailingNewlines + text.length : text.length - trimmed.length;
+    current.atLineStart = text.endsWith('\n');
+    current.afterMarker = false;
+  };
+
+  const linePrefix = (indent = lists.length > 0 ? lists[lists.length - 1].itemIndent : 0) =>
+    '> '.repeat(quoteDepth) + ' '.repeat(indent);
+
+  // Break the current line, leaving up to `newlines` line breaks before the next content
+  const endLine = (newlines = 1) => {
+    const current = sink();
+    current.pendingSpace = false;
+    if (current.afterMarker) {
+      // Blocks directly inside a list item stay on the marker's line
+      return;
+    }
+    if (current.type === 'cell') {
+      current.pendingBreak = current.chunks.length > 0;
+    } else if (current.type === 'code') {
+      if (!current.atLineStart && current.chunks.length > 0) write('\n');
+    } else {
+      while (current.chunks.length > 0 && current.trailingNewlines < newlines) write('\n');
+      if (current.trailingNewlines >= 2) current.taskRun = false;
+    }
+  };
+
+  // Write whatever must precede new content: line prefix, separating space and pending inline markers
+  const startContent = (isTask = false) => {
+    const current = sink();
+    if (current.type === 'code') return;
+
+    if (current.type === 'cell') {
+      if (current.pendingBreak) write('<br>');
+      else if (current.pendingSpace && current.chunks.length > 0) write(' ');
+    } else if (current.atLineStart) {
+      // A plain line straight after task items would otherwise continue the last item
+      if (current.taskRun && !isTask) write('\n');
+      current.taskRun = isTask;
+      write(linePrefix());
+    } else if (current.pendingSpace) {
+      write(' ');
+    }
+    current.pendingSpace = false;
+    current.pendingBreak = false;
+
+    for (const frame of current.pendingMarkers) {
+      write(frame.open);
+      frame.opened = true;
+    }
+    current.pendingMarkers = [];
+  };
+
+  const openCodeBlock = () => {
+    endLine(2);
+    sinks.push(createSink('code'));
+    return () => {
+      const code = sinks.pop().chunks.join('').replace(/^\n+|\s+$/g, '');
+      const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      startContent();
+      write(fence);
+      for (const line of code ? code.split('\n') : []) {
+        write('\n' + linePrefix() + line);
+      }
+      write('\n' + linePrefix() + fence);
+      endLine(2);
+    };
+  };
+
+  const openTable = () => {
+    endLine(2);
+    const table = { rows: [] };
+    tables.push(table);
+    return () => {
+      tables.pop();
+      const rows = table.rows.filter(row => row.length > 0);
+      if (rows.length === 0) return;
+      const columns = Math.max(...rows.map(row => row.length));
+      const line = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+      [line(rows[0]), line(new Array(columns).fill('---')), ...rows.slice(1).map(line)].forEach(text => {
+        startContent();
+        write(text);
+        endLine(1);
+      });
+      endLine(2);
+    };
+  };
+
+  const openCell = () => {
+    sinks.push(createSink('cell'));
+    return () => {
+      const text = sinks.pop().chunks.join('').replace(/\|/g, '\\|').trim();
+      const table = tables[tables.length - 1];
+      if (table && table.rows.length > 0) {
+        table.rows[table.rows.length - 1].push(text);
+      }
+    };
+  };
+
+  const openInline = (open, close) => {
+    const current = sink();
+    if (current.type === 'code' || (!open && !close)) return null;
+    const frame = { open, opened: false };
+    current.pendingMarkers.push(frame);
+    return () => {
+      if (frame.opened) {
+        write(close);
+      } else {
+        current.pendingMarkers = current.pendingMarkers.filter(pending => pending !== frame);
+      }
+    };
+  };
+
+  const handleOpen = (name, attributes) => {
+    const current = sink();
+    const heading = /^h([1-6])$/.exec(name);
+
+    if (heading) {
+      if (current.type !== 'document') return null;
+      endLine(2);
+      startContent();
+      write('#'.repeat(Number(heading[1])) + ' ');
+      return () => endLine(2);
+    }
+
+    switch (name) {
+      case 'br':
+        if (current.type === 'document') {
+          if (current.chunks.length > 0 && current.trailingNewlines < 2) write('\n');
+          current.pendingSpace = false;
+        } else {
+          endLine();
+        }
+        return null;
+      case 'hr':
+        endLine(2);
+        startContent();
+        write('---');
+        endLine(2);
+        return null;
+      case 'en-todo': {
+        const checked = String(attributes.checked).toLowerCase() === 'true';
+        if (current.type === 'code') return null;
+        if (current.type === 'document' && current.atLineStart) {
+          startContent(true);
+          write(checked ? '- [x] ' : '- [ ] ');
+        } else {
+          current.pendingSpace = current.pendingSpace || !current.afterMarker;
+          startContent();
+          write(checked ? '[x] ' : '[ ] ');
+        }
+        return null;
+      }
+      case 'en-media':
+        startContent();
+        write(mediaPlaceholder(attributes, resourcesByHash));
+        return null;
+      case 'en-crypt':
+        startContent();
+        write('[Encrypted Content]');
+        inCrypt = true;
+        return () => { inCrypt = false; };
+      case 'p':
+        endLine(2);
+        return () => endLine(2);
+      case 'blockquote':
+        endLine(2);
+        quoteDepth++;
+        return () => {
+          endLine(2);
+          quoteDepth--;
+        };
+      case 'pre':
+        return current.type === 'code' ? () => endLine() : openCodeBlock();
+      case 'ul':
+      case 'ol': {
+        endLine(1);
+        const parent = lists[lists.length - 1];
+        const indent = parent ? parent.itemIndent : 0;
+        lists.push({ ordered: name === 'ol', count: 0, indent, itemIndent: indent });
+        return () => {
+          lists.pop();
+          endLine(lists.length > 0 ? 1 : 2);
+        };
+      }
+      case 'li': {
+        const list = lists[lists.length - 1];
+        if (!list || current.type !== 'document') {
+          endLine();
+          return () => endLine();
+        }
+        endLine(1);
+        const marker = list.ordered ? `${++list.count}. ` : '- ';
+        current.taskRun = false;
+        write(linePrefix(list.indent) + marker);
+        current.afterMarker = true;
+        list.itemIndent = list.indent + marker.length;
+        return () => endLine(1);
+      }
+      case 'table':
+        return openTable();
+      case 'tr': {
+        const table = tables[tables.length - 1];
+        if (table) table.rows.push([]);
+        return null;
+      }
+      case 'td':
+      case 'th':
+        return tables.length > 0 ? openCell() : null;
+      case 'a':
+        if (!attributes.href || current.type === 'code') return null;
+        return openInline('[', `](${attributes.href.replace(/[ ()]/g, encodeURIComponent)})`);
+      case 'span':
+      case 'font': {
+        const marker = styleMarker(attributes.style);
+        return openInline(marker, marker.split('').reverse().join(''));
+      }
+      default:
+        if (INLINE_MARKERS[name]) {
+          return openInline(INLINE_MARKERS[name], INLINE_MARKERS[name]);
+        }
+        if (BLOCK_ELEMENTS.has(name) && name !== 'en-note') {
+          if (name === 'div' && CODE_BLOCK_STYLE.test(attributes.style || '') && current.type !== 'code') {
+            return openCodeBlock();
+          }
+          endLine();
+          return () => endLine();
+        }
+        return null;
+    }
+  };
+
+  parseEnml(enml, {
+    onOpenTag(name, attributes) {
+      frames.push({ name, close: inCrypt ? null : handleOpen(name, attributes) });
+    },
+
+    onCloseTag(name) {
+      // Pop back to the matching element so stray end tags cannot unbalance the output
+      const index = frames.map(frame => frame.name).lastIndexOf(name);
+      if (index === -1) return;
+      for (const frame of frames.splice(index).reverse()) {
+        if (frame.close) frame.close();
+      }
+    },
+
+    onText(text) {
+      if (inCrypt) return;
+      const current = sink();
+
+      if (current.type === 'code') {
+        write(text.replace(/\u00a0/g, ' '));
+        return;
+      }
+
+      // Collapse source whitespace, keeping non-breaking spaces
+      const collapsed = text.replace(/[ \t\r\n]+/g, ' ');
+      const body = collapsed.replace(/^ | $/g, '');
+      if (collapsed.startsWith(' ') && !current.atLineStart) {
+        current.pendingSpace = true;
+      }
+      if (!body) return;
+
+      const lineStart = current.type === 'document' && current.atLineStart && current.pendingMarkers.length === 0;
+      startContent();
+      let escaped = escapeMarkdown(body.replace(/\u00a0/g, ' '));
+      if (lineStart) {
+        // Keep text that looks like a heading, list item or quote from being read as one
+        escaped = escaped.replace(/^(#{1,6}(?= |$)|[-+](?= )|>)/, '\\$1').replace(/^(\d+)([.)])(?= )/, '$1\\$2');
+      }
+      write(escaped);
+      if (collapsed.endsWith(' ')) {
+        current.pendingSpace = true;
+      }
+    }
+  });
+
+  return sinks[0].chunks.join('').replace(/^\n+/, '').replace(/\s+$/, '');
+}
+
+/**
+ * Best OCR text for each of a note's resources that carries recognition data
+ * @param {Array<Object>} resources - Note resources fetched with recognition
+ * @returns {Map<string, string>} Recognised text keyed by resource GUID
+ */
+function resourceRecognitionText(resources) {
+  const texts = new Map();
+  for (const resource of resources || []) {
+    const body = resource.recognition && resource.recognition.body;
+    const text = body ? recognitionText(body) : '';
+    if (text) {
+      texts.set(resource.guid, text);
+    }
+  }
+  return texts;
+}
+
+/**
+ * Format recognised text as an appendix to text or Markdown output
+ * @param {Array<Object>} resources - Note resources
+ * @param {Map<string, string>} texts - Recognised text keyed by resource GUID
+ * @param {string} format - 'text' or 'markdown'
+ * @returns {string} Appendix including its leading separator, or '' if there is no text
+ */
+function recognitionAppendix(resources, texts, format) {
+  const sections = [];
+  (resources || []).forEach((resource, index) => {
+    const text = texts.get(resource.guid);
+    if (!text) return;
+    const name = (resource.attributes && resource.attributes.fileName) || `${resource.mime || 'resource'} #${index + 1}`;
+    sections.push(format === 'markdown'
+      ? `### ${escapeMarkdown(name)}\n\n${text.split('\n').map(escapeMarkdown).join('  \n')}`
+      : `[${name}]\n${text}`);
+  });
+  if (sections.length === 0) return '';
+
+  const heading = format === 'markdown' ? '## Recognized text' : '--- Recognized text ---';
+  return `\n\n${heading}\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * Convert a note's ENML body to one of the getNoteContent output formats
+ * @param {Object} note - Evernote Note with content and resource metadata
+ * @param {string} format - 'text', 'markdown', 'html' or 'enml'
+ * @param {Object} options - { recognized: Map of OCR text by resource GUID, inlineImages, tokenData,
+ *   mediaPlaceholders: render HTML media as placeholders, for content the resource route cannot serve }
+ * @returns {Promise<Object>} { content, contentType }
+ */
+async function renderNoteContent(note, format, options = {}) {
+  const recognized = options.recognized || new Map();
+
+  switch (format) {
+    case 'enml':
+      return { content: note.content || '', contentType: 'application/enml+xml' };
+    case 'markdown':
+      return {
+        content: enmlToMarkdown(note.content || '', note.resources) +
+          recognitionAppendix(note.resources, recognized, 'markdown'),
+        contentType: 'text/markdown'
+      };
+    case 'html': {
+      if (options.mediaPlaceholders) {
+        return {
+          content: enmlToHtml(note.content || '', { resources: note.resources, mediaPlaceholders: true }),
+          contentType: 'text/html'
+        };
+      }
+
+      // Images point at this server's resource route, or are embedded when inlineImages is set
+      const imageData = options.inlineImages ? await inlineImageSources(note, options.tokenData) : null;
+      return {
+        content: enmlToHtml(note.content || '', {
+          resources: note.resources,
+          resourceUrl: hash => resourceRouteUrl(note.guid, hash),
+          imageData
+        }),
+        contentType: 'text/html'
+      };
+    }
+    case 'text':
+    default:
+      return {
+        content: enmlToPlainText(note.content || '') + recognitionAppendix(note.resources, recognized, 'text'),
+        contentType: 'text/plain'
+      };
+  }
 }
 
 /**
  * Get note content by GUID
- * @param {Object} args - Arguments containing noteGuid and optional format
+ * @param {Object} args - Arguments containing noteGuid or continuationToken, optional format,
+ *   tableOfContents, section or sectionIndex, and startChar/maxChars paging
  * @param {Object} tokenData - OAuth authentication data
  * @returns {Promise<Object>} Standardized MCP response
  */
@@ -109,6 +725,16 @@ async function getNoteContent(args, tokenData) {
   logToolInvocation('getNoteContent', args);
   
   try {
+    // A continuation token carries the arguments of the request it continues
+    let resumed = null;
+    if (args.continuationToken) {
+      resumed = decodeContinuationToken(args.continuationToken);
+      if (args.noteGuid && args.noteGuid !== resumed.noteGuid) {
+        return createMCPResponse('error', null, 'continuationToken belongs to a different note');
+      }
+      args = { ...args, ...resumed };
+    }
+    
     // Validate required parameters
     if (!args.noteGuid) {
       return createMCPResponse('error', null, 'noteGuid is required');
@@ -116,16 +742,25 @@ async function getNoteContent(args, tokenData) {
     
     // Determine output format (default to 'text')
     const format = args.format || 'text';
-    if (!['text', 'html', 'enml'].includes(format)) {
-      return createMCPResponse('error', null, 'format must be one of: text, html, enml');
+    if (!['text', 'markdown', 'html', 'enml'].includes(format)) {
+      return createMCPResponse('error', null, 'format must be one of: text, markdown, html, enml');
+    }
+    for (const name of ['startChar', 'sectionIndex']) {
+      if (args[name] !== undefined && (!Number.isInteger(args[name]) || args[name] < 0)) {
+        return createMCPResponse('error', null, `${name} must be a non-negative integer`);
+      }
     }
+    if (args.maxChars !== undefined && (!Number.isInteger(args.maxChars) || args.maxChars < 1)) {
+      return createMCPResponse('error', null, 'maxChars must be a positive integer');
+    }
+    
     // Prepare request parameters for getNote API with content
     const requestData = {
       authenticationToken: tokenData.accessToken,
       guid: args.noteGuid,
       withContent: true, // We want the content this time
       withResourcesData: false, // Don't include binary resource data
-      withResourcesRecognition: false,
+      withResourcesRecognition: args.includeRecognition === true, // OCR index for images and PDFs
       withResourcesAlternateData: false
     };
     
@@ -134,35 +769,73 @@ async function getNoteContent(args, tokenData) {
     
     console.error('✅ Retrieved note content');
     
+    // Remember this version so a later updateNote can merge against it
+    recordSnapshot(note);
+    
+    const recognized = args.includeRecognition === true ? resourceRecognitionText(note.resources) : new Map();
+    
     // Process content based on requested format
-    let processedContent;
-    let contentType;
-    
-    switch (format) {
-      case 'enml':
-        processedContent = note.content || '';
-        contentType = 'application/enml+xml';
-        break;
-      case 'html':
-        processedContent = enmlToHtml(note.content || '');
-        contentType = 'text/html';
-        break;
-      case 'text':
-      default:
-        processedContent = enmlToPlainText(note.content || '');
-        contentType = 'text/plain';
-        break;
+    const { content: processedContent, contentType } = await renderNoteContent(note, format, {
+      recognized,
+      inlineImages: args.inlineImages === true,
+      tokenData
+    });
+    
+    // Large notes can be listed by heading, narrowed to one section, and read a page at a time
+    const tableOfContents = args.tableOfContents === true;
+    const wantsSection = !tableOfContents && (args.section !== undefined || args.sectionIndex !== undefined);
+    const outline = tableOfContents || wantsSection ? buildOutline(note.content || '', processedContent, format) : null;
+    
+    let body = processedContent;
+    let section = null;
+    if (wantsSection) {
+      section = args.sectionIndex !== undefined ? outline[args.sectionIndex] || null : findSection(outline, String(args.section));
+      if (!section) {
+        const wanted = args.sectionIndex !== undefined ? `with index ${args.sectionIndex}` : `matching "${args.section}"`;
+        const headings = outline.length === 0
+          ? 'The note has no headings.'
+          : `Headings: ${outline.slice(0, 20).map(entry => `"${entry.text}"`).join(', ')}${outline.length > 20 ? ', ...' : ''}`;
+        return createMCPResponse('error', null, `No section ${wanted} in note ${args.noteGuid}. ${headings}`);
+      }
+      body = processedContent.substr(section.offset, section.length);
+    }
+    
+    const startChar = args.startChar || 0;
+    if (startChar > body.length) {
+      return createMCPResponse('error', null, `startChar ${startChar} is past the end of the ${body.length}-character content`);
     }
+    const page = pageContent(body, startChar, args.maxChars);
+    const continuationToken = page.done ? null : encodeContinuationToken({
+      noteGuid: note.guid,
+      format,
+      includeRecognition: args.includeRecognition,
+      inlineImages: args.inlineImages,
+      sectionIndex: section ? section.index : undefined,
+      startChar: page.nextStartChar,
+      maxChars: args.maxChars,
+      updateSequenceNum: note.updateSequenceNum
+    });
     
     // Get basic note metadata as well
     const result = {
       guid: note.guid,
       title: note.title || 'Untitled',
-      content: processedContent,
+      ...(tableOfContents ? { toc: outline, totalChars: processedContent.length } : {
+        content: page.content,
+        totalChars: body.length,
+        startChar: page.startChar,
+        endChar: page.endChar,
+        nextStartChar: page.nextStartChar,
+        done: page.done,
+        continuationToken,
+        ...(section ? { section } : {}),
+        ...(resumed && resumed.updateSequenceNum !== note.updateSequenceNum ? { changedSinceLastPage: true } : {})
+      }),
       contentType: contentType,
       format: format,
       contentLength: note.contentLength,
       contentHash: note.contentHash,
+      updateSequenceNum: note.updateSequenceNum,
       created: new Date(note.created).toISOString(),
       updated: new Date(note.updated).toISOString(),
       // Include resource information if present
@@ -174,7 +847,8 @@ async function getNoteContent(args, tokenData) {
         duration: resource.duration,
         recognition: resource.recognition ? {
           bodyHash: resource.recognition.bodyHash,
-          size: resource.recognition.size
+          size: resource.recognition.size,
+          ...(recognized.has(resource.guid) ? { text: recognized.get(resource.guid) } : {})
         } : null,
         attributes: resource.attributes ? {
           sourceURL: resource.attributes.sourceURL,
@@ -212,5 +886,8 @@ async function getNoteContent(args, tokenData) {
 module.exports = {
   getNoteContent,
   enmlToPlainText,
-  enmlToHtml
+  enmlToHtml,
+  enmlToMarkdown,
+  recognitionAppendix,
+  renderNoteContent
 };
\ No newline at end of file
@@ -0,0 +1,450 @@
+/**
+ * Evernote MCP Tool: Get Resource
+ * Downloads attachment bytes: small files are returned inline as MCP image or
+ * embedded-resource content, larger ones are streamed to disk or read in chunks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+
+// Largest resource we will download at all, overridable with EVERNOTE_RESOURCE_MAX_BYTES
+const DEFAULT_RESOURCE_MAX_BYTES = 25 * 1024 * 1024;
+
+// Largest resource returned inline in a single MCP response
+const INLINE_MAX_BYTES = 1024 * 1024;
+
+// Chunk sizes for ranged reads
+const DEFAULT_CHUNK_BYTES = 512 * 1024;
+const MAX_CHUNK_BYTES = 1024 * 1024;
+
+// Downloads kept on disk so chunked reads do not re-fetch the file
+const CACHE_DIR = path.join(os.tmpdir(), 'evernote-mcp-resources');
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// MIME types returned as embedded text rather than base64
+const TEXT_MIME_PATTERN = /^(text\/|application\/(json|xml|javascript)|image\/svg\+xml)/;
+
+// Images up to this size can be embedded in HTML output as data URIs
+const INLINE_IMAGE_MAX_BYTES = 256 * 1024;
+
+/**
+ * Configured download limit in bytes
+ * @returns {number} Maximum resource size
+ */
+function resourceMaxBytes() {
+  const configured = parseInt(process.env.EVERNOTE_RESOURCE_MAX_BYTES, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_RESOURCE_MAX_BYTES;
+}
+
+/**
+ * Build the HTTPS URL Evernote serves resource bodies from
+ * @param {string} resourceGuid - Resource GUID
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {string} Download URL
+ */
+function resourceDownloadUrl(resourceGuid, tokenData) {
+  let prefix = tokenData.edamWebApiUrlPrefix;
+  if (!prefix) {
+    if (!tokenData.edamNoteStoreUrl) {
+      throw new Error('Web API URL not available in token data');
+    }
+    prefix = tokenData.edamNoteStoreUrl.replace(/notestore\/?$/, '');
+  }
+  return `${prefix.replace(/\/?$/, '/')}res/${resourceGuid}`;
+}
+
+/**
+ * Start downloading a resource body from Evernote
+ * @param {string} resourceGuid - Resource GUID
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<http.IncomingMessage>} Response stream for a successful (200) download
+ */
+function openResourceStream(resourceGuid, tokenData) {
+  const url = new URL(resourceDownloadUrl(resourceGuid, tokenData));
+  const body = querystring.stringify({ auth: tokenData.accessToken });
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        const reason = response.statusCode === 401 || response.statusCode === 403 ? 'authentication failed'
+          : response.statusCode === 404 ? 'resource not found' : `HTTP ${response.statusCode}`;
+        reject(new Error(`Resource download failed: ${reason}`));
+        return;
+      }
+      resolve(response);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Stream a resource body to a file without holding it in memory.
+ * Writes to a temporary file first so a failed download never leaves a partial file behind.
+ * @param {string} resourceGuid - Resource GUID
+ * @param {string} destPath - File to write
+ * @param {number} maxBytes - Abort if the body grows past this size
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} { size, md5 }
+ */
+async function downloadResource(resourceGuid, destPath, maxBytes, tokenData) {
+  const tempPath = `${destPath}.${process.pid}.download`;
+  const response = await openResourceStream(resourceGuid, tokenData);
+
+  return new Promise((resolve, reject) => {
+    const fail = error => {
+      fs.promises.unlink(tempPath).catch(() => {}).finally(() => reject(error));
+    };
+
+    const hash = crypto.createHash('md5');
+    const file = fs.createWriteStream(tempPath);
+    let size = 0;
+
+    response.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy(new Error(`Resource is larger than the ${maxBytes}-byte limit`));
+        return;
+      }
+      hash.update(chunk);
+    });
+    response.on('error', error => {
+      file.destroy();
+      fail(error);
+    });
+    file.on('error', fail);
+    file.on('finish', () => {
+      if (size > maxBytes) {
+        return;
+      }
+      fs.promises.rename(tempPath, destPath)
+        .then(() => resolve({ size, md5: hash.digest('hex') }))
+        .catch(fail);
+    });
+    response.pipe(file);
+  });
+}
+
+/**
+ * Base URL of this server's HTTPS app, used for links to resources in HTML output
+ * @returns {string} Base URL without a trailing slash
+ */
+function serverBaseUrl() {
+  return (process.env.EVERNOTE_MCP_BASE_URL || `https://localhost:${process.env.PORT || 3443}`).replace(/\/+$/, '');
+}
+
+/**
+ * URL of the route that serves a note's resource by hash
+ * @param {string} noteGuid - Note GUID
+ * @param {string} hash - Hex MD5 of the resource body
+ * @param {string} baseUrl - Server base URL; pass '' for a path relative to the server root
+ * @returns {string} Resource URL
+ */
+function resourceRouteUrl(noteGuid, hash, baseUrl = serverBaseUrl()) {
+  return `${baseUrl}/notes/${encodeURIComponent(noteGuid)}/resources/${encodeURIComponent(hash)}`;
+}
+
+/**
+ * Fetch a note's small images as data URIs for embedding in HTML
+ * @param {Object} note - Evernote Note with resource metadata
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Map<string, string>>} Data URIs keyed by hex body hash
+ */
+async function inlineImageSources(note, tokenData) {
+  const sources = new Map();
+  for (const resource of note.resources || []) {
+    const data = resource.data || {};
+    if (!/^image\//.test(resource.mime || '') || !data.bodyHash || !data.size || data.size > INLINE_IMAGE_MAX_BYTES) {
+      continue;
+    }
+    const body = Buffer.from(await makeNoteStoreRequest('getResourceData', {
+      authenticationToken: tokenData.accessToken,
+      guid: resource.guid
+    }, tokenData));
+    sources.set(Buffer.from(data.bodyHash).toString('hex'), `data:${resource.mime};base64,${body.toString('base64')}`);
+  }
+  return sources;
+}
+
+/**
+ * Look up one of a note's resources by the MD5 hash its en-media tag refers to
+ * @param {string} noteGuid - Note GUID
+ * @param {string} hash - Hex MD5 of the resource body
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Resource metadata { guid, noteGuid, mime, fileName, size, hash }
+ */
+async function findResourceByHash(noteGuid, hash, tokenData) {
+  const resource = await makeNoteStoreRequest('getResourceByHash', {
+    authenticationToken: tokenData.accessToken,
+    noteGuid,
+    contentHash: Buffer.from(hash, 'hex'),
+    withData: false,
+    withRecognition: false,
+    withAlternateData: false
+  }, tokenData);
+
+  return {
+    guid: resource.guid,
+    noteGuid: resource.noteGuid,
+    mime: resource.mime || 'application/octet-stream',
+    fileName: (resource.attributes && resource.attributes.fileName) || `${resource.guid}`,
+    size: (resource.data && resource.data.size) || 0,
+    hash: hash.toLowerCase()
+  };
+}
+
+/**
+ * Remove cached downloads older than the cache lifetime
+ */
+async function pruneCache() {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(CACHE_DIR);
+  } catch (error) {
+    return;
+  }
+  const cutoff = Date.now() - CACHE_TTL_MS;
+  for (const entry of entries) {
+    const file = path.join(CACHE_DIR, entry);
+    try {
+      const stats = await fs.promises.stat(file);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(file);
+      }
+    } catch (error) {
+      // Another call may have removed it already
+    }
+  }
+}
+
+/**
+ * Get a cached copy of a resource on disk, downloading it if needed
+ * @param {Object} resource - Resource metadata
+ * @param {string} hash - Hex MD5 of the resource body
+ * @param {number} maxBytes - Download limit
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<string>} Path to the cached file
+ */
+async function cachedResourcePath(resource, hash, maxBytes, tokenData) {
+  await pruneCache();
+  await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+
+  // Keyed by content hash so an edited resource is never served stale
+  const cachePath = path.join(CACHE_DIR, `${resource.guid}-${hash || 'nohash'}`);
+  try {
+    await fs.promises.access(cachePath);
+    return cachePath;
+  } catch (error) {
+    console.error('⬇️ Downloading resource to cache:', resource.guid);
+  }
+
+  const download = await downloadResource(resource.guid, cachePath, maxBytes, tokenData);
+  if (hash && download.md5 !== hash) {
+    await fs.promises.unlink(cachePath).catch(() => {});
+    throw new Error('Downloaded resource does not match its MD5 hash');
+  }
+  return cachePath;
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} target - Path to check
+ * @returns {Promise<fs.Stats|null>} Stats, or null if nothing is there
+ */
+async function statOrNull(target) {
+  try {
+    return await fs.promises.stat(target);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Work out where to save a streamed download
+ * @param {string} outputPath - Requested file or directory
+ * @param {string} fileName - Resource file name, used when outputPath is a directory
+ * @param {boolean} overwrite - Whether an existing file may be replaced
+ * @returns {Promise<string>} Absolute file path
+ */
+async function resolveOutputPath(outputPath, fileName, overwrite) {
+  let target = path.resolve(outputPath);
+  const stats = await statOrNull(target);
+  if (stats && stats.isDirectory()) {
+    target = path.join(target, path.basename(fileName));
+  }
+
+  if (!overwrite && await statOrNull(target)) {
+    throw new Error(`File already exists: ${target} (pass overwrite: true to replace it)`);
+  }
+  return target;
+}
+
+/**
+ * Build MCP content for a resource body returned inline
+ * @param {Buffer} body - Resource bytes
+ * @param {Object} metadata - Resource summary
+ * @returns {Object} MCP image or embedded-resource content item
+ */
+function inlineContent(body, metadata) {
+  if (metadata.mime.startsWith('image/') && metadata.mime !== 'image/svg+xml') {
+    return { type: 'image', data: body.toString('base64'), mimeType: metadata.mime };
+  }
+
+  const resource = { uri: `evernote://resource/${metadata.guid}`, mimeType: metadata.mime };
+  if (TEXT_MIME_PATTERN.test(metadata.mime)) {
+    resource.text = body.toString('utf8');
+  } else {
+    resource.blob = body.toString('base64');
+  }
+  return { type: 'resource', resource };
+}
+
+/**
+ * Download an attachment inline, to a local file, or as a ranged chunk
+ * @param {Object} args - Arguments containing resourceGuid and optional outputPath, offset, length, maxBytes
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response, with MCP content items for inline downloads
+ */
+async function getResource(args, tokenData) {
+  logToolInvocation('getResource', args);
+
+  try {
+    // Validate required parameters
+    if (!args.resourceGuid) {
+      return createMCPResponse('error', null, 'resourceGuid is required');
+    }
+
+    const maxBytes = Math.min(args.maxBytes || Infinity, resourceMaxBytes());
+
+    console.error('🌐 Calling Evernote getResource API for GUID:', args.resourceGuid);
+    const resource = await makeNoteStoreRequest('getResource', {
+      authenticationToken: tokenData.accessToken,
+      guid: args.resourceGuid,
+      withData: false,
+      withRecognition: false,
+      withAttributes: true,
+      withAlternateData: false
+    }, tokenData);
+
+    const data = resource.data || {};
+    const hash = data.bodyHash ? Buffer.from(data.bodyHash).toString('hex') : null;
+    const metadata = {
+      guid: resource.guid,
+      noteGuid: resource.noteGuid,
+      mime: resource.mime || 'application/octet-stream',
+      fileName: (resource.attributes && resource.attributes.fileName) || `${resource.guid}`,
+      size: data.size || 0,
+      hash
+    };
+
+    if (metadata.size > maxBytes) {
+      return createMCPResponse('error', metadata, `Resource is ${metadata.size} bytes, over the ${maxBytes}-byte limit (set EVERNOTE_RESOURCE_MAX_BYTES to raise it)`);
+    }
+
+    // Stream to a local file
+    if (args.outputPath) {
+      const target = await resolveOutputPath(args.outputPath, metadata.fileName, args.overwrite === true);
+      console.error('⬇️ Streaming resource to', target);
+      const download = await downloadResource(metadata.guid, target, maxBytes, tokenData);
+      return createMCPResponse('success', {
+        ...metadata,
+        mode: 'file',
+        path: target,
+        size: download.size,
+        hashVerified: hash ? download.md5 === hash : null
+      });
+    }
+
+    // Read one ranged chunk from a cached download
+    if (args.offset !== undefined || args.length !== undefined) {
+      const offset = Math.max(args.offset || 0, 0);
+      const length = Math.min(args.length || DEFAULT_CHUNK_BYTES, MAX_CHUNK_BYTES);
+      if (offset > metadata.size) {
+        return createMCPResponse('error', metadata, `offset ${offset} is past the end of the ${metadata.size}-byte resource`);
+      }
+
+      const cachePath = await cachedResourcePath(metadata, hash, maxBytes, tokenData);
+      const handle = await fs.promises.open(cachePath, 'r');
+      try {
+        const buffer = Buffer.alloc(Math.min(length, metadata.size - offset));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+        const nextOffset = offset + bytesRead;
+        return createMCPResponse('success', {
+          ...metadata,
+          mode: 'chunk',
+          offset,
+          length: bytesRead,
+          nextOffset: nextOffset < metadata.size ? nextOffset : null,
+          done: nextOffset >= metadata.size,
+          encoding: 'base64',
+          chunk: buffer.subarray(0, bytesRead).toString('base64')
+        });
+      } finally {
+        await handle.close();
+      }
+    }
+
+    // Return small files inline
+    if (metadata.size > INLINE_MAX_BYTES) {
+      return createMCPResponse('error', metadata, `Resource is ${metadata.size} bytes, too large to return inline (limit ${INLINE_MAX_BYTES}). Pass outputPath to save it to a file, or offset/length to read it in chunks.`);
+    }
+
+    console.error('🌐 Calling Evernote getResourceData API...');
+    const body = Buffer.from(await makeNoteStoreRequest('getResourceData', {
+      authenticationToken: tokenData.accessToken,
+      guid: metadata.guid
+    }, tokenData));
+
+    return {
+      ...createMCPResponse('success', { ...metadata, mode: 'inline', size: body.length }),
+      content: [inlineContent(body, metadata)]
+    };
+
+  } catch (error) {
+    console.error('❌ getResource error:', error.message);
+
+    // Provide more specific error messages
+    let errorMessage;
+    if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('not found') || error.message.includes('404')) {
+      errorMessage = `Resource with GUID ${args.resourceGuid} not found or has been deleted.`;
+    } else if (error.code === 'EACCES' || error.code === 'ENOENT') {
+      errorMessage = `Cannot write to ${args.outputPath}: ${error.message}`;
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to get resource: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+module.exports = {
+  getResource,
+  resourceDownloadUrl,
+  resourceMaxBytes,
+  openResourceStream,
+  findResourceByHash,
+  serverBaseUrl,
+  resourceRouteUrl,
+  inlineImageSources,
+  inlineContent
+};
@@ -3,7 +3,7 @@
  * Retrieves search results by search ID or re-runs a search query
  */
 
-const { createSearch, buildSearchQuery, logToolInvocation, createMCPResponse, DEV_MODE } = require('./createSearch');
+const { createSearch, buildSearchQuery, hasSearchCriteria, logToolInvocation, createMCPResponse, DEV_MODE } = require('./createSearch');
 
 // Simple in-memory storage for search results
 // In a production system, you might use Redis or a database
@@ -23,6 +23,19 @@ function generateSearchId(args) {
     tags: args.tags || [],
     createdAfter: args.createdAfter || '',
     updatedAfter: args.updatedAfter || '',
+    // Grammar filters are left out when unset so older search IDs stay the same
+    intitle: args.intitle,
+    todo: args.todo,
+    resource: args.resource,
+    source: args.source,
+    author: args.author,
+    hasReminder: args.hasReminder,
+    createdBefore: args.createdBefore,
+    updatedBefore: args.updatedBefore,
+    dateRange: args.dateRange,
+    dateField: args.dateField,
+    matchAny: args.matchAny,
+    exclude: args.exclude,
     maxResults: args.maxResults || 20,
     offset: args.offset || 0
   });
@@ -112,8 +125,8 @@ async function getSearch(args, tokenData) {
     // If no searchId provided, generate one from the search parameters
     if (!searchId) {
       // Validate that we have search parameters
-      if (!args.query && !args.notebookName && !args.tags) {
-        return createMCPResponse('error', null, 'Either searchId or search criteria (query, notebookName, or tags) must be provided');
+      if (!hasSearchCriteria(args)) {
+        return createMCPResponse('error', null, 'Either searchId or search criteria (query, notebookName, tags or another filter) must be provided');
       }
       
       searchId = generateSearchId(args);
@@ -0,0 +1,175 @@
+/**
+ * Evernote lookup helpers
+ * Resolves notebook and tag names to GUIDs for tools that write to the NoteStore
+ */
+
+const { makeNoteStoreRequest } = require('./createSearch');
+const Limits = require('../thrift/gen-nodejs/Limits_types');
+
+const GUID_PATTERN = new RegExp(Limits.EDAM_GUID_REGEX);
+
+/**
+ * Check whether a string looks like an Evernote GUID
+ * @param {string} value - Candidate value
+ * @returns {boolean} True if the value is GUID-shaped
+ */
+function isGuid(value) {
+  return typeof value === 'string' && GUID_PATTERN.test(value);
+}
+
+/**
+ * List every notebook in the account
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Array>} Notebooks
+ */
+async function listNotebooks(tokenData) {
+  const notebooks = await makeNoteStoreRequest('listNotebooks', {
+    authenticationToken: tokenData.accessToken
+  }, tokenData);
+  return notebooks || [];
+}
+
+/**
+ * List every tag in the account
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Array>} Tags
+ */
+async function listTags(tokenData) {
+  const tags = await makeNoteStoreRequest('listTags', {
+    authenticationToken: tokenData.accessToken
+  }, tokenData);
+  return tags || [];
+}
+
+/**
+ * Resolve a notebook by GUID or name (case-insensitive).
+ * Falls back to the account's default notebook when no reference is given.
+ * @param {string} notebookRef - Notebook GUID or name
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Notebook
+ */
+async function resolveNotebook(notebookRef, tokenData) {
+  if (!notebookRef) {
+    return makeNoteStoreRequest('getDefaultNotebook', {
+      authenticationToken: tokenData.accessToken
+    }, tokenData);
+  }
+
+  return findNotebook(notebookRef, await listNotebooks(tokenData));
+}
+
+/**
+ * Resolve a notebook by GUID or name (case-insensitive)
+ * @param {string} notebookRef - Notebook GUID or name
+ * @param {Array} notebooks - All notebooks in the account (from listNotebooks)
+ * @returns {Object} Notebook
+ */
+function findNotebook(notebookRef, notebooks) {
+  if (isGuid(notebookRef)) {
+    const byGuid = notebooks.find(notebook => notebook.guid === notebookRef);
+    if (byGuid) {
+      return byGuid;
+    }
+  }
+
+  const wanted = String(notebookRef || '').trim().toLowerCase();
+  const byName = notebooks.find(notebook => (notebook.name || '').toLowerCase() === wanted);
+  if (!byName) {
+    throw new Error(`Notebook not found: ${notebookRef}`);
+  }
+
+  return byName;
+}
+
+/**
+ * Resolve a tag by GUID or name (case-insensitive)
+ * @param {string} tagRef - Tag GUID or name
+ * @param {Array} tags - All tags in the account (from listTags)
+ * @returns {Object} Tag
+ */
+function findTag(tagRef, tags) {
+  if (isGuid(tagRef)) {
+    const byGuid = tags.find(tag => tag.guid === tagRef);
+    if (byGuid) {
+      return byGuid;
+    }
+  }
+
+  const wanted = String(tagRef || '').trim().toLowerCase();
+  const byName = tags.find(tag => (tag.name || '').toLowerCase() === wanted);
+  if (!byName) {
+    throw new Error(`Tag not found: ${tagRef}`);
+  }
+
+  return byName;
+}
+
+/**
+ * Validate a tag name against Evernote's limits
+ * @param {string} name - Tag name
+ * @returns {string} Trimmed tag name
+ */
+function validateTagName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (trimmed.length < Limits.EDAM_TAG_NAME_LEN_MIN || trimmed.length > Limits.EDAM_TAG_NAME_LEN_MAX) {
+    throw new Error(`Tag name must be between ${Limits.EDAM_TAG_NAME_LEN_MIN} and ${Limits.EDAM_TAG_NAME_LEN_MAX} characters: "${name}"`);
+  }
+  if (trimmed.includes(',')) {
+    throw new Error(`Tag name cannot contain commas: "${name}"`);
+  }
+  return trimmed;
+}
+
+/**
+ * Resolve tag names to GUIDs, creating any tags that do not exist yet
+ * @param {Array<string>} tagNames - Tag names
+ * @param {Object} tokenData - OAuth authentication data
+ * @param {Object} options - Options
+ * @param {boolean} options.create - Create missing tags (default: true)
+ * @returns {Promise<Object>} { tagGuids, tagNames, createdTags }
+ */
+async function resolveTags(tagNames, tokenData, { create = true } = {}) {
+  const result = { tagGuids: [], tagNames: [], createdTags: [] };
+  if (!tagNames || tagNames.length === 0) {
+    return result;
+  }
+
+  const existing = await listTags(tokenData);
+  const byName = new Map(existing.map(tag => [(tag.name || '').toLowerCase(), tag]));
+
+  for (const rawName of tagNames) {
+    const name = validateTagName(rawName);
+    let tag = byName.get(name.toLowerCase());
+
+    if (!tag) {
+      if (!create) {
+        throw new Error(`Tag not found: ${name}`);
+      }
+      console.error('🏷️ Creating tag:', name);
+      tag = await makeNoteStoreRequest('createTag', {
+        authenticationToken: tokenData.accessToken,
+        tag: { name }
+      }, tokenData);
+      byName.set(name.toLowerCase(), tag);
+      result.createdTags.push({ guid: tag.guid, name: tag.name });
+    }
+
+    if (!result.tagGuids.includes(tag.guid)) {
+      result.tagGuids.push(tag.guid);
+      result.tagNames.push(tag.name);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  isGuid,
+  listNotebooks,
+  listTags,
+  resolveNotebook,
+  findNotebook,
+  resolveTags,
+  findTag,
+  validateTagName
+};
@@ -0,0 +1,557 @@
+/**
+ * Evernote MCP Tools: Note Blocks
+ * Exposes a note's ENML as a tree of blocks (headings, paragraphs, lists,
+ * checklist items, tables, media and encrypted sections) with stable IDs,
+ * and patches notes block by block instead of rewriting the whole body
+ */
+
+const crypto = require('crypto');
+const { logToolInvocation, createMCPResponse } = require('./createSearch');
+const { parseEnml } = require('./enmlParser');
+const { contentToEnmlFragment, SUPPORTED_INPUT_FORMATS } = require('./enmlWriter');
+const { extractTables } = require('./noteTables');
+const { fetchNoteWithContent, performNoteUpdate } = require('./updateNote');
+const { getSnapshot } = require('./noteSnapshots');
+
+// Elements that start a block of their own when they appear inside a container
+const BLOCK_ELEMENTS = new Set([
+  'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table',
+  'blockquote', 'pre', 'hr', 'en-media', 'en-crypt'
+]);
+
+// Elements whose text starts on a new line
+const LINE_ELEMENTS = new Set(['div', 'p', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'tr']);
+
+// Short prefixes for block IDs
+const ID_PREFIXES = {
+  heading: 'h',
+  paragraph: 'p',
+  todo: 't',
+  list: 'l',
+  listItem: 'li',
+  table: 'tbl',
+  media: 'm',
+  encrypted: 'enc',
+  divider: 'hr',
+  code: 'pre',
+  quote: 'q',
+  container: 'div'
+};
+
+const BLOCK_OPERATIONS = ['insertAfter', 'replace', 'delete', 'moveSection'];
+
+/**
+ * Parse ENML into a tree of elements and text runs that remember their offsets
+ * @param {string} enml - ENML content
+ * @returns {Object} Root node; elements have name, attributes, start, openEnd, closeStart, end and children
+ */
+function buildElementTree(enml) {
+  const root = { name: '#root', attributes: {}, start: 0, openEnd: 0, closeStart: enml.length, end: enml.length, children: [] };
+  const stack = [root];
+
+  parseEnml(enml, {
+    onOpenTag(name, attributes, { selfClosing, start, end }) {
+      const node = { name, attributes, start, openEnd: end, closeStart: end, end, children: [] };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    },
+
+    onCloseTag(name, { selfClosing, start, end }) {
+      if (selfClosing) return;
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          stack[i].closeStart = start;
+          stack[i].end = end;
+          stack.length = i;
+          break;
+        }
+      }
+    },
+
+    onText(text, { start, end }) {
+      stack[stack.length - 1].children.push({ name: '#text', text, start, end });
+    }
+  });
+
+  // Unclosed elements run to the end of the input
+  for (const node of stack.slice(1)) {
+    node.closeStart = enml.length;
+    node.end = enml.length;
+  }
+  return root;
+}
+
+/**
+ * Check whether a node carries content, ignoring whitespace and line breaks
+ * @param {Object} node - Tree node
+ * @returns {boolean} True for elements other than <br> and for non-blank text
+ */
+function isMeaningful(node) {
+  return node.name === '#text' ? node.text.trim().length > 0 : node.name !== 'br';
+}
+
+/**
+ * Plain text of a list of nodes; checkboxes and encrypted text are left out
+ * @param {Array<Object>} nodes - Tree nodes
+ * @returns {string} Text with one line per line-level element
+ */
+function nodesText(nodes) {
+  const parts = [];
+  const walk = (list) => {
+    for (const node of list) {
+      if (node.name === '#text') {
+        parts.push(node.text);
+      } else if (node.name === 'br') {
+        parts.push('\n');
+      } else if (node.name !== 'en-crypt' && node.name !== 'en-todo') {
+        const line = LINE_ELEMENTS.has(node.name);
+        if (line) parts.push('\n');
+        walk(node.children);
+        if (line) parts.push('\n');
+        if (node.name === 'td' || node.name === 'th') parts.push(' ');
+      }
+    }
+  };
+  walk(nodes);
+
+  return parts.join('')
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Classify the children of a container element as blocks.
+ * Runs of inline content between block elements become paragraphs (or
+ * checklist items), split at <br/> so each line is a block of its own.
+ * @param {Array<Object>} children - Child nodes
+ * @param {string} source - ENML the nodes were parsed from
+ * @returns {Array<Object>} Blocks
+ */
+function classifyChildren(children, source) {
+  const blocks = [];
+  let run = [];
+
+  const flushRun = () => {
+    const meaningful = run.filter(isMeaningful);
+    if (meaningful.length > 0) {
+      const todo = meaningful[0].name === 'en-todo';
+      blocks.push({
+        type: todo ? 'todo' : 'paragraph',
+        start: meaningful[0].start,
+        end: run[run.length - 1].end,
+        ...(todo ? { checked: meaningful[0].attributes.checked === 'true' } : {}),
+        text: nodesText(run)
+      });
+    }
+    run = [];
+  };
+
+  for (const child of children) {
+    if (child.name !== '#text' && BLOCK_ELEMENTS.has(child.name)) {
+      flushRun();
+      blocks.push(classifyElement(child, source));
+    } else if (child.name === 'br') {
+      run.push(child);
+      flushRun();
+    } else {
+      run.push(child);
+    }
+  }
+  flushRun();
+
+  return blocks;
+}
+
+/**
+ * Classify one block-level element
+ * @param {Object} node - Element node
+ * @param {string} source - ENML the node was parsed from
+ * @returns {Object} Block
+ */
+function classifyElement(node, source) {
+  const block = { start: node.start, end: node.end };
+  const heading = node.name.match(/^h([1-6])$/);
+
+  if (heading) {
+    return { ...block, type: 'heading', level: Number(heading[1]), text: nodesText(node.children) };
+  }
+
+  switch (node.name) {
+    case 'ul':
+    case 'ol':
+      return {
+        ...block,
+        type: 'list',
+        ordered: node.name === 'ol',
+        children: node.children.filter(child => child.name === 'li').map(child => classifyListItem(child, source))
+      };
+    case 'table': {
+      const [table] = extractTables(source.slice(node.start, node.end));
+      return { ...block, type: 'table', caption: table ? table.caption : null, rows: table ? table.grid : [] };
+    }
+    case 'hr':
+      return { ...block, type: 'divider' };
+    case 'pre':
+      return { ...block, type: 'code', text: nodesText(node.children) };
+    case 'blockquote':
+      return { ...block, type: 'quote', children: classifyChildren(node.children, source) };
+    case 'en-media':
+      return { ...block, type: 'media', hash: node.attributes.hash || null, mime: node.attributes.type || null };
+    case 'en-crypt':
+      return { ...block, type: 'encrypted', cipher: node.attributes.cipher || 'RC2', hint: node.attributes.hint || null };
+    default: {
+      // A <div> or <p> holding just an attachment or encrypted section is that block
+      const meaningful = node.children.filter(isMeaningful);
+      if (meaningful.length === 1 && (meaningful[0].name === 'en-media' || meaningful[0].name === 'en-crypt')) {
+        return { ...classifyElement(meaningful[0], source), start: node.start, end: node.end };
+      }
+      if (meaningful.some(child => BLOCK_ELEMENTS.has(child.name))) {
+        return { ...block, type: 'container', children: classifyChildren(node.children, source) };
+      }
+      if (meaningful.length > 0 && meaningful[0].name === 'en-todo') {
+        return { ...block, type: 'todo', checked: meaningful[0].attributes.checked === 'true', text: nodesText(node.children) };
+      }
+      return { ...block, type: 'paragraph', text: nodesText(node.children) };
+    }
+  }
+}
+
+/**
+ * Classify an <li>; nested lists become its children
+ * @param {Object} node - <li> element node
+ * @param {string} source - ENML the node was parsed from
+ * @returns {Object} listItem block
+ */
+function classifyListItem(node, source) {
+  const nested = node.children.filter(child => child.name === 'ul' || child.name === 'ol');
+  const inline = node.children.filter(child => child.name !== 'ul' && child.name !== 'ol');
+  const first = inline.find(isMeaningful);
+  return {
+    type: 'listItem',
+    start: node.start,
+    end: node.end,
+    text: nodesText(inline),
+    ...(first && first.name === 'en-todo' ? { checked: first.attributes.checked === 'true' } : {}),
+    ...(nested.length > 0 ? { children: nested.map(list => classifyElement(list, source)) } : {})
+  };
+}
+
+/**
+ * Parse an ENML document into a block tree.
+ * A block's ID is derived from its type and markup, so it stays the same while
+ * the block itself is unchanged, wherever else the note is edited. Identical
+ * blocks are told apart by a counter in document order.
+ * @param {string} enml - ENML document
+ * @returns {Object} { blocks, index } where index maps IDs to blocks with parent and siblings
+ */
+function parseBlocks(enml) {
+  const source = enml || '';
+  const note = buildElementTree(source).children.find(child => child.name === 'en-note');
+  const blocks = note ? classifyChildren(note.children, source) : [];
+
+  const index = new Map();
+  const seen = new Map();
+  const assign = (list, parent) => {
+    list.forEach((block, position) => {
+      const digest = crypto.createHash('sha1')
+        .update(`${block.type}\0${source.slice(block.start, block.end)}`)
+        .digest('hex')
+        .slice(0, 8);
+      const base = `${ID_PREFIXES[block.type]}-${digest}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      block.id = count > 1 ? `${base}-${count}` : base;
+      block.parent = parent;
+      block.siblings = list;
+      block.position = position;
+      index.set(block.id, block);
+      if (block.children) assign(block.children, block);
+    });
+  };
+  assign(blocks, null);
+
+  return { blocks, index };
+}
+
+/**
+ * Public view of a block tree
+ * @param {Array<Object>} blocks - Parsed blocks
+ * @param {string} enml - ENML the blocks were parsed from
+ * @param {boolean} includeEnml - Include each block's ENML markup
+ * @returns {Array<Object>} Blocks without parser bookkeeping
+ */
+function blockSummaries(blocks, enml, includeEnml = false) {
+  return blocks.map(block => {
+    const { id, start, end, parent, siblings, position, children, ...fields } = block;
+    return {
+      id,
+      ...fields,
+      ...(includeEnml ? { enml: enml.slice(start, end) } : {}),
+      ...(children ? { children: blockSummaries(children, enml, includeEnml) } : {})
+    };
+  });
+}
+
+/**
+ * Find the end of the section a heading starts: up to the next sibling heading
+ * of the same or a higher level, or the end of the heading's container
+ * @param {Object} heading - Heading block
+ * @returns {number} Offset where the section ends
+ */
+function sectionEnd(heading) {
+  let end = heading.end;
+  for (const sibling of heading.siblings.slice(heading.position + 1)) {
+    if (sibling.type === 'heading' && sibling.level <= heading.level) break;
+    end = sibling.end;
+  }
+  return end;
+}
+
+/**
+ * Shift every heading in an ENML fragment by a number of levels, keeping them within h1-h6
+ * @param {string} fragment - ENML fragment
+ * @param {number} delta - Levels to add
+ * @returns {string} Updated fragment
+ */
+function shiftHeadings(fragment, delta) {
+  return fragment.replace(/<(\/?)h([1-6])(?=[\s>/])/gi, (match, slash, level) =>
+    `<${slash}h${Math.min(Math.max(Number(level) + delta, 1), 6)}`);
+}
+
+/**
+ * Convert operation content to ENML that fits where it is going.
+ * Next to a list item, a single list is unwrapped into its items and anything
+ * else becomes one new item.
+ * @param {Object} operation - Operation with content and format
+ * @param {Object} block - Block the content is placed next to or replaces
+ * @returns {string} ENML fragment
+ */
+function operationFragment(operation, block) {
+  if (typeof operation.content !== 'string' || !operation.content.trim()) {
+    throw new Error(`${operation.op}: content is required`);
+  }
+  const fragment = contentToEnmlFragment(operation.content, operation.format || 'markdown');
+  if (block.type !== 'listItem') {
+    return fragment;
+  }
+
+  const meaningful = buildElementTree(fragment).children.filter(isMeaningful);
+  const [only] = meaningful;
+  if (meaningful.length === 1 && (only.name === 'ul' || only.name === 'ol')) {
+    return fragment.slice(only.openEnd, only.closeStart);
+  }
+  if (meaningful.length === 1 && (only.name === 'div' || only.name === 'p') &&
+      !only.children.some(child => BLOCK_ELEMENTS.has(child.name))) {
+    return `<li>${fragment.slice(only.openEnd, only.closeStart)}</li>`;
+  }
+  return `<li>${fragment}</li>`;
+}
+
+/**
+ * Apply block operations to an ENML document.
+ * Block IDs always refer to the blocks as they were before any operation in the batch.
+ * @param {string} enml - ENML document
+ * @param {Array<Object>} operations - { op, blockId, content, format, underBlockId }
+ * @returns {string} Updated ENML document
+ */
+function applyBlockOperations(enml, operations) {
+  const { index } = parseBlocks(enml);
+  const removals = [];
+  const inserts = new Map();
+
+  const blockFor = (id, op, field = 'blockId') => {
+    if (typeof id !== 'string' || !index.has(id)) {
+      throw new Error(`${op}: ${field} ${id} was not found in the note (call getNoteBlocks for current IDs)`);
+    }
+    return index.get(id);
+  };
+  const insertAt = (position, text, label) => {
+    inserts.set(position, { text: (inserts.has(position) ? inserts.get(position).text : '') + text, label });
+  };
+
+  for (const operation of operations) {
+    const op = operation && operation.op;
+    if (!BLOCK_OPERATIONS.includes(op)) {
+      throw new Error(`op must be one of: ${BLOCK_OPERATIONS.join(', ')}`);
+    }
+    const block = blockFor(operation.blockId, op);
+
+    if (op === 'insertAfter') {
+      insertAt(block.end, operationFragment(operation, block), `${op} ${block.id}`);
+    } else if (op === 'replace') {
+      removals.push({ start: block.start, end: block.end, text: operationFragment(operation, block), label: block.id });
+    } else if (op === 'delete') {
+      removals.push({ start: block.start, end: block.end, text: '', label: block.id });
+    } else {
+      const target = blockFor(operation.underBlockId, op, 'underBlockId');
+      if (block.type !== 'heading' || target.type !== 'heading') {
+        throw new Error('moveSection: blockId and underBlockId must both be headings');
+      }
+      const end = sectionEnd(block);
+      if (target.start >= block.start && target.start < end) {
+        throw new Error(`moveSection: heading ${target.id} is inside the section being moved`);
+      }
+      const moved = shiftHeadings(enml.slice(block.start, end), target.level + 1 - block.level);
+      removals.push({ start: block.start, end, text: '', label: block.id });
+      insertAt(sectionEnd(target), moved, `${op} ${block.id}`);
+    }
+  }
+
+  // Each block may be changed once; removing a container also covers everything in it
+  removals.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < removals.length; i++) {
+    if (removals[i].start < removals[i - 1].end) {
+      throw new Error(`Block ${removals[i].label} is changed by more than one operation`);
+    }
+  }
+  for (const [position, insert] of inserts.entries()) {
+    if (removals.some(removal => position > removal.start && position < removal.end)) {
+      throw new Error(`${insert.label}: the insertion point is inside a block removed by another operation`);
+    }
+  }
+
+  const edits = [
+    ...removals,
+    ...[...inserts.entries()].map(([position, insert]) => ({ start: position, end: position, text: insert.text }))
+  ];
+
+  // Splice from the end so earlier offsets stay valid; inserts go after a removal ending at the same place
+  edits.sort((a, b) => b.start - a.start || (b.end - b.start) - (a.end - a.start));
+  return edits.reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), enml);
+}
+
+/**
+ * Get a note's content as a tree of blocks
+ * @param {Object} args - Arguments containing noteGuid and optional includeEnml
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function getNoteBlocks(args, tokenData) {
+  logToolInvocation('getNoteBlocks', args);
+
+  try {
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+
+    const note = await fetchNoteWithContent(args.noteGuid, tokenData);
+    const { blocks, index } = parseBlocks(note.content);
+
+    console.error(`✅ Parsed ${index.size} blocks`);
+    return createMCPResponse('success', {
+      guid: note.guid,
+      title: note.title,
+      updateSequenceNum: note.updateSequenceNum,
+      blockCount: index.size,
+      blocks: blockSummaries(blocks, note.content || '', args.includeEnml === true)
+    });
+
+  } catch (error) {
+    console.error('❌ getNoteBlocks error:', error.message);
+    return createMCPResponse('error', null, blockErrorMessage(error, args.noteGuid, 'read the note blocks'));
+  }
+}
+
+/**
+ * Insert, replace, delete or move blocks in a note
+ * @param {Object} args - Arguments containing noteGuid, updateSequenceNum and operations
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function patchNote(args, tokenData) {
+  logToolInvocation('patchNote', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!Number.isInteger(args.updateSequenceNum) || args.updateSequenceNum < 1) {
+      return createMCPResponse('error', null, 'updateSequenceNum is required (use the value returned by getNoteBlocks)');
+    }
+    if (!Array.isArray(args.operations) || args.operations.length === 0) {
+      return createMCPResponse('error', null, 'operations must be a non-empty array');
+    }
+    const badFormat = args.operations.find(operation => operation && operation.format && !SUPPORTED_INPUT_FORMATS.includes(operation.format));
+    if (badFormat) {
+      return createMCPResponse('error', null, `format must be one of: ${SUPPORTED_INPUT_FORMATS.join(', ')}`);
+    }
+
+    const current = await fetchNoteWithContent(args.noteGuid, tokenData);
+
+    // Block IDs refer to the version the caller read, so edit that version and let the update merge it forward
+    let base = current;
+    if (current.updateSequenceNum !== args.updateSequenceNum) {
+      base = getSnapshot(args.noteGuid, args.updateSequenceNum);
+      if (!base) {
+        return createMCPResponse('error', null, `Note has changed since update sequence number ${args.updateSequenceNum} and that version is not cached. Call getNoteBlocks again.`);
+      }
+    }
+
+    const content = applyBlockOperations(base.content, args.operations);
+    const result = await performNoteUpdate(args.noteGuid, args.updateSequenceNum, { content }, tokenData, { current });
+
+    if (!result.updated) {
+      console.error(`⚠️ patchNote conflict on ${result.conflicts.length} region(s)`);
+      return createMCPResponse('error', {
+        conflict: true,
+        noteGuid: args.noteGuid,
+        expectedUpdateSequenceNum: args.updateSequenceNum,
+        currentUpdateSequenceNum: result.current.updateSequenceNum,
+        conflicts: result.conflicts
+      }, `Note was modified after update sequence number ${args.updateSequenceNum} and the block changes could not be merged automatically. Nothing was written.`);
+    }
+
+    const saved = getSnapshot(result.note.guid, result.note.updateSequenceNum);
+    const blocks = saved ? blockSummaries(parseBlocks(saved.content).blocks, saved.content) : null;
+
+    console.error('✅ Patched note:', result.note.guid);
+    return createMCPResponse('success', {
+      guid: result.note.guid,
+      title: result.note.title,
+      updateSequenceNum: result.note.updateSequenceNum,
+      previousUpdateSequenceNum: args.updateSequenceNum,
+      merged: result.merged,
+      applied: args.operations.length,
+      blocks
+    });
+
+  } catch (error) {
+    console.error('❌ patchNote error:', error.message);
+    return createMCPResponse('error', null, blockErrorMessage(error, args.noteGuid, 'patch the note'));
+  }
+}
+
+/**
+ * Map block tool errors to user-facing messages
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} noteGuid - Note GUID
+ * @param {string} action - Description of the failed action
+ * @returns {string} Error message
+ */
+function blockErrorMessage(error, noteGuid, action) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  } else if (error.message.includes('was not found in the note')) {
+    return error.message;
+  } else if (error.message.includes('not found') || error.message.includes('404')) {
+    return `Note with GUID ${noteGuid} not found or has been deleted.`;
+  } else if (error.message.includes('ENML_VALIDATION')) {
+    return error.enmlErrors ? error.message : 'Evernote rejected the patched note as invalid ENML.';
+  } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `Failed to ${action}: ${error.message}`;
+}
+
+module.exports = {
+  getNoteBlocks,
+  patchNote,
+  parseBlocks,
+  applyBlockOperations
+};
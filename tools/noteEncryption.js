@@ -0,0 +1,480 @@
+/**
+ * Evernote MCP Tools: Encrypted Sections
+ * Decrypts and creates <en-crypt> blocks locally. Passphrases and plaintext
+ * only ever live in memory for the duration of a call; nothing here logs or
+ * caches them.
+ *
+ * AES blocks (cipher="AES" length="128") hold base64 of:
+ *   "ENC0" | salt (16) | HMAC salt (16) | IV (16) | AES-128-CBC ciphertext | HMAC-SHA256 (32)
+ * with both keys derived by PBKDF2-HMAC-SHA256 over the passphrase.
+ * Legacy blocks (cipher="RC2" length="64") are RC2-ECB with the MD5 of the
+ * passphrase as key; the plaintext starts with a CRC32 check value and is
+ * padded with NULs.
+ */
+
+const crypto = require('crypto');
+const { logToolInvocation, createMCPResponse } = require('./createSearch');
+const { parseEnml } = require('./enmlParser');
+const { escapeXml, contentToEnmlFragment, SUPPORTED_INPUT_FORMATS } = require('./enmlWriter');
+const { enmlToPlainText, enmlToMarkdown } = require('./getNoteContent');
+const { fetchNoteWithContent } = require('./updateNote');
+const { insertFragment } = require('./appendToNote');
+
+const AES_HEADER = Buffer.from('ENC0');
+const AES_SALT_BYTES = 16;
+const AES_IV_BYTES = 16;
+const AES_KEY_BYTES = 16;
+const AES_HMAC_BYTES = 32;
+const AES_ITERATIONS = 50000;
+
+const DECRYPT_OUTPUT_FORMATS = ['text', 'markdown', 'enml'];
+
+// RFC 2268 key-expansion permutation, a table of the digits of pi
+const PITABLE = Buffer.from(
+  'd978f9c419ddb5ed28e9fd794aa0d89dc67e37832b76538e624c6488448bfba2' +
+  '179a59f587b34f1361456d8d09817d32bd8f40eb86b77b0bf09521225c6b4e82' +
+  '54d66593ce60b21c7356c014a78cf1dc1275ca1f3bbee4d1423dd430a33cb626' +
+  '6fbf0eda4669075727f21d9bbc944303f811c7f690ef3ee706c3d52fc8661ed7' +
+  '08e8eade8052eef784aa72ac354d6a2a961ad2715a1549744b9fd05e0418a4ec' +
+  'c2e0416e0f51cbcc2491af50a1f47039997c3a8523b8b47afc02365b25559731' +
+  '2d5dfa98e38a92ae05df2910676cbac9d300e6cfe19ea82c6316013f58e289a9' +
+  '0d38341bab33ffb0bb480c5fb9b1cd2ec5f3db47e5a59c770aa62068fe7fc1ad',
+  'hex'
+);
+
+const RC2_SHIFTS = [1, 2, 3, 5];
+
+let crcTable = null;
+
+/**
+ * Standard CRC32 (IEEE 802.3) of a buffer
+ * @param {Buffer} data - Input bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Expand an RC2 key into its 64 16-bit subkeys (RFC 2268 section 2)
+ * @param {Buffer} key - Key bytes, 1 to 128 long
+ * @param {number} effectiveBits - Effective key length in bits
+ * @returns {Uint16Array} Expanded key
+ */
+function rc2ExpandKey(key, effectiveBits) {
+  const L = new Uint8Array(128);
+  L.set(key);
+  for (let i = key.length; i < 128; i++) {
+    L[i] = PITABLE[(L[i - 1] + L[i - key.length]) & 0xff];
+  }
+  const T8 = Math.ceil(effectiveBits / 8);
+  const TM = 0xff % Math.pow(2, 8 + effectiveBits - 8 * T8);
+  L[128 - T8] = PITABLE[L[128 - T8] & TM];
+  for (let i = 127 - T8; i >= 0; i--) {
+    L[i] = PITABLE[L[i + 1] ^ L[i + T8]];
+  }
+  const K = new Uint16Array(64);
+  for (let i = 0; i < 64; i++) {
+    K[i] = L[2 * i] | (L[2 * i + 1] << 8);
+  }
+  return K;
+}
+
+/**
+ * Run RC2 in ECB mode over whole 8-byte blocks
+ * @param {Buffer} key - Key bytes
+ * @param {number} effectiveBits - Effective key length in bits
+ * @param {Buffer} data - Input, a multiple of 8 bytes long
+ * @param {boolean} decrypt - Decrypt instead of encrypt
+ * @returns {Buffer} Output bytes
+ */
+function rc2Ecb(key, effectiveBits, data, decrypt) {
+  if (data.length % 8 !== 0) {
+    throw new Error('RC2 data is not a whole number of blocks');
+  }
+  const K = rc2ExpandKey(key, effectiveBits);
+  const out = Buffer.alloc(data.length);
+  const R = new Uint16Array(4);
+
+  const mix = (i, j) => {
+    const sum = R[i] + K[j] + (R[(i + 3) % 4] & R[(i + 2) % 4]) + (~R[(i + 3) % 4] & R[(i + 1) % 4]);
+    const word = sum & 0xffff;
+    R[i] = (word << RC2_SHIFTS[i]) | (word >>> (16 - RC2_SHIFTS[i]));
+  };
+  const mash = (i) => {
+    R[i] = R[i] + K[R[(i + 3) % 4] & 63];
+  };
+  const unmix = (i, j) => {
+    const word = R[i];
+    const rotated = ((word >>> RC2_SHIFTS[i]) | (word << (16 - RC2_SHIFTS[i]))) & 0xffff;
+    R[i] = rotated - K[j] - (R[(i + 3) % 4] & R[(i + 2) % 4]) - (~R[(i + 3) % 4] & R[(i + 1) % 4]);
+  };
+  const unmash = (i) => {
+    R[i] = R[i] - K[R[(i + 3) % 4] & 63];
+  };
+
+  // 5 mixing rounds, a mashing round, 6 mixing, a mashing round, 5 mixing
+  const schedule = ['mix', 5, 'mash', 1, 'mix', 6, 'mash', 1, 'mix', 5];
+
+  for (let offset = 0; offset < data.length; offset += 8) {
+    for (let i = 0; i < 4; i++) {
+      R[i] = data.readUInt16LE(offset + 2 * i);
+    }
+    if (!decrypt) {
+      let j = 0;
+      for (let step = 0; step < schedule.length; step += 2) {
+        for (let round = 0; round < schedule[step + 1]; round++) {
+          for (let i = 0; i < 4; i++) {
+            if (schedule[step] === 'mix') mix(i, j++);
+            else mash(i);
+          }
+        }
+      }
+    } else {
+      let j = 63;
+      for (let step = schedule.length - 2; step >= 0; step -= 2) {
+        for (let round = 0; round < schedule[step + 1]; round++) {
+          for (let i = 3; i >= 0; i--) {
+            if (schedule[step] === 'mix') unmix(i, j--);
+            else unmash(i);
+          }
+        }
+      }
+    }
+    for (let i = 0; i < 4; i++) {
+      out.writeUInt16LE(R[i], offset + 2 * i);
+    }
+  }
+  return out;
+}
+
+/**
+ * Derive the AES and HMAC keys for an AES block
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Key salt
+ * @param {Buffer} hmacSalt - HMAC key salt
+ * @returns {Object} { key, hmacKey }
+ */
+function deriveAesKeys(passphrase, salt, hmacSalt) {
+  return {
+    key: crypto.pbkdf2Sync(passphrase, salt, AES_ITERATIONS, AES_KEY_BYTES, 'sha256'),
+    hmacKey: crypto.pbkdf2Sync(passphrase, hmacSalt, AES_ITERATIONS, AES_KEY_BYTES, 'sha256')
+  };
+}
+
+/**
+ * Error for a passphrase that does not open a block; carries no key material
+ * @returns {Error} Error with code WRONG_PASSPHRASE
+ */
+function wrongPassphraseError() {
+  const error = new Error('The passphrase does not decrypt this block');
+  error.code = 'WRONG_PASSPHRASE';
+  return error;
+}
+
+/**
+ * Decrypt an AES en-crypt body
+ * @param {Buffer} data - Decoded body
+ * @param {string} passphrase - Passphrase
+ * @returns {string} Plaintext ENML fragment
+ */
+function decryptAes(data, passphrase) {
+  const minimum = AES_HEADER.length + 2 * AES_SALT_BYTES + AES_IV_BYTES + AES_HMAC_BYTES;
+  if (data.length < minimum || !data.subarray(0, AES_HEADER.length).equals(AES_HEADER)) {
+    throw new Error('Encrypted block is not in Evernote\'s AES format');
+  }
+
+  let offset = AES_HEADER.length;
+  const salt = data.subarray(offset, offset += AES_SALT_BYTES);
+  const hmacSalt = data.subarray(offset, offset += AES_SALT_BYTES);
+  const iv = data.subarray(offset, offset += AES_IV_BYTES);
+  const ciphertext = data.subarray(offset, data.length - AES_HMAC_BYTES);
+  const mac = data.subarray(data.length - AES_HMAC_BYTES);
+
+  const { key, hmacKey } = deriveAesKeys(passphrase, salt, hmacSalt);
+  const expected = crypto.createHmac('sha256', hmacKey).update(data.subarray(0, data.length - AES_HMAC_BYTES)).digest();
+  if (!crypto.timingSafeEqual(expected, mac)) {
+    throw wrongPassphraseError();
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Decrypt a legacy RC2 en-crypt body
+ * @param {Buffer} data - Decoded body
+ * @param {string} passphrase - Passphrase
+ * @param {number} keyBits - Effective key length from the length attribute
+ * @returns {string} Plaintext ENML fragment
+ */
+function decryptRc2(data, passphrase, keyBits) {
+  if (data.length < 8 || data.length % 8 !== 0) {
+    throw new Error('Encrypted block is not in Evernote\'s RC2 format');
+  }
+  const key = crypto.createHash('md5').update(passphrase, 'utf8').digest();
+  const plain = rc2Ecb(key, keyBits, data, true);
+
+  let end = plain.length;
+  while (end > 4 && plain[end - 1] === 0) end--;
+  const text = plain.subarray(4, end);
+
+  // The first four bytes are the leading hex digits of the text's CRC32; older
+  // clients wrote them unpadded, and some as the raw big-endian checksum
+  const crc = crc32(text);
+  const hex = crc.toString(16).toUpperCase();
+  const raw = Buffer.alloc(4);
+  raw.writeUInt32BE(crc);
+  const check = plain.subarray(0, 4);
+  const checkHex = check.toString('latin1').toUpperCase();
+  if (checkHex !== hex.padStart(8, '0').slice(0, 4) && checkHex !== hex.slice(0, 4) && !check.equals(raw)) {
+    throw wrongPassphraseError();
+  }
+  return text.toString('utf8');
+}
+
+/**
+ * Decrypt the body of an <en-crypt> element
+ * @param {Object} block - { cipher, length, body } from findEncryptedBlocks
+ * @param {string} passphrase - Passphrase for this block
+ * @returns {string} Plaintext ENML fragment
+ * @throws {Error} WRONG_PASSPHRASE if the passphrase does not match
+ */
+function decryptBlock(block, passphrase) {
+  const data = Buffer.from(String(block.body || '').replace(/\s+/g, ''), 'base64');
+  const cipher = String(block.cipher || 'RC2').toUpperCase();
+  if (cipher === 'AES') {
+    return decryptAes(data, passphrase);
+  }
+  if (cipher === 'RC2') {
+    return decryptRc2(data, passphrase, Number(block.length) || 64);
+  }
+  throw new Error(`Unsupported en-crypt cipher "${block.cipher}"`);
+}
+
+/**
+ * Encrypt an ENML fragment as an AES <en-crypt> element
+ * @param {string} plaintext - ENML fragment to protect
+ * @param {string} passphrase - Passphrase
+ * @param {string} hint - Optional passphrase hint, stored in clear
+ * @returns {string} <en-crypt> element
+ */
+function encryptToEnCrypt(plaintext, passphrase, hint) {
+  const salt = crypto.randomBytes(AES_SALT_BYTES);
+  const hmacSalt = crypto.randomBytes(AES_SALT_BYTES);
+  const iv = crypto.randomBytes(AES_IV_BYTES);
+  const { key, hmacKey } = deriveAesKeys(passphrase, salt, hmacSalt);
+
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+  const payload = Buffer.concat([
+    AES_HEADER, salt, hmacSalt, iv,
+    cipher.update(Buffer.from(plaintext, 'utf8')), cipher.final()
+  ]);
+  const mac = crypto.createHmac('sha256', hmacKey).update(payload).digest();
+
+  const hintAttribute = hint ? ` hint="${escapeXml(hint)}"` : '';
+  return `<en-crypt cipher="AES" length="128"${hintAttribute}>${Buffer.concat([payload, mac]).toString('base64')}</en-crypt>`;
+}
+
+/**
+ * List the <en-crypt> elements of a note in document order
+ * @param {string} enml - Complete ENML document
+ * @returns {Array<Object>} [{ index, cipher, length, hint, body, start, end }] with offsets into enml
+ */
+function findEncryptedBlocks(enml) {
+  const blocks = [];
+  let current = null;
+
+  parseEnml(enml, {
+    onOpenTag(name, attributes, { start }) {
+      if (name !== 'en-crypt') return;
+      current = {
+        index: blocks.length,
+        cipher: attributes.cipher || 'RC2',
+        length: Number(attributes.length) || (String(attributes.cipher).toUpperCase() === 'AES' ? 128 : 64),
+        hint: attributes.hint || null,
+        body: '',
+        start
+      };
+    },
+    onCloseTag(name, { end }) {
+      if (name !== 'en-crypt' || !current) return;
+      current.end = end;
+      blocks.push(current);
+      current = null;
+    },
+    onText(text) {
+      if (current) {
+        current.body += text;
+      }
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Map an encryption tool error to a user-facing message
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} noteGuid - Note the tool was working on
+ * @param {string} fallback - Message prefix for anything unrecognised
+ * @returns {string} Error message
+ */
+function encryptionErrorMessage(error, noteGuid, fallback) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  }
+  if (error.message.includes('not found') || error.message.includes('404')) {
+    return `Note with GUID ${noteGuid} not found or has been deleted.`;
+  }
+  if (error.message.includes('ENML_VALIDATION')) {
+    return error.enmlErrors ? error.message : 'Evernote rejected the encrypted section as invalid ENML.';
+  }
+  if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `${fallback}: ${error.message}`;
+}
+
+/**
+ * Decrypt a note's encrypted sections with a passphrase supplied for this call
+ * @param {Object} args - Arguments containing noteGuid, passphrase, optional blockIndex and format
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function decryptNote(args, tokenData) {
+  logToolInvocation('decryptNote', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!args.passphrase || typeof args.passphrase !== 'string') {
+      return createMCPResponse('error', null, 'passphrase is required');
+    }
+    const format = args.format || 'text';
+    if (!DECRYPT_OUTPUT_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${DECRYPT_OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (args.blockIndex !== undefined && (!Number.isInteger(args.blockIndex) || args.blockIndex < 0)) {
+      return createMCPResponse('error', null, 'blockIndex must be a non-negative integer');
+    }
+
+    const note = await fetchNoteWithContent(args.noteGuid, tokenData);
+    const blocks = findEncryptedBlocks(note.content || '');
+    if (blocks.length === 0) {
+      return createMCPResponse('error', null, `Note ${args.noteGuid} has no encrypted sections`);
+    }
+    const selected = args.blockIndex === undefined ? blocks : blocks.filter(block => block.index === args.blockIndex);
+    if (selected.length === 0) {
+      return createMCPResponse('error', null, `blockIndex ${args.blockIndex} is out of range; the note has ${blocks.length} encrypted section(s)`);
+    }
+
+    // Each section can have its own passphrase, so one that does not match is reported rather than fatal
+    const results = selected.map(block => {
+      const summary = { index: block.index, cipher: block.cipher, length: block.length, hint: block.hint };
+      try {
+        const fragment = decryptBlock(block, args.passphrase);
+        const content = format === 'enml'
+          ? fragment
+          : format === 'markdown'
+            ? enmlToMarkdown(`<en-note>${fragment}</en-note>`, note.resources)
+            : enmlToPlainText(`<en-note>${fragment}</en-note>`);
+        return { ...summary, decrypted: true, content };
+      } catch (error) {
+        if (error.code !== 'WRONG_PASSPHRASE') throw error;
+        return { ...summary, decrypted: false };
+      }
+    });
+
+    const decryptedCount = results.filter(result => result.decrypted).length;
+    if (decryptedCount === 0) {
+      const hints = [...new Set(selected.map(block => block.hint).filter(Boolean))];
+      return createMCPResponse('error', null, 'The passphrase does not decrypt any of the selected encrypted sections' +
+        (hints.length ? ` (hint: ${hints.join('; ')})` : ''));
+    }
+
+    console.error(`✅ Decrypted ${decryptedCount} of ${selected.length} encrypted section(s) in note ${note.guid}`);
+    return createMCPResponse('success', {
+      guid: note.guid,
+      title: note.title,
+      updateSequenceNum: note.updateSequenceNum,
+      format,
+      totalBlocks: blocks.length,
+      decryptedCount,
+      blocks: results
+    }, null, { sensitive: true });
+
+  } catch (error) {
+    console.error('❌ decryptNote error:', error.message);
+    return createMCPResponse('error', null, encryptionErrorMessage(error, args.noteGuid, 'Failed to decrypt note'));
+  }
+}
+
+/**
+ * Encrypt content with a passphrase and insert it into a note as a new encrypted section
+ * @param {Object} args - Arguments containing noteGuid, content, format, passphrase, optional hint and position
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function addEncryptedSection(args, tokenData) {
+  // The content is the secret being protected, so it stays out of the log even in dev mode
+  const { content, ...logged } = args;
+  logToolInvocation('addEncryptedSection', logged);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!content) {
+      return createMCPResponse('error', null, 'content is required');
+    }
+    if (!args.passphrase || typeof args.passphrase !== 'string') {
+      return createMCPResponse('error', null, 'passphrase is required');
+    }
+    const format = args.format || 'text';
+    if (!SUPPORTED_INPUT_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${SUPPORTED_INPUT_FORMATS.join(', ')}`);
+    }
+    const position = args.position || 'end';
+    if (!['start', 'end'].includes(position)) {
+      return createMCPResponse('error', null, 'position must be "start" or "end"');
+    }
+
+    const section = `<div>${encryptToEnCrypt(contentToEnmlFragment(content, format), args.passphrase, args.hint)}</div>`;
+    const result = await insertFragment(args.noteGuid, section, position, tokenData);
+
+    console.error(`✅ Added encrypted section at ${position} of note ${result.guid}`);
+    return createMCPResponse('success', { ...result, cipher: 'AES', length: 128, hint: args.hint || null });
+
+  } catch (error) {
+    console.error('❌ addEncryptedSection error:', error.message);
+    return createMCPResponse('error', null, encryptionErrorMessage(error, args.noteGuid, 'Failed to add encrypted section'));
+  }
+}
+
+module.exports = {
+  decryptNote,
+  addEncryptedSection,
+  crc32,
+  rc2Ecb,
+  decryptBlock,
+  encryptToEnCrypt,
+  findEncryptedBlocks
+};
@@ -0,0 +1,64 @@
+/**
+ * Note Preview
+ * Renders a note as a standalone HTML page styled like the Evernote editor,
+ * served by the HTTPS app at /notes/:guid/preview
+ */
+
+const { enmlToHtml } = require('./getNoteContent');
+const { resourceRouteUrl } = require('./getResource');
+const { escapeXml } = require('./enmlWriter');
+
+const PREVIEW_STYLES = `
+  body { margin: 0; background: #f8f8f8; color: #333; }
+  .note { box-sizing: border-box; max-width: 860px; min-height: 100vh; margin: 0 auto; padding: 32px 48px;
+    background: #fff; font: 16px/1.5 "Source Sans Pro", -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; }
+  .note-title { margin: 0 0 4px; font-size: 28px; font-weight: 600; }
+  .note-meta { margin-bottom: 24px; color: #737373; font-size: 13px; }
+  .note-content img { height: auto; }
+  .note-content table { border-collapse: collapse; margin: 8px 0; }
+  .note-content td, .note-content th { border: 1px solid #ccc; padding: 4px 8px; vertical-align: top; }
+  .note-content blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #ccc; color: #555; }
+  .note-content pre, .note-content div[style*="-en-codeblock"] { padding: 8px 12px; border: 1px solid #e0e0e0;
+    border-radius: 4px; background: #f7f7f7; font-family: Menlo, Consolas, monospace; font-size: 14px; white-space: pre-wrap; }
+  .note-content input[type="checkbox"] { margin-right: 6px; }
+  .media-placeholder a { display: inline-block; padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px;
+    background: #fafafa; color: #00a82d; text-decoration: none; }
+  .encrypted-content { padding: 6px 10px; border: 1px dashed #bbb; border-radius: 4px; color: #737373; }
+`;
+
+/**
+ * Render a note as a complete HTML page
+ * @param {Object} note - Evernote Note with content and resource metadata
+ * @returns {string} HTML document
+ */
+function renderNotePreview(note) {
+  const title = escapeXml(note.title || 'Untitled');
+  const updated = note.updated ? new Date(note.updated).toISOString().replace('T', ' ').slice(0, 16) : null;
+
+  // Relative links, so the page works whatever host name the browser used
+  const body = enmlToHtml(note.content || '', {
+    resources: note.resources,
+    resourceUrl: hash => resourceRouteUrl(note.guid, hash, '')
+  });
+
+  return '<!DOCTYPE html>\n' +
+    '<html lang="en">\n' +
+    '<head>\n' +
+    '<meta charset="utf-8">\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    `<title>${title}</title>\n` +
+    `<style>${PREVIEW_STYLES}</style>\n` +
+    '</head>\n' +
+    '<body>\n' +
+    '<article class="note">\n' +
+    `<h1 class="note-title">${title}</h1>\n` +
+    (updated ? `<div class="note-meta">Updated ${updated} UTC</div>\n` : '') +
+    `${body}\n` +
+    '</article>\n' +
+    '</body>\n' +
+    '</html>\n';
+}
+
+module.exports = {
+  renderNotePreview
+};
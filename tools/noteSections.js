@@ -0,0 +1,183 @@
+/**
+ * Note Sections
+ * Heading outlines, section lookup and character paging over converted note
+ * content, so very large notes can be read a piece at a time
+ */
+
+const { parseEnml } = require('./enmlParser');
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+// Markdown markers and escapes that can surround heading text in converted output
+const MARKUP_CHARACTERS = /[\\*_~`]/g;
+
+/**
+ * List the h1-h6 headings of an ENML document in order
+ * @param {string} enml - ENML content
+ * @returns {Array<Object>} [{ level, text }]
+ */
+function findHeadings(enml) {
+  const headings = [];
+  let current = null;
+
+  parseEnml(enml, {
+    onOpenTag(name) {
+      const heading = name.match(HEADING_PATTERN);
+      if (heading && !current) {
+        current = { level: Number(heading[1]), name, text: '' };
+      }
+    },
+    onCloseTag(name) {
+      if (current && name === current.name) {
+        headings.push({ level: current.level, text: current.text.replace(/\s+/g, ' ').trim() });
+        current = null;
+      }
+    },
+    onText(text) {
+      if (current) {
+        current.text += text;
+      }
+    }
+  });
+
+  return headings;
+}
+
+/**
+ * Reduce heading or line text to a form that compares equal across output formats
+ * @param {string} text - Heading text or an output line
+ * @returns {string} Normalized text
+ */
+function normalizeHeading(text) {
+  return text
+    .replace(/^\s*#{1,6}\s+/, '')
+    .replace(MARKUP_CHARACTERS, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Build the outline of a note: each heading with the offset and length of its
+ * section in the converted content. A section runs to the next heading of the
+ * same or a higher level.
+ * @param {string} enml - Note ENML
+ * @param {string} content - Converted content the offsets refer to
+ * @param {string} format - Format of content: 'text', 'markdown', 'html' or 'enml'
+ * @returns {Array<Object>} [{ index, level, text, offset, length }]
+ */
+function buildOutline(enml, content, format) {
+  const headings = findHeadings(enml);
+  const located = [];
+
+  if (format === 'html' || format === 'enml') {
+    // Both keep the heading tags, so the nth heading is the nth <hN> tag
+    const tags = [...content.matchAll(/<h[1-6]\b/gi)];
+    headings.forEach((heading, i) => {
+      if (tags[i]) located.push({ ...heading, offset: tags[i].index });
+    });
+  } else {
+    // Headings are lines of their own; match them in order so repeated titles resolve correctly
+    let cursor = 0;
+    for (const heading of headings) {
+      const wanted = normalizeHeading(heading.text);
+      if (!wanted) continue;
+      let lineStart = cursor;
+      while (lineStart < content.length) {
+        let lineEnd = content.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = content.length;
+        if (normalizeHeading(content.slice(lineStart, lineEnd)) === wanted) {
+          located.push({ ...heading, offset: lineStart });
+          cursor = lineEnd;
+          break;
+        }
+        lineStart = lineEnd + 1;
+      }
+    }
+  }
+
+  return located.map((heading, index) => {
+    const next = located.slice(index + 1).find(other => other.level <= heading.level);
+    const end = next ? next.offset : content.length;
+    return { index, level: heading.level, text: heading.text, offset: heading.offset, length: end - heading.offset };
+  });
+}
+
+/**
+ * Find a section by heading text: an exact (case-insensitive) match first, then a partial one
+ * @param {Array<Object>} outline - Outline from buildOutline
+ * @param {string} query - Heading text to look for
+ * @returns {Object|null} Outline entry, or null if no heading matches
+ */
+function findSection(outline, query) {
+  const wanted = normalizeHeading(query);
+  if (!wanted) return null;
+  return outline.find(entry => normalizeHeading(entry.text) === wanted) ||
+    outline.find(entry => normalizeHeading(entry.text).includes(wanted)) ||
+    null;
+}
+
+/**
+ * Cut one page out of converted content. Pages end at the last line break in
+ * the second half of the window when there is one, and never split a surrogate pair.
+ * @param {string} content - Full content
+ * @param {number} startChar - Offset of the first character to return
+ * @param {number} maxChars - Most characters to return, or undefined for the rest
+ * @returns {Object} { content, startChar, endChar, nextStartChar, done }
+ */
+function pageContent(content, startChar, maxChars) {
+  let end = maxChars === undefined ? content.length : Math.min(startChar + maxChars, content.length);
+
+  if (end < content.length) {
+    const lineBreak = content.lastIndexOf('\n', end - 1);
+    if (lineBreak >= startChar + maxChars / 2) {
+      end = lineBreak + 1;
+    } else if (/[\ud800-\udbff]/.test(content[end - 1]) && end - 1 > startChar) {
+      end -= 1;
+    }
+  }
+
+  return {
+    content: content.slice(startChar, end),
+    startChar,
+    endChar: end,
+    nextStartChar: end < content.length ? end : null,
+    done: end >= content.length
+  };
+}
+
+/**
+ * Encode the state needed to fetch the next page
+ * @param {Object} state - Request arguments for the next page
+ * @returns {string} Opaque URL-safe token
+ */
+function encodeContinuationToken(state) {
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a continuation token
+ * @param {string} token - Token from encodeContinuationToken
+ * @returns {Object} Request arguments for the next page
+ * @throws {Error} If the token is malformed
+ */
+function decodeContinuationToken(token) {
+  try {
+    const state = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!state || typeof state.noteGuid !== 'string' || !Number.isInteger(state.startChar)) {
+      throw new Error('missing fields');
+    }
+    return state;
+  } catch (error) {
+    throw new Error('continuationToken is not valid; request the note again without it');
+  }
+}
+
+module.exports = {
+  findHeadings,
+  buildOutline,
+  findSection,
+  pageContent,
+  encodeContinuationToken,
+  decodeContinuationToken
+};
@@ -0,0 +1,63 @@
+/**
+ * Note snapshot cache
+ * Remembers note states this server has read or written, keyed by GUID and
+ * update sequence number, so later edits have a merge base
+ */
+
+// Simple in-memory storage, like the search cache in getSearch
+const snapshots = new Map();
+
+// Maximum number of snapshots kept; the oldest are evicted first
+const MAX_SNAPSHOTS = 200;
+
+/**
+ * Build the cache key for a note state
+ * @param {string} guid - Note GUID
+ * @param {number} updateSequenceNum - Note USN
+ * @returns {string} Cache key
+ */
+function snapshotKey(guid, updateSequenceNum) {
+  return `${guid}:${updateSequenceNum}`;
+}
+
+/**
+ * Record a note state. Notes without content are ignored because they cannot
+ * serve as a merge base for the body.
+ * @param {Object} note - Evernote Note with guid, updateSequenceNum and content
+ */
+function recordSnapshot(note) {
+  if (!note || !note.guid || !note.updateSequenceNum || typeof note.content !== 'string') {
+    return;
+  }
+
+  const key = snapshotKey(note.guid, note.updateSequenceNum);
+  snapshots.delete(key);
+  snapshots.set(key, {
+    guid: note.guid,
+    updateSequenceNum: note.updateSequenceNum,
+    title: note.title,
+    content: note.content,
+    notebookGuid: note.notebookGuid,
+    tagGuids: note.tagGuids ? [...note.tagGuids] : []
+  });
+
+  // Map iterates in insertion order, so the first key is the oldest
+  while (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+}
+
+/**
+ * Look up a recorded note state
+ * @param {string} guid - Note GUID
+ * @param {number} updateSequenceNum - Note USN
+ * @returns {Object|null} Snapshot or null if not recorded
+ */
+function getSnapshot(guid, updateSequenceNum) {
+  return snapshots.get(snapshotKey(guid, updateSequenceNum)) || null;
+}
+
+module.exports = {
+  recordSnapshot,
+  getSnapshot
+};
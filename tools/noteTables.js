@@ -0,0 +1,346 @@
+/**
+ * Evernote MCP Tool: Note Tables
+ * Extracts the tables in a note as JSON row objects keyed by the header row,
+ * or as CSV, with rowspan and colspan resolved into a plain grid
+ */
+
+const { logToolInvocation, createMCPResponse } = require('./createSearch');
+const { parseEnml } = require('./enmlParser');
+const { fetchNoteWithContent } = require('./updateNote');
+
+// Elements that start a new line inside a cell
+const CELL_LINE_ELEMENTS = new Set(['div', 'p', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote']);
+
+const TABLE_FORMATS = ['json', 'csv'];
+
+/**
+ * Parse every table in an ENML document into a grid of cell text.
+ * Merged cells are copied into each grid position they cover. Nested tables are
+ * returned as tables of their own, and their text also stays in the outer cell.
+ * @param {string} enml - ENML content
+ * @returns {Array<Object>} [{ index, caption, grid: string[][], headerRows }]
+ */
+function extractTables(enml) {
+  const tables = [];
+  const stack = [];
+  let cryptDepth = 0;
+
+  const appendText = (text) => {
+    for (const table of stack) {
+      if (table.inCaption) {
+        table.caption += text;
+      } else if (table.cell) {
+        table.cell.text += text;
+      }
+    }
+  };
+
+  parseEnml(enml, {
+    onOpenTag(name, attributes) {
+      if (name === 'en-crypt') {
+        cryptDepth++;
+        return;
+      }
+      const table = stack[stack.length - 1];
+
+      switch (name) {
+        case 'table':
+          // Keep a nested table's text apart from the rest of the enclosing cell
+          appendText('\n');
+          stack.push({
+            index: tables.length,
+            caption: '',
+            inCaption: false,
+            inHead: false,
+            rows: [],
+            row: null,
+            cell: null
+          });
+          // Reserve the slot so tables are numbered in document order
+          tables.push(null);
+          return;
+        case 'caption':
+          if (table) table.inCaption = true;
+          return;
+        case 'thead':
+          if (table) table.inHead = true;
+          return;
+        case 'tr':
+          appendText('\n');
+          if (table) {
+            table.row = { cells: [], head: table.inHead };
+            table.rows.push(table.row);
+          }
+          return;
+        case 'td':
+        case 'th':
+          appendText(' ');
+          if (table && table.row) {
+            table.cell = {
+              text: '',
+              header: name === 'th',
+              rowspan: Math.max(parseInt(attributes.rowspan, 10) || 1, 1),
+              colspan: Math.max(parseInt(attributes.colspan, 10) || 1, 1)
+            };
+            table.row.cells.push(table.cell);
+          }
+          return;
+        case 'br':
+          appendText('\n');
+          return;
+        case 'en-todo':
+          appendText(attributes.checked === 'true' ? '[x] ' : '[ ] ');
+          return;
+        default:
+          if (CELL_LINE_ELEMENTS.has(name)) {
+            appendText('\n');
+          }
+      }
+    },
+
+    onCloseTag(name) {
+      if (name === 'en-crypt') {
+        cryptDepth = Math.max(cryptDepth - 1, 0);
+        return;
+      }
+      const table = stack[stack.length - 1];
+      if (!table) return;
+
+      switch (name) {
+        case 'table':
+          stack.pop();
+          tables[table.index] = finishTable(table);
+          return;
+        case 'caption':
+          table.inCaption = false;
+          return;
+        case 'thead':
+          table.inHead = false;
+          return;
+        case 'tr':
+          table.row = null;
+          table.cell = null;
+          return;
+        case 'td':
+        case 'th':
+          table.cell = null;
+          return;
+        default:
+          if (CELL_LINE_ELEMENTS.has(name)) {
+            appendText('\n');
+          }
+      }
+    },
+
+    onText(text) {
+      if (cryptDepth === 0) {
+        appendText(text);
+      }
+    }
+  });
+
+  return tables.filter(Boolean);
+}
+
+/**
+ * Clean up cell text: trim each line and drop blank ones
+ * @param {string} text - Raw cell text
+ * @returns {string} Cell value
+ */
+function cellValue(text) {
+  return text
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Lay a parsed table out on a grid, resolving rowspan and colspan
+ * @param {Object} table - Table state from extractTables
+ * @returns {Object} { index, caption, grid, headerRows }
+ */
+function finishTable(table) {
+  const grid = [];
+  const headRows = [];
+
+  table.rows.forEach((row, r) => {
+    grid[r] = grid[r] || [];
+    let column = 0;
+    for (const cell of row.cells) {
+      // Skip positions already filled by a rowspan from above
+      while (grid[r][column] !== undefined) column++;
+      const value = cellValue(cell.text);
+      for (let dr = 0; dr < cell.rowspan && r + dr < table.rows.length; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < cell.colspan; dc++) {
+          grid[r + dr][column + dc] = value;
+        }
+      }
+      column += cell.colspan;
+    }
+    headRows.push(row.head || (row.cells.length > 0 && row.cells.every(cell => cell.header)));
+  });
+
+  // Pad ragged rows so every row has the same number of columns
+  const width = grid.reduce((max, row) => Math.max(max, row.length), 0);
+  for (const row of grid) {
+    for (let c = 0; c < width; c++) {
+      if (row[c] === undefined) row[c] = '';
+    }
+  }
+
+  // Header rows are the leading run of <thead> or all-<th> rows
+  let headerRows = 0;
+  while (headerRows < headRows.length && headRows[headerRows]) headerRows++;
+
+  return { index: table.index, caption: cellValue(table.caption) || null, grid, headerRows };
+}
+
+/**
+ * Build unique column names from a table's header rows.
+ * Stacked header rows (such as a colspan group over sub-columns) are joined with " / ".
+ * @param {Array<Array<string>>} headerGrid - Header rows
+ * @param {number} width - Number of columns
+ * @returns {Array<string>} Column names
+ */
+function columnNames(headerGrid, width) {
+  const seen = new Map();
+  const names = [];
+  for (let c = 0; c < width; c++) {
+    const parts = [];
+    for (const row of headerGrid) {
+      const part = (row[c] || '').replace(/\n/g, ' ');
+      if (part && parts[parts.length - 1] !== part) parts.push(part);
+    }
+    let name = parts.join(' / ') || `Column ${c + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    if (count > 1) name = `${name} (${count})`;
+    names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Turn an extracted table into headers and row objects
+ * @param {Object} table - Table from extractTables
+ * @param {boolean} useFirstRow - Treat the first row as the header when the table has no <th> header
+ * @returns {Object} { headers, rows }
+ */
+function tableToRecords(table, useFirstRow = true) {
+  const width = table.grid.length > 0 ? table.grid[0].length : 0;
+  const headerCount = table.headerRows > 0 ? table.headerRows : (useFirstRow && table.grid.length > 0 ? 1 : 0);
+  const headers = columnNames(table.grid.slice(0, headerCount), width);
+  const rows = table.grid.slice(headerCount).map(row => {
+    const record = {};
+    headers.forEach((header, c) => {
+      record[header] = row[c];
+    });
+    return record;
+  });
+  return { headers, rows };
+}
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {string} value - Cell value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format headers and records as CSV
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Object>} rows - Row objects keyed by column name
+ * @returns {string} CSV text with a header line
+ */
+function recordsToCsv(headers, rows) {
+  const lines = [headers.map(csvField).join(',')];
+  for (const row of rows) {
+    lines.push(headers.map(header => csvField(row[header])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Get the tables in a note as JSON row objects or CSV
+ * @param {Object} args - Arguments containing noteGuid, optional tableIndex, format and firstRowIsHeader
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function getNoteTables(args, tokenData) {
+  logToolInvocation('getNoteTables', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    const format = args.format || 'json';
+    if (!TABLE_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${TABLE_FORMATS.join(', ')}`);
+    }
+    if (args.tableIndex !== undefined && (!Number.isInteger(args.tableIndex) || args.tableIndex < 0)) {
+      return createMCPResponse('error', null, 'tableIndex must be a non-negative integer');
+    }
+
+    const note = await fetchNoteWithContent(args.noteGuid, tokenData);
+    const tables = extractTables(note.content || '');
+
+    if (args.tableIndex !== undefined && args.tableIndex >= tables.length) {
+      return createMCPResponse('error', null, `tableIndex ${args.tableIndex} is out of range; the note has ${tables.length} table(s)`);
+    }
+    const selected = args.tableIndex === undefined ? tables : [tables[args.tableIndex]];
+
+    const results = selected.map(table => {
+      const { headers, rows } = tableToRecords(table, args.firstRowIsHeader !== false);
+      return {
+        index: table.index,
+        caption: table.caption,
+        headers,
+        rowCount: rows.length,
+        columnCount: headers.length,
+        ...(format === 'csv' ? { csv: recordsToCsv(headers, rows) } : { rows })
+      };
+    });
+
+    console.error(`✅ Extracted ${results.length} table(s) from note ${note.guid}`);
+    return createMCPResponse('success', {
+      guid: note.guid,
+      title: note.title,
+      updateSequenceNum: note.updateSequenceNum,
+      format,
+      tableCount: tables.length,
+      tables: results
+    });
+
+  } catch (error) {
+    console.error('❌ getNoteTables error:', error.message);
+
+    // Provide more specific error messages
+    let errorMessage;
+    if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('not found') || error.message.includes('404')) {
+      errorMessage = `Note with GUID ${args.noteGuid} not found or has been deleted.`;
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to extract tables: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+module.exports = {
+  getNoteTables,
+  extractTables,
+  tableToRecords,
+  recordsToCsv
+};
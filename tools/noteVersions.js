@@ -0,0 +1,217 @@
+/**
+ * Evernote MCP Tools: Note Versions
+ * Lists the prior versions Evernote keeps for a note (Premium and Business
+ * accounts), retrieves any of them, and diffs two versions line by line
+ */
+
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { renderNoteContent } = require('./getNoteContent');
+const { fetchNoteWithContent } = require('./updateNote');
+const { diffLines } = require('./diff');
+
+const VERSION_FORMATS = ['text', 'markdown', 'html', 'enml'];
+
+/**
+ * Map a note history error to a user-facing message
+ * @param {Error} error - Error thrown by the tool
+ * @param {Object} args - Tool arguments
+ * @param {string} fallback - Message prefix for anything unrecognised
+ * @returns {string} Error message
+ */
+function versionErrorMessage(error, args, fallback) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  }
+  if (error.message.includes('PERMISSION_DENIED')) {
+    return 'Note history is only available to Evernote Premium and Business accounts.';
+  }
+  if (error.message.includes('not found') || error.message.includes('404') || error.message.includes('NotFound')) {
+    return `Note with GUID ${args.noteGuid}, or the requested version of it, was not found.`;
+  }
+  if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `${fallback}: ${error.message}`;
+}
+
+/**
+ * Fetch one saved version of a note, with its content
+ * @param {string} noteGuid - Note GUID
+ * @param {number} updateSequenceNum - USN identifying the version
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Note as it was at that version
+ */
+async function fetchNoteVersion(noteGuid, updateSequenceNum, tokenData) {
+  return makeNoteStoreRequest('getNoteVersion', {
+    authenticationToken: tokenData.accessToken,
+    noteGuid,
+    updateSequenceNum,
+    withResourcesData: false,
+    withResourcesRecognition: false,
+    withResourcesAlternateData: false
+  }, tokenData);
+}
+
+/**
+ * Summarize a note or NoteVersionId for responses
+ * @param {Object} version - Note or NoteVersionId
+ * @returns {Object} { updateSequenceNum, title, updated, saved }
+ */
+function versionSummary(version) {
+  return {
+    updateSequenceNum: version.updateSequenceNum,
+    title: version.title,
+    updated: version.updated ? new Date(version.updated).toISOString() : null,
+    saved: version.saved ? new Date(version.saved).toISOString() : null
+  };
+}
+
+/**
+ * List the saved versions of a note, newest first
+ * @param {Object} args - Arguments containing noteGuid
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function listNoteVersions(args, tokenData) {
+  logToolInvocation('listNoteVersions', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+
+    const current = await makeNoteStoreRequest('getNote', {
+      authenticationToken: tokenData.accessToken,
+      guid: args.noteGuid,
+      withContent: false,
+      withResourcesData: false,
+      withResourcesRecognition: false,
+      withResourcesAlternateData: false
+    }, tokenData);
+    const versions = await makeNoteStoreRequest('listNoteVersions', {
+      authenticationToken: tokenData.accessToken,
+      noteGuid: args.noteGuid
+    }, tokenData) || [];
+
+    const listed = versions
+      .map(version => ({ ...versionSummary(version), lastEditorId: version.lastEditorId || null }))
+      .sort((a, b) => b.updateSequenceNum - a.updateSequenceNum);
+
+    console.error(`✅ Found ${listed.length} saved version(s) of note ${args.noteGuid}`);
+    return createMCPResponse('success', {
+      guid: current.guid,
+      current: versionSummary(current),
+      versionCount: listed.length,
+      versions: listed
+    });
+
+  } catch (error) {
+    console.error('❌ listNoteVersions error:', error.message);
+    return createMCPResponse('error', null, versionErrorMessage(error, args, 'Failed to list note versions'));
+  }
+}
+
+/**
+ * Retrieve a saved version of a note in any getNoteContent format
+ * @param {Object} args - Arguments containing noteGuid, updateSequenceNum and optional format
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function getNoteVersion(args, tokenData) {
+  logToolInvocation('getNoteVersion', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!Number.isInteger(args.updateSequenceNum)) {
+      return createMCPResponse('error', null, 'updateSequenceNum is required (from listNoteVersions)');
+    }
+    const format = args.format || 'text';
+    if (!VERSION_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${VERSION_FORMATS.join(', ')}`);
+    }
+
+    const version = await fetchNoteVersion(args.noteGuid, args.updateSequenceNum, tokenData);
+    // The resource route serves the current note's attachments, so old versions name their media instead
+    const { content, contentType } = await renderNoteContent(version, format, { mediaPlaceholders: true });
+
+    console.error(`✅ Retrieved version ${args.updateSequenceNum} of note ${args.noteGuid}`);
+    return createMCPResponse('success', {
+      guid: version.guid || args.noteGuid,
+      ...versionSummary(version),
+      content,
+      contentType,
+      format,
+      contentLength: version.contentLength
+    });
+
+  } catch (error) {
+    console.error('❌ getNoteVersion error:', error.message);
+    return createMCPResponse('error', null, versionErrorMessage(error, args, 'Failed to retrieve note version'));
+  }
+}
+
+/**
+ * Line-level diff between two versions of a note, or a version and the current note
+ * @param {Object} args - Arguments containing noteGuid, fromUpdateSequenceNum, optional toUpdateSequenceNum and format
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function diffNoteVersions(args, tokenData) {
+  logToolInvocation('diffNoteVersions', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!Number.isInteger(args.fromUpdateSequenceNum)) {
+      return createMCPResponse('error', null, 'fromUpdateSequenceNum is required (from listNoteVersions)');
+    }
+    if (args.toUpdateSequenceNum !== undefined && !Number.isInteger(args.toUpdateSequenceNum)) {
+      return createMCPResponse('error', null, 'toUpdateSequenceNum must be an integer; omit it to compare with the current note');
+    }
+    const format = args.format || 'text';
+    if (!VERSION_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${VERSION_FORMATS.join(', ')}`);
+    }
+
+    const from = await fetchNoteVersion(args.noteGuid, args.fromUpdateSequenceNum, tokenData);
+    const to = args.toUpdateSequenceNum === undefined
+      ? await fetchNoteWithContent(args.noteGuid, tokenData)
+      : await fetchNoteVersion(args.noteGuid, args.toUpdateSequenceNum, tokenData);
+
+    const [fromContent, toContent] = await Promise.all([
+      renderNoteContent(from, format, { mediaPlaceholders: true }),
+      renderNoteContent(to, format, { mediaPlaceholders: true })
+    ]);
+    const diff = diffLines(fromContent.content, toContent.content);
+
+    console.error(`✅ Diffed note ${args.noteGuid}: +${diff.added} -${diff.removed} lines`);
+    return createMCPResponse('success', {
+      guid: args.noteGuid,
+      format,
+      from: versionSummary(from),
+      to: { ...versionSummary(to), current: args.toUpdateSequenceNum === undefined },
+      titleChanged: (from.title || '') !== (to.title || ''),
+      identical: diff.hunks.length === 0,
+      added: diff.added,
+      removed: diff.removed,
+      hunkCount: diff.hunks.length,
+      unified: diff.unified
+    });
+
+  } catch (error) {
+    console.error('❌ diffNoteVersions error:', error.message);
+    return createMCPResponse('error', null, versionErrorMessage(error, args, 'Failed to diff note versions'));
+  }
+}
+
+module.exports = {
+  listNoteVersions,
+  getNoteVersion,
+  diffNoteVersions
+};
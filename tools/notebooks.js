@@ -0,0 +1,380 @@
+/**
+ * Evernote MCP Tools: Notebooks
+ * Lists and inspects notebooks, and creates, renames and re-stacks them
+ */
+
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const lookup = require('./lookup');
+const Limits = require('../thrift/gen-nodejs/Limits_types');
+
+const NOTEBOOK_NAME_PATTERN = new RegExp(Limits.EDAM_NOTEBOOK_NAME_REGEX, 'u');
+const NOTEBOOK_STACK_PATTERN = new RegExp(Limits.EDAM_NOTEBOOK_STACK_REGEX, 'u');
+
+/**
+ * Validate a notebook name against Evernote's limits
+ * @param {string} name - Notebook name
+ * @returns {string} Trimmed notebook name
+ */
+function validateNotebookName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (trimmed.length < Limits.EDAM_NOTEBOOK_NAME_LEN_MIN || trimmed.length > Limits.EDAM_NOTEBOOK_NAME_LEN_MAX) {
+    throw new Error(`Notebook name must be between ${Limits.EDAM_NOTEBOOK_NAME_LEN_MIN} and ${Limits.EDAM_NOTEBOOK_NAME_LEN_MAX} characters`);
+  }
+  if (!NOTEBOOK_NAME_PATTERN.test(trimmed)) {
+    throw new Error(`Notebook name contains characters Evernote does not allow: "${name}"`);
+  }
+  return trimmed;
+}
+
+/**
+ * Validate a stack name against Evernote's limits
+ * @param {string} stack - Stack name
+ * @returns {string} Trimmed stack name
+ */
+function validateStackName(stack) {
+  const trimmed = typeof stack === 'string' ? stack.trim() : '';
+  if (trimmed.length < Limits.EDAM_NOTEBOOK_STACK_LEN_MIN || trimmed.length > Limits.EDAM_NOTEBOOK_STACK_LEN_MAX) {
+    throw new Error(`Stack name must be between ${Limits.EDAM_NOTEBOOK_STACK_LEN_MIN} and ${Limits.EDAM_NOTEBOOK_STACK_LEN_MAX} characters`);
+  }
+  if (!NOTEBOOK_STACK_PATTERN.test(trimmed)) {
+    throw new Error(`Stack name contains characters Evernote does not allow: "${stack}"`);
+  }
+  return trimmed;
+}
+
+/**
+ * Reuse the spelling of an existing stack when the requested name differs only in case,
+ * so "work" joins the "Work" stack instead of creating a near-duplicate
+ * @param {string} stack - Requested stack name
+ * @param {Array} notebooks - All notebooks in the account
+ * @returns {string} Stack name to store
+ */
+function matchExistingStack(stack, notebooks) {
+  const wanted = stack.toLowerCase();
+  const existing = notebooks.find(notebook => notebook.stack && notebook.stack.toLowerCase() === wanted);
+  return existing ? existing.stack : stack;
+}
+
+/**
+ * Throw if another notebook already uses the given name (Evernote names are case-insensitive)
+ * @param {string} name - Notebook name
+ * @param {Array} notebooks - All notebooks in the account
+ * @param {string} exceptGuid - Notebook being renamed, if any
+ */
+function assertNameAvailable(name, notebooks, exceptGuid) {
+  const wanted = name.toLowerCase();
+  const clash = notebooks.find(notebook => notebook.guid !== exceptGuid && (notebook.name || '').toLowerCase() === wanted);
+  if (clash) {
+    throw new Error(`A notebook named "${clash.name}" already exists`);
+  }
+}
+
+/**
+ * Count active notes per notebook, tolerating lookup failures
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object|null>} Note counts by notebook GUID plus trash count, or null
+ */
+async function fetchNotebookCounts(tokenData) {
+  try {
+    const counts = await makeNoteStoreRequest('findNoteCounts', {
+      authenticationToken: tokenData.accessToken,
+      filter: {},
+      withTrash: true
+    }, tokenData);
+    return {
+      notebookCounts: counts.notebookCounts || {},
+      trashCount: counts.trashCount || 0
+    };
+  } catch (error) {
+    console.error('⚠️ Failed to count notes per notebook:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Summarise a notebook for tool responses
+ * @param {Object} notebook - Evernote Notebook
+ * @param {Object|null} counts - Result of fetchNotebookCounts
+ * @returns {Object} Notebook summary
+ */
+function notebookSummary(notebook, counts) {
+  const sharedWith = (notebook.sharedNotebookIds || []).length;
+  return {
+    guid: notebook.guid,
+    name: notebook.name,
+    stack: notebook.stack || null,
+    defaultNotebook: notebook.defaultNotebook === true,
+    noteCount: counts ? counts.notebookCounts[notebook.guid] || 0 : null,
+    shared: sharedWith > 0 || notebook.published === true,
+    sharedWith,
+    published: notebook.published === true,
+    business: Boolean(notebook.businessNotebook),
+    created: notebook.serviceCreated ? new Date(notebook.serviceCreated).toISOString() : null,
+    updated: notebook.serviceUpdated ? new Date(notebook.serviceUpdated).toISOString() : null,
+    updateSequenceNum: notebook.updateSequenceNum
+  };
+}
+
+/**
+ * Group notebook summaries by stack
+ * @param {Array} summaries - Notebook summaries
+ * @returns {Array} Stacks with their notebook names and total note count
+ */
+function groupStacks(summaries) {
+  const stacks = new Map();
+  for (const notebook of summaries) {
+    if (!notebook.stack) {
+      continue;
+    }
+    if (!stacks.has(notebook.stack)) {
+      stacks.set(notebook.stack, { name: notebook.stack, notebooks: [], noteCount: 0 });
+    }
+    const stack = stacks.get(notebook.stack);
+    stack.notebooks.push(notebook.name);
+    stack.noteCount = notebook.noteCount === null || stack.noteCount === null ? null : stack.noteCount + notebook.noteCount;
+  }
+  return [...stacks.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Map notebook tool errors to user-facing messages
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} action - Description of the failed action
+ * @returns {string} Error message
+ */
+function notebookErrorMessage(error, action) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  } else if (error.message.includes('PERMISSION_DENIED')) {
+    return `Evernote denied permission to ${action}. The API key may not allow this operation.`;
+  } else if (error.message.includes('DATA_CONFLICT')) {
+    return `Failed to ${action}: a notebook with that name already exists.`;
+  } else if (error.message.includes('LIMIT_REACHED')) {
+    return `Failed to ${action}: the account has reached its notebook limit.`;
+  } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `Failed to ${action}: ${error.message}`;
+}
+
+/**
+ * Save changes to a notebook, starting from its full current state so
+ * fields we do not touch (publishing, sharing) are preserved
+ * @param {Object} notebook - Current Evernote Notebook
+ * @param {Object} changes - Fields to change; a null stack removes the notebook from its stack
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Updated notebook
+ */
+async function saveNotebook(notebook, changes, tokenData) {
+  const updated = { ...notebook, ...changes };
+  const updateSequenceNum = await makeNoteStoreRequest('updateNotebook', {
+    authenticationToken: tokenData.accessToken,
+    notebook: updated
+  }, tokenData);
+  return { ...updated, updateSequenceNum };
+}
+
+/**
+ * List all notebooks with stack, default flag, note counts and sharing status
+ * @param {Object} args - Arguments containing optional stack filter and includeCounts
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function listNotebooks(args, tokenData) {
+  logToolInvocation('listNotebooks', args);
+
+  try {
+    console.error('🌐 Calling Evernote listNotebooks API...');
+    const notebooks = await lookup.listNotebooks(tokenData);
+    const counts = args.includeCounts === false ? null : await fetchNotebookCounts(tokenData);
+
+    let summaries = notebooks
+      .map(notebook => notebookSummary(notebook, counts))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    if (args.stack) {
+      const wanted = args.stack.trim().toLowerCase();
+      summaries = summaries.filter(notebook => notebook.stack && notebook.stack.toLowerCase() === wanted);
+    }
+
+    console.error(`✅ Found ${summaries.length} notebooks`);
+    return createMCPResponse('success', {
+      notebooks: summaries,
+      stacks: groupStacks(summaries),
+      totalNotebooks: summaries.length,
+      trashCount: counts ? counts.trashCount : null
+    });
+
+  } catch (error) {
+    console.error('❌ listNotebooks error:', error.message);
+    return createMCPResponse('error', null, notebookErrorMessage(error, 'list notebooks'));
+  }
+}
+
+/**
+ * Inspect a single notebook, including sharing and publishing details
+ * @param {Object} args - Arguments containing notebook (name or GUID)
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function getNotebook(args, tokenData) {
+  logToolInvocation('getNotebook', args);
+
+  try {
+    if (!args.notebook) {
+      return createMCPResponse('error', null, 'notebook is required');
+    }
+
+    const resolved = await lookup.resolveNotebook(args.notebook, tokenData);
+    const notebook = await makeNoteStoreRequest('getNotebook', {
+      authenticationToken: tokenData.accessToken,
+      guid: resolved.guid
+    }, tokenData);
+    const counts = await fetchNotebookCounts(tokenData);
+    const restrictions = notebook.restrictions || {};
+
+    return createMCPResponse('success', {
+      ...notebookSummary(notebook, counts),
+      publicUri: notebook.publishing ? notebook.publishing.uri || null : null,
+      sharedNotebooks: (notebook.sharedNotebooks || []).map(shared => ({
+        email: shared.email || null,
+        privilege: shared.privilege !== undefined && shared.privilege !== null ? shared.privilege : null,
+        created: shared.serviceCreated ? new Date(shared.serviceCreated).toISOString() : null
+      })),
+      contact: notebook.contact ? notebook.contact.username || notebook.contact.name || null : null,
+      canCreateNotes: !restrictions.noCreateNotes,
+      canUpdateNotes: !restrictions.noUpdateNotes,
+      canRename: !restrictions.noUpdateNotebook
+    });
+
+  } catch (error) {
+    console.error('❌ getNotebook error:', error.message);
+    return createMCPResponse('error', null, notebookErrorMessage(error, 'get the notebook'));
+  }
+}
+
+/**
+ * Create a new notebook, optionally inside a stack
+ * @param {Object} args - Arguments containing name and optional stack
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function createNotebook(args, tokenData) {
+  logToolInvocation('createNotebook', args);
+
+  try {
+    if (!args.name) {
+      return createMCPResponse('error', null, 'name is required');
+    }
+
+    const name = validateNotebookName(args.name);
+    const notebooks = await lookup.listNotebooks(tokenData);
+    assertNameAvailable(name, notebooks);
+
+    const notebook = { name };
+    if (args.stack) {
+      notebook.stack = matchExistingStack(validateStackName(args.stack), notebooks);
+    }
+
+    console.error('📚 Creating notebook:', name);
+    const created = await makeNoteStoreRequest('createNotebook', {
+      authenticationToken: tokenData.accessToken,
+      notebook
+    }, tokenData);
+
+    console.error('✅ Created notebook:', created.guid);
+    return createMCPResponse('success', notebookSummary(created, { notebookCounts: {} }));
+
+  } catch (error) {
+    console.error('❌ createNotebook error:', error.message);
+    return createMCPResponse('error', null, notebookErrorMessage(error, 'create the notebook'));
+  }
+}
+
+/**
+ * Rename a notebook
+ * @param {Object} args - Arguments containing notebook (name or GUID) and newName
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function renameNotebook(args, tokenData) {
+  logToolInvocation('renameNotebook', args);
+
+  try {
+    if (!args.notebook) {
+      return createMCPResponse('error', null, 'notebook is required');
+    }
+    if (!args.newName) {
+      return createMCPResponse('error', null, 'newName is required');
+    }
+
+    const newName = validateNotebookName(args.newName);
+    const notebooks = await lookup.listNotebooks(tokenData);
+    const notebook = lookup.findNotebook(args.notebook, notebooks);
+    assertNameAvailable(newName, notebooks, notebook.guid);
+
+    const previousName = notebook.name;
+    console.error(`✏️ Renaming notebook "${previousName}" to "${newName}"`);
+    const saved = await saveNotebook(notebook, { name: newName }, tokenData);
+
+    return createMCPResponse('success', {
+      ...notebookSummary(saved, null),
+      previousName
+    });
+
+  } catch (error) {
+    console.error('❌ renameNotebook error:', error.message);
+    return createMCPResponse('error', null, notebookErrorMessage(error, 'rename the notebook'));
+  }
+}
+
+/**
+ * Move a notebook into a stack, or out of its stack
+ * @param {Object} args - Arguments containing notebook (name or GUID) and stack (empty to unstack)
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function setNotebookStack(args, tokenData) {
+  logToolInvocation('setNotebookStack', args);
+
+  try {
+    if (!args.notebook) {
+      return createMCPResponse('error', null, 'notebook is required');
+    }
+
+    const notebooks = await lookup.listNotebooks(tokenData);
+    const notebook = lookup.findNotebook(args.notebook, notebooks);
+    const stack = args.stack ? matchExistingStack(validateStackName(args.stack), notebooks) : null;
+    const previousStack = notebook.stack || null;
+
+    if (previousStack === stack) {
+      return createMCPResponse('success', {
+        ...notebookSummary(notebook, null),
+        previousStack,
+        changed: false
+      });
+    }
+
+    console.error(stack ? `🗂️ Moving notebook "${notebook.name}" to stack "${stack}"` : `🗂️ Removing notebook "${notebook.name}" from its stack`);
+    const saved = await saveNotebook(notebook, { stack }, tokenData);
+
+    return createMCPResponse('success', {
+      ...notebookSummary(saved, null),
+      previousStack,
+      changed: true
+    });
+
+  } catch (error) {
+    console.error('❌ setNotebookStack error:', error.message);
+    return createMCPResponse('error', null, notebookErrorMessage(error, 'change the notebook stack'));
+  }
+}
+
+module.exports = {
+  listNotebooks,
+  getNotebook,
+  createNotebook,
+  renameNotebook,
+  setNotebookStack,
+  validateNotebookName
+};
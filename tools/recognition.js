@@ -0,0 +1,109 @@
+/**
+ * Resource Recognition
+ * Reads the recognition index Evernote builds for images and PDFs (recoIndex XML)
+ * and turns its OCR candidates into plain text
+ */
+
+const { parseEnml } = require('./enmlParser');
+
+/**
+ * Parse a recognition index document.
+ * Each item is a recognised region; its candidates are alternative readings with
+ * weights from 0 to 100, and best is the highest-weighted text candidate.
+ * @param {string|Buffer} xml - recoIndex XML from Resource.recognition.body
+ * @returns {Object} { objectType, items: [{ x, y, w, h, page, candidates: [{ text, weight }], best }] }
+ */
+function parseRecognition(xml) {
+  const items = [];
+  let objectType = null;
+  let item = null;
+  let candidate = null;
+
+  const number = value => (value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+  parseEnml(Buffer.isBuffer(xml) ? xml.toString('utf8') : String(xml || ''), {
+    onOpenTag(name, attributes) {
+      if (name === 'recoindex') {
+        objectType = attributes.objType || null;
+      } else if (name === 'item') {
+        item = {
+          x: number(attributes.x),
+          y: number(attributes.y),
+          w: number(attributes.w),
+          h: number(attributes.h),
+          page: number(attributes.page),
+          candidates: []
+        };
+      } else if (name === 't' && item) {
+        candidate = { text: '', weight: number(attributes.w) || 0 };
+      }
+    },
+
+    onCloseTag(name) {
+      if (name === 't' && item && candidate) {
+        candidate.text = candidate.text.trim();
+        if (candidate.text) {
+          item.candidates.push(candidate);
+        }
+        candidate = null;
+      } else if (name === 'item' && item) {
+        // The first of several equally weighted candidates is Evernote's preferred reading
+        item.best = item.candidates.reduce((best, next) => (!best || next.weight > best.weight ? next : best), null);
+        items.push(item);
+        item = null;
+      }
+    },
+
+    onText(text) {
+      if (candidate) {
+        candidate.text += text;
+      }
+    }
+  });
+
+  return { objectType, items };
+}
+
+/**
+ * Join the best reading of each recognised item into lines of text.
+ * Items are ordered by page, then top to bottom; items whose vertical centre
+ * falls inside the current line's band are read left to right on that line.
+ * @param {string|Buffer} xml - recoIndex XML from Resource.recognition.body
+ * @returns {string} Recognised text, or '' if nothing was recognised
+ */
+function recognitionText(xml) {
+  const words = parseRecognition(xml).items
+    .filter(item => item.best)
+    .map((item, order) => ({ ...item, order }));
+
+  const positioned = words.every(word => word.y !== null);
+  if (!positioned) {
+    return words.map(word => word.best.text).join(' ');
+  }
+
+  words.sort((a, b) => (a.page || 0) - (b.page || 0) || a.y - b.y || a.order - b.order);
+
+  const lines = [];
+  let line = null;
+  for (const word of words) {
+    const centre = word.y + (word.h || 0) / 2;
+    if (line && line.page === (word.page || 0) && centre >= line.top && centre <= line.bottom) {
+      line.words.push(word);
+    } else {
+      line = { page: word.page || 0, top: word.y, bottom: word.y + (word.h || 0), words: [word] };
+      lines.push(line);
+    }
+  }
+
+  return lines
+    .map(current => current.words
+      .sort((a, b) => (a.x === null || b.x === null ? a.order - b.order : a.x - b.x))
+      .map(word => word.best.text)
+      .join(' '))
+    .join('\n');
+}
+
+module.exports = {
+  parseRecognition,
+  recognitionText
+};
@@ -0,0 +1,334 @@
+/**
+ * Evernote MCP Tools: Reminders
+ * Sets, completes and clears note reminders, and lists upcoming and overdue
+ * reminders across the account
+ */
+
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { resolveNotebook } = require('./lookup');
+
+// Retries when another client saves the note while we are changing its reminder
+const MAX_REMINDER_ATTEMPTS = 3;
+
+// Notes fetched per findNotesMetadata call, and the most reminders listed at once
+const NOTES_PAGE_SIZE = 100;
+const MAX_REMINDER_NOTES = 1000;
+
+const REMINDER_STATUSES = ['open', 'upcoming', 'overdue', 'unscheduled', 'done', 'all'];
+
+/**
+ * Parse a reminder time argument
+ * @param {string|number} value - ISO 8601 date/time or milliseconds since the epoch
+ * @returns {number} Timestamp in milliseconds
+ */
+function parseReminderTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid reminderTime: ${value} (use an ISO 8601 date such as 2025-06-01T09:00:00Z)`);
+  }
+  return time;
+}
+
+/**
+ * Classify a note's reminder
+ * @param {Object} attributes - NoteAttributes
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} 'done', 'overdue', 'upcoming', 'unscheduled', or null if the note has no reminder
+ */
+function reminderStatus(attributes, now) {
+  const attrs = attributes || {};
+  if (!attrs.reminderOrder && !attrs.reminderTime && !attrs.reminderDoneTime) {
+    return null;
+  }
+  if (attrs.reminderDoneTime) {
+    return 'done';
+  }
+  if (!attrs.reminderTime) {
+    return 'unscheduled';
+  }
+  return attrs.reminderTime < now ? 'overdue' : 'upcoming';
+}
+
+/**
+ * Summarise a note's reminder for tool responses
+ * @param {Object} note - Evernote Note or NoteMetadata with attributes
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Reminder summary
+ */
+function reminderSummary(note, now = Date.now()) {
+  const attrs = note.attributes || {};
+  return {
+    guid: note.guid,
+    title: note.title || 'Untitled',
+    notebookGuid: note.notebookGuid,
+    status: reminderStatus(attrs, now),
+    reminderTime: attrs.reminderTime ? new Date(attrs.reminderTime).toISOString() : null,
+    reminderDoneTime: attrs.reminderDoneTime ? new Date(attrs.reminderDoneTime).toISOString() : null,
+    reminderOrder: attrs.reminderOrder || null,
+    updateSequenceNum: note.updateSequenceNum
+  };
+}
+
+/**
+ * Change a note's reminder attributes.
+ * Note attributes are replaced as a whole on update, so the current set is read first and re-sent.
+ * @param {string} noteGuid - Note GUID
+ * @param {Function} mutate - Receives the current note and returns the new attributes, or throws
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Updated note
+ */
+async function updateReminderAttributes(noteGuid, mutate, tokenData) {
+  let current = await makeNoteStoreRequest('getNote', {
+    authenticationToken: tokenData.accessToken,
+    guid: noteGuid,
+    withContent: false,
+    withResourcesData: false,
+    withResourcesRecognition: false,
+    withResourcesAlternateData: false
+  }, tokenData);
+
+  for (let attempt = 1; attempt <= MAX_REMINDER_ATTEMPTS; attempt++) {
+    const attributes = mutate(current);
+
+    const result = await makeNoteStoreRequest('updateNoteIfUsnMatches', {
+      authenticationToken: tokenData.accessToken,
+      note: {
+        guid: current.guid,
+        title: current.title,
+        updateSequenceNum: current.updateSequenceNum,
+        attributes
+      }
+    }, tokenData);
+
+    if (result.updated) {
+      return result.note;
+    }
+    console.error('⚠️ Note changed during reminder update, retrying...');
+    current = result.note;
+  }
+
+  throw new Error(`Note kept changing during reminder update; gave up after ${MAX_REMINDER_ATTEMPTS} attempts`);
+}
+
+/**
+ * Map reminder tool errors to user-facing messages
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} noteGuid - Note GUID, if any
+ * @param {string} action - Description of the failed action
+ * @returns {string} Error message
+ */
+function reminderErrorMessage(error, noteGuid, action) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  } else if (noteGuid && (error.message.includes('not found') || error.message.includes('404'))) {
+    return `Note with GUID ${noteGuid} not found or has been deleted.`;
+  } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `Failed to ${action}: ${error.message}`;
+}
+
+/**
+ * Set or reschedule a reminder on a note
+ * @param {Object} args - Arguments containing noteGuid and optional reminderTime
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function setReminder(args, tokenData) {
+  logToolInvocation('setReminder', args);
+
+  try {
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    const reminderTime = args.reminderTime !== undefined && args.reminderTime !== null && args.reminderTime !== ''
+      ? parseReminderTime(args.reminderTime)
+      : null;
+
+    const note = await updateReminderAttributes(args.noteGuid, current => {
+      const attributes = { ...(current.attributes || {}) };
+      // reminderOrder marks the note as a reminder; keep the existing value so its position is unchanged
+      attributes.reminderOrder = attributes.reminderOrder || Date.now();
+      attributes.reminderTime = reminderTime;
+      attributes.reminderDoneTime = null;
+      return attributes;
+    }, tokenData);
+
+    console.error('⏰ Set reminder on note:', note.guid);
+    return createMCPResponse('success', reminderSummary(note));
+
+  } catch (error) {
+    console.error('❌ setReminder error:', error.message);
+    return createMCPResponse('error', null, reminderErrorMessage(error, args.noteGuid, 'set the reminder'));
+  }
+}
+
+/**
+ * Mark a note's reminder as done
+ * @param {Object} args - Arguments containing noteGuid
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function completeReminder(args, tokenData) {
+  logToolInvocation('completeReminder', args);
+
+  try {
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+
+    const note = await updateReminderAttributes(args.noteGuid, current => {
+      const attributes = { ...(current.attributes || {}) };
+      if (!reminderStatus(attributes, Date.now())) {
+        throw new Error(`Note "${current.title}" has no reminder`);
+      }
+      attributes.reminderDoneTime = attributes.reminderDoneTime || Date.now();
+      return attributes;
+    }, tokenData);
+
+    console.error('✅ Completed reminder on note:', note.guid);
+    return createMCPResponse('success', reminderSummary(note));
+
+  } catch (error) {
+    console.error('❌ completeReminder error:', error.message);
+    return createMCPResponse('error', null, reminderErrorMessage(error, args.noteGuid, 'complete the reminder'));
+  }
+}
+
+/**
+ * Remove a note's reminder entirely
+ * @param {Object} args - Arguments containing noteGuid
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function clearReminder(args, tokenData) {
+  logToolInvocation('clearReminder', args);
+
+  try {
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+
+    const note = await updateReminderAttributes(args.noteGuid, current => ({
+      ...(current.attributes || {}),
+      reminderOrder: null,
+      reminderTime: null,
+      reminderDoneTime: null
+    }), tokenData);
+
+    console.error('🧹 Cleared reminder on note:', note.guid);
+    return createMCPResponse('success', reminderSummary(note));
+
+  } catch (error) {
+    console.error('❌ clearReminder error:', error.message);
+    return createMCPResponse('error', null, reminderErrorMessage(error, args.noteGuid, 'clear the reminder'));
+  }
+}
+
+/**
+ * List reminders across the account, sorted by reminderTime
+ * @param {Object} args - Arguments containing status, withinDays, notebook and maxResults
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function listReminders(args, tokenData) {
+  logToolInvocation('listReminders', args);
+
+  try {
+    const status = args.status || 'open';
+    if (!REMINDER_STATUSES.includes(status)) {
+      return createMCPResponse('error', null, `status must be one of: ${REMINDER_STATUSES.join(', ')}`);
+    }
+    const maxResults = Math.min(args.maxResults || 50, MAX_REMINDER_NOTES);
+
+    // Let the search service narrow to reminder notes before we classify them
+    const filter = {
+      words: status === 'done' ? 'reminderOrder:* reminderDoneTime:*'
+        : status === 'all' ? 'reminderOrder:*'
+          : 'reminderOrder:* -reminderDoneTime:*',
+      inactive: false
+    };
+    if (args.notebook) {
+      filter.notebookGuid = (await resolveNotebook(args.notebook, tokenData)).guid;
+    }
+
+    const notes = [];
+    let offset = 0;
+    let total = Infinity;
+    while (offset < total && offset < MAX_REMINDER_NOTES) {
+      const response = await makeNoteStoreRequest('findNotesMetadata', {
+        authenticationToken: tokenData.accessToken,
+        filter,
+        offset,
+        maxNotes: NOTES_PAGE_SIZE,
+        resultSpec: {
+          includeTitle: true,
+          includeNotebookGuid: true,
+          includeUpdateSequenceNum: true,
+          includeAttributes: true
+        }
+      }, tokenData);
+
+      const page = response.notes || [];
+      notes.push(...page);
+      total = response.totalNotes || 0;
+      if (page.length === 0) {
+        break;
+      }
+      offset += page.length;
+    }
+
+    const now = Date.now();
+    const horizon = args.withinDays ? now + args.withinDays * 24 * 60 * 60 * 1000 : Infinity;
+
+    const reminders = notes
+      .map(note => reminderSummary(note, now))
+      .filter(reminder => {
+        if (!reminder.status) {
+          return false;
+        }
+        if (status === 'open') {
+          return reminder.status !== 'done';
+        }
+        return status === 'all' || reminder.status === status;
+      })
+      .filter(reminder => !reminder.reminderTime || Date.parse(reminder.reminderTime) <= horizon)
+      // Scheduled reminders first, soonest first; unscheduled ones after, most recently flagged first
+      .sort((a, b) => {
+        if (a.reminderTime && b.reminderTime) {
+          return Date.parse(a.reminderTime) - Date.parse(b.reminderTime);
+        }
+        if (a.reminderTime || b.reminderTime) {
+          return a.reminderTime ? -1 : 1;
+        }
+        return (b.reminderOrder || 0) - (a.reminderOrder || 0);
+      });
+
+    const counts = reminders.reduce((acc, reminder) => {
+      acc[reminder.status] = (acc[reminder.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    console.error(`✅ Found ${reminders.length} reminders`);
+    return createMCPResponse('success', {
+      reminders: reminders.slice(0, maxResults),
+      totalFound: reminders.length,
+      counts,
+      status,
+      truncated: total > MAX_REMINDER_NOTES
+    });
+
+  } catch (error) {
+    console.error('❌ listReminders error:', error.message);
+    return createMCPResponse('error', null, reminderErrorMessage(error, null, 'list reminders'));
+  }
+}
+
+module.exports = {
+  setReminder,
+  completeReminder,
+  clearReminder,
+  listReminders,
+  reminderStatus,
+  parseReminderTime
+};
@@ -0,0 +1,386 @@
+/**
+ * Search Date Phrases
+ * Turns phrases such as "last week", "since March", "yesterday" or "Q2 2025"
+ * into date bounds, working out calendar days in a given time zone
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const COUNT_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT_PATTERN = '(day|week|month|quarter|year)s?';
+
+// Words that introduce a date phrase inside a query
+const PREPOSITIONS = new Set(['from', 'in', 'during', 'on', 'since', 'before', 'after', 'until', 'till', 'between']);
+
+// Words that start a date phrase on their own
+const QUALIFIERS = new Set(['today', 'yesterday', 'this', 'last', 'past', 'previous']);
+
+// Longest phrase looked for inside a query ("between march 1 2025 and april 2025")
+const MAX_PHRASE_WORDS = 9;
+
+/**
+ * A calendar day, held as midnight UTC so date arithmetic ignores time zones
+ * @param {number} year - Year
+ * @param {number} month - Month, 0-based; out-of-range values roll over
+ * @param {number} day - Day of the month; out-of-range values roll over
+ * @returns {Date} Calendar day
+ */
+function calendarDay(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Add days to a calendar day
+ * @param {Date} day - Calendar day
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} Calendar day
+ */
+function addDays(day, days) {
+  return calendarDay(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + days);
+}
+
+/**
+ * Add months to a calendar day, keeping to the last day of shorter months
+ * @param {Date} day - Calendar day
+ * @param {number} months - Months to add (may be negative)
+ * @returns {Date} Calendar day
+ */
+function addMonths(day, months) {
+  const first = calendarDay(day.getUTCFullYear(), day.getUTCMonth() + months, 1);
+  const length = calendarDay(first.getUTCFullYear(), first.getUTCMonth() + 1, 0).getUTCDate();
+  return calendarDay(first.getUTCFullYear(), first.getUTCMonth(), Math.min(day.getUTCDate(), length));
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} instant - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (0-based), day, hour, minute, second }
+ */
+function zonedParts(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return { year: value('year'), month: value('month') - 1, day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') };
+}
+
+/**
+ * The instant a calendar day starts in a time zone
+ * @param {Date} day - Calendar day
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant of local midnight
+ */
+function startOfDayIn(day, timeZone) {
+  const offsetAt = (instant) => {
+    const local = zonedParts(instant, timeZone);
+    return Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second) - Math.floor(instant.getTime() / 1000) * 1000;
+  };
+  // Adjust twice so a change of UTC offset between the guess and the answer is accounted for
+  let instant = new Date(day.getTime() - offsetAt(day));
+  instant = new Date(day.getTime() - offsetAt(instant));
+  return instant;
+}
+
+/**
+ * Today's calendar day in a time zone
+ * @param {Date} now - Current instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Calendar day
+ */
+function todayIn(now, timeZone) {
+  const local = zonedParts(now, timeZone);
+  return calendarDay(local.year, local.month, local.day);
+}
+
+/**
+ * Format a calendar day as YYYY-MM-DD
+ * @param {Date} day - Calendar day
+ * @returns {string} Date string
+ */
+function formatDay(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Read a count written as digits or a word ("3", "three", "a")
+ * @param {string} word - Count
+ * @returns {number} Count
+ */
+function parseCount(word) {
+  return NUMBER_WORDS[word] || parseInt(word, 10);
+}
+
+/**
+ * Find a month by full or abbreviated name
+ * @param {string} word - Month name
+ * @returns {number} Month, 0-based
+ */
+function monthIndex(word) {
+  return MONTHS.findIndex(month => month.startsWith(word.slice(0, 3)));
+}
+
+/**
+ * Start of the calendar period a day falls in. Weeks start on Monday.
+ * @param {Date} day - Calendar day
+ * @param {string} unit - day, week, month, quarter or year
+ * @returns {Date} Calendar day
+ */
+function periodStart(day, unit) {
+  switch (unit) {
+    case 'week':
+      return addDays(day, -((day.getUTCDay() + 6) % 7));
+    case 'month':
+      return calendarDay(day.getUTCFullYear(), day.getUTCMonth(), 1);
+    case 'quarter':
+      return calendarDay(day.getUTCFullYear(), day.getUTCMonth() - (day.getUTCMonth() % 3), 1);
+    case 'year':
+      return calendarDay(day.getUTCFullYear(), 0, 1);
+    default:
+      return day;
+  }
+}
+
+/**
+ * Move a calendar day by a number of units
+ * @param {Date} day - Calendar day
+ * @param {string} unit - day, week, month, quarter or year
+ * @param {number} count - Units to add (may be negative)
+ * @returns {Date} Calendar day
+ */
+function addUnits(day, unit, count) {
+  switch (unit) {
+    case 'week':
+      return addDays(day, 7 * count);
+    case 'month':
+      return addMonths(day, count);
+    case 'quarter':
+      return addMonths(day, 3 * count);
+    case 'year':
+      return addMonths(day, 12 * count);
+    default:
+      return addDays(day, count);
+  }
+}
+
+/**
+ * Parse a single period such as "last week", "March 2025", "Q2" or "3 days ago"
+ * @param {string} text - Lowercased phrase
+ * @param {Date} today - Today's calendar day
+ * @returns {Object|null} { start, end } calendar days with end exclusive, or null
+ */
+function parsePeriod(text, today) {
+  let match;
+
+  if (text === 'today') {
+    return { start: today, end: addDays(today, 1) };
+  }
+  if (text === 'yesterday') {
+    return { start: addDays(today, -1), end: today };
+  }
+
+  // Calendar periods: "this month", "last quarter"
+  if ((match = text.match(/^(this|last|previous) (day|week|month|quarter|year)$/))) {
+    const start = addUnits(periodStart(today, match[2]), match[2], match[1] === 'this' ? 0 : -1);
+    return { start, end: addUnits(start, match[2], 1) };
+  }
+
+  // Rolling periods ending today: "past week", "last 3 days", "the past two months"
+  if ((match = text.match(/^(?:the )?past (day|week|month|quarter|year)$/))) {
+    return { start: addDays(addUnits(today, match[1], -1), 1), end: addDays(today, 1) };
+  }
+  if ((match = text.match(new RegExp(`^(?:the )?(?:last|past) ${COUNT_PATTERN} ${UNIT_PATTERN}$`)))) {
+    return { start: addDays(addUnits(today, match[2], -parseCount(match[1])), 1), end: addDays(today, 1) };
+  }
+
+  // "3 days ago" is that day; "2 weeks ago" is the calendar week it falls in
+  if ((match = text.match(new RegExp(`^${COUNT_PATTERN} ${UNIT_PATTERN} ago$`)))) {
+    const start = periodStart(addUnits(today, match[2], -parseCount(match[1])), match[2]);
+    return { start, end: addUnits(start, match[2], 1) };
+  }
+
+  // Months: "march", "march 2025"; without a year, the latest March that has started
+  if ((match = text.match(new RegExp(`^${MONTH_PATTERN}(?: (\\d{4}))?$`)))) {
+    const month = monthIndex(match[1]);
+    const year = match[2] ? Number(match[2]) : today.getUTCFullYear() - (month > today.getUTCMonth() ? 1 : 0);
+    return { start: calendarDay(year, month, 1), end: calendarDay(year, month + 1, 1) };
+  }
+
+  // Days: "march 5", "march 5th 2025"
+  if ((match = text.match(new RegExp(`^${MONTH_PATTERN} (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?$`)))) {
+    const month = monthIndex(match[1]);
+    const date = Number(match[2]);
+    let year = match[3] ? Number(match[3]) : today.getUTCFullYear();
+    if (!match[3] && calendarDay(year, month, date) > today) year--;
+    const start = calendarDay(year, month, date);
+    return start.getUTCDate() === date ? { start, end: addDays(start, 1) } : null;
+  }
+
+  // Quarters: "q2", "q2 2025"; without a year, the latest Q2 that has started
+  if ((match = text.match(/^q([1-4])(?: (\d{4}))?$/))) {
+    const quarter = Number(match[1]) - 1;
+    const year = match[2] ? Number(match[2]) : today.getUTCFullYear() - (quarter * 3 > today.getUTCMonth() ? 1 : 0);
+    return { start: calendarDay(year, quarter * 3, 1), end: calendarDay(year, quarter * 3 + 3, 1) };
+  }
+
+  // Years: "2024"
+  if ((match = text.match(/^(19|20)\d\d$/))) {
+    const year = Number(text);
+    return { start: calendarDay(year, 0, 1), end: calendarDay(year + 1, 0, 1) };
+  }
+
+  // Weekdays: "monday" is the latest Monday up to today, "last monday" the one before today
+  if ((match = text.match(/^(last )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/))) {
+    let back = (today.getUTCDay() - WEEKDAYS.indexOf(match[2]) + 7) % 7;
+    if (match[1] && back === 0) back = 7;
+    const start = addDays(today, -back);
+    return { start, end: addDays(start, 1) };
+  }
+
+  // ISO dates and months: "2025-03-09", "2025-03"
+  if ((match = text.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/))) {
+    const month = Number(match[2]) - 1;
+    if (month > 11) return null;
+    if (!match[3]) {
+      return { start: calendarDay(Number(match[1]), month, 1), end: calendarDay(Number(match[1]), month + 1, 1) };
+    }
+    const start = calendarDay(Number(match[1]), month, Number(match[3]));
+    return start.getUTCMonth() === month ? { start, end: addDays(start, 1) } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a date phrase into a range of calendar days
+ * @param {string} text - Lowercased phrase
+ * @param {Date} today - Today's calendar day
+ * @returns {Object|null} { start, end } calendar days (either may be null for an open end), or null
+ */
+function parseRange(text, today) {
+  const [first, ...rest] = text.split(' ');
+  const remainder = rest.join(' ');
+
+  // "between X and Y", "from X to Y": try every split point, since X and Y are several words
+  const twoPeriods = (separators) => {
+    for (let i = 1; i < rest.length - 1; i++) {
+      if (separators.includes(rest[i])) {
+        const from = parsePeriod(rest.slice(0, i).join(' '), today);
+        const to = parsePeriod(rest.slice(i + 1).join(' '), today);
+        if (from && to) return { start: from.start, end: to.end };
+      }
+    }
+    return null;
+  };
+
+  let period;
+  switch (first) {
+    case 'since':
+      period = parsePeriod(remainder, today);
+      return period && { start: period.start, end: null };
+    case 'after':
+      period = parsePeriod(remainder, today);
+      return period && { start: period.end, end: null };
+    case 'before':
+      period = parsePeriod(remainder, today);
+      return period && { start: null, end: period.start };
+    case 'until':
+    case 'till':
+      period = parsePeriod(remainder, today);
+      return period && { start: null, end: period.end };
+    case 'between':
+      return twoPeriods(['and']);
+    case 'from':
+      return twoPeriods(['to', 'until', 'till', 'through']) || parsePeriod(remainder, today);
+    case 'in':
+    case 'during':
+    case 'on':
+      return parsePeriod(remainder, today);
+    default:
+      return parsePeriod(text, today);
+  }
+}
+
+/**
+ * Normalize a phrase for matching: lowercase, single spaces, no commas or trailing punctuation
+ * @param {string} phrase - Date phrase
+ * @returns {string} Normalized phrase
+ */
+function normalizePhrase(phrase) {
+  return String(phrase).toLowerCase().replace(/,/g, ' ').replace(/[.?!;:]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Interpret a date phrase such as "last week", "since March", "yesterday" or "Q2 2025"
+ * @param {string} phrase - Date phrase
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current instant (default: now)
+ * @param {string} options.timeZone - IANA time zone the phrase is meant in (default: UTC)
+ * @returns {Object|null} { phrase, from, to, after, before } or null if not understood.
+ *   from and to are the first and last days (YYYY-MM-DD); after and before are the
+ *   instants the range starts and ends, for created:/updated: search bounds.
+ */
+function parseDatePhrase(phrase, { now = new Date(), timeZone = 'UTC' } = {}) {
+  const range = parseRange(normalizePhrase(phrase), todayIn(now, timeZone));
+  if (!range || (range.start && range.end && range.start >= range.end)) {
+    return null;
+  }
+
+  return {
+    phrase: String(phrase).trim(),
+    from: range.start ? formatDay(range.start) : null,
+    to: range.end ? formatDay(addDays(range.end, -1)) : null,
+    after: range.start ? startOfDayIn(range.start, timeZone).toISOString() : null,
+    before: range.end ? startOfDayIn(range.end, timeZone).toISOString() : null
+  };
+}
+
+/**
+ * Find a date phrase inside a search query.
+ * Only phrases introduced by a preposition ("from last week", "in March") or a
+ * word such as "last", "this" or "yesterday" are taken, so a query for a person
+ * called May or a product called 2024 is left alone. The longest phrase wins.
+ * @param {string} query - Search query
+ * @param {Object} options - Options as for parseDatePhrase
+ * @returns {Object|null} { phrase, range, query } where query has the phrase removed, or null
+ */
+function extractDatePhrase(query, options = {}) {
+  const words = String(query || '').split(/\s+/).filter(Boolean);
+
+  for (let i = 0; i < words.length; i++) {
+    const first = normalizePhrase(words[i]);
+    const anchored = PREPOSITIONS.has(first) || QUALIFIERS.has(first) || /^q[1-4]$/.test(first) || /^\d{4}-\d{2}(-\d{2})?$/.test(first);
+    const counted = /^\d+$/.test(first) || NUMBER_WORDS[first];
+
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length - i); length >= 1; length--) {
+      const span = words.slice(i, i + length);
+      if (!anchored && !(counted && normalizePhrase(span[span.length - 1]) === 'ago')) continue;
+
+      const range = parseDatePhrase(span.join(' '), options);
+      if (range) {
+        const phrase = span.join(' ').replace(/[,.?!;:]+$/, '');
+        return {
+          phrase,
+          range: { ...range, phrase },
+          query: [...words.slice(0, i), ...words.slice(i + length)].join(' ')
+        };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseDatePhrase,
+  extractDatePhrase
+};
@@ -0,0 +1,356 @@
+/**
+ * Evernote Search Query Parser
+ * Parses search grammar strings into a list of terms, reports malformed
+ * values and quotes, and describes what a query matches in words
+ */
+
+// Relative dates in the search grammar: day, week, month or year, optionally offset (day-7, month-1)
+const RELATIVE_DATE_PATTERN = /^(day|week|month|year)([+-]\d+)?$/;
+
+// Absolute dates in the search grammar: YYYYMMDD, optionally with a UTC time
+const ABSOLUTE_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/;
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Search operators by name, with the kind of value each takes and how to describe it.
+// is/isNot describe a term and its negation; label names what a bare * matches.
+const SEARCH_OPERATORS = {
+  any: { kind: 'flag' },
+  notebook: { kind: 'name', label: 'notebook', is: 'are in notebook {value}', isNot: 'are not in notebook {value}' },
+  stack: { kind: 'name', label: 'notebook stack', is: 'are in notebook stack {value}', isNot: 'are not in notebook stack {value}' },
+  tag: { kind: 'name', label: 'tag', is: 'are tagged {value}', isNot: 'are not tagged {value}' },
+  intitle: { kind: 'text', label: 'title', is: 'have {value} in the title', isNot: 'do not have {value} in the title' },
+  created: { kind: 'date', label: 'creation date', is: 'were created on or after {value}', isNot: 'were created before {value}' },
+  updated: { kind: 'date', label: 'update date', is: 'were updated on or after {value}', isNot: 'were updated before {value}' },
+  subjectDate: { kind: 'date', label: 'subject date', is: 'have a subject date on or after {value}', isNot: 'have a subject date before {value}' },
+  reminderTime: { kind: 'date', label: 'reminder time', is: 'have a reminder due on or after {value}', isNot: 'have a reminder due before {value}' },
+  reminderDoneTime: { kind: 'date', label: 'completed reminder', is: 'had a reminder completed on or after {value}', isNot: 'had a reminder completed before {value}' },
+  reminderOrder: { kind: 'number', label: 'reminder', is: 'have reminder order {value} or later', isNot: 'have reminder order before {value}' },
+  resource: { kind: 'text', label: 'attachment', is: 'have an attachment of type {value}', isNot: 'have no attachment of type {value}' },
+  recoType: { kind: 'text', label: 'recognised text', is: 'contain {value} recognised text', isNot: 'do not contain {value} recognised text' },
+  todo: { kind: 'todo' },
+  encryption: { kind: 'flag', label: 'encrypted text' },
+  source: { kind: 'text', label: 'source', is: 'came from source {value}', isNot: 'did not come from source {value}' },
+  sourceApplication: { kind: 'text', label: 'source application', is: 'were made by application {value}', isNot: 'were not made by application {value}' },
+  author: { kind: 'text', label: 'author', is: 'have author {value}', isNot: 'do not have author {value}' },
+  placeName: { kind: 'text', label: 'place name', is: 'have place name {value}', isNot: 'do not have place name {value}' },
+  contentClass: { kind: 'text', label: 'content class', is: 'have content class {value}', isNot: 'do not have content class {value}' },
+  applicationData: { kind: 'text', label: 'application data', is: 'have application data {value}', isNot: 'do not have application data {value}' },
+  latitude: { kind: 'number', label: 'latitude', is: 'have latitude {value} or more', isNot: 'have latitude below {value}' },
+  longitude: { kind: 'number', label: 'longitude', is: 'have longitude {value} or more', isNot: 'have longitude below {value}' },
+  altitude: { kind: 'number', label: 'altitude', is: 'have altitude {value} or more', isNot: 'have altitude below {value}' }
+};
+
+// Operator names are case-insensitive in queries
+const OPERATOR_NAMES = new Map(Object.keys(SEARCH_OPERATORS).map(name => [name.toLowerCase(), name]));
+
+// Values of todo: and what they match
+const TODO_DESCRIPTIONS = { true: 'checked to-dos', false: 'unchecked to-dos', '*': 'to-dos' };
+
+const RELATIVE_UNITS = {
+  day: ['today', 'yesterday'],
+  week: ['this week', 'last week'],
+  month: ['this month', 'last month'],
+  year: ['this year', 'last year']
+};
+
+/**
+ * Check a search grammar date
+ * @param {string} value - Date value from a created:, updated: or other date term
+ * @returns {boolean} True for YYYYMMDD, YYYYMMDDTHHMMSSZ and relative forms that name a real date
+ */
+function isSearchDate(value) {
+  if (RELATIVE_DATE_PATTERN.test(value)) {
+    return true;
+  }
+  const match = value.match(ABSOLUTE_DATE_PATTERN);
+  if (!match) {
+    return false;
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => (part === undefined ? undefined : Number(part)));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
+
+/**
+ * Read one token starting at an offset: an optional -, an optional operator name and colon, and a value.
+ * Quoted sections may appear anywhere in the value and escape " and \ with a backslash.
+ * @param {string} query - Search query
+ * @param {number} start - Offset of the token
+ * @returns {Object} { end, negated, field, value, quoted, unclosedQuoteAt }
+ */
+function readToken(query, start) {
+  let i = start;
+  const negated = query[i] === '-';
+  if (negated) i++;
+
+  let field = null;
+  const fieldMatch = query.slice(i).match(/^([A-Za-z]+):/);
+  // A value starting with // is a URL such as https://example.com, not an operator
+  if (fieldMatch && !query.startsWith('//', i + fieldMatch[0].length)) {
+    field = fieldMatch[1];
+    i += fieldMatch[0].length;
+  }
+
+  let value = '';
+  let quoted = false;
+  let unclosedQuoteAt = null;
+  while (i < query.length && !/\s/.test(query[i])) {
+    if (query[i] !== '"') {
+      value += query[i++];
+      continue;
+    }
+    quoted = true;
+    const quoteAt = i++;
+    while (i < query.length && query[i] !== '"') {
+      if (query[i] === '\\' && (query[i + 1] === '"' || query[i + 1] === '\\')) i++;
+      value += query[i++];
+    }
+    if (i >= query.length) {
+      unclosedQuoteAt = quoteAt;
+    } else {
+      i++;
+    }
+  }
+
+  return { end: i, negated, field, value, quoted, unclosedQuoteAt };
+}
+
+/**
+ * Check an operator value against the kind of value the operator takes
+ * @param {string} field - Operator name
+ * @param {string} value - Term value
+ * @returns {string|null} Problem with the value, or null if it is acceptable
+ */
+function checkOperatorValue(field, value) {
+  const { kind } = SEARCH_OPERATORS[field];
+  if (kind === 'flag') {
+    return value ? `${field}: takes no value` : null;
+  }
+  if (!value) {
+    return `${field}: needs a value directly after the colon`;
+  }
+  if (kind === 'date' && value !== '*' && !isSearchDate(value)) {
+    return `${field}: has an invalid date "${value}"; use YYYYMMDD, YYYYMMDDTHHMMSSZ or a relative form such as day-7 or month-1`;
+  }
+  if (kind === 'number' && value !== '*' && !NUMBER_PATTERN.test(value)) {
+    return `${field}: needs a number or *, not "${value}"`;
+  }
+  if (kind === 'todo' && !Object.prototype.hasOwnProperty.call(TODO_DESCRIPTIONS, value)) {
+    return `todo: must be true, false or *, not "${value}"`;
+  }
+  return null;
+}
+
+/**
+ * Parse an Evernote search query into terms
+ * @param {string} query - Search query in the Evernote search grammar
+ * @returns {Object} { matchAny, terms, errors, warnings }; errors and warnings are { column, message }
+ */
+function parseSearchQuery(query) {
+  const text = String(query || '');
+  const result = { matchAny: false, terms: [], errors: [], warnings: [] };
+  const problem = (list, offset, message) => list.push({ column: offset + 1, message });
+
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const token = readToken(text, start);
+    i = token.end;
+
+    if (token.unclosedQuoteAt !== null) {
+      problem(result.errors, token.unclosedQuoteAt, 'Unbalanced quote: this " is never closed');
+    }
+
+    if (token.field === null) {
+      if (!token.value) {
+        if (token.negated && !token.quoted) {
+          problem(result.errors, start, 'A lone - negates nothing; put it directly before a word or operator');
+        }
+        continue;
+      }
+      const wildcard = !token.quoted && token.value.length > 1 && token.value.endsWith('*');
+      result.terms.push({
+        type: token.quoted ? 'phrase' : 'word',
+        value: wildcard ? token.value.slice(0, -1) : token.value,
+        negated: token.negated,
+        wildcard,
+        column: start + 1
+      });
+      continue;
+    }
+
+    // Evernote searches an unknown operator, or one with nothing after the colon, as text ("Re: invoice", "TODO: call bob")
+    const field = OPERATOR_NAMES.get(token.field.toLowerCase());
+    const missingValue = field && !token.value && !token.quoted && SEARCH_OPERATORS[field].kind !== 'flag';
+    if (!field || missingValue) {
+      problem(result.warnings, start, field
+        ? `${token.field}: has no value, so it is searched for as text; put the value directly after the colon to use the operator`
+        : `Unknown operator "${token.field}:" is searched for as text`);
+      result.terms.push({
+        type: 'word',
+        value: text.slice(token.negated ? start + 1 : start, token.end),
+        negated: token.negated,
+        wildcard: false,
+        column: start + 1
+      });
+      continue;
+    }
+
+    const valueProblem = checkOperatorValue(field, token.value);
+    if (valueProblem) {
+      problem(result.errors, start, valueProblem);
+      continue;
+    }
+
+    if (field === 'any') {
+      if (token.negated) {
+        problem(result.errors, start, 'any: cannot be negated');
+      } else if (result.terms.length > 0 || result.matchAny) {
+        problem(result.warnings, start, 'any: applies to the whole query; put it first');
+      }
+      result.matchAny = true;
+      continue;
+    }
+
+    const wildcard = !token.quoted && token.value.length > 1 && token.value.endsWith('*');
+    result.terms.push({
+      type: 'operator',
+      field,
+      value: wildcard ? token.value.slice(0, -1) : token.value,
+      negated: token.negated,
+      wildcard,
+      column: start + 1
+    });
+  }
+
+  if (result.matchAny && result.terms.length === 0) {
+    result.warnings.push({ column: 1, message: 'any: has no terms to apply to' });
+  }
+
+  return result;
+}
+
+/**
+ * Collect the notebook and tag names a parsed query refers to
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} { notebooks, tags }, each a list of { name, wildcard }; bare * terms are left out
+ */
+function searchQueryNames(parsed) {
+  const names = { notebooks: [], tags: [] };
+  parsed.terms.forEach(term => {
+    if (term.type !== 'operator' || term.value === '*' || !['notebook', 'tag'].includes(term.field)) return;
+    const list = term.field === 'notebook' ? names.notebooks : names.tags;
+    if (!list.some(item => item.name === term.value && item.wildcard === term.wildcard)) {
+      list.push({ name: term.value, wildcard: term.wildcard });
+    }
+  });
+  return names;
+}
+
+/**
+ * Find the referenced names that match nothing in the account
+ * @param {Array<Object>} wanted - Names from searchQueryNames
+ * @param {Array<string>} existing - Names in the account
+ * @returns {Array<string>} Names that match nothing, with * kept on prefixes
+ */
+function findMissingNames(wanted, existing) {
+  const known = existing.map(name => String(name || '').toLowerCase());
+  return wanted
+    .filter(({ name, wildcard }) => {
+      const lower = name.toLowerCase();
+      return !known.some(candidate => (wildcard ? candidate.startsWith(lower) : candidate === lower));
+    })
+    .map(({ name, wildcard }) => (wildcard ? `${name}*` : name));
+}
+
+/**
+ * Describe a search grammar date in words
+ * @param {string} value - YYYYMMDD, YYYYMMDDTHHMMSSZ or a relative form
+ * @returns {string} Description
+ */
+function describeSearchDate(value) {
+  const relative = value.match(RELATIVE_DATE_PATTERN);
+  if (relative) {
+    const unit = relative[1];
+    const offset = Number(relative[2] || 0);
+    if (offset === 0 || offset === -1) {
+      return `the start of ${RELATIVE_UNITS[unit][-offset]}`;
+    }
+    const count = Math.abs(offset);
+    return `the start of the ${unit} ${count} ${unit}${count === 1 ? '' : 's'} ${offset < 0 ? 'ago' : 'from now'}`;
+  }
+  const [year, month, day, hour, minute, second] = value.match(ABSOLUTE_DATE_PATTERN).slice(1);
+  const date = `${year}-${month}-${day}`;
+  return hour === undefined ? date : `${date} ${hour}:${minute}:${second} UTC`;
+}
+
+/**
+ * Describe one parsed term in words
+ * @param {Object} term - Term from parseSearchQuery
+ * @returns {string} Clause completing "Notes that …"
+ */
+function describeTerm(term) {
+  const quote = value => `"${value}"`;
+
+  if (term.type !== 'operator') {
+    const what = term.type === 'phrase'
+      ? `the phrase ${quote(term.value)}`
+      : term.wildcard ? `a word starting with ${quote(term.value)}` : quote(term.value);
+    return `${term.negated ? 'do not contain' : 'contain'} ${what}`;
+  }
+
+  const operator = SEARCH_OPERATORS[term.field];
+  if (term.field === 'todo') {
+    return `have ${term.negated ? 'no ' : ''}${TODO_DESCRIPTIONS[term.value]}`;
+  }
+  if (term.field === 'encryption') {
+    return `contain ${term.negated ? 'no ' : ''}encrypted text`;
+  }
+  if (term.value === '*') {
+    return `have ${term.negated ? 'no' : 'any'} ${operator.label}`;
+  }
+
+  let value;
+  if (operator.kind === 'date') {
+    value = describeSearchDate(term.value);
+  } else if (operator.kind === 'number') {
+    value = term.value;
+  } else {
+    value = quote(term.wildcard ? `${term.value}*` : term.value);
+  }
+  return (term.negated ? operator.isNot : operator.is).replace('{value}', value);
+}
+
+/**
+ * Describe what a parsed query matches in words
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {string} Description, e.g. 'Notes that contain "budget" and are tagged "finance"'
+ */
+function describeSearchQuery(parsed) {
+  if (parsed.terms.length === 0) {
+    return 'All notes';
+  }
+  const clauses = parsed.terms.map(describeTerm);
+  if (clauses.length === 1) {
+    return `Notes that ${clauses[0]}`;
+  }
+  const joiner = parsed.matchAny ? 'or' : 'and';
+  return `Notes that ${parsed.matchAny ? 'match any of: ' : ''}${clauses.slice(0, -1).join(', ')} ${joiner} ${clauses[clauses.length - 1]}`;
+}
+
+module.exports = {
+  parseSearchQuery,
+  describeSearchQuery,
+  searchQueryNames,
+  findMissingNames,
+  isSearchDate,
+  RELATIVE_DATE_PATTERN,
+  SEARCH_OPERATORS
+};
@@ -0,0 +1,475 @@
+/**
+ * Evernote MCP Tools: Tags
+ * Browses the tag hierarchy and creates, renames, reparents and merges tags
+ */
+
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const lookup = require('./lookup');
+
+// Notes fetched per findNotesMetadata call when collecting notes to retag
+const NOTES_PAGE_SIZE = 100;
+
+/**
+ * Throw if another tag already uses the given name (Evernote names are case-insensitive)
+ * @param {string} name - Tag name
+ * @param {Array} tags - All tags in the account
+ * @param {string} exceptGuid - Tag being renamed, if any
+ */
+function assertTagNameAvailable(name, tags, exceptGuid) {
+  const wanted = name.toLowerCase();
+  const clash = tags.find(tag => tag.guid !== exceptGuid && (tag.name || '').toLowerCase() === wanted);
+  if (clash) {
+    throw new Error(`A tag named "${clash.name}" already exists`);
+  }
+}
+
+/**
+ * Build the tag tree from parentGuid links.
+ * Tags whose parent is missing from the account are treated as top-level.
+ * @param {Array} tags - All tags in the account
+ * @param {Object} tagCounts - Note counts by tag GUID, or null
+ * @returns {Array} Top-level tag nodes with nested children, sorted by name
+ */
+function buildTagTree(tags, tagCounts) {
+  const nodes = new Map(tags.map(tag => [tag.guid, {
+    guid: tag.guid,
+    name: tag.name,
+    parentGuid: tag.parentGuid || null,
+    noteCount: tagCounts ? tagCounts[tag.guid] || 0 : null,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentGuid ? nodes.get(node.parentGuid) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sortNodes = list => {
+    list.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+}
+
+/**
+ * Check whether a tag is the same as, or an ancestor of, another tag
+ * @param {string} ancestorGuid - Candidate ancestor tag GUID
+ * @param {string} tagGuid - Tag GUID to walk up from
+ * @param {Array} tags - All tags in the account
+ * @returns {boolean} True if tagGuid sits at or below ancestorGuid
+ */
+function isSameOrDescendant(ancestorGuid, tagGuid, tags) {
+  const byGuid = new Map(tags.map(tag => [tag.guid, tag]));
+  const seen = new Set();
+  let current = tagGuid;
+  while (current && !seen.has(current)) {
+    if (current === ancestorGuid) {
+      return true;
+    }
+    seen.add(current);
+    current = byGuid.has(current) ? byGuid.get(current).parentGuid : null;
+  }
+  return false;
+}
+
+/**
+ * Summarise a tag for tool responses
+ * @param {Object} tag - Evernote Tag
+ * @param {Array} tags - All tags in the account, to resolve the parent name
+ * @returns {Object} Tag summary
+ */
+function tagSummary(tag, tags) {
+  const parent = tag.parentGuid ? tags.find(candidate => candidate.guid === tag.parentGuid) : null;
+  return {
+    guid: tag.guid,
+    name: tag.name,
+    parentGuid: tag.parentGuid || null,
+    parentName: parent ? parent.name : null,
+    updateSequenceNum: tag.updateSequenceNum
+  };
+}
+
+/**
+ * Save changes to a tag. updateTag replaces both name and parentGuid,
+ * so start from the tag's current state.
+ * @param {Object} tag - Current Evernote Tag
+ * @param {Object} changes - Fields to change; a null parentGuid makes the tag top-level
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Updated tag
+ */
+async function saveTag(tag, changes, tokenData) {
+  const updated = { ...tag, ...changes };
+  const updateSequenceNum = await makeNoteStoreRequest('updateTag', {
+    authenticationToken: tokenData.accessToken,
+    tag: updated
+  }, tokenData);
+  return { ...updated, updateSequenceNum };
+}
+
+/**
+ * Resolve an optional parent tag reference
+ * @param {string} parentRef - Parent tag name or GUID; empty for top-level
+ * @param {Array} tags - All tags in the account
+ * @returns {Object|null} Parent tag, or null for top-level
+ */
+function resolveParent(parentRef, tags) {
+  return parentRef ? lookup.findTag(parentRef, tags) : null;
+}
+
+/**
+ * Collect every note carrying a tag, active notes first and then those in the trash.
+ * findNotesMetadata searches one or the other, so each needs its own pass.
+ * @param {string} tagGuid - Tag GUID
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Array>} Note metadata with guid, title, tagGuids and inTrash
+ */
+async function findNotesWithTag(tagGuid, tokenData) {
+  const notes = [];
+
+  for (const inactive of [false, true]) {
+    let offset = 0;
+    let total = Infinity;
+
+    while (offset < total) {
+      const response = await makeNoteStoreRequest('findNotesMetadata', {
+        authenticationToken: tokenData.accessToken,
+        filter: { tagGuids: [tagGuid], inactive },
+        offset,
+        maxNotes: NOTES_PAGE_SIZE,
+        resultSpec: {
+          includeTitle: true,
+          includeTagGuids: true
+        }
+      }, tokenData);
+
+      const page = response.notes || [];
+      notes.push(...page.map(note => ({ ...note, inTrash: inactive })));
+      total = response.totalNotes || 0;
+      if (page.length === 0) {
+        break;
+      }
+      offset += page.length;
+    }
+  }
+
+  return notes;
+}
+
+/**
+ * Map tag tool errors to user-facing messages
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} action - Description of the failed action
+ * @returns {string} Error message
+ */
+function tagErrorMessage(error, action) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  } else if (error.message.includes('PERMISSION_DENIED')) {
+    return `Evernote denied permission to ${action}. The API key may not allow this operation.`;
+  } else if (error.message.includes('DATA_CONFLICT')) {
+    return `Failed to ${action}: a tag with that name already exists.`;
+  } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `Failed to ${action}: ${error.message}`;
+}
+
+/**
+ * List all tags as a tree built from parentGuid
+ * @param {Object} args - Arguments containing optional root tag and includeCounts
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function listTags(args, tokenData) {
+  logToolInvocation('listTags', args);
+
+  try {
+    console.error('🌐 Calling Evernote listTags API...');
+    const tags = await lookup.listTags(tokenData);
+
+    let tagCounts = null;
+    if (args.includeCounts !== false) {
+      try {
+        const counts = await makeNoteStoreRequest('findNoteCounts', {
+          authenticationToken: tokenData.accessToken,
+          filter: {},
+          withTrash: false
+        }, tokenData);
+        tagCounts = counts.tagCounts || {};
+      } catch (error) {
+        console.error('⚠️ Failed to count notes per tag:', error.message);
+      }
+    }
+
+    let tree = buildTagTree(tags, tagCounts);
+    if (args.root) {
+      const root = lookup.findTag(args.root, tags);
+      const findNode = nodes => {
+        for (const node of nodes) {
+          if (node.guid === root.guid) {
+            return node;
+          }
+          const found = findNode(node.children);
+          if (found) {
+            return found;
+          }
+        }
+        return null;
+      };
+      tree = [findNode(tree)];
+    }
+
+    console.error(`✅ Found ${tags.length} tags`);
+    return createMCPResponse('success', {
+      tree,
+      totalTags: tags.length
+    });
+
+  } catch (error) {
+    console.error('❌ listTags error:', error.message);
+    return createMCPResponse('error', null, tagErrorMessage(error, 'list tags'));
+  }
+}
+
+/**
+ * Create a tag, optionally under a parent tag
+ * @param {Object} args - Arguments containing name and optional parent
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function createTag(args, tokenData) {
+  logToolInvocation('createTag', args);
+
+  try {
+    if (!args.name) {
+      return createMCPResponse('error', null, 'name is required');
+    }
+
+    const name = lookup.validateTagName(args.name);
+    const tags = await lookup.listTags(tokenData);
+    assertTagNameAvailable(name, tags);
+
+    const tag = { name };
+    const parent = resolveParent(args.parent, tags);
+    if (parent) {
+      tag.parentGuid = parent.guid;
+    }
+
+    console.error('🏷️ Creating tag:', name);
+    const created = await makeNoteStoreRequest('createTag', {
+      authenticationToken: tokenData.accessToken,
+      tag
+    }, tokenData);
+
+    console.error('✅ Created tag:', created.guid);
+    return createMCPResponse('success', tagSummary(created, tags));
+
+  } catch (error) {
+    console.error('❌ createTag error:', error.message);
+    return createMCPResponse('error', null, tagErrorMessage(error, 'create the tag'));
+  }
+}
+
+/**
+ * Rename a tag
+ * @param {Object} args - Arguments containing tag (name or GUID) and newName
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function renameTag(args, tokenData) {
+  logToolInvocation('renameTag', args);
+
+  try {
+    if (!args.tag) {
+      return createMCPResponse('error', null, 'tag is required');
+    }
+    if (!args.newName) {
+      return createMCPResponse('error', null, 'newName is required');
+    }
+
+    const newName = lookup.validateTagName(args.newName);
+    const tags = await lookup.listTags(tokenData);
+    const tag = lookup.findTag(args.tag, tags);
+    assertTagNameAvailable(newName, tags, tag.guid);
+
+    const previousName = tag.name;
+    console.error(`✏️ Renaming tag "${previousName}" to "${newName}"`);
+    const saved = await saveTag(tag, { name: newName }, tokenData);
+
+    return createMCPResponse('success', {
+      ...tagSummary(saved, tags),
+      previousName
+    });
+
+  } catch (error) {
+    console.error('❌ renameTag error:', error.message);
+    return createMCPResponse('error', null, tagErrorMessage(error, 'rename the tag'));
+  }
+}
+
+/**
+ * Move a tag under a new parent, or to the top level
+ * @param {Object} args - Arguments containing tag (name or GUID) and parent (empty for top-level)
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function moveTag(args, tokenData) {
+  logToolInvocation('moveTag', args);
+
+  try {
+    if (!args.tag) {
+      return createMCPResponse('error', null, 'tag is required');
+    }
+
+    const tags = await lookup.listTags(tokenData);
+    const tag = lookup.findTag(args.tag, tags);
+    const parent = resolveParent(args.parent, tags);
+
+    if (parent && isSameOrDescendant(tag.guid, parent.guid, tags)) {
+      return createMCPResponse('error', null, `Cannot move tag "${tag.name}" under "${parent.name}": that would create a cycle`);
+    }
+
+    const previousParentGuid = tag.parentGuid || null;
+    const parentGuid = parent ? parent.guid : null;
+    if (previousParentGuid === parentGuid) {
+      return createMCPResponse('success', {
+        ...tagSummary(tag, tags),
+        previousParentGuid,
+        changed: false
+      });
+    }
+
+    console.error(parent ? `🗂️ Moving tag "${tag.name}" under "${parent.name}"` : `🗂️ Moving tag "${tag.name}" to the top level`);
+    const saved = await saveTag(tag, { parentGuid }, tokenData);
+
+    return createMCPResponse('success', {
+      ...tagSummary(saved, tags),
+      previousParentGuid,
+      changed: true
+    });
+
+  } catch (error) {
+    console.error('❌ moveTag error:', error.message);
+    return createMCPResponse('error', null, tagErrorMessage(error, 'move the tag'));
+  }
+}
+
+/**
+ * Merge one tag into another: retag every note carrying the source tag with
+ * the target tag, move the source's child tags under the target, then
+ * expunge the source tag
+ * @param {Object} args - Arguments containing source, target and dryRun
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function mergeTags(args, tokenData) {
+  logToolInvocation('mergeTags', args);
+
+  try {
+    if (!args.source || !args.target) {
+      return createMCPResponse('error', null, 'source and target are required');
+    }
+
+    const tags = await lookup.listTags(tokenData);
+    const source = lookup.findTag(args.source, tags);
+    const target = lookup.findTag(args.target, tags);
+
+    if (source.guid === target.guid) {
+      return createMCPResponse('error', null, 'source and target must be different tags');
+    }
+    if (isSameOrDescendant(source.guid, target.guid, tags)) {
+      return createMCPResponse('error', null, `Cannot merge "${source.name}" into its own descendant "${target.name}"`);
+    }
+
+    const notes = await findNotesWithTag(source.guid, tokenData);
+    const children = tags.filter(tag => tag.parentGuid === source.guid);
+
+    if (args.dryRun === true) {
+      console.error(`🔍 mergeTags dry run: ${notes.length} note(s) would be retagged`);
+      return createMCPResponse('success', {
+        dryRun: true,
+        source: tagSummary(source, tags),
+        target: tagSummary(target, tags),
+        notesToRetag: notes.map(note => ({ guid: note.guid, title: note.title, inTrash: note.inTrash })),
+        childTagsToMove: children.map(child => ({ guid: child.guid, name: child.name }))
+      });
+    }
+
+    const retagged = [];
+    const failed = [];
+    for (const note of notes) {
+      const tagGuids = (note.tagGuids || []).filter(guid => guid !== source.guid);
+      if (!tagGuids.includes(target.guid)) {
+        tagGuids.push(target.guid);
+      }
+      try {
+        await makeNoteStoreRequest('updateNote', {
+          authenticationToken: tokenData.accessToken,
+          note: { guid: note.guid, title: note.title, tagGuids }
+        }, tokenData);
+        retagged.push({ guid: note.guid, title: note.title, inTrash: note.inTrash });
+      } catch (error) {
+        failed.push({ guid: note.guid, title: note.title, error: tagErrorMessage(error, 'retag the note') });
+      }
+    }
+
+    const movedChildren = [];
+    for (const child of children) {
+      try {
+        await saveTag(child, { parentGuid: target.guid }, tokenData);
+        movedChildren.push({ guid: child.guid, name: child.name });
+      } catch (error) {
+        failed.push({ tagGuid: child.guid, name: child.name, error: tagErrorMessage(error, 'move the child tag') });
+      }
+    }
+
+    const result = {
+      dryRun: false,
+      source: tagSummary(source, tags),
+      target: tagSummary(target, tags),
+      retagged,
+      movedChildren,
+      failed,
+      sourceExpunged: false
+    };
+
+    // Keep the source tag if anything still depends on it, so the merge can be re-run
+    if (failed.length > 0) {
+      return createMCPResponse('error', result, `Merged ${retagged.length} of ${notes.length} notes; the source tag was kept because some updates failed`);
+    }
+
+    try {
+      console.error('🔥 Expunging tag:', source.guid);
+      await makeNoteStoreRequest('expungeTag', {
+        authenticationToken: tokenData.accessToken,
+        guid: source.guid
+      }, tokenData);
+      result.sourceExpunged = true;
+    } catch (error) {
+      console.error('⚠️ Failed to expunge source tag:', error.message);
+      result.warning = `All notes were retagged, but the tag "${source.name}" could not be removed: ${tagErrorMessage(error, 'expunge the tag')}`;
+    }
+
+    console.error(`✅ Merged tag "${source.name}" into "${target.name}"`);
+    return createMCPResponse('success', result);
+
+  } catch (error) {
+    console.error('❌ mergeTags error:', error.message);
+    return createMCPResponse('error', null, tagErrorMessage(error, 'merge the tags'));
+  }
+}
+
+module.exports = {
+  listTags,
+  createTag,
+  renameTag,
+  moveTag,
+  mergeTags,
+  buildTagTree
+};
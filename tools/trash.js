@@ -0,0 +1,289 @@
+/**
+ * Evernote MCP Tools: Trash
+ * Lists notes in the trash, moves notes to and from the trash, and
+ * permanently expunges trashed notes
+ */
+
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { listNotebooks } = require('./lookup');
+
+/**
+ * Fetch note metadata (no content) by GUID
+ * @param {string} noteGuid - Note GUID
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Evernote Note
+ */
+async function fetchNoteMetadata(noteGuid, tokenData) {
+  return makeNoteStoreRequest('getNote', {
+    authenticationToken: tokenData.accessToken,
+    guid: noteGuid,
+    withContent: false,
+    withResourcesData: false,
+    withResourcesRecognition: false,
+    withResourcesAlternateData: false
+  }, tokenData);
+}
+
+/**
+ * Summarise a note's trash state for tool responses
+ * @param {Object} note - Evernote Note or NoteMetadata
+ * @param {Map} notebookNames - Notebook GUID to name map
+ * @returns {Object} Note summary
+ */
+function trashSummary(note, notebookNames = new Map()) {
+  return {
+    guid: note.guid,
+    title: note.title || 'Untitled',
+    created: note.created ? new Date(note.created).toISOString() : null,
+    updated: note.updated ? new Date(note.updated).toISOString() : null,
+    deleted: note.active === false && note.deleted ? new Date(note.deleted).toISOString() : null,
+    active: note.active !== false,
+    notebookGuid: note.notebookGuid,
+    notebookName: notebookNames.get(note.notebookGuid) || null,
+    updateSequenceNum: note.updateSequenceNum
+  };
+}
+
+/**
+ * Build a notebook GUID to name map, tolerating lookup failures
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Map>} Notebook names by GUID
+ */
+async function notebookNameMap(tokenData) {
+  try {
+    const notebooks = await listNotebooks(tokenData);
+    return new Map(notebooks.map(notebook => [notebook.guid, notebook.name]));
+  } catch (error) {
+    console.error('⚠️ Failed to resolve notebook names:', error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Map trash tool errors to user-facing messages
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} action - Description of the failed action
+ * @returns {string} Error message
+ */
+function trashErrorMessage(error, action) {
+  if (error.message.includes('authentication')) {
+    return 'Evernote authentication failed. Please re-authenticate.';
+  } else if (error.message.includes('PERMISSION_DENIED')) {
+    return `Evernote denied permission to ${action}. The API key may not allow this operation.`;
+  } else if (error.message.includes('not found') || error.message.includes('404')) {
+    return 'Note not found.';
+  } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+    return 'Network error connecting to Evernote. Please check your internet connection.';
+  }
+  return `Failed to ${action}: ${error.message}`;
+}
+
+/**
+ * List notes in the trash
+ * @param {Object} args - Arguments containing optional query, maxResults and offset
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function listTrash(args, tokenData) {
+  logToolInvocation('listTrash', args);
+
+  try {
+    const maxResults = Math.min(args.maxResults || 20, 100); // Cap at 100
+    const offset = args.offset || 0;
+
+    const requestData = {
+      authenticationToken: tokenData.accessToken,
+      filter: {
+        words: args.query || undefined,
+        inactive: true // Only notes in the trash
+      },
+      offset: offset,
+      maxNotes: maxResults,
+      resultSpec: {
+        includeTitle: true,
+        includeCreated: true,
+        includeUpdated: true,
+        includeDeleted: true,
+        includeUpdateSequenceNum: true,
+        includeNotebookGuid: true
+      }
+    };
+
+    console.error('🌐 Calling Evernote findNotesMetadata API for trash...');
+    const response = await makeNoteStoreRequest('findNotesMetadata', requestData, tokenData);
+    const notebookNames = await notebookNameMap(tokenData);
+    const notes = (response.notes || []).map(note => trashSummary({ ...note, active: false }, notebookNames));
+
+    console.error(`✅ Found ${notes.length} notes in trash (${response.totalNotes || 0} total)`);
+    return createMCPResponse('success', {
+      results: notes,
+      totalFound: response.totalNotes || 0,
+      offset: offset,
+      maxResults: maxResults
+    });
+
+  } catch (error) {
+    console.error('❌ listTrash error:', error.message);
+    return createMCPResponse('error', null, trashErrorMessage(error, 'list the trash'));
+  }
+}
+
+/**
+ * Move a note to the trash
+ * @param {Object} args - Arguments containing noteGuid
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function deleteNote(args, tokenData) {
+  logToolInvocation('deleteNote', args);
+
+  try {
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+
+    const note = await fetchNoteMetadata(args.noteGuid, tokenData);
+    if (note.active === false) {
+      return createMCPResponse('error', null, `Note "${note.title}" is already in the trash`);
+    }
+
+    console.error('🗑️ Moving note to trash:', args.noteGuid);
+    const updateSequenceNum = await makeNoteStoreRequest('deleteNote', {
+      authenticationToken: tokenData.accessToken,
+      guid: args.noteGuid
+    }, tokenData);
+
+    return createMCPResponse('success', {
+      guid: note.guid,
+      title: note.title,
+      active: false,
+      updateSequenceNum
+    });
+
+  } catch (error) {
+    console.error('❌ deleteNote error:', error.message);
+    return createMCPResponse('error', null, trashErrorMessage(error, 'move the note to the trash'));
+  }
+}
+
+/**
+ * Restore a note from the trash
+ * @param {Object} args - Arguments containing noteGuid
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function restoreNote(args, tokenData) {
+  logToolInvocation('restoreNote', args);
+
+  try {
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+
+    const note = await fetchNoteMetadata(args.noteGuid, tokenData);
+    if (note.active !== false) {
+      return createMCPResponse('error', null, `Note "${note.title}" is not in the trash`);
+    }
+
+    // Setting active back to true is how the NoteStore API undeletes a note
+    console.error('♻️ Restoring note from trash:', args.noteGuid);
+    const restored = await makeNoteStoreRequest('updateNote', {
+      authenticationToken: tokenData.accessToken,
+      note: {
+        guid: note.guid,
+        title: note.title,
+        active: true
+      }
+    }, tokenData);
+
+    const notebookNames = await notebookNameMap(tokenData);
+    return createMCPResponse('success', trashSummary(restored, notebookNames));
+
+  } catch (error) {
+    console.error('❌ restoreNote error:', error.message);
+    return createMCPResponse('error', null, trashErrorMessage(error, 'restore the note'));
+  }
+}
+
+/**
+ * Permanently expunge notes from the trash.
+ * Only notes already in the trash can be expunged, and the call must either
+ * be a dry run or carry confirm: true.
+ * @param {Object} args - Arguments containing noteGuid or noteGuids, dryRun and confirm
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function expungeNote(args, tokenData) {
+  logToolInvocation('expungeNote', args);
+
+  try {
+    const noteGuids = args.noteGuids || (args.noteGuid ? [args.noteGuid] : []);
+    if (noteGuids.length === 0) {
+      return createMCPResponse('error', null, 'noteGuid or noteGuids is required');
+    }
+
+    const dryRun = args.dryRun === true;
+    if (!dryRun && args.confirm !== true) {
+      return createMCPResponse('error', null, 'Expunging permanently deletes notes and cannot be undone. Run with dryRun: true to preview, then call again with confirm: true.');
+    }
+
+    const notebookNames = await notebookNameMap(tokenData);
+    const candidates = [];
+    const skipped = [];
+
+    for (const guid of noteGuids) {
+      try {
+        const note = await fetchNoteMetadata(guid, tokenData);
+        if (note.active !== false) {
+          skipped.push({ guid, title: note.title, reason: 'Note is not in the trash; move it to the trash with deleteNote first' });
+        } else {
+          candidates.push(trashSummary(note, notebookNames));
+        }
+      } catch (error) {
+        skipped.push({ guid, reason: error.message });
+      }
+    }
+
+    if (dryRun) {
+      console.error(`🔍 expungeNote dry run: ${candidates.length} note(s) would be expunged`);
+      return createMCPResponse('success', {
+        dryRun: true,
+        wouldExpunge: candidates,
+        skipped
+      });
+    }
+
+    const expunged = [];
+    const failed = [];
+    for (const note of candidates) {
+      try {
+        console.error('🔥 Expunging note:', note.guid);
+        await makeNoteStoreRequest('expungeNote', {
+          authenticationToken: tokenData.accessToken,
+          guid: note.guid
+        }, tokenData);
+        expunged.push({ guid: note.guid, title: note.title });
+      } catch (error) {
+        failed.push({ guid: note.guid, title: note.title, error: trashErrorMessage(error, 'expunge the note') });
+      }
+    }
+
+    return createMCPResponse(expunged.length > 0 || failed.length === 0 ? 'success' : 'error', {
+      dryRun: false,
+      expunged,
+      failed,
+      skipped
+    }, failed.length > 0 && expunged.length === 0 ? 'No notes were expunged' : null);
+
+  } catch (error) {
+    console.error('❌ expungeNote error:', error.message);
+    return createMCPResponse('error', null, trashErrorMessage(error, 'expunge notes'));
+  }
+}
+
+module.exports = {
+  listTrash,
+  deleteNote,
+  restoreNote,
+  expungeNote
+};
@@ -0,0 +1,319 @@
+/**
+ * Evernote MCP Tool: Update Note
+ * Updates an existing note, detecting concurrent edits through the note's
+ * update sequence number and three-way merging ENML bodies where possible
+ */
+
+const { makeNoteStoreRequest, logToolInvocation, createMCPResponse } = require('./createSearch');
+const { contentToEnml, extractEnmlBody, wrapEnml, SUPPORTED_INPUT_FORMATS } = require('./enmlWriter');
+const { resolveNotebook, resolveTags } = require('./lookup');
+const { validateTitle } = require('./createNote');
+const { splitEnmlBlocks, diff3Merge } = require('./diff');
+const { recordSnapshot, getSnapshot } = require('./noteSnapshots');
+
+// How many times to re-merge when the note changes again between our read and our write
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Fetch a note with its ENML content and remember it as a merge base
+ * @param {string} noteGuid - Note GUID
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Evernote Note
+ */
+async function fetchNoteWithContent(noteGuid, tokenData) {
+  const note = await makeNoteStoreRequest('getNote', {
+    authenticationToken: tokenData.accessToken,
+    guid: noteGuid,
+    withContent: true,
+    withResourcesData: false,
+    withResourcesRecognition: false,
+    withResourcesAlternateData: false
+  }, tokenData);
+  recordSnapshot(note);
+  return note;
+}
+
+/**
+ * Compare two GUID lists ignoring order
+ * @param {Array<string>} a - First list
+ * @param {Array<string>} b - Second list
+ * @returns {boolean} True if both contain the same GUIDs
+ */
+function sameGuids(a, b) {
+  const left = [...(a || [])].sort();
+  const right = [...(b || [])].sort();
+  return left.length === right.length && left.every((guid, i) => guid === right[i]);
+}
+
+/**
+ * Three-way merge tag lists: keep their tags, then apply our additions and removals
+ * @param {Array<string>} base - Tags at the base version
+ * @param {Array<string>} ours - Tags requested by the caller
+ * @param {Array<string>} theirs - Tags currently on the server
+ * @returns {Array<string>} Merged tag GUIDs
+ */
+function mergeTagGuids(base, ours, theirs) {
+  const added = ours.filter(guid => !base.includes(guid));
+  const removed = base.filter(guid => !ours.includes(guid));
+  return [
+    ...theirs.filter(guid => !removed.includes(guid)),
+    ...added.filter(guid => !theirs.includes(guid))
+  ];
+}
+
+/**
+ * Put a merged body back inside the server copy's <en-note> element,
+ * keeping its attributes (such as style) and the document header
+ * @param {string} template - Server copy of the note's ENML
+ * @param {string} fragment - Merged body fragment
+ * @returns {string} Complete ENML document
+ */
+function rewrapEnmlBody(template, fragment) {
+  const openTag = (template || '').match(/<en-note\b[^>]*>/i);
+  if (!openTag) {
+    return wrapEnml(fragment);
+  }
+  // A self-closing <en-note/> needs opening up to hold the body
+  const open = openTag[0].replace(/\s*\/>$/, '>');
+  return template.slice(0, openTag.index) + open + fragment + '</en-note>';
+}
+
+/**
+ * Merge requested changes into the note's current server state
+ * @param {Object|null} base - Note state the caller's edits were based on (null if unknown)
+ * @param {Object} current - Current server note
+ * @param {Object} changes - Requested title, content, notebookGuid and tagGuids; undefined fields are left alone
+ * @returns {Object} { merged, conflicts }
+ */
+function mergeNoteChanges(base, current, changes) {
+  const conflicts = [];
+  const merged = {
+    title: current.title,
+    content: undefined,
+    notebookGuid: current.notebookGuid,
+    tagGuids: current.tagGuids || []
+  };
+
+  for (const field of ['title', 'notebookGuid']) {
+    const ours = changes[field];
+    if (ours === undefined) {
+      continue;
+    }
+    if (ours === current[field] || (base && base[field] === current[field])) {
+      merged[field] = ours;
+    } else {
+      conflicts.push({ field, base: base ? base[field] : null, ours, theirs: current[field] });
+    }
+  }
+
+  if (changes.tagGuids !== undefined) {
+    // Thrift sends tagGuids: null for an untagged note, so a base without tagGuids still counts as a base
+    if (base) {
+      merged.tagGuids = mergeTagGuids(base.tagGuids || [], changes.tagGuids, current.tagGuids || []);
+    } else if (sameGuids(changes.tagGuids, current.tagGuids)) {
+      merged.tagGuids = changes.tagGuids;
+    } else {
+      conflicts.push({ field: 'tagGuids', base: null, ours: changes.tagGuids, theirs: current.tagGuids || [] });
+    }
+  }
+
+  if (changes.content !== undefined && changes.content !== current.content) {
+    if (!base || typeof base.content !== 'string') {
+      conflicts.push({
+        field: 'content',
+        reason: 'No base version of the note body is available to merge against. Re-read the note and retry with its current updateSequenceNum.'
+      });
+    } else if (base.content === current.content) {
+      merged.content = changes.content;
+    } else {
+      const result = diff3Merge(
+        splitEnmlBlocks(extractEnmlBody(base.content)),
+        splitEnmlBlocks(extractEnmlBody(changes.content)),
+        splitEnmlBlocks(extractEnmlBody(current.content))
+      );
+      if (result.clean) {
+        merged.content = rewrapEnmlBody(current.content, result.merged.join(''));
+      } else {
+        result.conflicts.forEach(conflict => conflicts.push({
+          field: 'content',
+          base: conflict.base.join(''),
+          ours: conflict.ours.join(''),
+          theirs: conflict.theirs.join('')
+        }));
+      }
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Apply changes to a note, merging with concurrent edits when the caller's
+ * update sequence number is stale and refusing to overwrite on conflict
+ * @param {string} noteGuid - Note GUID
+ * @param {number} expectedUsn - Update sequence number the caller last saw
+ * @param {Object} changes - Requested title, content (full ENML), notebookGuid and tagGuids
+ * @param {Object} tokenData - OAuth authentication data
+ * @param {Object} options - Options
+ * @param {string} options.baseContent - ENML the caller started from, used when no snapshot is cached
+ * @param {Object} options.current - Note already fetched with content, to skip the initial read
+ * @returns {Promise<Object>} { updated, note, merged } or { updated: false, conflicts, current }
+ */
+async function performNoteUpdate(noteGuid, expectedUsn, changes, tokenData, { baseContent, current: fetched } = {}) {
+  let current = fetched || await fetchNoteWithContent(noteGuid, tokenData);
+
+  if (expectedUsn > current.updateSequenceNum) {
+    throw new Error(`updateSequenceNum ${expectedUsn} is newer than the server's ${current.updateSequenceNum}`);
+  }
+
+  let base = expectedUsn === current.updateSequenceNum ? current : getSnapshot(noteGuid, expectedUsn);
+  if (!base && baseContent) {
+    base = { content: baseContent };
+  }
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const { merged, conflicts } = mergeNoteChanges(base, current, changes);
+    if (conflicts.length > 0) {
+      return { updated: false, conflicts, current };
+    }
+
+    const note = {
+      guid: noteGuid,
+      title: merged.title,
+      notebookGuid: merged.notebookGuid,
+      tagGuids: merged.tagGuids,
+      updateSequenceNum: current.updateSequenceNum
+    };
+    if (merged.content !== undefined) {
+      note.content = merged.content;
+    }
+
+    console.error(`🌐 Calling Evernote updateNoteIfUsnMatches API (USN ${current.updateSequenceNum})...`);
+    const result = await makeNoteStoreRequest('updateNoteIfUsnMatches', {
+      authenticationToken: tokenData.accessToken,
+      note
+    }, tokenData);
+
+    if (result.updated) {
+      recordSnapshot({
+        ...result.note,
+        content: merged.content !== undefined ? merged.content : current.content
+      });
+      return {
+        updated: true,
+        note: result.note,
+        merged: expectedUsn !== current.updateSequenceNum
+      };
+    }
+
+    // Someone saved between our read and our write; merge again against their version
+    console.error('⚠️ Note changed during update, re-merging...');
+    current = await fetchNoteWithContent(noteGuid, tokenData);
+  }
+
+  throw new Error(`Note kept changing during update; gave up after ${MAX_WRITE_ATTEMPTS} attempts`);
+}
+
+/**
+ * Update an existing note
+ * @param {Object} args - Arguments containing noteGuid, updateSequenceNum and the fields to change
+ * @param {Object} tokenData - OAuth authentication data
+ * @returns {Promise<Object>} Standardized MCP response
+ */
+async function updateNote(args, tokenData) {
+  logToolInvocation('updateNote', args);
+
+  try {
+    // Validate required parameters
+    if (!args.noteGuid) {
+      return createMCPResponse('error', null, 'noteGuid is required');
+    }
+    if (!Number.isInteger(args.updateSequenceNum) || args.updateSequenceNum < 1) {
+      return createMCPResponse('error', null, 'updateSequenceNum is required (use the value returned by getNote or createSearch)');
+    }
+
+    const format = args.format || 'text';
+    if (!SUPPORTED_INPUT_FORMATS.includes(format)) {
+      return createMCPResponse('error', null, `format must be one of: ${SUPPORTED_INPUT_FORMATS.join(', ')}`);
+    }
+
+    const changes = {};
+    let tags = { tagNames: undefined, createdTags: [] };
+
+    if (args.title !== undefined) {
+      changes.title = validateTitle(args.title);
+    }
+    if (args.body !== undefined) {
+      changes.content = contentToEnml(args.body, format);
+    }
+    if (args.notebook !== undefined) {
+      const notebook = await resolveNotebook(args.notebook, tokenData);
+      changes.notebookGuid = notebook.guid;
+    }
+    if (args.tags !== undefined) {
+      tags = await resolveTags(args.tags, tokenData);
+      changes.tagGuids = tags.tagGuids;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return createMCPResponse('error', null, 'Nothing to update: provide at least one of title, body, notebook or tags');
+    }
+
+    const result = await performNoteUpdate(args.noteGuid, args.updateSequenceNum, changes, tokenData, {
+      baseContent: args.baseEnml
+    });
+
+    if (!result.updated) {
+      console.error(`⚠️ updateNote conflict on ${result.conflicts.length} field(s)`);
+      return createMCPResponse('error', {
+        conflict: true,
+        noteGuid: args.noteGuid,
+        expectedUpdateSequenceNum: args.updateSequenceNum,
+        currentUpdateSequenceNum: result.current.updateSequenceNum,
+        currentTitle: result.current.title,
+        conflicts: result.conflicts,
+        createdTags: tags.createdTags
+      }, `Note was modified after update sequence number ${args.updateSequenceNum} and the changes could not be merged automatically. Nothing was written.`);
+    }
+
+    console.error('✅ Updated note:', result.note.guid);
+    return createMCPResponse('success', {
+      guid: result.note.guid,
+      title: result.note.title,
+      updateSequenceNum: result.note.updateSequenceNum,
+      previousUpdateSequenceNum: args.updateSequenceNum,
+      merged: result.merged,
+      updated: result.note.updated ? new Date(result.note.updated).toISOString() : null,
+      notebookGuid: result.note.notebookGuid,
+      tagGuids: result.note.tagGuids || [],
+      tagNames: tags.tagNames,
+      createdTags: tags.createdTags
+    });
+
+  } catch (error) {
+    console.error('❌ updateNote error:', error.message);
+
+    // Provide more specific error messages
+    let errorMessage;
+    if (error.message.includes('authentication')) {
+      errorMessage = 'Evernote authentication failed. Please re-authenticate.';
+    } else if (error.message.includes('not found') || error.message.includes('404')) {
+      errorMessage = `Note with GUID ${args.noteGuid} not found or has been deleted.`;
+    } else if (error.message.includes('ENML_VALIDATION')) {
+      errorMessage = error.enmlErrors ? error.message : 'Evernote rejected the note content as invalid ENML.';
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      errorMessage = 'Network error connecting to Evernote. Please check your internet connection.';
+    } else {
+      errorMessage = `Failed to update note: ${error.message}`;
+    }
+
+    return createMCPResponse('error', null, errorMessage);
+  }
+}
+
+module.exports = {
+  updateNote,
+  performNoteUpdate,
+  mergeNoteChanges,
+  fetchNoteWithContent
+};